@@ -0,0 +1,114 @@
+/* ------------------------------------------------------------------
+* node-sms-transceiver - apn-presets.js
+*
+* Copyright (c) 2020, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2020-04-11
+* ---------------------------------------------------------------- */
+'use strict';
+
+/* ------------------------------------------------------------------
+* A preset describes the PDP context for the data service of a carrier.
+*
+* - mcc          | Integer | Required | Mobile country code (e.g., 440)
+* - mnc          | Integer | Required | Mobile network code (e.g., 10)
+* - name         | String  | Optional | Name of the carrier
+* - apn          | String  | Required | Access point name
+* - type         | String  | Optional | PDP type ("IP", "IPV6", "IPV4V6").
+*                |         |          | The default is "IP".
+* - auth         | Object  | Optional |
+*   - protocol   | String  | Required | "none", "pap", or "chap"
+*   - username   | String  | Optional | User name
+*   - password   | String  | Optional | Password
+*
+* The built-in presets are the publicly documented settings of the
+* carriers. They may not be applicable to the MVNOs using the network.
+* ---------------------------------------------------------------- */
+const BUILTIN_PRESETS = [
+  { mcc: 440, mnc: 10, name: 'NTT DOCOMO', apn: 'spmode.ne.jp' },
+  { mcc: 440, mnc: 20, name: 'SoftBank', apn: 'plus.4g', auth: { protocol: 'chap', username: 'plus', password: '4g' } },
+  { mcc: 440, mnc: 51, name: 'KDDI', apn: 'uno.au-net.ne.jp', auth: { protocol: 'chap', username: 'user@uno.au-net.ne.jp', password: 'au' } },
+  { mcc: 310, mnc: 260, name: 'T-Mobile US', apn: 'fast.t-mobile.com', type: 'IPV4V6' },
+  { mcc: 310, mnc: 410, name: 'AT&T', apn: 'broadband' },
+  { mcc: 311, mnc: 480, name: 'Verizon', apn: 'vzwinternet' },
+  { mcc: 262, mnc: 1, name: 'Telekom.de', apn: 'internet.telekom', auth: { protocol: 'pap', username: 'telekom', password: 'tm' } },
+  { mcc: 262, mnc: 2, name: 'Vodafone.de', apn: 'web.vodafone.de' },
+  { mcc: 208, mnc: 1, name: 'Orange F', apn: 'orange', auth: { protocol: 'pap', username: 'orange', password: 'orange' } }
+];
+
+// Presets registered by users are searched before the built-in presets
+let user_presets = [];
+
+// Fill the optional properties
+function normalizePreset(preset) {
+  let auth = preset.auth || { protocol: 'none' };
+  return {
+    mcc: preset.mcc,
+    mnc: preset.mnc,
+    name: preset.name || '',
+    apn: preset.apn,
+    type: preset.type || 'IP',
+    auth: {
+      protocol: auth.protocol,
+      username: auth.username || '',
+      password: auth.password || ''
+    }
+  };
+}
+
+/* ------------------------------------------------------------------
+* registerPreset(preset)
+* - Register a preset
+* - If a preset for the same MCC and MNC has already been registered
+*   by a user, it is replaced.
+*
+* [Arguments]
+* - preset | Object | Required | Preset (See the description above)
+* ---------------------------------------------------------------- */
+function registerPreset(preset) {
+  if (!preset || typeof (preset) !== 'object') {
+    throw new Error('The `preset` must be an object.');
+  }
+  for (let k of ['mcc', 'mnc']) {
+    if (!Number.isInteger(preset[k]) || preset[k] < 0 || preset[k] > 999) {
+      throw new Error('The `' + k + '` of the preset must be an integer in the range of 0 to 999.');
+    }
+  }
+  if (!preset.apn || typeof (preset.apn) !== 'string' || /[",]/.test(preset.apn)) {
+    throw new Error('The `apn` of the preset must be a non-empty string without `"` and `,`.');
+  }
+  if ('type' in preset && !['IP', 'IPV6', 'IPV4V6'].includes(preset.type)) {
+    throw new Error('The `type` of the preset must be "IP", "IPV6", or "IPV4V6".');
+  }
+  if ('auth' in preset) {
+    let auth = preset.auth;
+    if (!auth || typeof (auth) !== 'object' || !['none', 'pap', 'chap'].includes(auth.protocol)) {
+      throw new Error('The `protocol` of the `auth` must be "none", "pap", or "chap".');
+    }
+  }
+  user_presets = user_presets.filter((p) => {
+    return !(p.mcc === preset.mcc && p.mnc === preset.mnc);
+  });
+  user_presets.unshift(preset);
+}
+
+/* ------------------------------------------------------------------
+* getPreset(mcc, mnc)
+* - Get the preset of the network
+*
+* [Returen value]
+* - A normalized preset object. If not found, `null` is returned.
+* ---------------------------------------------------------------- */
+function getPreset(mcc, mnc) {
+  for (let preset of user_presets.concat(BUILTIN_PRESETS)) {
+    if (preset.mcc === mcc && preset.mnc === mnc) {
+      return normalizePreset(preset);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  registerPreset: registerPreset,
+  getPreset: getPreset
+};
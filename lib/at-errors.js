@@ -0,0 +1,244 @@
+/* ------------------------------------------------------------------
+* node-sms-transceiver - at-errors.js
+*
+* Copyright (c) 2020, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2020-04-11
+* ---------------------------------------------------------------- */
+'use strict';
+
+// ---------------------------------------------------------------
+// Message service failure result codes (+CMS ERROR)
+// - 3GPP TS 27.005 subclause 3.2.5
+// - 0 - 127: 3GPP TS 24.011 Annex E-2 values
+// - 128 - 255: 3GPP TS 23.040 subclause 9.2.3.22 values
+// ---------------------------------------------------------------
+const CMS_ERROR_CODES = {
+  1: 'Unassigned (unallocated) number',
+  8: 'Operator determined barring',
+  10: 'Call barred',
+  21: 'Short message transfer rejected',
+  27: 'Destination out of service',
+  28: 'Unidentified subscriber',
+  29: 'Facility rejected',
+  30: 'Unknown subscriber',
+  38: 'Network out of order',
+  41: 'Temporary failure',
+  42: 'Congestion',
+  47: 'Resources unavailable, unspecified',
+  50: 'Requested facility not subscribed',
+  69: 'Requested facility not implemented',
+  81: 'Invalid short message transfer reference value',
+  95: 'Invalid message, unspecified',
+  96: 'Invalid mandatory information',
+  97: 'Message type non-existent or not implemented',
+  98: 'Message not compatible with short message protocol state',
+  99: 'Information element non-existent or not implemented',
+  111: 'Protocol error, unspecified',
+  127: 'Interworking, unspecified',
+  128: 'Telematic interworking not supported',
+  129: 'Short message Type 0 not supported',
+  130: 'Cannot replace short message',
+  143: 'Unspecified TP-PID error',
+  144: 'Data coding scheme (alphabet) not supported',
+  145: 'Message class not supported',
+  159: 'Unspecified TP-DCS error',
+  160: 'Command cannot be actioned',
+  161: 'Command unsupported',
+  175: 'Unspecified TP-Command error',
+  176: 'TPDU not supported',
+  192: 'SC busy',
+  193: 'No SC subscription',
+  194: 'SC system failure',
+  195: 'Invalid SME address',
+  196: 'Destination SME barred',
+  197: 'SM Rejected-Duplicate SM',
+  198: 'TP-VPF not supported',
+  199: 'TP-VP not supported',
+  208: 'SIM SMS storage full',
+  209: 'No SMS storage capability in SIM',
+  210: 'Error in MS',
+  211: 'Memory Capacity Exceeded',
+  212: 'SIM Application Toolkit Busy',
+  213: 'SIM data download error',
+  255: 'Unspecified error cause',
+  300: 'ME failure',
+  301: 'SMS service of ME reserved',
+  302: 'Operation not allowed',
+  303: 'Operation not supported',
+  304: 'Invalid PDU mode parameter',
+  305: 'Invalid text mode parameter',
+  310: 'SIM not inserted',
+  311: 'SIM PIN required',
+  312: 'PH-SIM PIN required',
+  313: 'SIM failure',
+  314: 'SIM busy',
+  315: 'SIM wrong',
+  316: 'SIM PUK required',
+  317: 'SIM PIN2 required',
+  318: 'SIM PUK2 required',
+  320: 'Memory failure',
+  321: 'Invalid memory index',
+  322: 'Memory full',
+  330: 'SMSC address unknown',
+  331: 'No network service',
+  332: 'Network timeout',
+  340: 'No +CNMA acknowledgement expected',
+  500: 'Unknown error'
+};
+
+// ---------------------------------------------------------------
+// Mobile termination error result codes (+CME ERROR)
+// - 3GPP TS 27.007 subclause 9.2
+// ---------------------------------------------------------------
+const CME_ERROR_CODES = {
+  0: 'Phone failure',
+  1: 'No connection to phone',
+  2: 'Phone-adaptor link reserved',
+  3: 'Operation not allowed',
+  4: 'Operation not supported',
+  5: 'PH-SIM PIN required',
+  6: 'PH-FSIM PIN required',
+  7: 'PH-FSIM PUK required',
+  10: 'SIM not inserted',
+  11: 'SIM PIN required',
+  12: 'SIM PUK required',
+  13: 'SIM failure',
+  14: 'SIM busy',
+  15: 'SIM wrong',
+  16: 'Incorrect password',
+  17: 'SIM PIN2 required',
+  18: 'SIM PUK2 required',
+  20: 'Memory full',
+  21: 'Invalid index',
+  22: 'Not found',
+  23: 'Memory failure',
+  24: 'Text string too long',
+  25: 'Invalid characters in text string',
+  26: 'Dial string too long',
+  27: 'Invalid characters in dial string',
+  30: 'No network service',
+  31: 'Network timeout',
+  32: 'Network not allowed - emergency calls only',
+  40: 'Network personalization PIN required',
+  41: 'Network personalization PUK required',
+  42: 'Network subset personalization PIN required',
+  43: 'Network subset personalization PUK required',
+  44: 'Service provider personalization PIN required',
+  45: 'Service provider personalization PUK required',
+  46: 'Corporate personalization PIN required',
+  47: 'Corporate personalization PUK required',
+  48: 'Hidden key required',
+  49: 'EAP method not supported',
+  50: 'Incorrect parameters',
+  100: 'Unknown',
+  103: 'Illegal MS',
+  106: 'Illegal ME',
+  107: 'GPRS services not allowed',
+  111: 'PLMN not allowed',
+  112: 'Location area not allowed',
+  113: 'Roaming not allowed in this location area',
+  132: 'Service option not supported',
+  133: 'Requested service option not subscribed',
+  134: 'Service option temporarily out of order',
+  148: 'Unspecified GPRS error',
+  149: 'PDP authentication failure',
+  150: 'Invalid mobile class'
+};
+
+class AtCommandError extends Error {
+  /* ------------------------------------------------------------------
+  * Constructor
+  *
+  * [Arguments]
+  * - message       | String  | Required | Error message
+  * - params        | Object  | Optional |
+  *   - command     | String  | Optional | AT command which caused the error
+  *   - response    | String  | Optional | Raw response from the modem
+  *   - code        | Integer | Optional | Error code reported by the modem
+  *   - description | String  | Optional | Human-readable description of the `code`
+  * ---------------------------------------------------------------- */
+  constructor(message, params = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.command = ('command' in params) ? params.command : null;
+    this.response = ('response' in params) ? params.response : null;
+    this.code = ('code' in params) ? params.code : null;
+    this.description = ('description' in params) ? params.description : null;
+  }
+
+  /* ------------------------------------------------------------------
+  * fromResponse(command, response)
+  * - Create an error object from a response of an AT command
+  *
+  * [Arguments]
+  * - command  | String | Required | AT command
+  * - response | String | Required | Response from the modem
+  *
+  * [Returen value]
+  * - A `CmsError` object if the response contains `+CMS ERROR`
+  * - A `CmeError` object if the response contains `+CME ERROR`
+  * - Otherwise, an `AtCommandError` object
+  * ---------------------------------------------------------------- */
+  static fromResponse(command, response) {
+    let m = (response || '').match(/(^|\n)\+(CMS|CME) ERROR\:\s*(.+)/);
+    if (!m) {
+      return new AtCommandError('Unexpected response: ' + response, {
+        command: command,
+        response: response
+      });
+    }
+
+    let ErrorClass = (m[2] === 'CMS') ? CmsError : CmeError;
+    let table = (m[2] === 'CMS') ? CMS_ERROR_CODES : CME_ERROR_CODES;
+    let value = m[3].trim();
+    let code = null;
+    let description = null;
+
+    if (/^\d+$/.test(value)) {
+      // Numeric format (`AT+CMEE=1`)
+      code = parseInt(value, 10);
+      description = table[code] || null;
+    } else {
+      // Verbose format (`AT+CMEE=2`)
+      description = value;
+      let normalized = value.replace(/\(U\)/g, '').toLowerCase();
+      for (let [c, desc] of Object.entries(table)) {
+        if (desc.toLowerCase() === normalized) {
+          code = parseInt(c, 10);
+          break;
+        }
+      }
+    }
+
+    let message = '+' + m[2] + ' ERROR: ' + value;
+    if (code !== null && description && description !== value) {
+      message += ' (' + description + ')';
+    }
+
+    return new ErrorClass(message, {
+      command: command,
+      response: response,
+      code: code,
+      description: description
+    });
+  }
+}
+
+// Message service failure (+CMS ERROR)
+class CmsError extends AtCommandError { }
+
+// Mobile termination error (+CME ERROR)
+class CmeError extends AtCommandError { }
+
+// No response from the modem within the timeout
+class TimeoutError extends AtCommandError { }
+
+module.exports = {
+  AtCommandError: AtCommandError,
+  CmsError: CmsError,
+  CmeError: CmeError,
+  TimeoutError: TimeoutError,
+  CMS_ERROR_CODES: CMS_ERROR_CODES,
+  CME_ERROR_CODES: CME_ERROR_CODES
+};
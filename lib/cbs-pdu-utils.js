@@ -0,0 +1,206 @@
+/* ------------------------------------------------------------------
+* node-sms-transceiver - cbs-pdu-utils.js
+*
+* Copyright (c) 2020, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2020-04-11
+* ---------------------------------------------------------------- */
+'use strict';
+const Gsm7Utils = require('./gsm7-utils.js');
+
+// Languages indicated by the coding group 0000 and 0010 of the CBS DCS
+// (3GPP TS 23.038 clause 5)
+const LANGUAGES_GROUP0 = ['de', 'en', 'it', 'fr', 'es', 'nl', 'sv', 'da', 'pt', 'fi', 'no', 'el', 'tr', 'hu', 'pl', null];
+const LANGUAGES_GROUP2 = ['cs', 'he', 'ar', 'ru', 'is'];
+
+/* ------------------------------------------------------------------
+* CbsPduUtils
+* - Helpers for CBS (Cell Broadcast Service) pages reported by `+CBM`
+* - A CBS page is 88 octets in the GSM format (3GPP TS 23.041 clause 9.4.1):
+*   - Serial Number      (2 octets)
+*   - Message Identifier (2 octets)
+*   - Data Coding Scheme (1 octet)
+*   - Page Parameter     (1 octet)
+*   - Content of Message (82 octets)
+* - A CBS message in the UMTS format (3GPP TS 23.041 clause 9.4.2.2),
+*   which is used in UMTS and LTE, contains all pages:
+*   - Message Type       (1 octet, 1: CBS message)
+*   - Message Identifier (2 octets)
+*   - Serial Number      (2 octets)
+*   - Data Coding Scheme (1 octet)
+*   - Number of Pages    (1 octet, 1 - 15)
+*   - Pages              (83 octets each: 82 octets of the content and
+*                         1 octet of the length of the information in it)
+* ---------------------------------------------------------------- */
+class CbsPduUtils {
+  constructor() { }
+
+  /* ------------------------------------------------------------------
+  * parse(data)
+  * - Parse a CBS page in the GSM format or a CBS message in the UMTS format
+  *
+  * [Arguments]
+  * - data | String | Required | HEX string of a CBS page (message)
+  *
+  * [Returen value]
+  * - An object:
+  *   {
+  *     "messageId": 4370,
+  *     "serialNumber": 16384,
+  *     "geographicalScope": 1, // 0: cell wide (immediate), 1: PLMN wide,
+  *                             // 2: location area wide, 3: cell wide
+  *     "messageCode": 0,
+  *     "updateNumber": 0,
+  *     "dcs": 1,
+  *     "language": "en", // ISO 639 code (`null` if not indicated)
+  *     "emergency": true, // `true` for a public warning (ETWS, CMAS, etc.)
+  *     "format": "gsm", // "gsm" or "umts"
+  *     "page": { "sequence": 1, "total": 1 },
+  *     "text": "Emergency Alert"
+  *   }
+  * - A message in the UMTS format has the text of all pages, so the
+  *   `page` does not have the `sequence` if the `total` is more than 1.
+  * - If the `data` is invalid, an object `{ error: <Error> }` is returned.
+  * ---------------------------------------------------------------- */
+  parse(data) {
+    if (typeof (data) !== 'string' || /^([0-9A-Fa-f]{2})+$/.test(data) === false) {
+      return { error: new Error('The `data` must be hexadecimal representation.') };
+    }
+    let buf = Buffer.from(data, 'hex');
+    if (buf.length === 88) {
+      return this._parseGsmPage(buf);
+    } else if (buf.length >= 7 && buf.readUInt8(0) === 0x01 && buf.length === 7 + buf.readUInt8(6) * 83) {
+      return this._parseUmtsMessage(buf);
+    }
+    return { error: new Error('The CBS page must be 88 octets in the GSM format or a CBS message in the UMTS format.') };
+  }
+
+  _parseGsmPage(buf) {
+    let sn = buf.readUInt16BE(0);
+    let mid = buf.readUInt16BE(2);
+    let dcs = buf.readUInt8(4);
+
+    // Page Parameter: 0x00 is regarded as a single page
+    let pp = buf.readUInt8(5);
+    let page = { sequence: pp >>> 4, total: pp & 0x0F };
+    if (page.sequence === 0 || page.total === 0 || page.sequence > page.total) {
+      page = { sequence: 1, total: 1 };
+    }
+
+    let content = this._decodeContent(dcs, buf.slice(6));
+    return this._createResult(sn, mid, dcs, 'gsm', page, content);
+  }
+
+  _parseUmtsMessage(buf) {
+    let mid = buf.readUInt16BE(1);
+    let sn = buf.readUInt16BE(3);
+    let dcs = buf.readUInt8(5);
+    let total = buf.readUInt8(6);
+    if (total === 0 || total > 15) {
+      return { error: new Error('The number of the pages must be 1 - 15: ' + total) };
+    }
+
+    let language = null;
+    let text = '';
+    for (let i = 0; i < total; i++) {
+      let offset = 7 + i * 83;
+      let len = buf.readUInt8(offset + 82);
+      if (len === 0 || len > 82) {
+        return { error: new Error('The length of the information in a page must be 1 - 82: ' + len) };
+      }
+      let content = this._decodeContent(dcs, buf.slice(offset, offset + len));
+      if (i === 0) {
+        language = content.language;
+      }
+      text += content.text;
+    }
+
+    let page = (total === 1) ? { sequence: 1, total: 1 } : { total: total };
+    return this._createResult(sn, mid, dcs, 'umts', page, { language: language, text: text });
+  }
+
+  // Decode the content of a page
+  // - The language may be indicated at the beginning of the content.
+  _decodeContent(dcs, content) {
+    let coding = this.getCoding(dcs);
+    let language = coding.language;
+    let text = '';
+    if (coding.charset === 'ucs2') {
+      if (dcs === 0x11) {
+        // Language indication in 2 septets padded to 2 octets
+        language = Gsm7Utils.decode(content.slice(0, 2)).substring(0, 2).toLowerCase();
+        content = content.slice(2);
+      }
+      text = Buffer.from(content.slice(0, content.length - (content.length % 2))).swap16().toString('utf16le');
+    } else if (coding.charset === '8bit') {
+      text = content.toString('latin1');
+    } else {
+      text = Gsm7Utils.decode(content);
+      if (dcs === 0x10) {
+        // Language indication: 2 characters and a CR
+        language = text.substring(0, 2).toLowerCase();
+        text = text.substring(3);
+      }
+    }
+    // The content is padded with CRs (or NULs in UCS2)
+    text = text.replace(/[\r\n\u0000]+$/, '');
+    return { language: language || null, text: text };
+  }
+
+  _createResult(sn, mid, dcs, format, page, content) {
+    return {
+      messageId: mid,
+      serialNumber: sn,
+      geographicalScope: sn >>> 14,
+      messageCode: (sn >>> 4) & 0x3FF,
+      updateNumber: sn & 0x0F,
+      dcs: dcs,
+      language: content.language,
+      emergency: this.isEmergency(mid),
+      format: format,
+      page: page,
+      text: content.text
+    };
+  }
+
+  /* ------------------------------------------------------------------
+  * getCoding(dcs)
+  * - Determine the character set and the language from the CBS DCS
+  *   (3GPP TS 23.038 clause 5)
+  *
+  * [Returen value]
+  * - An object `{ charset, language }`
+  *   - charset : "gsm7", "8bit", or "ucs2"
+  *   - language: ISO 639 code or `null` (if the language is indicated
+  *               in the content or not indicated)
+  * ---------------------------------------------------------------- */
+  getCoding(dcs) {
+    let group = dcs >>> 4;
+    if (group === 0x0) {
+      return { charset: 'gsm7', language: LANGUAGES_GROUP0[dcs & 0x0F] };
+    } else if (group === 0x1) {
+      return { charset: (dcs === 0x11) ? 'ucs2' : 'gsm7', language: null };
+    } else if (group === 0x2) {
+      return { charset: 'gsm7', language: LANGUAGES_GROUP2[dcs & 0x0F] || null };
+    } else if ((group >= 0x4 && group <= 0x7) || group === 0x9) {
+      // General data coding indication / Message with user data header
+      return { charset: ['gsm7', '8bit', 'ucs2', 'gsm7'][(dcs >>> 2) & 0b11], language: null };
+    } else if (group === 0xF) {
+      // Data coding / message handling
+      return { charset: (dcs & 0b100) ? '8bit' : 'gsm7', language: null };
+    }
+    return { charset: 'gsm7', language: null };
+  }
+
+  /* ------------------------------------------------------------------
+  * isEmergency(mid)
+  * - Check if the message identifier is assigned to the PWS (Public
+  *   Warning System, e.g., ETWS, CMAS, EU-Alert)
+  * - 0x1100 - 0x18FF: 3GPP TS 23.041 clause 9.4.1.2.2
+  * ---------------------------------------------------------------- */
+  isEmergency(mid) {
+    return (mid >= 0x1100 && mid <= 0x18FF) ? true : false;
+  }
+}
+
+module.exports = new CbsPduUtils();
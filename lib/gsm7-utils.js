@@ -0,0 +1,171 @@
+/* ------------------------------------------------------------------
+* node-sms-transceiver - gsm7-utils.js
+*
+* Copyright (c) 2020, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2020-04-11
+* ---------------------------------------------------------------- */
+'use strict';
+
+// GSM 7-bit default alphabet (3GPP TS 23.038 clause 6.2.1)
+// - The index of a character is its septet.
+// - 0x1B is the escape to the extension table.
+// - https://www.unicode.org/Public/MAPPINGS/ETSI/GSM0338.TXT
+const DEFAULT_ALPHABET =
+  '@£$¥èéùìòç\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞ ÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+
+// Extension table (3GPP TS 23.038 clause 6.2.1.1)
+// - A character is represented by the escape (0x1B) and the septet.
+const EXTENSION_TABLE = {
+  0x0A: '\f',
+  0x14: '^',
+  0x28: '{',
+  0x29: '}',
+  0x2F: '\\',
+  0x3C: '[',
+  0x3D: '~',
+  0x3E: ']',
+  0x40: '|',
+  0x65: '€'
+};
+
+const ESCAPE = 0x1B;
+const CR = 0x0D;
+
+/* ------------------------------------------------------------------
+* Gsm7Utils
+* - Codec of the GSM 7-bit default alphabet shared by the SMS, the
+*   USSD and the cell broadcast
+* ---------------------------------------------------------------- */
+class Gsm7Utils {
+  constructor() {
+    // Septets keyed by the character
+    this._septets = {};
+    for (let i = 0; i < DEFAULT_ALPHABET.length; i++) {
+      if (i !== ESCAPE) {
+        this._septets[DEFAULT_ALPHABET[i]] = [i];
+      }
+    }
+    for (let [septet, c] of Object.entries(EXTENSION_TABLE)) {
+      this._septets[c] = [ESCAPE, parseInt(septet, 10)];
+    }
+  }
+
+  /* ------------------------------------------------------------------
+  * toSeptets(text)
+  * - Convert a text to a list of septets
+  * - A character in the extension table is converted to 2 septets.
+  *
+  * [Returen value]
+  * - An array of septets, or `null` if the text includes a character
+  *   which is not in the GSM 7-bit default alphabet
+  * ---------------------------------------------------------------- */
+  toSeptets(text) {
+    let septets = [];
+    for (let c of text) {
+      let s = this._septets[c];
+      if (!s) {
+        return null;
+      }
+      septets.push(...s);
+    }
+    return septets;
+  }
+
+  /* ------------------------------------------------------------------
+  * isAcceptable(text)
+  * - Check if the text consists of the GSM 7-bit default alphabet
+  *   (including the extension table)
+  * ---------------------------------------------------------------- */
+  isAcceptable(text) {
+    return (typeof (text) === 'string' && this.toSeptets(text) !== null);
+  }
+
+  /* ------------------------------------------------------------------
+  * encode(text)
+  * - Pack a text into septets
+  * - If the last octet has 7 spare bits, they are filled with a CR
+  *   (3GPP TS 23.038 clause 6.1.2.3.1), so that the receiver does not
+  *   regard them as an "@".
+  *
+  * [Returen value]
+  * - A `Buffer` object
+  * ---------------------------------------------------------------- */
+  encode(text) {
+    let septets = this.toSeptets(text);
+    if (!septets) {
+      throw new Error('The `text` includes a character which is not in the GSM 7-bit default alphabet.');
+    }
+    if (septets.length % 8 === 7) {
+      septets.push(CR);
+    }
+    return this._pack(septets);
+  }
+
+  /* ------------------------------------------------------------------
+  * decode(buf, offset, length)
+  * - Unpack septets to a text
+  *
+  * [Arguments]
+  * - buf    | Buffer  | Required | Packed septets (e.g., the TP-UD)
+  * - offset | Integer | Optional | Length of the UDH in octets. The septets
+  *          |         |          | in the UDH and the fill bits are skipped.
+  * - length | Integer | Optional | Number of the septets including the UDH
+  *          |         |          | (e.g., the TP-UDL). If not specified, all
+  *          |         |          | septets in the `buf` are decoded.
+  * - A CR in the last 7 bits of an octet is regarded as the filler
+  *   (See the `encode()`). So are 7 zero bits if the `length` is not
+  *   specified.
+  *
+  * [Returen value]
+  * - A string
+  * ---------------------------------------------------------------- */
+  decode(buf, offset = 0, length) {
+    let num = Math.floor(buf.length * 8 / 7);
+    let septets = [];
+    for (let i = 0; i < num; i++) {
+      let bit = i * 7;
+      let n = buf.readUInt8(bit >>> 3) | ((bit >>> 3) + 1 < buf.length ? buf.readUInt8((bit >>> 3) + 1) << 8 : 0);
+      septets.push((n >>> (bit % 8)) & 0x7F);
+    }
+    let has_length = Number.isInteger(length);
+    if (has_length) {
+      septets = septets.slice(0, length);
+    }
+    let last = septets[septets.length - 1];
+    if (septets.length % 8 === 0 && (last === CR || (last === 0x00 && !has_length))) {
+      septets.pop();
+    }
+    // The UDH and the fill bits
+    septets = septets.slice(Math.ceil(offset * 8 / 7));
+
+    let text = '';
+    for (let i = 0; i < septets.length; i++) {
+      if (septets[i] !== ESCAPE) {
+        text += DEFAULT_ALPHABET[septets[i]];
+      } else if (i + 1 < septets.length) {
+        i++;
+        // An unknown extension is displayed as the character of the
+        // default alphabet (3GPP TS 23.038 clause 6.2.1.1).
+        text += EXTENSION_TABLE[septets[i]] || ((septets[i] === ESCAPE) ? ' ' : DEFAULT_ALPHABET[septets[i]]);
+      }
+    }
+    return text;
+  }
+
+  _pack(septets) {
+    let buf = Buffer.alloc(Math.ceil(septets.length * 7 / 8));
+    for (let i = 0; i < septets.length; i++) {
+      let bit = i * 7;
+      let n = septets[i] << (bit % 8);
+      buf.writeUInt8(buf.readUInt8(bit >>> 3) | (n & 0xFF), bit >>> 3);
+      if (n > 0xFF) {
+        buf.writeUInt8(n >>> 8, (bit >>> 3) + 1);
+      }
+    }
+    return buf;
+  }
+}
+
+module.exports = new Gsm7Utils();
@@ -0,0 +1,531 @@
+/* ------------------------------------------------------------------
+* node-sms-transceiver - modem-profiles.js
+*
+* Copyright (c) 2020, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2020-04-11
+* ---------------------------------------------------------------- */
+'use strict';
+
+/* ------------------------------------------------------------------
+* A profile describes the quirks of a modem vendor (or a model).
+* Every property except the `name` and the `match` is optional. If a
+* property is not specified, the value of the generic profile is used.
+*
+* - name         | String   | Required | Name of the profile (e.g., "quectel")
+* - match        | Function | Required | Function which receives an object
+*                | Object   |          | `{ manufacturer, model }` (responses of
+*                |          |          | `AT+CGMI` and `AT+CGMM`) and returns `true`
+*                |          |          | if the profile is applicable. An object
+*                |          |          | `{ manufacturer: RegExp, model: RegExp }`
+*                |          |          | is also acceptable.
+* - cnmi         | Array    | Optional | Parameters of `AT+CNMI` tried in order.
+*                |          |          | "{mt}" is replaced with the `<mt>` value
+*                |          |          | (e.g., "2,{mt},0,1,0").
+* - initCommands | Array    | Optional | AT commands executed at the end of the
+*                |          |          | initialization (e.g., "AT^CURC=0")
+* - urcPrefixes  | Array    | Optional | Prefixes of vendor specific unsolicited
+*                |          |          | result codes (e.g., "^RSSI")
+* - promptDelay  | Integer  | Optional | Delay in msec before sending a PDU after
+*                |          |          | the prompt ("> ") is received
+* - timeouts     | Object   | Optional | Response timeouts in msec for each command
+*                |          |          | name (e.g., `{ "CMGS": 60000 }`)
+* - parsers      | Object   | Optional |
+*   - creg       | Function | Optional | Function which receives a line of the
+*                |          |          | `AT+CREG?` response and returns an object
+*                |          |          | `{ stat, lac, cid }`, or `null`
+* - servingCell  | Function | Optional | Async function which receives a function
+*                |          |          | `exec(cmd, options)` and returns an object
+*                |          |          | `{ mcc, mnc, lac, cid }` of the serving cell,
+*                |          |          | or `null`. The `mcc` and `mnc` can be omitted.
+* - simRetries   | Function | Optional | Async function which receives a function
+*                |          |          | `exec(cmd, options)` and returns an object
+*                |          |          | `{ pin, puk }` (remaining attempts of the
+*                |          |          | SIM PIN and PUK), or `null`
+* - ussdPacked   | Boolean  | Optional | `true` if USSD strings in the GSM 7-bit
+*                |          |          | default alphabet are exchanged as HEX
+*                |          |          | strings of packed septets
+* - signalQuality| Function | Optional | Async function which receives a function
+*                |          |          | `exec(cmd, options)` and returns an object
+*                |          |          | `{ rscp, ecno, rsrp, rsrq, sinr }` (dBm or
+*                |          |          | dB, `null` if unknown), or `null`
+* - contextAuth  | Function | Optional | Async function which receives a function
+*                |          |          | `exec(cmd, options)`, the `cid` and an object
+*                |          |          | `{ protocol, username, password }` (protocol
+*                |          |          | 0: none, 1: PAP, 2: CHAP), sets the
+*                |          |          | authentication of the PDP context and
+*                |          |          | returns the response
+* ---------------------------------------------------------------- */
+
+// Split a response line into columns (e.g., '+CREG: 2,1,"1110"' -> ['2', '1', '1110'])
+function parseCsvLine(prefix, line) {
+  let escaped = prefix.replace(/[\+\^\!]/g, '\\$&');
+  let prefix_re = new RegExp('^' + escaped + '\\:\\s*');
+  if (!line || prefix_re.test(line) === false) {
+    return null;
+  }
+  line = line.replace(prefix_re, '');
+
+  let cols = [];
+  let quoted = false;
+  let col = '';
+  for (let char of line.split('')) {
+    if (char === ',' && !quoted) {
+      cols.push(col.trim());
+      col = '';
+      continue;
+    } else if (char === '"') {
+      quoted = !quoted;
+      continue;
+    }
+    col += char;
+  }
+  cols.push(col.trim());
+  return cols;
+}
+
+// Find the line which starts with the `prefix` in a response
+function findLine(prefix, res) {
+  for (let line of (res || '').split('\n')) {
+    if (line.indexOf(prefix + ':') === 0) {
+      return line;
+    }
+  }
+  return null;
+}
+
+function parseHex(value) {
+  if (!value || /^(0x)?[0-9A-Fa-f]+$/.test(value) === false) {
+    return null;
+  }
+  return parseInt(value.replace(/^0x/, ''), 16);
+}
+
+function parseDec(value) {
+  if (!value || /^\d+$/.test(value) === false) {
+    return null;
+  }
+  return parseInt(value, 10);
+}
+
+// Parse a response line of `AT+CREG?` (or `AT+CGREG?`, `AT+CEREG?`)
+// - "+CREG: <n>,<stat>[,<lac>,<ci>[,<AcT>]]"
+// - Some firmwares report the `<lac>` and the `<ci>` without quotes.
+function parseCreg(line) {
+  let m = (line || '').match(/^\+C(E|G)?REG\:/);
+  if (!m) {
+    return null;
+  }
+  let cols = parseCsvLine(m[0].slice(0, -1), line);
+  if (!cols || cols.length < 2) {
+    return null;
+  }
+  return {
+    stat: parseDec(cols[1]),
+    lac: parseHex(cols[2]),
+    cid: parseHex(cols[3])
+  };
+}
+
+// Parse the response of `AT+CPINR` (3GPP TS 27.007 subclause 8.65)
+// - "+CPINR: SIM PIN,<retries>,<default_retries>"
+// - "+CPINR: SIM PUK,<retries>,<default_retries>"
+async function getCpinr(exec) {
+  let res = await exec('AT+CPINR');
+  let retries = { pin: null, puk: null };
+  for (let line of (res || '').split('\n')) {
+    let cols = parseCsvLine('+CPINR', line);
+    if (!cols || cols.length < 2) {
+      continue;
+    }
+    if (cols[0] === 'SIM PIN') {
+      retries.pin = parseDec(cols[1]);
+    } else if (cols[0] === 'SIM PUK') {
+      retries.puk = parseDec(cols[1]);
+    }
+  }
+  return (retries.pin === null && retries.puk === null) ? null : retries;
+}
+
+// Convert a value of `AT+CESQ` to dBm (or dB)
+// - The `unknown` means "not known or not detectable".
+function scaleCesq(value, unknown, base, step) {
+  let n = parseDec(value);
+  return (n === null || n === unknown) ? null : base + (n * step);
+}
+
+// Get the extended signal quality with `AT+CESQ` (3GPP TS 27.007 subclause 8.69)
+// - "+CESQ: <rxlev>,<ber>,<rscp>,<ecno>,<rsrq>,<rsrp>"
+async function getCesq(exec) {
+  let res = await exec('AT+CESQ');
+  let cols = parseCsvLine('+CESQ', findLine('+CESQ', res));
+  if (!cols || cols.length < 6) {
+    return null;
+  }
+  return {
+    rscp: scaleCesq(cols[2], 255, -121, 1), // 0: < -120 dBm, 96: >= -25 dBm
+    ecno: scaleCesq(cols[3], 255, -24.5, 0.5), // 0: < -24 dB, 49: >= 0 dB
+    rsrp: scaleCesq(cols[5], 255, -141, 1), // 0: < -140 dBm, 97: >= -44 dBm
+    rsrq: scaleCesq(cols[4], 255, -20, 0.5), // 0: < -19.5 dB, 34: >= -3 dB
+    sinr: null
+  };
+}
+
+// Set the authentication of a PDP context with `AT+CGAUTH` (3GPP TS 27.007 subclause 10.1.31)
+// - AT+CGAUTH=<cid>,<auth_prot>,<userid>,<password>
+async function setCgauth(exec, cid, auth) {
+  let cmd = 'AT+CGAUTH=' + cid + ',' + auth.protocol;
+  if (auth.protocol > 0) {
+    cmd += ',"' + auth.username + '","' + auth.password + '"';
+  }
+  return await exec(cmd);
+}
+
+const GENERIC_PROFILE = {
+  name: 'generic',
+  match: () => {
+    return true;
+  },
+  cnmi: ['2,{mt},0,1,0', '2,{mt},0,2,0', '2,{mt},0,0,0'],
+  initCommands: [],
+  urcPrefixes: [],
+  promptDelay: 0,
+  timeouts: {},
+  parsers: {
+    creg: parseCreg
+  },
+  servingCell: null,
+  simRetries: getCpinr,
+  ussdPacked: false,
+  signalQuality: getCesq,
+  contextAuth: setCgauth
+};
+
+const BUILTIN_PROFILES = [
+  {
+    // Quectel (EC25, EG25, BG96, ...)
+    name: 'quectel',
+    match: { manufacturer: /quectel/i },
+    timeouts: { CMGS: 60000, CMSS: 60000 },
+    urcPrefixes: ['+QIND', '+QUSIM'],
+    // +QPINC: "SC",<pin_counter>,<puk_counter>
+    simRetries: async (exec) => {
+      let res = await exec('AT+QPINC="SC"');
+      let cols = parseCsvLine('+QPINC', findLine('+QPINC', res));
+      if (!cols || cols.length < 3) {
+        return null;
+      }
+      return { pin: parseDec(cols[1]), puk: parseDec(cols[2]) };
+    },
+    // +QCSQ: "LTE",<rssi>,<rsrp>,<sinr>,<rsrq>
+    // - The <sinr> is in 1/5 dB from -20 dB (0 - 250).
+    // +QCSQ: "WCDMA",<rssi>,<rscp>,<ecio>
+    signalQuality: async (exec) => {
+      let res = await exec('AT+QCSQ');
+      let cols = parseCsvLine('+QCSQ', findLine('+QCSQ', res));
+      if (cols && cols[0] === 'LTE' && cols.length >= 5) {
+        let sinr = parseInt(cols[3], 10);
+        return {
+          rscp: null,
+          ecno: null,
+          rsrp: parseInt(cols[2], 10),
+          rsrq: parseInt(cols[4], 10),
+          sinr: isNaN(sinr) ? null : (sinr / 5) - 20
+        };
+      } else if (cols && cols[0] === 'WCDMA' && cols.length >= 4) {
+        return {
+          rscp: parseInt(cols[2], 10),
+          ecno: parseInt(cols[3], 10),
+          rsrp: null,
+          rsrq: null,
+          sinr: null
+        };
+      }
+      return await getCesq(exec);
+    },
+    // +QENG: "servingcell",<state>,"LTE",<is_tdd>,<mcc>,<mnc>,<cellid>,<pcid>,<earfcn>,
+    //        <band>,<ul_bw>,<dl_bw>,<tac>,...
+    // +QENG: "servingcell",<state>,"GSM",<mcc>,<mnc>,<lac>,<cellid>,...
+    // +QENG: "servingcell",<state>,"WCDMA",<mcc>,<mnc>,<lac>,<cellid>,...
+    servingCell: async (exec) => {
+      let res = await exec('AT+QENG="servingcell"');
+      let cols = parseCsvLine('+QENG', findLine('+QENG', res));
+      if (!cols || cols.length < 7) {
+        return null;
+      }
+      if (cols[2] === 'LTE' && cols.length >= 13) {
+        return {
+          mcc: parseDec(cols[4]),
+          mnc: parseDec(cols[5]),
+          lac: parseHex(cols[12]),
+          cid: parseHex(cols[6])
+        };
+      } else if (cols[2] === 'GSM' || cols[2] === 'WCDMA') {
+        return {
+          mcc: parseDec(cols[3]),
+          mnc: parseDec(cols[4]),
+          lac: parseHex(cols[5]),
+          cid: parseHex(cols[6])
+        };
+      }
+      return null;
+    }
+  },
+  {
+    // SIMCom (SIM7600, SIM7100, SIM800, ...)
+    name: 'simcom',
+    match: { manufacturer: /simcom/i },
+    promptDelay: 50,
+    timeouts: { CMGS: 60000, CMSS: 60000 },
+    urcPrefixes: ['+CPSI', '*ATREADY', 'SMS DONE', 'PB DONE'],
+    // +SPIC: <pin1>,<puk1>,<pin2>,<puk2>
+    simRetries: async (exec) => {
+      let res = await exec('AT+SPIC');
+      let cols = parseCsvLine('+SPIC', findLine('+SPIC', res));
+      if (!cols || cols.length < 2) {
+        return null;
+      }
+      return { pin: parseDec(cols[0]), puk: parseDec(cols[1]) };
+    },
+    // AT+CGAUTH=<cid>,<type>,<passwd>,<user> (the password comes first)
+    contextAuth: async (exec, cid, auth) => {
+      let cmd = 'AT+CGAUTH=' + cid + ',' + auth.protocol;
+      if (auth.protocol > 0) {
+        cmd += ',"' + auth.password + '","' + auth.username + '"';
+      }
+      return await exec(cmd);
+    },
+    // +CPSI: LTE,<op_mode>,<mcc>-<mnc>,<tac>,<sci>,<pci>,<band>,<earfcn>,<dlbw>,<ulbw>,
+    //        <rsrq>,<rsrp>,<rssi>,<rssnr>
+    // - The <rsrq>, <rsrp> and <rssi> are in 1/10 dB (dBm).
+    signalQuality: async (exec) => {
+      let res = await exec('AT+CPSI?');
+      let cols = parseCsvLine('+CPSI', findLine('+CPSI', res));
+      if (!cols || cols[0] !== 'LTE' || cols.length < 14) {
+        return await getCesq(exec);
+      }
+      return {
+        rscp: null,
+        ecno: null,
+        rsrp: parseInt(cols[11], 10) / 10,
+        rsrq: parseInt(cols[10], 10) / 10,
+        sinr: parseInt(cols[13], 10)
+      };
+    },
+    // +CPSI: <mode>,<op_mode>,<mcc>-<mnc>,<lac or tac>,<cellid>,...
+    // - The `<lac>` is a HEX string with "0x" and the `<cellid>` is a decimal number.
+    servingCell: async (exec) => {
+      let res = await exec('AT+CPSI?');
+      let cols = parseCsvLine('+CPSI', findLine('+CPSI', res));
+      if (!cols || cols.length < 5 || /^NO SERVICE$/i.test(cols[0])) {
+        return null;
+      }
+      let [mcc, mnc] = cols[2].split('-');
+      return {
+        mcc: parseDec(mcc),
+        mnc: parseDec(mnc),
+        lac: parseHex(cols[3]),
+        cid: parseDec(cols[4])
+      };
+    }
+  },
+  {
+    // Huawei (E3372, ME909, MS2131, ...)
+    name: 'huawei',
+    match: { manufacturer: /huawei/i },
+    // Status reports can not be routed directly
+    cnmi: ['2,{mt},0,2,0', '2,{mt},0,0,0'],
+    // Disable the periodic unsolicited result codes (e.g., `^RSSI`, `^BOOT`)
+    initCommands: ['AT^CURC=0'],
+    urcPrefixes: ['^RSSI', '^HCSQ', '^MODE', '^BOOT', '^SRVST', '^SIMST', '^SYSSTART', '^DSFLOWRPT', '^RFSWITCH', '^NDISSTAT'],
+    promptDelay: 100,
+    // USSD strings are HEX strings of packed septets (e.g., "*100#" -> "AA180C3602")
+    ussdPacked: true,
+    // ^CPIN: <code>,[<times>],<puk_times>,<pin_times>,<puk2_times>,<pin2_times>
+    simRetries: async (exec) => {
+      let res = await exec('AT^CPIN?');
+      let cols = parseCsvLine('^CPIN', findLine('^CPIN', res));
+      if (!cols || cols.length < 4) {
+        return null;
+      }
+      return { pin: parseDec(cols[3]), puk: parseDec(cols[2]) };
+    },
+    // ^HCSQ: "LTE",<rssi>,<rsrp>,<sinr>,<rsrq>
+    // ^HCSQ: "WCDMA",<rssi>,<rscp>,<ecio>
+    // - rsrp: -140 dBm + n, sinr: -20 dB + n * 0.2, rsrq: -19.5 dB + n * 0.5,
+    //   rscp: -120 dBm + n, ecio: -32 dB + n * 0.5 (255: unknown)
+    signalQuality: async (exec) => {
+      let res = await exec('AT^HCSQ?');
+      let cols = parseCsvLine('^HCSQ', findLine('^HCSQ', res));
+      if (cols && cols[0] === 'LTE' && cols.length >= 5) {
+        return {
+          rscp: null,
+          ecno: null,
+          rsrp: scaleCesq(cols[2], 255, -140, 1),
+          rsrq: scaleCesq(cols[4], 255, -19.5, 0.5),
+          sinr: scaleCesq(cols[3], 255, -20, 0.2)
+        };
+      } else if (cols && cols[0] === 'WCDMA' && cols.length >= 4) {
+        return {
+          rscp: scaleCesq(cols[2], 255, -120, 1),
+          ecno: scaleCesq(cols[3], 255, -32, 0.5),
+          rsrp: null,
+          rsrq: null,
+          sinr: null
+        };
+      }
+      return await getCesq(exec);
+    },
+    // ^SYSINFOEX: <srv_status>,<srv_domain>,<roam_status>,<sim_state>,<lock_state>,
+    //             <sysmode>,<sysmode_name>,<submode>,<submode_name>
+    // - In the LTE mode (<sysmode> = 6), the location is reported by `+CEREG`
+    //   instead of `+CREG`.
+    servingCell: async (exec) => {
+      let res = await exec('AT^SYSINFOEX');
+      let cols = parseCsvLine('^SYSINFOEX', findLine('^SYSINFOEX', res));
+      if (!cols || cols[5] !== '6') {
+        return null;
+      }
+      await exec('AT+CEREG=2');
+      let cereg_res = await exec('AT+CEREG?');
+      let cereg = parseCreg(findLine('+CEREG', cereg_res));
+      if (!cereg || cereg.lac === null || cereg.cid === null) {
+        return null;
+      }
+      return { lac: cereg.lac, cid: cereg.cid };
+    }
+  },
+  {
+    // u-blox (SARA, TOBY, LARA, ...)
+    name: 'ublox',
+    match: { manufacturer: /u-?blox/i },
+    promptDelay: 50,
+    timeouts: { CMGS: 60000, CMSS: 60000 },
+    urcPrefixes: ['+UUPSDA', '+UUPSDD', '+UUSORD', '+UUSOCL'],
+    // +UPINCNT: <PIN_attempts>,<PIN2_attempts>,<PUK_attempts>,<PUK2_attempts>
+    simRetries: async (exec) => {
+      let res = await exec('AT+UPINCNT');
+      let cols = parseCsvLine('+UPINCNT', findLine('+UPINCNT', res));
+      if (!cols || cols.length < 3) {
+        return null;
+      }
+      return { pin: parseDec(cols[0]), puk: parseDec(cols[2]) };
+    }
+  },
+  {
+    // Sierra Wireless (MC7455, EM7565, ...)
+    name: 'sierra',
+    match: { manufacturer: /sierra/i },
+    // Status reports can not be routed directly
+    cnmi: ['2,{mt},0,2,0', '1,{mt},0,2,0', '2,{mt},0,0,0'],
+    timeouts: { CMGS: 60000, CMSS: 60000 }
+  }
+];
+
+// Profiles registered by users are searched before the built-in profiles
+let user_profiles = [];
+
+// Merge the `profile` with the generic profile
+function normalizeProfile(profile) {
+  let res = Object.assign({}, GENERIC_PROFILE, profile);
+  res.timeouts = Object.assign({}, GENERIC_PROFILE.timeouts, profile.timeouts || {});
+  res.parsers = Object.assign({}, GENERIC_PROFILE.parsers, profile.parsers || {});
+  return res;
+}
+
+function isMatched(profile, info) {
+  let match = profile.match;
+  if (typeof (match) === 'function') {
+    return match(info) ? true : false;
+  }
+  for (let [k, re] of Object.entries(match)) {
+    if (!(re instanceof RegExp) || !re.test(info[k] || '')) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/* ------------------------------------------------------------------
+* registerProfile(profile)
+* - Register a profile
+* - If a profile with the same name has already been registered by
+*   a user, it is replaced.
+*
+* [Arguments]
+* - profile | Object | Required | Profile (See the description above)
+* ---------------------------------------------------------------- */
+function registerProfile(profile) {
+  if (!profile || typeof (profile) !== 'object') {
+    throw new Error('The `profile` must be an object.');
+  }
+  if (!profile.name || typeof (profile.name) !== 'string') {
+    throw new Error('The `name` of the profile must be a non-empty string.');
+  }
+  if (!profile.match || !/^(function|object)$/.test(typeof (profile.match))) {
+    throw new Error('The `match` of the profile must be a function or an object.');
+  }
+  for (let k of ['cnmi', 'initCommands', 'urcPrefixes']) {
+    if ((k in profile) && !Array.isArray(profile[k])) {
+      throw new Error('The `' + k + '` of the profile must be an array.');
+    }
+  }
+  for (let k of ['servingCell', 'simRetries', 'signalQuality', 'contextAuth']) {
+    if ((k in profile) && profile[k] !== null && typeof (profile[k]) !== 'function') {
+      throw new Error('The `' + k + '` of the profile must be a function.');
+    }
+  }
+  user_profiles = user_profiles.filter((p) => {
+    return p.name !== profile.name;
+  });
+  user_profiles.unshift(profile);
+}
+
+/* ------------------------------------------------------------------
+* getProfile(name)
+* - Get the profile of the specified name
+*
+* [Returen value]
+* - A normalized profile object. If not found, `null` is returned.
+* ---------------------------------------------------------------- */
+function getProfile(name) {
+  if (name === GENERIC_PROFILE.name) {
+    return normalizeProfile(GENERIC_PROFILE);
+  }
+  for (let profile of user_profiles.concat(BUILTIN_PROFILES)) {
+    if (profile.name === name) {
+      return normalizeProfile(profile);
+    }
+  }
+  return null;
+}
+
+/* ------------------------------------------------------------------
+* findProfile(info)
+* - Find the profile applicable to the modem
+*
+* [Arguments]
+* - info           | Object | Required |
+*   - manufacturer | String | Required | Response of `AT+CGMI`
+*   - model        | String | Required | Response of `AT+CGMM`
+*
+* [Returen value]
+* - A normalized profile object. If no profile is applicable, the
+*   generic profile is returned.
+* ---------------------------------------------------------------- */
+function findProfile(info) {
+  for (let profile of user_profiles.concat(BUILTIN_PROFILES)) {
+    if (isMatched(profile, info)) {
+      return normalizeProfile(profile);
+    }
+  }
+  return normalizeProfile(GENERIC_PROFILE);
+}
+
+module.exports = {
+  registerProfile: registerProfile,
+  getProfile: getProfile,
+  findProfile: findProfile,
+  normalizeProfile: normalizeProfile,
+  parseCreg: parseCreg
+};
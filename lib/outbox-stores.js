@@ -0,0 +1,112 @@
+/* ------------------------------------------------------------------
+* node-sms-transceiver - outbox-stores.js
+*
+* Copyright (c) 2020, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2020-04-11
+* ---------------------------------------------------------------- */
+'use strict';
+const mFs = require('fs');
+const mPath = require('path');
+
+/* ------------------------------------------------------------------
+* A store persists the messages of the `SmsOutbox`. Any object which
+* implements the methods below can be used as a store:
+*
+* - load()        | Returns a Promise which resolves with the list of
+*                 | the messages saved last (an empty list if nothing
+*                 | has been saved yet).
+* - save(records) | Saves the list of the messages and returns a Promise.
+*                 | The list is replaced as a whole.
+* ---------------------------------------------------------------- */
+
+/* ------------------------------------------------------------------
+* MemoryStore
+* - Keeps the messages in the memory (not persistent)
+* ---------------------------------------------------------------- */
+class MemoryStore {
+  constructor() {
+    this._records = [];
+  }
+
+  load() {
+    return Promise.resolve(JSON.parse(JSON.stringify(this._records)));
+  }
+
+  save(records) {
+    this._records = JSON.parse(JSON.stringify(records));
+    return Promise.resolve();
+  }
+}
+
+/* ------------------------------------------------------------------
+* JsonFileStore
+* - Saves the messages in a JSON file
+* - The file is written to a temporary file and renamed, so that
+*   the file is not corrupted even if the process is terminated
+*   while it is written.
+*
+* [Arguments]
+* - path | String | Required | Path of the JSON file (e.g., "./outbox.json")
+* ---------------------------------------------------------------- */
+class JsonFileStore {
+  constructor(path) {
+    if (!path || typeof (path) !== 'string') {
+      throw new Error('The `path` must be a non-empty string.');
+    }
+    this._path = mPath.resolve(path);
+  }
+
+  get path() {
+    return this._path;
+  }
+
+  load() {
+    return new Promise((resolve, reject) => {
+      mFs.readFile(this._path, 'utf8', (error, data) => {
+        if (error) {
+          if (error.code === 'ENOENT') {
+            resolve([]);
+          } else {
+            reject(error);
+          }
+          return;
+        }
+        try {
+          let records = JSON.parse(data);
+          if (!Array.isArray(records)) {
+            throw new Error('The outbox file is broken: ' + this._path);
+          }
+          resolve(records);
+        } catch (e) {
+          reject(e);
+        }
+      });
+    });
+  }
+
+  save(records) {
+    return new Promise((resolve, reject) => {
+      let tmp_path = this._path + '.tmp';
+      let data = JSON.stringify(records, null, '  ');
+      mFs.writeFile(tmp_path, data, 'utf8', (error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        mFs.rename(tmp_path, this._path, (error) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve();
+          }
+        });
+      });
+    });
+  }
+}
+
+module.exports = {
+  MemoryStore: MemoryStore,
+  JsonFileStore: JsonFileStore
+};
@@ -0,0 +1,113 @@
+/* ------------------------------------------------------------------
+* node-sms-transceiver - phonebook-utils.js
+*
+* Copyright (c) 2020, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2020-04-11
+* ---------------------------------------------------------------- */
+'use strict';
+
+/* ------------------------------------------------------------------
+* PhonebookUtils
+* - Helpers for the phonebook commands (`AT+CPBR`, `AT+CPBF`, `AT+CPBW`)
+* - The phonebook commands are executed with the TE character set
+*   "UCS2" (`AT+CSCS="UCS2"`), so that names in any language can be
+*   read and written. In this character set, a name is represented
+*   as a HEX string of UTF-16BE (e.g., "Tom" -> "0054006F006D").
+* ---------------------------------------------------------------- */
+class PhonebookUtils {
+  constructor() { }
+
+  /* ------------------------------------------------------------------
+  * encodeUcs2(text)
+  * - Encode a string to a HEX string of UCS2 (UTF-16BE)
+  * ---------------------------------------------------------------- */
+  encodeUcs2(text) {
+    let hex = '';
+    for (let i = 0; i < text.length; i++) {
+      hex += ('000' + text.charCodeAt(i).toString(16)).slice(-4);
+    }
+    return hex.toUpperCase();
+  }
+
+  /* ------------------------------------------------------------------
+  * decodeUcs2(hex)
+  * - Decode a HEX string of UCS2 (UTF-16BE)
+  * - If the `hex` is not a HEX string of UCS2, `null` is returned.
+  * ---------------------------------------------------------------- */
+  decodeUcs2(hex) {
+    if (typeof (hex) !== 'string' || /^([0-9A-Fa-f]{4})*$/.test(hex) === false) {
+      return null;
+    }
+    let text = '';
+    for (let i = 0; i < hex.length; i += 4) {
+      text += String.fromCharCode(parseInt(hex.substring(i, i + 4), 16));
+    }
+    return text;
+  }
+
+  /* ------------------------------------------------------------------
+  * parseEntryLine(prefix, line)
+  * - Parse a phonebook entry line in the UCS2 character set
+  *   - "+CPBR: <index>,<number>,<type>,<text>"
+  *   - "+CPBF: <index>,<number>,<type>,<text>"
+  *
+  * [Returen value]
+  * - An object or `null` if the `line` is not an entry:
+  *   {
+  *     "index": 1,
+  *     "number": "+819000000000",
+  *     "type": 145, // Type of address (145: international, 129: national)
+  *     "name": "Tom"
+  *   }
+  * ---------------------------------------------------------------- */
+  parseEntryLine(prefix, line) {
+    let m = (line || '').match(new RegExp('^\\' + prefix + '\\:\\s*(\\d+),"([^"]*)",(\\d+),"([^"]*)"'));
+    if (!m) {
+      return null;
+    }
+    let name = this.decodeUcs2(m[4]);
+    return {
+      index: parseInt(m[1], 10),
+      number: this._decodeNumber(m[2]),
+      type: parseInt(m[3], 10),
+      name: (name === null) ? m[4] : name
+    };
+  }
+
+  // Some modems encode the number in UCS2 as well as the name
+  _decodeNumber(number) {
+    if (/^[\+\d\*#]*$/.test(number) && !/^([0-9A-Fa-f]{4})+$/.test(number)) {
+      return number;
+    }
+    let decoded = this.decodeUcs2(number);
+    if (decoded !== null && /^[\+\d\*#]+$/.test(decoded)) {
+      return decoded;
+    }
+    return number;
+  }
+
+  /* ------------------------------------------------------------------
+  * isSameNumber(a, b)
+  * - Check if two phone numbers point to the same subscriber
+  * - The international format (e.g., "+819011112222") and the
+  *   national format (e.g., "09011112222") are regarded as the same.
+  * ---------------------------------------------------------------- */
+  isSameNumber(a, b) {
+    if (!a || !b) {
+      return false;
+    }
+    let da = a.replace(/[^\d]/g, '').replace(/^0+/, '');
+    let db = b.replace(/[^\d]/g, '').replace(/^0+/, '');
+    if (!da || !db) {
+      return false;
+    }
+    if (da === db) {
+      return true;
+    }
+    let [short, long] = (da.length < db.length) ? [da, db] : [db, da];
+    return (short.length >= 7 && long.endsWith(short)) ? true : false;
+  }
+}
+
+module.exports = new PhonebookUtils();
@@ -0,0 +1,165 @@
+/* ------------------------------------------------------------------
+* node-sms-transceiver - registration-utils.js
+*
+* Copyright (c) 2020, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2020-04-11
+* ---------------------------------------------------------------- */
+'use strict';
+
+// <stat> of `+CREG`, `+CGREG` and `+CEREG` (3GPP TS 27.007 subclause 7.2)
+const STATUSES = [
+  'not-registered', // 0: not registered, not searching
+  'registered-home', // 1: registered, home network
+  'searching', // 2: not registered, searching
+  'denied', // 3: registration denied
+  'unknown', // 4: unknown (e.g., out of coverage)
+  'registered-roaming', // 5: registered, roaming
+  'registered-home-sms-only', // 6: registered for "SMS only", home network
+  'registered-roaming-sms-only', // 7: registered for "SMS only", roaming
+  'emergency-only', // 8: attached for emergency bearer services only
+  'registered-home-csfb-not-preferred', // 9: registered for "CSFB not preferred", home network
+  'registered-roaming-csfb-not-preferred' // 10: registered for "CSFB not preferred", roaming
+];
+
+// <AcT> (3GPP TS 27.007 subclause 7.3)
+const ACCESS_TECHNOLOGIES = [
+  'GSM', // 0
+  'GSM Compact', // 1
+  'UTRAN', // 2
+  'GSM w/EGPRS', // 3
+  'UTRAN w/HSDPA', // 4
+  'UTRAN w/HSUPA', // 5
+  'UTRAN w/HSDPA and HSUPA', // 6
+  'E-UTRAN', // 7
+  'EC-GSM-IoT', // 8
+  'E-UTRAN (NB-S1 mode)', // 9
+  'E-UTRA connected to a 5GCN', // 10
+  'NR connected to a 5GCN', // 11
+  'NG-RAN', // 12
+  'E-UTRA-NR dual connectivity' // 13
+];
+
+// Registration domain of each command
+const DOMAINS = {
+  '+CREG': 'cs', // Circuit switched (GSM, UMTS)
+  '+CGREG': 'ps', // Packet switched (GPRS, UMTS)
+  '+CEREG': 'eps' // Evolved packet system (LTE)
+};
+
+/* ------------------------------------------------------------------
+* RegistrationUtils
+* - Helpers for the network registration status reported by `+CREG`,
+*   `+CGREG` and `+CEREG`
+* - The response of the read command (e.g., `AT+CREG?`) starts with
+*   the `<n>` while the unsolicited result code does not:
+*   - "+CREG: <n>,<stat>[,<lac>,<ci>[,<AcT>]]" (read command)
+*   - "+CREG: <stat>[,<lac>,<ci>[,<AcT>]]" (unsolicited result code)
+*   In the `+CEREG`, the location is reported as the TAC (tracking
+*   area code) and the 28-bit E-UTRAN cell identity.
+* ---------------------------------------------------------------- */
+class RegistrationUtils {
+  constructor() { }
+
+  /* ------------------------------------------------------------------
+  * parse(line, unsolicited)
+  * - Parse a line of `+CREG`, `+CGREG` or `+CEREG`
+  *
+  * [Arguments]
+  * - line        | String  | Required | A line of the response or the URC
+  * - unsolicited | Boolean | Optional | `true` if the line is a URC
+  *
+  * [Returen value]
+  * - An object or `null` if the `line` is not a registration status:
+  *   {
+  *     "domain": "eps", // "cs" (+CREG), "ps" (+CGREG), or "eps" (+CEREG)
+  *     "stat": 1,
+  *     "status": "registered-home",
+  *     "registered": true,
+  *     "roaming": false,
+  *     "act": 7, // `null` if not reported
+  *     "accessTechnology": "E-UTRAN", // `null` if not reported
+  *     "lac": null, // Location area code (`null` for the "eps")
+  *     "tac": 4368, // Tracking area code (`null` except for the "eps")
+  *     "cid": 49983061 // Cell ID (`null` if not reported)
+  *   }
+  * ---------------------------------------------------------------- */
+  parse(line, unsolicited) {
+    let m = (line || '').match(/^(\+C(?:G|E)?REG)\:\s*(.*)$/);
+    if (!m) {
+      return null;
+    }
+    let cols = m[2].split(',').map((c) => {
+      return c.trim().replace(/^"/, '').replace(/"$/, '');
+    });
+    if (!unsolicited) {
+      // Skip the <n>
+      cols.shift();
+    }
+    let stat = this._parseDec(cols[0]);
+    if (stat === null) {
+      return null;
+    }
+
+    let domain = DOMAINS[m[1]];
+    let area = this._parseHex(cols[1]);
+    let act = this._parseDec(cols[3]);
+    return {
+      domain: domain,
+      stat: stat,
+      status: STATUSES[stat] || 'unknown',
+      registered: this.isRegistered(stat),
+      roaming: [5, 7, 10].includes(stat),
+      act: act,
+      accessTechnology: this.getAccessTechnology(act),
+      lac: (domain === 'eps') ? null : area,
+      tac: (domain === 'eps') ? area : null,
+      cid: this._parseHex(cols[2])
+    };
+  }
+
+  /* ------------------------------------------------------------------
+  * isRegistered(stat)
+  * - Check if the `<stat>` means that the modem is registered to a
+  *   network (home or roaming)
+  * ---------------------------------------------------------------- */
+  isRegistered(stat) {
+    return [1, 5, 6, 7, 9, 10].includes(stat);
+  }
+
+  /* ------------------------------------------------------------------
+  * getAccessTechnology(act)
+  * - Get the name of the `<AcT>` (e.g., "E-UTRAN" for 7)
+  * - `null` is returned if the `act` is unknown or `null`.
+  * ---------------------------------------------------------------- */
+  getAccessTechnology(act) {
+    return (Number.isInteger(act) && ACCESS_TECHNOLOGIES[act]) ? ACCESS_TECHNOLOGIES[act] : null;
+  }
+
+  /* ------------------------------------------------------------------
+  * isSameStatus(a, b)
+  * - Check if two objects returned by the `parse()` represent the same
+  *   status
+  * ---------------------------------------------------------------- */
+  isSameStatus(a, b) {
+    if (!a || !b) {
+      return (a === b);
+    }
+    for (let k of ['domain', 'stat', 'act', 'lac', 'tac', 'cid']) {
+      if (a[k] !== b[k]) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  _parseDec(value) {
+    return (value && /^\d+$/.test(value)) ? parseInt(value, 10) : null;
+  }
+
+  _parseHex(value) {
+    return (value && /^[0-9A-Fa-f]+$/.test(value)) ? parseInt(value, 16) : null;
+  }
+}
+
+module.exports = new RegistrationUtils();
@@ -7,29 +7,41 @@
 * ---------------------------------------------------------------- */
 'use strict';
 const EventEmitter = require('events');
-const SerialPort = require('serialport');
 const ValExp = require('node-oas-valexp');
+const { TimeoutError } = require('./at-errors.js');
+const mTransport = require('./transport.js');
+
+// Baud rates supported by the serial port
+const BAUD_RATES = [9600, 14400, 19200, 38400, 57600, 115200, 128000, 256000];
 
 class SmsModem extends EventEmitter {
   /* ------------------------------------------------------------------
   * Constructor
   *	
   * [Arguments]
-  * - path       | String  | Required | System path of the serial port (e.g., "/dev/ttyMODEM0")
+  * - path       | String  | Required | One of the followings:
+  *              | Object  |          | - System path of the serial port (e.g., "/dev/ttyMODEM0")
+  *              |         |          | - TCP URL (e.g., "tcp://192.168.1.10:3001")
+  *              |         |          | - Path of the Unix domain socket (e.g., "unix:/var/run/modem.sock")
+  *              |         |          | - `Duplex` stream object
+  *              |         |          | - Function which returns a `Duplex` stream object
   * - options    | Object  | Optional |
   *   - baudRate | Integer | Optional | Baud rate. The Default is 115200.
+  *              |         |          | This is applied only to the serial port.
   * ---------------------------------------------------------------- */
   constructor(path, options = {}) {
     super();
 
     // Check the `path`
-    let valexp_path = new ValExp({
-      name: 'path',
-      required: true,
-      schema: { type: 'string' }
-    });
-    if (!valexp_path.test(path)) {
-      throw valexp_path.error;
+    if (!mTransport.isStream(path) && typeof (path) !== 'function') {
+      let valexp_path = new ValExp({
+        name: 'path',
+        required: true,
+        schema: { type: 'string', minLength: 1 }
+      });
+      if (!valexp_path.test(path)) {
+        throw valexp_path.error;
+      }
     }
 
     // Check the `options`
@@ -40,7 +52,7 @@ class SmsModem extends EventEmitter {
         properties: {
           baudRate: {
             type: 'integer',
-            enum: [9600, 14400, 19200, 38400, 57600, 115200, 128000, 256000],
+            enum: BAUD_RATES,
             default: 115200
           }
         }
@@ -52,18 +64,52 @@ class SmsModem extends EventEmitter {
     }
     let baud_rate = valexp_options_res[0].baudRate;
 
-    // Create a SerialPort object
-    this._port = new SerialPort(path, {
-      autoOpen: false,
+    // Create a transport object (serial port, TCP, Unix socket, or stream)
+    this._port = mTransport.createTransport(path, {
       baudRate: baud_rate
     });
+    this._port.on('open', () => {
+      this.emit('serial-open');
+    });
+    this._port.on('close', () => {
+      this._rx_buffer = '';
+      this._urc_header = null;
+      this._urc_partial = null;
+      if (this._onabort) {
+        this._onabort(new Error('The serial port is closed.'));
+      }
+      this.emit('serial-close');
+    });
+    this._port.on('data', (buf) => {
+      this._handleReceivedData(buf);
+    });
 
     // Set the private properties
-    this._path = path;
+    this._path = this._port.path;
     this._baud_rate = baud_rate;
     this._onresponse = null;
+    this._onabort = null;
     this._response_waiting = false;
-    this._response_data = '';
+    this._response_lines = [];
+    this._current_command = null;
+    this._rx_buffer = '';
+    this._urc_header = null;
+    this._urc_partial = null;
+    this._queue = [];
+    this._active_job = null;
+
+    // Prefixes of unsolicited result codes
+    this._URC_PREFIXES = [
+      'RING', '+CRING', '+CLIP', '+CCWA',
+      '+CMTI', '+CMT', '+CDSI', '+CDS', '+CBM', '+CBMI', '+CUSD',
+      '+CREG', '+CGREG', '+CEREG', '+CGEV', '+CIEV', '+CPIN'
+    ];
+    // Prefixes of unsolicited result codes followed by a PDU line
+    this._URC_WITH_PDU = ['+CMT', '+CDS', '+CBM'];
+  }
+
+  static get BAUD_RATES() {
+    return BAUD_RATES.slice();
   }
 
   get path() {
@@ -74,13 +120,17 @@ class SmsModem extends EventEmitter {
     return this._baud_rate;
   }
 
+  get transport() {
+    return this._port.type;
+  }
+
   get isOpen() {
     return this._port.isOpen;
   }
 
   /* ------------------------------------------------------------------
   * open()
-  * - Open the serial port
+  * - Open the serial port (or the connection of the transport)
   *
   * [Arguments]
   * - None
@@ -91,24 +141,11 @@ class SmsModem extends EventEmitter {
   * ---------------------------------------------------------------- */
   open() {
     return new Promise((resolve, reject) => {
-      if (!this._port) {
-        this._port = new SerialPort(this._path, this._options);
-      }
       if (this._port.isOpen === true) {
         resolve();
         return;
       }
 
-      this._port.once('open', () => {
-        this.emit('serial-open');
-      });
-      this._port.once('close', () => {
-        this.emit('serial-close');
-      });
-      this._port.on('data', (buf) => {
-        this._handleReceivedData(buf);
-      });
-
       this._port.open((error) => {
         if (error) {
           reject(error);
@@ -120,24 +157,173 @@ class SmsModem extends EventEmitter {
     });
   }
 
+  // Split the received data into lines
+  // - A line is not handled until its line break is received because
+  //   a line could be divided into some chunks.
+  // - The prompt for a PDU ("> ") is not followed by a line break, so
+  //   it is handled as a response when the modem is waiting for it.
   _handleReceivedData(buf) {
-    let data = buf.toString('utf8');
     this.emit('serial-data', buf);
 
-    data = this._trimFirstLastLineBreaks(data);
+    this._rx_buffer += buf.toString('utf8');
+    let lines = this._rx_buffer.split(/\x0d\x0a|\x0d|\x0a/);
+    this._rx_buffer = lines.pop();
 
-    if (this._response_waiting) {
-      this._response_data += data;
-      if (/(^|\n)(OK|ERROR)/.test(this._response_data) || /(^|\n)\> /.test(this._response_data)) {
-        this._handleResponse(this._response_data);
-        this._response_data = '';
+    for (let line of lines) {
+      if (line) {
+        this._handleReceivedLine(line);
       }
-    } else {
-      this._response_data = '';
-      if (/^\+[A-Z0-9]{3,}\:/.test(data)) {
+    }
+
+    if (this._response_waiting && /^\>\s*$/.test(this._rx_buffer)) {
+      this._rx_buffer = '';
+      this._response_lines.push('> ');
+      this._completeResponse();
+    }
+  }
+
+  _handleReceivedLine(line) {
+    // The line following a URC such as `+CMT` is a part of the URC
+    if (this._urc_header) {
+      let data = this._urc_header + '\n' + line;
+      this._urc_header = null;
+      this._receivedNotification(data);
+      return;
+    }
+
+    // A URC such as `+CUSD` could contain line breaks in a quoted string
+    if (this._urc_partial) {
+      this._urc_partial += '\n' + line;
+      if (!this._hasOpenQuote(this._urc_partial)) {
+        let data = this._urc_partial;
+        this._urc_partial = null;
         this._receivedNotification(data);
       }
+      return;
+    }
+
+    let type = this._classifyLine(line);
+    if (type === 'echo' || type === 'noise') {
+      return;
+    } else if (type === 'urc') {
+      let prefix = this._getLinePrefix(line);
+      if (this._URC_WITH_PDU.includes(prefix)) {
+        this._urc_header = line;
+      } else if (prefix && this._hasOpenQuote(line)) {
+        this._urc_partial = line;
+      } else {
+        this._receivedNotification(line);
+      }
+    } else if (type === 'final') {
+      this._response_lines.push(line);
+      this._completeResponse();
+    } else {
+      this._response_lines.push(line);
+    }
+  }
+
+  /* ------------------------------------------------------------------
+  * _classifyLine(line)
+  * - Determine the type of a received line
+  *
+  * [Arguments]
+  * - line | String | Required | A received line without line breaks
+  *
+  * [Returen value]
+  * - "final"       : Final result code (e.g., "OK", "+CMS ERROR: 500")
+  * - "intermediate": Intermediate response of the running command
+  * - "urc"         : Unsolicited result code
+  * - "echo"        : Echo of the running command
+  * - "noise"       : Line received while no command is running which is
+  *                   not a URC (e.g., a stray "OK", boot messages)
+  * ---------------------------------------------------------------- */
+  _classifyLine(line) {
+    // Unless a command is running, a line is a URC only if it starts
+    // with "+" or "^", or it starts with a known URC prefix (e.g., "RING",
+    // "*ATREADY: 1"). A bare final result code is discarded.
+    if (!this._response_waiting) {
+      let known = /^[\+\^]/.test(line) ||
+        /^(NO CARRIER|BUSY|NO ANSWER|NO DIALTONE)$/.test(line) ||
+        this._URC_PREFIXES.some((prefix) => line === prefix || line.startsWith(prefix + ':'));
+      return (known && !/^\+CM[ES] ERROR\:/.test(line)) ? 'urc' : 'noise';
+    }
+
+    if (line === this._current_command) {
+      return 'echo';
+    }
+
+    // `NO CARRIER`, `BUSY`, etc. are final result codes of the commands
+    // which set up a call (e.g., `ATD`). Otherwise, they are reported
+    // when a call is released.
+    if (/^(NO CARRIER|BUSY|NO ANSWER|NO DIALTONE)$/.test(line)) {
+      let cmd = (this._current_command || '').toUpperCase();
+      return /^AT(D|A$|O)/.test(cmd) ? 'final' : 'urc';
+    }
+
+    if (/^(OK|ERROR)$/.test(line) ||
+      /^CONNECT(\s|$)/.test(line) ||
+      /^\+CM[ES] ERROR\:/.test(line)) {
+      return 'final';
+    }
+
+    // A line starting with a URC prefix could be an intermediate
+    // response of the command which has the same name (e.g.,
+    // `+CREG: 2,1` for `AT+CREG?`).
+    let prefix = this._getLinePrefix(line);
+    if (prefix && this._URC_PREFIXES.includes(prefix)) {
+      let cmd = (this._current_command || '').toUpperCase();
+      if (cmd.startsWith('AT' + prefix) === false) {
+        return 'urc';
+      }
     }
+
+    return 'intermediate';
+  }
+
+  // Whether a quoted string in the line is not closed
+  _hasOpenQuote(line) {
+    return (line.split('"').length - 1) % 2 === 1;
+  }
+
+  // Get the prefix of a line (e.g., "+CMTI" for `+CMTI: "SM",1`)
+  // - A URC which consists of a fixed line (e.g., "RING") is
+  //   regarded as a prefix.
+  _getLinePrefix(line) {
+    let m = line.match(/^([\+\^][A-Z0-9]+)\s*\:/);
+    if (m) {
+      return m[1];
+    } else if (this._URC_PREFIXES.includes(line)) {
+      return line;
+    } else {
+      return null;
+    }
+  }
+
+  /* ------------------------------------------------------------------
+  * addUrcPrefixes(prefixes)
+  * - Add prefixes of unsolicited result codes (e.g., vendor specific
+  *   URCs such as "^RSSI")
+  *
+  * [Arguments]
+  * - prefixes | Array | Required | List of prefixes (e.g., ["^RSSI", "^BOOT"])
+  *            |       |          | A URC which consists of a fixed line can
+  *            |       |          | be specified as it is (e.g., "SMS DONE").
+  * ---------------------------------------------------------------- */
+  addUrcPrefixes(prefixes) {
+    if (!Array.isArray(prefixes)) {
+      throw new Error('The `prefixes` must be an array.');
+    }
+    for (let prefix of prefixes) {
+      if (typeof (prefix) === 'string' && prefix && !this._URC_PREFIXES.includes(prefix)) {
+        this._URC_PREFIXES.push(prefix);
+      }
+    }
+  }
+
+  _completeResponse() {
+    let res = this._response_lines.join('\n');
+    this._response_lines = [];
+    this._handleResponse(res);
   }
 
   _handleResponse(res) {
@@ -157,18 +343,42 @@ class SmsModem extends EventEmitter {
           index: parseInt(index, 10)
         });
       }
+    } else if (/^\+CMT\:/.test(data)) {
+      // A message routed directly to the TE: "+CMT: [<alpha>],<length>\n<pdu>"
+      let lines = data.split('\n');
+      if (lines[1] && /^[0-9A-Fa-f]+$/.test(lines[1])) {
+        this.emit('sms-message', {
+          pdu: lines[1]
+        });
+      }
+    } else if (/^\+CDSI\:/.test(data)) {
+      // A status report stored in the storage
+      let [memr, index] = data.replace(/^\+CDSI\:\s*/, '').split(',');
+      if (memr && index) {
+        this.emit('sms-status-report', {
+          memr: memr.replace(/^\"/, '').replace(/\"$/, ''),
+          index: parseInt(index, 10)
+        });
+      }
+    } else if (/^\+CDS\:/.test(data)) {
+      // A status report routed directly to the TE: "+CDS: <length>\n<pdu>"
+      let lines = data.split('\n');
+      if (lines[1] && /^[0-9A-Fa-f]+$/.test(lines[1])) {
+        this.emit('sms-status-report', {
+          pdu: lines[1]
+        });
+      }
+    } else if (/^\+CBM\:/.test(data)) {
+      // A cell broadcast page routed directly to the TE: "+CBM: <length>\n<pdu>"
+      let lines = data.split('\n');
+      if (lines[1] && /^[0-9A-Fa-f]+$/.test(lines[1])) {
+        this.emit('cb-message', {
+          pdu: lines[1]
+        });
+      }
     }
   }
 
-  _trimFirstLastLineBreaks(data) {
-    data = data.replace(/\x0d\x0a/g, '\n');
-    data = data.replace(/\x0d/g, '\n');
-    data = data.replace(/\x0a/g, '\n');
-    data = data.replace(/^\n+/, '');
-    data = data.replace(/\n+$/, '');
-    return data;
-  }
-
   /* ------------------------------------------------------------------
   * close()
   * - Close the serial port
@@ -199,15 +409,21 @@ class SmsModem extends EventEmitter {
   /* ------------------------------------------------------------------
   * execCommand(cmd, options)
   * - Execute an AT command
+  * - Commands are queued and executed one by one in order. A command
+  *   with a higher `priority` is executed before commands with a lower
+  *   `priority` which are still waiting in the queue.
   *
   * [Arguments]
   * - cmd          | String  | Required | AT command (e.g., "AT+COPS?")
   * - options      | Object  | Optional |
   *   - timeout    | Integer | Optional | Response timeout in msec.
-  *                |         |          | The value must be in the range of 1 to 60000.
+  *                |         |          | The value must be in the range of 1 to 600000.
   *                |         |          | The default value is 10000.
   *   - terminator | Integer | Optional | Terminator character of AT command.
   *                |         |          | The default value is 0x0D (Carriage return).
+  *   - priority   | Integer | Optional | Priority in the command queue.
+  *                |         |          | The value must be in the range of -10 to 10.
+  *                |         |          | The default value is 0.
   * 
   * [Returen value]
   * - Promise object
@@ -215,83 +431,215 @@ class SmsModem extends EventEmitter {
   * - Even if the modem returns an error, the `resolve()` will be called.
   * ---------------------------------------------------------------- */
   execCommand(cmd, options = {}) {
-    return new Promise((resolve, reject) => {
-      // Check if the serial port is open
-      if (this._port.isOpen === false) {
-        reject(new Error('The serial port is closed.'));
-        return;
-      }
-
-      // Check if the execution of the previous commnand had been finished or not
-      if (this._response_waiting === true) {
-        reject(new Error('The previous command has been active.'));
-        return;
-      }
-
-      // Check the `cmd`
-      let valexp_cmd = new ValExp({
-        name: 'cmd',
-        required: true,
-        schema: { type: 'string' }
+    return (async () => {
+      let params = this._checkCommandParams(cmd, options);
+      let res = await this._enqueue(params.priority, () => {
+        return this._execCommandNow(cmd, params);
       });
-      if (!valexp_cmd.test(cmd)) {
-        reject(valexp_cmd.error);
-        return;
-      }
+      return res;
+    })();
+  }
 
-      // Check the `options`
+  /* ------------------------------------------------------------------
+  * transaction(callback, options)
+  * - Execute a sequence of AT commands atomically
+  * - The `callback` is called when the transaction gets its turn in the
+  *   command queue. A function `exec(cmd, options)` is passed to the
+  *   `callback`. The commands executed through the `exec()` are sent
+  *   without being queued, and no other command is sent to the modem
+  *   until the Promise returned by the `callback` is settled.
+  *   The `exec()` accepts the same arguments as the `execCommand()`
+  *   except for the `priority`.
+  *
+  * [Arguments]
+  * - callback     | Function | Required | Function which returns a Promise
+  * - options      | Object   | Optional |
+  *   - priority   | Integer  | Optional | Priority in the command queue.
+  *                |          |          | The value must be in the range of -10 to 10.
+  *                |          |          | The default value is 0.
+  *
+  * [Returen value]
+  * - Promise object
+  * - The value resolved by the `callback` will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  transaction(callback, options = {}) {
+    return (async () => {
+      if (typeof (callback) !== 'function') {
+        throw new Error('The `callback` must be a function.');
+      }
       let valexp_options = new ValExp({
         name: 'options',
         schema: {
           type: 'object',
           properties: {
-            timeout: { type: 'integer', minimum: 1, maximum: 60000, default: 10000 },
-            terminator: { type: 'integer', minimum: 0, maximum: 0xff, default: 0x0d }
+            priority: { type: 'integer', minimum: -10, maximum: 10, default: 0 }
           }
         }
       });
       let valexp_options_res = valexp_options.exec(options);
       if (!valexp_options_res) {
-        reject(valexp_options.error);
+        throw valexp_options.error;
+      }
+      let priority = valexp_options_res[0].priority;
+
+      let exec = (cmd, opts = {}) => {
+        return (async () => {
+          let p = this._checkCommandParams(cmd, opts);
+          let res = await this._execCommandNow(cmd, p);
+          return res;
+        })();
+      };
+      let res = await this._enqueue(priority, () => {
+        return callback(exec);
+      });
+      return res;
+    })();
+  }
+
+  get queueLength() {
+    return this._queue.length;
+  }
+
+  _checkCommandParams(cmd, options) {
+    // Check the `cmd`
+    let valexp_cmd = new ValExp({
+      name: 'cmd',
+      required: true,
+      schema: { type: 'string' }
+    });
+    if (!valexp_cmd.test(cmd)) {
+      throw valexp_cmd.error;
+    }
+
+    // Check the `options`
+    let valexp_options = new ValExp({
+      name: 'options',
+      schema: {
+        type: 'object',
+        properties: {
+          timeout: { type: 'integer', minimum: 1, maximum: 600000, default: 10000 },
+          terminator: { type: 'integer', minimum: 0, maximum: 0xff, default: 0x0d },
+          priority: { type: 'integer', minimum: -10, maximum: 10, default: 0 }
+        }
+      }
+    });
+    let valexp_options_res = valexp_options.exec(options);
+    if (!valexp_options_res) {
+      throw valexp_options.error;
+    }
+    return valexp_options_res[0];
+  }
+
+  // Add a job to the command queue
+  // - Jobs are sorted by the priority (descending), then by the order
+  //   in which they were added.
+  _enqueue(priority, run) {
+    return new Promise((resolve, reject) => {
+      let job = {
+        priority: priority,
+        run: run,
+        resolve: resolve,
+        reject: reject
+      };
+      let pos = this._queue.findIndex((j) => {
+        return j.priority < priority;
+      });
+      if (pos === -1) {
+        this._queue.push(job);
+      } else {
+        this._queue.splice(pos, 0, job);
+      }
+      this._dequeue();
+    });
+  }
+
+  // Run the next job in the command queue
+  _dequeue() {
+    if (this._active_job || this._queue.length === 0) {
+      return;
+    }
+    let job = this._queue.shift();
+    this._active_job = job;
+
+    let done = () => {
+      this._active_job = null;
+      this._dequeue();
+    };
+
+    Promise.resolve().then(() => {
+      return job.run();
+    }).then((res) => {
+      done();
+      job.resolve(res);
+    }).catch((error) => {
+      done();
+      job.reject(error);
+    });
+  }
+
+  // Send an AT command to the modem immediately
+  _execCommandNow(cmd, params) {
+    return new Promise((resolve, reject) => {
+      // Check if the serial port is open
+      if (this._port.isOpen === false) {
+        reject(new Error('The serial port is closed.'));
+        return;
+      }
+
+      // Check if the execution of the previous commnand had been finished or not
+      if (this._response_waiting === true) {
+        reject(new Error('The previous command has been active.'));
         return;
       }
-      let timeout = valexp_options_res[0].timeout;
-      let terminator = valexp_options_res[0].terminator;
+
+      let timeout = params.timeout;
+      let terminator = params.terminator;
 
       // Set a timer
       this._response_waiting = true;
+      this._response_lines = [];
+      this._current_command = cmd;
 
-      let timer = setTimeout(() => {
+      let timer = null;
+      let finish = (error, res) => {
+        if (!timer) {
+          return;
+        }
+        clearTimeout(timer);
         timer = null;
-        this._response_waiting = false;
         this._onresponse = null;
+        this._onabort = null;
+        this._response_waiting = false;
+        this._response_lines = [];
+        this._current_command = null;
+        if (error) {
+          reject(error);
+        } else {
+          resolve(res);
+        }
+      };
+
+      timer = setTimeout(() => {
         let terminator_hex = Buffer.from([terminator]).toString('hex').toUpperCase();
         let msg = 'TIMEOUT: command=' + cmd + ', terminator=0x' + terminator_hex;
-        reject(new Error(msg));
+        finish(new TimeoutError(msg, { command: cmd }));
       }, timeout);
 
       // Set a event handler for receiving response
       this._onresponse = (res) => {
-        this._onresponse = null;
-        this._response_waiting = false;
-        if (timer) {
-          clearTimeout(timer);
-          timer = null;
-          resolve(res);
-        }
+        finish(null, res);
+      };
+
+      // Set a event handler for the serial port closed while waiting
+      this._onabort = (error) => {
+        finish(error);
       };
 
       // Send the command
       this._write(cmd, terminator).then(() => {
         // Do nothing
       }).catch((error) => {
-        if (timer) {
-          clearTimeout(timer);
-          timer = null;
-        }
-        this._onresponse = null;
-        this._response_waiting = false;
-        reject(error);
+        finish(error);
       });
     });
   }
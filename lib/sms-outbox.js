@@ -0,0 +1,508 @@
+/* ------------------------------------------------------------------
+* node-sms-transceiver - sms-outbox.js
+*
+* Copyright (c) 2020, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2020-04-11
+* ---------------------------------------------------------------- */
+'use strict';
+const EventEmitter = require('events');
+const mCrypto = require('crypto');
+const ValExp = require('node-oas-valexp');
+const mStores = require('./outbox-stores.js');
+
+class SmsOutbox extends EventEmitter {
+  /* ------------------------------------------------------------------
+  * Constructor
+  * - A persistent queue of outgoing messages on top of the `sendMessage()`
+  * - A message which failed to be sent is retried with exponential backoff.
+  *
+  * [Arguments]
+  * - sender             | Object  | Required | `SmsTransceiver` or `SmsTransceiverPool` object
+  * - options            | Object  | Optional |
+  *   - path             | String  | Optional | Path of the JSON file where the messages are saved.
+  *                      |         |          | The default is "./sms-outbox.json".
+  *   - store            | Object  | Optional | Store object which implements `load()` and
+  *                      |         |          | `save(records)`. If specified, the `path` is ignored.
+  *   - maxAttempts      | Integer | Optional | Maximum number of attempts for a message.
+  *                      |         |          | The default is 5.
+  *   - retryInterval    | Integer | Optional | Interval before the first retry in msec.
+  *                      |         |          | The interval is doubled after every failure.
+  *                      |         |          | The default is 5000.
+  *   - retryMaxInterval | Integer | Optional | Maximum interval of retries in msec.
+  *                      |         |          | The default is 300000.
+  *   - rateLimit        | Integer | Optional | Maximum number of messages sent in the `ratePeriod`.
+  *                      |         |          | If 0, the rate is not limited. The default is 0.
+  *   - ratePeriod       | Integer | Optional | Period of the `rateLimit` in msec. The default is 60000.
+  * ---------------------------------------------------------------- */
+  constructor(sender, options = {}) {
+    super();
+
+    if (!sender || typeof (sender.sendMessage) !== 'function') {
+      throw new Error('The `sender` must be a `SmsTransceiver` or `SmsTransceiverPool` object.');
+    }
+
+    let valexp_options = new ValExp({
+      name: 'options',
+      schema: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', minLength: 1, default: './sms-outbox.json' },
+          maxAttempts: { type: 'integer', minimum: 1, default: 5 },
+          retryInterval: { type: 'integer', minimum: 1, default: 5000 },
+          retryMaxInterval: { type: 'integer', minimum: 1, default: 300000 },
+          rateLimit: { type: 'integer', minimum: 0, default: 0 },
+          ratePeriod: { type: 'integer', minimum: 1, default: 60000 }
+        }
+      }
+    });
+    let valexp_options_res = valexp_options.exec(options);
+    if (!valexp_options_res) {
+      throw valexp_options.error;
+    }
+    let opts = valexp_options_res[0];
+
+    let store = (options && typeof (options) === 'object') ? options.store : undefined;
+    if (store !== undefined) {
+      if (!store || typeof (store.load) !== 'function' || typeof (store.save) !== 'function') {
+        throw new Error('The `store` must implement the `load()` and the `save()`.');
+      }
+    } else {
+      store = new mStores.JsonFileStore(opts.path);
+    }
+
+    this._sender = sender;
+    this._store = store;
+    this._max_attempts = opts.maxAttempts;
+    this._retry_interval = opts.retryInterval;
+    this._retry_max_interval = Math.max(opts.retryMaxInterval, opts.retryInterval);
+    this._rate_limit = opts.rateLimit;
+    this._rate_period = opts.ratePeriod;
+
+    this._records = [];
+    this._loading = null; // Promise of loading the saved messages
+    this._running = false;
+    this._sending = null; // Promise of the message being sent
+    this._timer = null;
+    this._sent_times = []; // Times when messages were sent (for the rate limit)
+    this._save_chain = Promise.resolve();
+  }
+
+  get isRunning() {
+    return this._running;
+  }
+
+  /* ------------------------------------------------------------------
+  * start()
+  * - Load the saved messages and start sending the queued messages
+  * - A message which was being sent when the process was terminated
+  *   is queued again because it is unknown whether it was sent.
+  *
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  start() {
+    return (async () => {
+      if (this._running) {
+        return;
+      }
+      await this._load();
+      this._running = true;
+      this._process();
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * stop()
+  * - Stop sending messages
+  * - If a message is being sent, this method waits until it finishes.
+  *
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  stop() {
+    return (async () => {
+      this._running = false;
+      if (this._timer) {
+        clearTimeout(this._timer);
+        this._timer = null;
+      }
+      if (this._sending) {
+        await this._sending;
+      }
+      await this._save_chain;
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * enqueue(destination, text, options)
+  * - Add a message to the queue
+  *
+  * [Arguments]
+  * - destination | String | Required | Destination phone number
+  * - text        | String | Required | Message text
+  * - options     | Object | Optional | Passed to the `sendMessage()`
+  *
+  * [Returen value]
+  * - Promise object
+  * - A copy of the message record will be passed to the `resolve()`
+  *   after it is saved:
+  *   {
+  *     "id": "5f2b7c0e9a1d4e38",
+  *     "destination": "09000000000",
+  *     "text": "Hello!",
+  *     "options": {},
+  *     "status": "queued",  // "queued", "sending", "sent", or "failed"
+  *     "attempts": 0,       // Number of attempts
+  *     "createdAt": "2020-04-11T01:00:00.000Z",
+  *     "updatedAt": "2020-04-11T01:00:00.000Z",
+  *     "nextAttemptAt": "2020-04-11T01:00:00.000Z",
+  *     "error": null,       // Message of the last error
+  *     "result": null       // Result of the `sendMessage()`
+  *   }
+  * ---------------------------------------------------------------- */
+  enqueue(destination, text, options = {}) {
+    return (async () => {
+      let valexp_dest = new ValExp({
+        name: 'destination',
+        required: true,
+        schema: { type: 'string', minLength: 1 }
+      });
+      if (!valexp_dest.test(destination)) {
+        throw valexp_dest.error;
+      }
+      let valexp_text = new ValExp({
+        name: 'text',
+        required: true,
+        schema: { type: 'string', minLength: 1 }
+      });
+      if (!valexp_text.test(text)) {
+        throw valexp_text.error;
+      }
+      if (!options || typeof (options) !== 'object') {
+        throw new Error('The `options` must be an object.');
+      }
+      await this._load();
+
+      let now = new Date().toISOString();
+      let rec = {
+        id: mCrypto.randomBytes(8).toString('hex'),
+        destination: destination,
+        text: text,
+        options: JSON.parse(JSON.stringify(options)),
+        status: 'queued',
+        attempts: 0,
+        createdAt: now,
+        updatedAt: now,
+        nextAttemptAt: now,
+        error: null,
+        result: null
+      };
+      this._records.push(rec);
+      try {
+        await this._save();
+      } catch (error) {
+        // The message is not accepted unless it is saved.
+        this._records.splice(this._records.indexOf(rec), 1);
+        throw error;
+      }
+      let copy = this._copy(rec);
+      this.emit('queued', this._copy(rec));
+      this._process();
+      return copy;
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * get(id)
+  * - Get a copy of the message record
+  *
+  * [Returen value]
+  * - A message record (See the `enqueue()`), or `null` if not found
+  * ---------------------------------------------------------------- */
+  get(id) {
+    let rec = this._findRecord(id);
+    return rec ? this._copy(rec) : null;
+  }
+
+  /* ------------------------------------------------------------------
+  * list(status)
+  * - Get copies of the message records
+  *
+  * [Arguments]
+  * - status | String | Optional | "queued", "sending", "sent", or "failed".
+  *          |        |          | If not specified, all records are returned.
+  *
+  * [Returen value]
+  * - A list of the message records
+  * ---------------------------------------------------------------- */
+  list(status) {
+    return this._records.filter((rec) => {
+      return (!status || rec.status === status);
+    }).map((rec) => {
+      return this._copy(rec);
+    });
+  }
+
+  /* ------------------------------------------------------------------
+  * retry(id)
+  * - Queue a failed message again
+  *
+  * [Returen value]
+  * - Promise object
+  * - A copy of the message record will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  retry(id) {
+    return (async () => {
+      await this._load();
+      let rec = this._findRecord(id);
+      if (!rec) {
+        throw new Error('The message was not found: ' + id);
+      }
+      if (rec.status !== 'failed') {
+        throw new Error('The message has not failed: ' + id);
+      }
+      rec.attempts = 0;
+      this._setStatus(rec, 'queued', { nextAttemptAt: new Date().toISOString() });
+      await this._save();
+      let copy = this._copy(rec);
+      this.emit('queued', this._copy(rec));
+      this._process();
+      return copy;
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * remove(id)
+  * - Remove a message from the outbox
+  * - A message being sent can not be removed.
+  *
+  * [Returen value]
+  * - Promise object
+  * - `true` will be passed to the `resolve()` if the message was removed.
+  * ---------------------------------------------------------------- */
+  remove(id) {
+    return (async () => {
+      await this._load();
+      let rec = this._findRecord(id);
+      if (!rec) {
+        return false;
+      }
+      if (rec.status === 'sending') {
+        throw new Error('The message is being sent: ' + id);
+      }
+      this._records.splice(this._records.indexOf(rec), 1);
+      await this._save();
+      return true;
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * clear(status)
+  * - Remove the messages in the specified status
+  *
+  * [Arguments]
+  * - status | String | Optional | "sent" or "failed". The default is "sent".
+  *
+  * [Returen value]
+  * - Promise object
+  * - The number of the removed messages will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  clear(status = 'sent') {
+    return (async () => {
+      if (status !== 'sent' && status !== 'failed') {
+        throw new Error('The `status` must be "sent" or "failed".');
+      }
+      await this._load();
+      let num = this._records.length;
+      this._records = this._records.filter((rec) => {
+        return rec.status !== status;
+      });
+      num -= this._records.length;
+      if (num > 0) {
+        await this._save();
+      }
+      return num;
+    })();
+  }
+
+  // Load the saved messages (only once)
+  _load() {
+    if (!this._loading) {
+      this._loading = (async () => {
+        let records = await this._store.load();
+        let interrupted = false;
+        for (let rec of records) {
+          if (rec.status === 'sending') {
+            rec.status = 'queued';
+            interrupted = true;
+          }
+        }
+        this._records = records;
+        if (interrupted) {
+          await this._save();
+        }
+      })();
+      this._loading.catch(() => {
+        // Try again next time
+        this._loading = null;
+      });
+    }
+    return this._loading;
+  }
+
+  _findRecord(id) {
+    return this._records.find((rec) => {
+      return rec.id === id;
+    }) || null;
+  }
+
+  _copy(rec) {
+    return JSON.parse(JSON.stringify(rec));
+  }
+
+  _setStatus(rec, status, props = {}) {
+    Object.assign(rec, props);
+    rec.status = status;
+    rec.updatedAt = new Date().toISOString();
+  }
+
+  // Save the records
+  // - The saves are serialized so that an older list never overwrites
+  //   a newer one.
+  _save() {
+    let records = this._copy(this._records);
+    let p = this._save_chain.then(() => {
+      return this._store.save(records);
+    });
+    this._save_chain = p.catch(() => { });
+    return p;
+  }
+
+  // Send the next message if it is due and the rate limit allows it.
+  // Otherwise, schedule the next check.
+  _process() {
+    if (!this._running || this._sending) {
+      return;
+    }
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+
+    let now = Date.now();
+    let rec = null;
+    let rec_time = 0;
+    for (let r of this._records) {
+      if (r.status !== 'queued') {
+        continue;
+      }
+      let t = Date.parse(r.nextAttemptAt);
+      if (!rec || t < rec_time) {
+        rec = r;
+        rec_time = t;
+      }
+    }
+    if (!rec) {
+      return;
+    }
+
+    let wait = Math.max(rec_time - now, this._getRateLimitWait(now), 0);
+    if (wait > 0) {
+      this._timer = setTimeout(() => {
+        this._timer = null;
+        this._process();
+      }, wait);
+      return;
+    }
+
+    this._sending = this._send(rec).catch((error) => {
+      // Failed to save the records
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+    }).then(() => {
+      this._sending = null;
+      this._process();
+    });
+  }
+
+  // Time in msec until the next message can be sent under the rate limit
+  _getRateLimitWait(now) {
+    if (this._rate_limit === 0) {
+      return 0;
+    }
+    this._sent_times = this._sent_times.filter((t) => {
+      return t > now - this._rate_period;
+    });
+    if (this._sent_times.length < this._rate_limit) {
+      return 0;
+    }
+    return this._sent_times[0] + this._rate_period - now;
+  }
+
+  // The options are saved in JSON, so an absolute validity period
+  // is restored to a `Date` object.
+  _getSendOptions(rec) {
+    let options = Object.assign({}, rec.options);
+    if (typeof (options.validityPeriod) === 'string') {
+      options.validityPeriod = new Date(options.validityPeriod);
+    }
+    return options;
+  }
+
+  _send(rec) {
+    return (async () => {
+      let prev_updated = rec.updatedAt;
+      rec.attempts++;
+      this._setStatus(rec, 'sending');
+      try {
+        await this._save();
+      } catch (error) {
+        // The message is not sent, so it is put back in the queue and
+        // tried again after the retry interval.
+        rec.attempts--;
+        rec.status = 'queued';
+        rec.updatedAt = prev_updated;
+        rec.nextAttemptAt = new Date(Date.now() + this._retry_interval).toISOString();
+        throw error;
+      }
+      this._sent_times.push(Date.now());
+      this.emit('sending', this._copy(rec));
+
+      let res = null;
+      try {
+        res = await this._sender.sendMessage(rec.destination, rec.text, this._getSendOptions(rec));
+      } catch (error) {
+        if (rec.attempts >= this._max_attempts) {
+          this._setStatus(rec, 'failed', { error: error.message });
+          await this._save();
+          this.emit('failed', this._copy(rec));
+        } else {
+          let interval = Math.min(this._retry_interval * Math.pow(2, rec.attempts - 1), this._retry_max_interval);
+          this._setStatus(rec, 'queued', {
+            error: error.message,
+            nextAttemptAt: new Date(Date.now() + interval).toISOString()
+          });
+          await this._save();
+          this.emit('queued', this._copy(rec));
+        }
+        return;
+      }
+
+      // The message has been sent, so it stays "sent" even if the records
+      // can not be saved. The error is reported by the `error` event, and
+      // the status is saved with the records next time.
+      this._setStatus(rec, 'sent', { error: null, result: res || null });
+      this.emit('sent', this._copy(rec));
+      await this._save();
+    })();
+  }
+}
+
+SmsOutbox.MemoryStore = mStores.MemoryStore;
+SmsOutbox.JsonFileStore = mStores.JsonFileStore;
+
+module.exports = SmsOutbox;
@@ -0,0 +1,840 @@
+/* ------------------------------------------------------------------
+* node-sms-transceiver - sms-pdu-utils.js
+*
+* Copyright (c) 2020, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2020-04-11
+* ---------------------------------------------------------------- */
+'use strict';
+const SmsPdu = require('node-sms-pdu');
+const Gsm7Utils = require('./gsm7-utils.js');
+
+// Maximum length of the TP-UD in octets
+const MAX_UD_LENGTH = 140;
+
+// Length of the UDH of a segment of a concatenated message in octets
+// - UDHL (1) + Concatenated short messages, 8-bit reference number (5)
+const CONCAT_UDH_LENGTH = 6;
+
+/* ------------------------------------------------------------------
+* SmsPduUtils
+* - Helpers for the features which the `node-sms-pdu` does not support
+* ---------------------------------------------------------------- */
+class SmsPduUtils {
+  constructor() { }
+
+  /* ------------------------------------------------------------------
+  * setStatusReportRequest(pdu)
+  * - Set the TP-SRR (Status Report Request) bit of a SMS-SUBMIT PDU
+  *
+  * [Arguments]
+  * - pdu | Object | Required | An element of the list returned by the
+  *       |        |          | `SmsPdu.generateSubmit()`
+  *
+  * [Returen value]
+  * - A new object which has the same structure as the `pdu`
+  * ---------------------------------------------------------------- */
+  setStatusReportRequest(pdu) {
+    let buf = Buffer.from(pdu.buffer);
+    let offset = this._getTpduOffset(buf);
+    buf.writeUInt8(buf.readUInt8(offset) | 0b00100000, offset);
+    return Object.assign({}, pdu, {
+      buffer: buf,
+      hex: buf.toString('hex').toUpperCase()
+    });
+  }
+
+  /* ------------------------------------------------------------------
+  * setServiceCenter(pdu, smsc)
+  * - Set the SCA (Service Center Address) of a SMS-SUBMIT PDU
+  * - The modem uses the SCA in the PDU instead of the one set by
+  *   `AT+CSCA`. The `length` (TPDU length) does not change.
+  *
+  * [Arguments]
+  * - pdu  | Object | Required | An element of the list returned by the
+  *        |        |          | `SmsPdu.generateSubmit()`
+  * - smsc | String | Required | Address of the SMSC (e.g., "+819012345678")
+  *
+  * [Returen value]
+  * - A new object which has the same structure as the `pdu`
+  * ---------------------------------------------------------------- */
+  setServiceCenter(pdu, smsc) {
+    let offset = this._getTpduOffset(pdu.buffer);
+    let sca = this.encodeAddress(smsc, true);
+    let buf = Buffer.concat([sca, pdu.buffer.slice(offset)]);
+    return Object.assign({}, pdu, {
+      buffer: buf,
+      hex: buf.toString('hex').toUpperCase()
+    });
+  }
+
+  /* ------------------------------------------------------------------
+  * encodeAddress(number, is_sca)
+  * - Encode a telephone number to an address field
+  * - The length of the SCA is represented in octets, while the length
+  *   of the other addresses is represented in digits.
+  *
+  * [Arguments]
+  * - number | String  | Required | Telephone number (e.g., "+819012345678")
+  * - is_sca | Boolean | Optional | `true` for the SCA
+  *
+  * [Returen value]
+  * - A `Buffer` object
+  * ---------------------------------------------------------------- */
+  encodeAddress(number, is_sca) {
+    let international = /^\+/.test(number);
+    let digits = number.replace(/^\+/, '');
+    let bcd = [];
+    for (let i = 0; i < digits.length; i += 2) {
+      let lo = parseInt(digits[i], 10);
+      let hi = (i + 1 < digits.length) ? parseInt(digits[i + 1], 10) : 0xF;
+      bcd.push((hi << 4) | lo);
+    }
+    let len = is_sca ? (bcd.length + 1) : digits.length;
+    // Type of address (0x91: international, 0x81: unknown/national)
+    return Buffer.from([len, international ? 0x91 : 0x81].concat(bcd));
+  }
+
+  /* ------------------------------------------------------------------
+  * generateSubmitData(number, data, options)
+  * - Create SMS-SUBMIT PDUs carrying 8-bit binary data
+  * - If the `destinationPort` is specified, the application port
+  *   addressing (16-bit, IEI 0x05) is added to the UDH of each segment.
+  * - If the `data` does not fit in a PDU, it is divided into segments
+  *   with the concatenation (8-bit reference, IEI 0x00).
+  *
+  * [Arguments]
+  * - number            | String  | Required | Destination telephone number
+  * - data              | Buffer  | Required | Binary data
+  * - options           | Object  | Optional |
+  *   - destinationPort | Integer | Optional | Destination port (0 - 65535)
+  *   - sourcePort      | Integer | Optional | Source port (0 - 65535). The default
+  *                     |         |          | is 0. The `destinationPort` is required.
+  *   - reference       | Integer | Optional | Reference number of the concatenation.
+  *                     |         |          | The default is 0.
+  *
+  * [Returen value]
+  * - An array which has the same structure as the one returned by the
+  *   `SmsPdu.generateSubmit()`. The `encoding` is "8bit".
+  * ---------------------------------------------------------------- */
+  generateSubmitData(number, data, options = {}) {
+    let has_ports = Number.isInteger(options.destinationPort);
+    if (!has_ports && Number.isInteger(options.sourcePort)) {
+      throw new Error('The `destinationPort` is required if the `sourcePort` is specified.');
+    }
+
+    let port_ie = null;
+    if (has_ports) {
+      port_ie = Buffer.alloc(6);
+      port_ie.writeUInt8(0x05, 0); // IEI: Application port addressing scheme, 16 bit address
+      port_ie.writeUInt8(0x04, 1);
+      port_ie.writeUInt16BE(options.destinationPort, 2);
+      port_ie.writeUInt16BE(options.sourcePort || 0, 4);
+    }
+
+    // Divide the data into segments
+    let chunks = [];
+    let single_len = this._getCapacity('8bit', port_ie ? port_ie.length + 1 : 0);
+    if (data.length <= single_len) {
+      chunks.push(data);
+    } else {
+      let chunk_len = this._getCapacity('8bit', CONCAT_UDH_LENGTH + (port_ie ? port_ie.length : 0));
+      for (let i = 0; i < data.length; i += chunk_len) {
+        chunks.push(data.slice(i, i + chunk_len));
+      }
+      if (chunks.length > 255) {
+        throw new Error('The `data` is too long.');
+      }
+    }
+
+    let header = Buffer.concat([
+      Buffer.from([0x00]), // SCA: The SMSC set by `AT+CSCA` is used
+      Buffer.from([0x00]), // Placeholder of the first octet
+      Buffer.from([0x00]), // TP-MR
+      this.encodeAddress(number.replace(/\-/g, ''), false),
+      Buffer.from([0x00, 0x04]) // TP-PID, TP-DCS (8 bit data)
+    ]);
+
+    return chunks.map((chunk, i) => {
+      let ies = [];
+      if (chunks.length > 1) {
+        // IEI: Concatenated short messages, 8-bit reference number
+        ies.push(Buffer.from([0x00, 0x03, (options.reference || 0) % 256, chunks.length, i + 1]));
+      }
+      if (port_ie) {
+        ies.push(port_ie);
+      }
+      let udh = Buffer.alloc(0);
+      if (ies.length > 0) {
+        let udh_body = Buffer.concat(ies);
+        udh = Buffer.concat([Buffer.from([udh_body.length]), udh_body]);
+      }
+      let ud = Buffer.concat([udh, chunk]);
+
+      let buf = Buffer.concat([header, Buffer.from([ud.length]), ud]);
+      // MTI: SMS-SUBMIT, UDHI: set if the UD has a header
+      buf.writeUInt8(0b00000001 | ((udh.length > 0) ? 0b01000000 : 0), 1);
+      return {
+        buffer: buf,
+        hex: buf.toString('hex').toUpperCase(),
+        length: buf.length - 1,
+        encoding: '8bit'
+      };
+    });
+  }
+
+  /* ------------------------------------------------------------------
+  * getEncoding(text)
+  * - Determine the encoding of a text message
+  *
+  * [Returen value]
+  * - "gsm" if the text consists of the GSM 7-bit default alphabet,
+  *   otherwise "ucs2"
+  * ---------------------------------------------------------------- */
+  getEncoding(text) {
+    return Gsm7Utils.isAcceptable(text) ? 'gsm' : 'ucs2';
+  }
+
+  /* ------------------------------------------------------------------
+  * analyzeText(text, options)
+  * - Analyze the encoding and the segments of the PDUs which the
+  *   `SmsPdu.generateSubmit()` (or the `generateSubmitData()` for
+  *   binary data) creates
+  * - The number of the segments is the number of the PDUs created.
+  *
+  * [Arguments]
+  * - text              | String  | Required | Message text or binary data
+  *                     | Buffer  |          |
+  * - options           | Object  | Optional |
+  *   - destinationPort | Integer | Optional | Destination port (binary data only)
+  *   - sourcePort      | Integer | Optional | Source port (binary data only)
+  *
+  * [Returen value]
+  * - An object:
+  *   {
+  *     "encoding": "gsm", // "gsm", "ucs2", or "8bit"
+  *     "extended": true, // `true` if the text includes the characters in
+  *                       // the extension table of the GSM 7-bit alphabet
+  *     "characters": 165, // Length in septets ("gsm"), UTF-16 code units
+  *                        // ("ucs2"), or octets ("8bit")
+  *     "segments": 2,
+  *     "charactersPerSegment": 153,
+  *     "remaining": 141, // Characters left in the last segment
+  *     "extensionCharacters": ["€"], // Counted as 2 septets each ("gsm" only)
+  *     "unsupportedCharacters": [] // Characters which forced the UCS2
+  *   }
+  * - The characters in the lists are unique and in order of appearance.
+  * ---------------------------------------------------------------- */
+  analyzeText(text, options = {}) {
+    let res = {
+      encoding: null,
+      extended: false,
+      characters: 0,
+      segments: 1,
+      charactersPerSegment: 0,
+      remaining: 0,
+      extensionCharacters: [],
+      unsupportedCharacters: []
+    };
+
+    // Length of the information elements other than the concatenation
+    let ie_len = 0;
+    if (Buffer.isBuffer(text)) {
+      res.encoding = '8bit';
+      res.characters = text.length;
+      res.segments = this.generateSubmitData('0', text, options).length;
+      // Application port addressing scheme, 16 bit address
+      ie_len = Number.isInteger(options.destinationPort) ? 6 : 0;
+    } else {
+      let ext = new Set();
+      let unsupported = new Set();
+      let septets = 0;
+      for (let c of text) {
+        let s = Gsm7Utils.toSeptets(c);
+        if (!s) {
+          unsupported.add(c);
+        } else {
+          septets += s.length;
+          if (s.length === 2) {
+            ext.add(c);
+          }
+        }
+      }
+      res.encoding = this.getEncoding(text);
+      res.unsupportedCharacters = Array.from(unsupported);
+      if (res.encoding === 'gsm') {
+        res.extended = (ext.size > 0);
+        res.extensionCharacters = Array.from(ext);
+        res.characters = septets;
+      } else {
+        res.characters = text.length;
+      }
+      res.segments = SmsPdu.generateSubmit('0', text, { encoding: res.encoding }).length;
+    }
+
+    if (res.segments > 1) {
+      res.charactersPerSegment = this._getCapacity(res.encoding, CONCAT_UDH_LENGTH + ie_len);
+    } else {
+      // The UDHL is added to the information elements
+      res.charactersPerSegment = this._getCapacity(res.encoding, ie_len ? ie_len + 1 : 0);
+    }
+    res.remaining = Math.max((res.segments * res.charactersPerSegment) - res.characters, 0);
+    return res;
+  }
+
+  // Number of the characters which fit in the TP-UD following the UDH
+  // - udh_len: Length of the UDH in octets (including the UDHL)
+  // - The septets of the GSM 7-bit default alphabet start at a septet
+  //   boundary after the UDH (3GPP TS 23.040 9.2.3.24).
+  _getCapacity(encoding, udh_len) {
+    if (encoding === 'gsm') {
+      return Math.floor(MAX_UD_LENGTH * 8 / 7) - Math.ceil(udh_len * 8 / 7);
+    } else if (encoding === 'ucs2') {
+      return Math.floor((MAX_UD_LENGTH - udh_len) / 2);
+    }
+    return MAX_UD_LENGTH - udh_len;
+  }
+
+  /* ------------------------------------------------------------------
+  * setSubmitOptions(pdu, options)
+  * - Set the optional parameters of a SMS-SUBMIT PDU
+  *
+  * [Arguments]
+  * - pdu                | Object  | Required | An element of the list returned by
+  *                      |         |          | the `SmsPdu.generateSubmit()`
+  * - options            | Object  | Required |
+  *   - messageClass     | Integer | Optional | Message class in the TP-DCS (0 - 3).
+  *                      |         |          | 0 means a flash message.
+  *   - validityPeriod   | Integer | Optional | Relative validity period in minutes
+  *                      | Date    |          | (5 - 635040), or an absolute one
+  *   - pid              | Integer | Optional | TP-PID (e.g., 0x41: Replace Short
+  *                      |         |          | Message Type 1)
+  *   - rejectDuplicates | Boolean | Optional | TP-RD
+  *   - replyPath        | Boolean | Optional | TP-RP
+  *
+  * [Returen value]
+  * - A new object which has the same structure as the `pdu`
+  * - The `length` includes the TP-VP if the `validityPeriod` is set.
+  * ---------------------------------------------------------------- */
+  setSubmitOptions(pdu, options) {
+    let buf = Buffer.from(pdu.buffer);
+    let offset = this._getTpduOffset(buf);
+    let fo = buf.readUInt8(offset);
+    // The TP-DA starts after the first octet and the TP-MR
+    let da = this._parseAddress(buf, offset + 2, false);
+    let pid_offset = offset + 2 + da.length;
+    let dcs_offset = pid_offset + 1;
+
+    if (options.rejectDuplicates) {
+      fo |= 0b00000100;
+    }
+    if (options.replyPath) {
+      fo |= 0b10000000;
+    }
+    if (Number.isInteger(options.pid)) {
+      buf.writeUInt8(options.pid, pid_offset);
+    }
+    if (Number.isInteger(options.messageClass)) {
+      // General data coding: bit 4 means that bits 1-0 have a message class
+      let dcs = buf.readUInt8(dcs_offset);
+      buf.writeUInt8((dcs & 0b00001100) | 0b00010000 | options.messageClass, dcs_offset);
+    }
+
+    let vp = null;
+    if (options.validityPeriod instanceof Date) {
+      fo = (fo & 0b11100111) | 0b00011000; // TP-VPF: absolute format
+      vp = this._encodeTimestamp(options.validityPeriod);
+    } else if (Number.isInteger(options.validityPeriod)) {
+      fo = (fo & 0b11100111) | 0b00010000; // TP-VPF: relative format
+      vp = Buffer.from([this._encodeRelativeValidityPeriod(options.validityPeriod)]);
+    }
+    buf.writeUInt8(fo, offset);
+    if (vp) {
+      buf = Buffer.concat([buf.slice(0, dcs_offset + 1), vp, buf.slice(dcs_offset + 1)]);
+    }
+
+    return Object.assign({}, pdu, {
+      buffer: buf,
+      hex: buf.toString('hex').toUpperCase(),
+      length: buf.length - offset
+    });
+  }
+
+  /* ------------------------------------------------------------------
+  * parseOptions(data)
+  * - Parse the optional parameters of a SMS-DELIVER or SMS-SUBMIT PDU
+  *
+  * [Arguments]
+  * - data | String | Required | HEX string of a PDU (with the SCA)
+  *
+  * [Returen value]
+  * - An object (See the `setSubmitOptions()`):
+  *   {
+  *     "messageClass": 0, // `null` if the TP-DCS has no message class
+  *     "pid": 0,
+  *     "replyPath": false,
+  *     "rejectDuplicates": false, // `null` for a SMS-DELIVER
+  *     "validityPeriod": 1440 // Minutes (relative) or a string in the ISO
+  *                            // 8601 format (absolute). `null` if not present
+  *                            // or the PDU is a SMS-DELIVER.
+  *   }
+  * - If the `data` is invalid, `null` is returned.
+  * ---------------------------------------------------------------- */
+  parseOptions(data) {
+    let buf = this._hexToBuffer(data);
+    if (!buf) {
+      return null;
+    }
+    try {
+      let offset = this._getTpduOffset(buf);
+      let fo = buf.readUInt8(offset);
+      let mti = fo & 0b00000011;
+      if (mti !== 0 && mti !== 1) {
+        return null;
+      }
+      // SMS-DELIVER: FO, TP-OA, TP-PID, TP-DCS, TP-SCTS, ...
+      // SMS-SUBMIT : FO, TP-MR, TP-DA, TP-PID, TP-DCS, TP-VP, ...
+      let addr_offset = (mti === 0) ? offset + 1 : offset + 2;
+      let addr = this._parseAddress(buf, addr_offset, false);
+      let pid_offset = addr_offset + addr.length;
+      let pid = buf.readUInt8(pid_offset);
+      let dcs = buf.readUInt8(pid_offset + 1);
+
+      let res = {
+        messageClass: this._getMessageClass(dcs),
+        pid: pid,
+        replyPath: (fo & 0b10000000) ? true : false,
+        rejectDuplicates: null,
+        validityPeriod: null
+      };
+      if (mti === 1) {
+        res.rejectDuplicates = (fo & 0b00000100) ? true : false;
+        let vpf = (fo >>> 3) & 0b11;
+        let vp_offset = pid_offset + 2;
+        if (vpf === 0b10) {
+          res.validityPeriod = this._decodeRelativeValidityPeriod(buf.readUInt8(vp_offset));
+        } else if (vpf === 0b11) {
+          res.validityPeriod = this._parseTimestamp(buf, vp_offset, true);
+        }
+      }
+      return res;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Message class indicated by the TP-DCS (3GPP TS 23.038 clause 4)
+  _getMessageClass(dcs) {
+    let group = dcs >>> 4;
+    if (group <= 0b0111) {
+      // General data coding / Message marked for automatic deletion
+      return (dcs & 0b00010000) ? (dcs & 0b11) : null;
+    } else if (group === 0b1111) {
+      // Data coding / message class
+      return dcs & 0b11;
+    }
+    return null;
+  }
+
+  // Encode a relative validity period in minutes (3GPP TS 23.040 9.2.3.12.1)
+  // - The value is rounded up to the nearest representable period.
+  _encodeRelativeValidityPeriod(minutes) {
+    if (minutes <= 720) {
+      return Math.max(Math.ceil(minutes / 5) - 1, 0); // 5 minutes intervals up to 12 hours
+    } else if (minutes <= 1440) {
+      return 143 + Math.ceil((minutes - 720) / 30); // 30 minutes intervals up to 24 hours
+    } else if (minutes <= 43200) {
+      return 166 + Math.ceil(minutes / 1440); // 1 day intervals up to 30 days
+    }
+    return Math.min(192 + Math.ceil(minutes / 10080), 255); // 1 week intervals up to 63 weeks
+  }
+
+  _decodeRelativeValidityPeriod(vp) {
+    if (vp <= 143) {
+      return (vp + 1) * 5;
+    } else if (vp <= 167) {
+      return 720 + ((vp - 143) * 30);
+    } else if (vp <= 196) {
+      return (vp - 166) * 1440;
+    }
+    return (vp - 192) * 10080;
+  }
+
+  // Encode a Date object to a time stamp (7 octets of semi-octets) in UTC
+  _encodeTimestamp(date) {
+    let values = [
+      date.getUTCFullYear() % 100,
+      date.getUTCMonth() + 1,
+      date.getUTCDate(),
+      date.getUTCHours(),
+      date.getUTCMinutes(),
+      date.getUTCSeconds(),
+      0 // Time zone
+    ];
+    return Buffer.from(values.map((n) => {
+      return ((n % 10) << 4) | Math.floor(n / 10);
+    }));
+  }
+
+  /* ------------------------------------------------------------------
+  * parse(data)
+  * - Parse a SMS-DELIVER or SMS-SUBMIT PDU
+  * - Unlike the `SmsPdu.parse()`, any information element in the UDH
+  *   (e.g., the application port addressing) and 8-bit data are
+  *   supported.
+  *
+  * [Arguments]
+  * - data | String | Required | HEX string of a PDU (with the SCA)
+  *
+  * [Returen value]
+  * - An object:
+  *   {
+  *     "smsc": "+8190000000000",
+  *     "type": "SMS-DELIVER",
+  *     "origination": "09000000000", // SMS-DELIVER only
+  *     "timestamp": "2020-04-11T10:00:00+09:00", // SMS-DELIVER only
+  *     "destination": "09000000000", // SMS-SUBMIT only
+  *     "reference": 0, // TP-MR (SMS-SUBMIT only)
+  *     "concat": { "reference": 1, "total": 2, "sequence": 1 }, // or `null`
+  *     "ports": { "source": 0, "destination": 2948 }, // or `null`
+  *     "udh": <Buffer 05 00 03 01 02 01>, // Raw UDH including the UDHL, or `null`
+  *     "text": "Hello", // `null` for 8-bit data
+  *     "data": null // `Buffer` object for 8-bit data, otherwise `null`
+  *   }
+  * - If the `data` is invalid, an object containing the `error`
+  *   property is returned.
+  * ---------------------------------------------------------------- */
+  parse(data) {
+    let buf = this._hexToBuffer(data);
+    if (!buf) {
+      return { error: new Error('The `data` must be hexadecimal representation.') };
+    }
+
+    try {
+      let sca = this._parseAddress(buf, 0, true);
+      let offset = sca.length;
+      if (buf.length < offset + 1) {
+        throw new Error('The length of the data is insufficient.');
+      }
+      let fo = buf.readUInt8(offset);
+      let mti = fo & 0b00000011;
+      offset += 1;
+
+      let res = { smsc: sca.address || null };
+      let dcs = 0;
+      if (mti === 0) {
+        // TP-OA, TP-PID, TP-DCS, TP-SCTS
+        res.type = 'SMS-DELIVER';
+        let oa = this._parseAddress(buf, offset, false);
+        res.origination = oa.address || null;
+        offset += oa.length;
+        dcs = buf.readUInt8(offset + 1);
+        offset += 2;
+        res.timestamp = this._parseTimestamp(buf, offset);
+        offset += 7;
+      } else if (mti === 1) {
+        // TP-MR, TP-DA, TP-PID, TP-DCS, TP-VP
+        res.type = 'SMS-SUBMIT';
+        res.reference = buf.readUInt8(offset);
+        offset += 1;
+        let da = this._parseAddress(buf, offset, false);
+        res.destination = da.address || null;
+        offset += da.length;
+        dcs = buf.readUInt8(offset + 1);
+        offset += 2 + this._getVpLength(fo);
+      } else {
+        throw new Error('The message type is not supported: MTI=' + mti);
+      }
+
+      let udl = buf.readUInt8(offset);
+      let ud = this._parseUserData(buf.slice(offset + 1), udl, dcs, (fo & 0b01000000) ? true : false);
+      return Object.assign(res, ud);
+    } catch (error) {
+      return { error: error };
+    }
+  }
+
+  /* ------------------------------------------------------------------
+  * getMessageType(data)
+  * - Get the message type of a PDU received from the SMSC
+  *
+  * [Arguments]
+  * - data | String | Required | HEX string of a PDU (with the SCA)
+  *
+  * [Returen value]
+  * - "SMS-DELIVER", "SMS-SUBMIT", "SMS-STATUS-REPORT", or `null`
+  * ---------------------------------------------------------------- */
+  getMessageType(data) {
+    let buf = this._hexToBuffer(data);
+    if (!buf) {
+      return null;
+    }
+    let offset = this._getTpduOffset(buf);
+    if (buf.length <= offset) {
+      return null;
+    }
+    let mti = buf.readUInt8(offset) & 0b00000011;
+    return ['SMS-DELIVER', 'SMS-SUBMIT', 'SMS-STATUS-REPORT'][mti] || null;
+  }
+
+  /* ------------------------------------------------------------------
+  * parseStatusReport(data)
+  * - Parse a SMS-STATUS-REPORT PDU (3GPP TS 23.040 subclause 9.2.2.3)
+  *
+  * [Arguments]
+  * - data | String | Required | HEX string of a PDU (with the SCA)
+  *
+  * [Returen value]
+  * - If the `data` is not a SMS-STATUS-REPORT PDU, an object containing
+  *   the `error` property is returned.
+  *   {
+  *     "smsc": "+8190000000000",
+  *     "type": "SMS-STATUS-REPORT",
+  *     "reference": 12,  // TP-MR of the SMS-SUBMIT
+  *     "recipient": "09000000000",
+  *     "timestamp": "2020-04-11T10:00:00+09:00", // Time the SMSC received the message
+  *     "dischargeTime": "2020-04-11T10:00:05+09:00", // Time of the delivery (or the failure)
+  *     "status": 0,  // TP-ST
+  *     "delivered": true, // The message was delivered to the recipient
+  *     "final": true // The SMSC has stopped trying to deliver the message
+  *   }
+  * ---------------------------------------------------------------- */
+  parseStatusReport(data) {
+    let buf = this._hexToBuffer(data);
+    if (!buf) {
+      return { error: new Error('The `data` must be hexadecimal representation.') };
+    }
+
+    try {
+      let sca = this._parseAddress(buf, 0, true);
+      let offset = sca.length;
+
+      let first_octet = buf.readUInt8(offset);
+      if ((first_octet & 0b00000011) !== 0b10) {
+        throw new Error('The PDU is not a SMS-STATUS-REPORT.');
+      }
+      offset += 1;
+
+      // TP-MR: Message Reference
+      let mr = buf.readUInt8(offset);
+      offset += 1;
+
+      // TP-RA: Recipient Address
+      let ra = this._parseAddress(buf, offset, false);
+      offset += ra.length;
+
+      // TP-SCTS: Service Centre Time Stamp
+      let scts = this._parseTimestamp(buf, offset);
+      offset += 7;
+
+      // TP-DT: Discharge Time
+      let dt = this._parseTimestamp(buf, offset);
+      offset += 7;
+
+      // TP-ST: Status
+      if (buf.length < offset + 1) {
+        throw new Error('The length of the data is insufficient.');
+      }
+      let status = buf.readUInt8(offset);
+
+      return {
+        smsc: sca.address || null,
+        type: 'SMS-STATUS-REPORT',
+        reference: mr,
+        recipient: ra.address || null,
+        timestamp: scts,
+        dischargeTime: dt,
+        status: status,
+        delivered: this.isDelivered(status),
+        final: this.isFinalStatus(status)
+      };
+    } catch (error) {
+      return { error: error };
+    }
+  }
+
+  /* ------------------------------------------------------------------
+  * isDelivered(status)
+  * - Check if the TP-ST means that the message was delivered
+  * - 0x00 - 0x1F: Short message transaction completed
+  * ---------------------------------------------------------------- */
+  isDelivered(status) {
+    return (status >= 0x00 && status <= 0x1F) ? true : false;
+  }
+
+  /* ------------------------------------------------------------------
+  * isFinalStatus(status)
+  * - Check if the TP-ST is the final status of the message
+  * - 0x20 - 0x3F: Temporary error, the SMSC is still trying to
+  *   transfer the message. Another status report will follow.
+  * ---------------------------------------------------------------- */
+  isFinalStatus(status) {
+    return (status >= 0x20 && status <= 0x3F) ? false : true;
+  }
+
+  _hexToBuffer(data) {
+    if (typeof (data) !== 'string' || data.length === 0 ||
+      data.length % 2 !== 0 || /^[a-fA-F0-9]+$/.test(data) === false) {
+      return null;
+    }
+    return Buffer.from(data, 'hex');
+  }
+
+  // Offset of the TPDU (the length of the SCA field)
+  _getTpduOffset(buf) {
+    return buf.readUInt8(0) + 1;
+  }
+
+  // Length of the TP-VP indicated by the TP-VPF of a SMS-SUBMIT
+  _getVpLength(fo) {
+    return [0, 7, 1, 7][(fo >>> 3) & 0b11];
+  }
+
+  // Character set indicated by the TP-DCS ("gsm7", "8bit", or "ucs2")
+  _getCharset(dcs) {
+    let group = dcs >>> 4;
+    if (group <= 0b0111) {
+      if (dcs & 0b00100000) {
+        return '8bit'; // Compressed
+      }
+      return ['gsm7', '8bit', 'ucs2', 'gsm7'][(dcs >>> 2) & 0b11];
+    } else if (group === 0b1111) {
+      return (dcs & 0b00000100) ? '8bit' : 'gsm7';
+    } else if (group === 0b1110) {
+      return 'ucs2'; // Message waiting indication group: store message (UCS2)
+    }
+    return 'gsm7';
+  }
+
+  // Parse the TP-UD
+  // - buf: The TP-UD (following the TP-UDL)
+  _parseUserData(buf, udl, dcs, udhi) {
+    let charset = this._getCharset(dcs);
+    let ud_len = (charset === 'gsm7') ? Math.ceil(udl * 7 / 8) : udl;
+    if (buf.length < ud_len) {
+      throw new Error('The length of the data is insufficient.');
+    }
+    buf = buf.slice(0, ud_len);
+
+    let res = {
+      concat: null,
+      ports: null,
+      udh: null,
+      text: null,
+      data: null
+    };
+
+    let udh_len = 0;
+    if (udhi && buf.length > 0) {
+      udh_len = buf.readUInt8(0) + 1;
+      if (buf.length < udh_len) {
+        throw new Error('The length of the data is insufficient.');
+      }
+      res.udh = Buffer.from(buf.slice(0, udh_len));
+      this._parseUdhElements(res.udh, res);
+    }
+
+    if (charset === 'gsm7') {
+      res.text = Gsm7Utils.decode(buf, udh_len, udl);
+    } else if (charset === 'ucs2') {
+      let ucs2 = Buffer.from(buf.slice(udh_len));
+      res.text = ucs2.slice(0, ucs2.length - (ucs2.length % 2)).swap16().toString('utf16le');
+    } else {
+      res.data = Buffer.from(buf.slice(udh_len));
+    }
+    return res;
+  }
+
+  // Parse the information elements in the UDH (3GPP TS 23.040 9.2.3.24)
+  _parseUdhElements(udh, res) {
+    let offset = 1;
+    while (offset + 2 <= udh.length) {
+      let iei = udh.readUInt8(offset);
+      let len = udh.readUInt8(offset + 1);
+      let ie = udh.slice(offset + 2, offset + 2 + len);
+      offset += 2 + len;
+      if (ie.length < len) {
+        break;
+      }
+      if (iei === 0x00 && len === 3) {
+        // Concatenated short messages, 8-bit reference number
+        res.concat = { reference: ie.readUInt8(0), total: ie.readUInt8(1), sequence: ie.readUInt8(2) };
+      } else if (iei === 0x08 && len === 4) {
+        // Concatenated short messages, 16-bit reference number
+        res.concat = { reference: ie.readUInt16BE(0), total: ie.readUInt8(2), sequence: ie.readUInt8(3) };
+      } else if (iei === 0x04 && len === 2) {
+        // Application port addressing scheme, 8 bit address
+        res.ports = { source: ie.readUInt8(1), destination: ie.readUInt8(0) };
+      } else if (iei === 0x05 && len === 4) {
+        // Application port addressing scheme, 16 bit address
+        res.ports = { source: ie.readUInt16BE(2), destination: ie.readUInt16BE(0) };
+      }
+    }
+  }
+
+  // Parse an address field
+  // - The length of the SCA is represented in octets, while the length
+  //   of the other addresses is represented in digits.
+  _parseAddress(buf, offset, is_sca) {
+    if (buf.length < offset + 1) {
+      throw new Error('The length of the data is insufficient.');
+    }
+    let n = buf.readUInt8(offset);
+    let len = is_sca ? (n + 1) : (Math.ceil(n / 2) + 2);
+    if (n === 0) {
+      return { length: is_sca ? 1 : 2, address: '' };
+    }
+    if (buf.length < offset + len) {
+      throw new Error('The length of the data is insufficient.');
+    }
+
+    let type = buf.readUInt8(offset + 1);
+    if (!is_sca && ((type & 0b01110000) >>> 4) === 0b101) {
+      // Alphanumeric (GSM 7-bit default alphabet)
+      // The length is the number of the semi-octets
+      return { length: len, address: Gsm7Utils.decode(buf.slice(offset + 2, offset + len), 0, Math.floor(n * 4 / 7)) };
+    }
+    let address = '';
+    for (let i = offset + 2; i < offset + len; i++) {
+      let hex = buf.slice(i, i + 1).toString('hex');
+      address += hex.substring(1, 2);
+      address += hex.substring(0, 1);
+    }
+    address = address.replace(/f$/i, '');
+    if (((type & 0b01110000) >>> 4) === 0b001) {
+      address = '+' + address;
+    }
+    return { length: len, address: address };
+  }
+
+  // Parse a time stamp (7 octets of semi-octets)
+  // - If the `future` is `true` (e.g., an absolute validity period), the
+  //   year is always regarded as 20xx.
+  _parseTimestamp(buf, offset, future) {
+    if (buf.length < offset + 7) {
+      throw new Error('The length of the data is insufficient.');
+    }
+    let digits = [];
+    for (let i = 0; i < 7; i++) {
+      let hex = buf.slice(offset + i, offset + i + 1).toString('hex');
+      digits.push(hex.substring(1, 2) + hex.substring(0, 1));
+    }
+
+    let Y = parseInt(digits[0], 10);
+    Y += (!future && Y > (new Date()).getFullYear() % 100) ? 1900 : 2000;
+
+    // The bit 3 of the time zone octet represents the sign
+    let tz_octet = buf.readUInt8(offset + 6);
+    let tz_sign = (tz_octet & 0b00001000) ? '-' : '+';
+    let tz_val = ((tz_octet & 0b00000111) * 10) + (tz_octet >>> 4);
+    let tz_mins = tz_val * 15;
+    let tz_h = ('0' + Math.floor(tz_mins / 60)).slice(-2);
+    let tz_m = ('0' + (tz_mins % 60)).slice(-2);
+
+    let date = [Y, digits[1], digits[2]].join('-');
+    let time = [digits[3], digits[4], digits[5]].join(':');
+    return date + 'T' + time + tz_sign + tz_h + ':' + tz_m;
+  }
+}
+
+module.exports = new SmsPduUtils();
@@ -0,0 +1,342 @@
+/* ------------------------------------------------------------------
+* node-sms-transceiver - sms-transceiver-pool.js
+*
+* Copyright (c) 2020, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2020-04-11
+* ---------------------------------------------------------------- */
+'use strict';
+const EventEmitter = require('events');
+const ValExp = require('node-oas-valexp');
+const mAtErrors = require('./at-errors.js');
+
+// Error codes which mean that the modem (not the message) is unavailable,
+// so the message may be sent through another modem.
+// - Busy, SIM, SMSC and network service failures
+const FAILOVER_CMS_ERROR_CODES = [212, 300, 301, 310, 311, 313, 314, 330, 331, 332];
+const FAILOVER_CME_ERROR_CODES = [10, 11, 13, 14, 30, 31];
+
+class SmsTransceiverPool extends EventEmitter {
+  /* ------------------------------------------------------------------
+  * Constructor
+  * - A pool of `SmsTransceiver` objects which sends messages through
+  *   one of the modems and merges the incoming messages of all modems.
+  *
+  * [Arguments]
+  * - options     | Object  | Optional |
+  *   - strategy  | String  | Optional | How the modem sending a message is selected:
+  *               |         |          | - "round-robin": In turn (default)
+  *               |         |          | - "least-recently-used": The modem which has
+  *               |         |          |   not sent a message for the longest time
+  *               |         |          | - "operator": The modem registered to the
+  *               |         |          |   operator specified in the `routes`
+  *   - routes    | Array   | Optional | Routing rules for the "operator" strategy.
+  *               |         |          | The first rule matching the destination is applied.
+  *     - pattern | RegExp  | Required | Pattern of the destination phone number
+  *     - mcc     | Integer | Required | Mobile country code of the operator
+  *     - mnc     | Integer | Required | Mobile network code of the operator
+  * ---------------------------------------------------------------- */
+  constructor(options = {}) {
+    super();
+
+    let valexp_options = new ValExp({
+      name: 'options',
+      schema: {
+        type: 'object',
+        properties: {
+          strategy: {
+            type: 'string',
+            enum: ['round-robin', 'least-recently-used', 'operator'],
+            default: 'round-robin'
+          }
+        }
+      }
+    });
+    let valexp_options_res = valexp_options.exec(options);
+    if (!valexp_options_res) {
+      throw valexp_options.error;
+    }
+
+    let routes = (options && typeof (options) === 'object' && options.routes) ? options.routes : [];
+    if (!Array.isArray(routes)) {
+      throw new Error('The `routes` must be an array.');
+    }
+    for (let route of routes) {
+      if (!route || !(route.pattern instanceof RegExp)) {
+        throw new Error('The `pattern` of a route must be a RegExp object.');
+      }
+      if (!Number.isInteger(route.mcc) || !Number.isInteger(route.mnc)) {
+        throw new Error('The `mcc` and the `mnc` of a route must be integers.');
+      }
+    }
+
+    this._strategy = valexp_options_res[0].strategy;
+    this._routes = routes;
+    // Members keyed by the name
+    // - transceiver | SmsTransceiver object
+    // - operator    | `{ mcc, mnc }` reported by the `getNetworkInfo()`, or `null`
+    // - lastUsed    | Time when the member sent a message last (msec)
+    // - listeners   | Event listeners attached to the transceiver
+    this._members = {};
+    this._rr_index = 0;
+  }
+
+  get strategy() {
+    return this._strategy;
+  }
+
+  // Names of the members
+  get members() {
+    return Object.keys(this._members);
+  }
+
+  /* ------------------------------------------------------------------
+  * add(name, transceiver)
+  * - Add a `SmsTransceiver` object to the pool
+  *
+  * [Arguments]
+  * - name        | String         | Required | Name of the member (e.g., "modem1")
+  * - transceiver | SmsTransceiver | Required | `SmsTransceiver` object
+  * ---------------------------------------------------------------- */
+  add(name, transceiver) {
+    let valexp_name = new ValExp({
+      name: 'name',
+      required: true,
+      schema: { type: 'string', minLength: 1 }
+    });
+    if (!valexp_name.test(name)) {
+      throw valexp_name.error;
+    }
+    if (this._members[name]) {
+      throw new Error('The `name` has already been added: ' + name);
+    }
+    if (!(transceiver instanceof EventEmitter) || typeof (transceiver.sendMessage) !== 'function') {
+      throw new Error('The `transceiver` must be a `SmsTransceiver` object.');
+    }
+
+    let member = {
+      name: name,
+      transceiver: transceiver,
+      operator: null,
+      lastUsed: 0,
+      listeners: {
+        'sms-message': (message) => {
+          this.emit('sms-message', message, name);
+        },
+        'delivery-report': (report) => {
+          this.emit('delivery-report', report, name);
+        },
+        'reconnected': () => {
+          // The SIM may have been registered to another operator
+          this._updateOperator(member);
+        }
+      }
+    };
+    for (let [event, listener] of Object.entries(member.listeners)) {
+      transceiver.on(event, listener);
+    }
+    this._members[name] = member;
+    // The transceiver may have been opened already
+    this._updateOperator(member);
+  }
+
+  /* ------------------------------------------------------------------
+  * remove(name)
+  * - Remove a `SmsTransceiver` object from the pool
+  * - The `SmsTransceiver` object is not closed.
+  *
+  * [Arguments]
+  * - name | String | Required | Name of the member
+  *
+  * [Returen value]
+  * - The `SmsTransceiver` object removed, or `null` if not found
+  * ---------------------------------------------------------------- */
+  remove(name) {
+    let member = this._members[name];
+    if (!member) {
+      return null;
+    }
+    for (let [event, listener] of Object.entries(member.listeners)) {
+      member.transceiver.removeListener(event, listener);
+    }
+    delete this._members[name];
+    return member.transceiver;
+  }
+
+  /* ------------------------------------------------------------------
+  * get(name)
+  * - Get the `SmsTransceiver` object of the member
+  *
+  * [Returen value]
+  * - `SmsTransceiver` object, or `null` if not found
+  * ---------------------------------------------------------------- */
+  get(name) {
+    let member = this._members[name];
+    return member ? member.transceiver : null;
+  }
+
+  /* ------------------------------------------------------------------
+  * open(options)
+  * - Open all members and retrieve the operators they are registered to
+  *
+  * [Arguments]
+  * - options | Object | Optional | Passed to the `open()` of every member
+  *
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  open(options) {
+    return (async () => {
+      for (let member of Object.values(this._members)) {
+        await member.transceiver.open(options);
+        await this._updateOperator(member);
+      }
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * close()
+  * - Close all members
+  *
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  close() {
+    return (async () => {
+      for (let member of Object.values(this._members)) {
+        await member.transceiver.close();
+      }
+    })();
+  }
+
+  _updateOperator(member) {
+    return (async () => {
+      try {
+        let info = await member.transceiver.getNetworkInfo();
+        let oper = info.operator || {};
+        member.operator = (Number.isInteger(oper.mcc) && Number.isInteger(oper.mnc)) ?
+          { mcc: oper.mcc, mnc: oper.mnc } : null;
+      } catch (error) {
+        member.operator = null;
+      }
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * sendMessage(destination, text, options)
+  * - Send a message through one of the members
+  * - If the member fails to send the message because of the link, a
+  *   timeout or the modem being unavailable, the next member is tried.
+  *   A message is never sent again once any segment has been accepted
+  *   (See the `_isFailoverError()`).
+  *
+  * [Arguments]
+  * - destination | String | Required | Destination phone number
+  * - text        | String | Required | Message text
+  * - options     | Object | Optional | Passed to the `sendMessage()` of the member
+  *
+  * [Returen value]
+  * - Promise object
+  * - The result of the `sendMessage()` of the member with the `modem`
+  *   property (name of the member) will be passed to the `resolve()`:
+  *   { "modem": "modem1", "references": [12] }
+  * - If all members fail, or the error is not the one described above,
+  *   the error of the last member tried is passed to the `reject()`.
+  * ---------------------------------------------------------------- */
+  sendMessage(destination, text, options) {
+    return (async () => {
+      let candidates = this._getCandidates(destination);
+      if (candidates.length === 0) {
+        throw new Error('No modem is available in the pool.');
+      }
+
+      let last_error = null;
+      for (let i = 0; i < candidates.length; i++) {
+        let member = candidates[i];
+        member.lastUsed = Date.now();
+        try {
+          let res = await member.transceiver.sendMessage(destination, text, options);
+          return Object.assign({ modem: member.name }, res);
+        } catch (error) {
+          last_error = error;
+          if (!this._isFailoverError(error)) {
+            break;
+          }
+          if (i < candidates.length - 1) {
+            this.emit('failover', {
+              modem: member.name,
+              next: candidates[i + 1].name,
+              error: error
+            });
+          }
+        }
+      }
+      throw last_error;
+    })();
+  }
+
+  // Check if the message can be sent through another member after the error
+  // - The `references` is set by the `sendMessage()` of the `SmsTransceiver`
+  //   if some segments were accepted before the error. Sending the message
+  //   again would deliver those segments twice.
+  _isFailoverError(error) {
+    if (!error) {
+      return false;
+    }
+    if (Array.isArray(error.references) && error.references.length > 0) {
+      return false;
+    }
+    if (error instanceof mAtErrors.TimeoutError) {
+      return true;
+    }
+    if (error instanceof mAtErrors.CmsError) {
+      return FAILOVER_CMS_ERROR_CODES.includes(error.code);
+    }
+    if (error instanceof mAtErrors.CmeError) {
+      return FAILOVER_CME_ERROR_CODES.includes(error.code);
+    }
+    // The link is down or the modem is busy with another command
+    return /^The serial port is (closed|not open)|^The previous command has been active/.test(error.message);
+  }
+
+  // List the members in the order to be tried for the `destination`
+  _getCandidates(destination) {
+    let members = Object.values(this._members);
+    if (members.length === 0) {
+      return [];
+    }
+
+    if (this._strategy === 'least-recently-used') {
+      return members.slice().sort((a, b) => {
+        return a.lastUsed - b.lastUsed;
+      });
+    }
+
+    // Round-robin
+    let start = this._rr_index % members.length;
+    this._rr_index = start + 1;
+    let list = members.slice(start).concat(members.slice(0, start));
+
+    if (this._strategy === 'operator') {
+      // The members registered to the operator of the route come first.
+      // The others follow as the fallback.
+      let route = this._routes.find((r) => {
+        return r.pattern.test(destination);
+      });
+      if (route) {
+        let matched = list.filter((m) => {
+          return m.operator && m.operator.mcc === route.mcc && m.operator.mnc === route.mnc;
+        });
+        let others = list.filter((m) => {
+          return matched.indexOf(m) < 0;
+        });
+        list = matched.concat(others);
+      }
+    }
+    return list;
+  }
+}
+
+module.exports = SmsTransceiverPool;
@@ -10,36 +10,219 @@ const EventEmitter = require('events');
 const ValExp = require('node-oas-valexp');
 const SmsPdu = require('node-sms-pdu');
 const SmsModem = require('./sms-modem.js');
+const mTransport = require('./transport.js');
 const OpenCellid = require('./open-cellid.js');
+const mAtErrors = require('./at-errors.js');
+const SmsPduUtils = require('./sms-pdu-utils.js');
+const mProfiles = require('./modem-profiles.js');
+const PhonebookUtils = require('./phonebook-utils.js');
+const UssdUtils = require('./ussd-utils.js');
+const CbsPduUtils = require('./cbs-pdu-utils.js');
+const RegistrationUtils = require('./registration-utils.js');
+const mApnPresets = require('./apn-presets.js');
 
 class SmsTransceiver extends EventEmitter {
   /* ------------------------------------------------------------------
   * Constructor
   *	
   * [Arguments]
-  * - path       | String  | Required | System path of the serial port (e.g., "/dev/ttyMODEM0")
-  * - options    | Object  | Optional |
-  *   - baudRate | Integer | Optional | Baud rate. The Default is 115200.
+  * - path                   | String   | Required | One of the followings:
+  *                          | Object   |          | - System path of the serial port (e.g., "/dev/ttyMODEM0")
+  *                          | Function |          | - TCP URL (e.g., "tcp://192.168.1.10:3001")
+  *                          |          |          | - Path of the Unix domain socket (e.g., "unix:/var/run/modem.sock")
+  *                          |          |          | - `Duplex` stream object
+  *                          |          |          | - Function which returns a `Duplex` stream object
+  * - options                | Object   | Optional |
+  *   - baudRate             | Integer  | Optional | Baud rate. The Default is 115200.
+  *                          |          |          | This is applied only to the serial port.
+  *   - autoReconnect        | Boolean  | Optional | If `true`, the connection is re-established
+  *                          |          |          | automatically when it is lost. The default is `false`.
+  *   - reconnectInterval    | Integer  | Optional | Initial interval of the reconnect attempts in msec.
+  *                          |          |          | The interval is doubled after every failed attempt.
+  *                          |          |          | The default is 1000.
+  *   - reconnectMaxInterval | Integer  | Optional | Maximum interval of the reconnect attempts in msec.
+  *                          |          |          | The default is 30000.
+  *   - holdCommands         | Boolean  | Optional | If `true`, commands issued while reconnecting are
+  *                          |          |          | held until the connection is re-established.
+  *                          |          |          | Otherwise, they are rejected immediately.
+  *                          |          |          | The default is `false`.
+  *   - callPollInterval     | Integer  | Optional | Interval in msec of `AT+CLCC` executed
+  *                          |          |          | while a call exists. The default is 1000.
+  *   - profile              | String   | Optional | Name of the modem profile (e.g., "quectel")
+  *                          | Object   |          | or a profile object. If not specified,
+  *                          |          |          | the profile is selected automatically
+  *                          |          |          | from the responses of `AT+CGMI` and `AT+CGMM`.
+  *   - select               | Object   | Optional | Criteria to select the port automatically.
+  *                          |          |          | If this is specified, the `path` must be `null`.
+  *                          |          |          | The port is searched using the `discover()`
+  *                          |          |          | when the `open()` is called.
+  *     - imei               | String   | Optional | IMEI of the modem (response of `AT+CGSN`)
+  *     - model              | String   | Optional | Model of the modem (response of `AT+CGMM`)
+  *                          | RegExp   |          |
+  *     - ports              | Array    | Optional | See the `discover()`
+  *     - baudRates          | Array    | Optional | See the `discover()`
+  *     - timeout            | Integer  | Optional | See the `discover()`
   * ---------------------------------------------------------------- */
-  constructor(path, options) {
+  constructor(path, options = {}) {
     super();
-    this._modem = new SmsModem(path, options);
+
+    // Check the `options`
+    let valexp_options = new ValExp({
+      name: 'options',
+      schema: {
+        type: 'object',
+        properties: {
+          autoReconnect: { type: 'boolean', default: false },
+          reconnectInterval: { type: 'integer', minimum: 1, default: 1000 },
+          reconnectMaxInterval: { type: 'integer', minimum: 1, default: 30000 },
+          holdCommands: { type: 'boolean', default: false },
+          callPollInterval: { type: 'integer', minimum: 1, default: 1000 }
+        }
+      }
+    });
+    let valexp_options_res = valexp_options.exec(options);
+    if (!valexp_options_res) {
+      throw valexp_options.error;
+    }
+    let opts = valexp_options_res[0];
+
+    // Check the `profile`
+    let profile = (options && typeof (options) === 'object') ? options.profile : undefined;
+    if (profile !== undefined) {
+      if (typeof (profile) === 'string') {
+        if (!mProfiles.getProfile(profile)) {
+          throw new Error('The `profile` is unknown: ' + profile);
+        }
+      } else if (!profile || typeof (profile) !== 'object') {
+        throw new Error('The `profile` must be a string or an object.');
+      }
+    }
+
+    // Check the `select`
+    let select = (options && typeof (options) === 'object') ? options.select : undefined;
+    if (select !== undefined) {
+      if (!select || typeof (select) !== 'object') {
+        throw new Error('The `select` must be an object.');
+      }
+      if (path !== null && path !== undefined) {
+        throw new Error('The `path` must be `null` if the `select` is specified.');
+      }
+      if ('imei' in select && (typeof (select.imei) !== 'string' || !/^\d+$/.test(select.imei))) {
+        throw new Error('The `imei` of the `select` must be a string consisting of digits.');
+      }
+      if ('model' in select && typeof (select.model) !== 'string' && !(select.model instanceof RegExp)) {
+        throw new Error('The `model` of the `select` must be a string or a RegExp object.');
+      }
+    }
+
+    let modem_options = {};
+    if ('baudRate' in options) {
+      modem_options.baudRate = options.baudRate;
+    }
+    // If the `select` is specified, the modem object is created when
+    // the port is found in the `open()`.
+    this._modem = select ? null : new SmsModem(path, modem_options);
+    this._select = select || null;
     this._concat = true;
     this._event_concat_messages = {};
+    this._event_cb_messages = {};
+    // Keys of the cell broadcast messages reported recently, which are
+    // used to ignore the repeated broadcasts of the same messages
+    this._recent_cb_messages = [];
+
+    // Auto reconnect
+    this._auto_reconnect = opts.autoReconnect;
+    this._reconnect_interval = opts.reconnectInterval;
+    this._reconnect_max_interval = Math.max(opts.reconnectMaxInterval, opts.reconnectInterval);
+    this._hold_commands = opts.holdCommands;
+    this._listening = false;
+    this._closing = false;
+    this._reconnecting = false;
+    this._held_commands = [];
+
+    // Modem profile
+    this._profile_option = profile;
+    this._profile = mProfiles.getProfile('generic');
+
+    // `AT+CPMS` command sent by the `setMessageStorage()`,
+    // which is replayed when the connection is re-established
+    this._cpms_command = null;
+
+    // `AT+CNMI` command selected by the `open()`
+    this._cnmi_command = null;
+    // `AT+CSCB` command sent by the `setCellBroadcastChannels()`,
+    // which is replayed when the connection is re-established
+    this._cscb_command = null;
+    this._cb_enabled = false;
+
+    // Latest registration status of each domain
+    this._registration = { cs: null, ps: null, eps: null };
+    // Whether the `startRegistrationMonitoring()` was called
+    this._registration_monitoring = false;
+
+    // Messages sent with a status report request, keyed by the TP-MR
+    this._status_report_messages = {};
+    // Reference number of the concatenated binary messages
+    this._concat_reference = 0;
+
+    // How incoming messages are indicated ("storage" or "direct")
+    this._receive_mode = 'storage';
+    // Whether messages routed directly must be acknowledged with `AT+CNMA`
+    this._cnma_required = false;
+
+    // PIN of the SIM specified to the `open()`
+    this._pin = null;
+    // Whether the configurations for messaging have been done
+    // (They are postponed while the SIM is locked)
+    this._messaging_ready = false;
+
+    // Phonebook storage selected by the `setPhonebookStorage()`
+    this._phonebook_storage = null;
+    // Whether the `sms-message` events are enriched with the contact
+    this._contact_lookup = false;
+    // Entries of the phonebook used for the contact lookup
+    this._phonebook_cache = null;
+
+    // USSD request waiting for the reply (`{ resolve, reject, timer }`)
+    this._ussd_request = null;
+    // Whether the network is waiting for a reply in the USSD session
+    this._ussd_active = false;
+
+    // Calls tracked with `AT+CLCC`
+    this._calls = [];
+    this._call_poll_interval = opts.callPollInterval;
+    this._call_poll_timer = null;
+    this._call_polling = false;
+    this._call_poll_requested = false;
+
+    // Signal monitor started by the `startSignalMonitor()`
+    // (`{ interval, historySize, minChange, thresholds, timer }`)
+    this._signal_monitor = null;
+    this._signal_sampling = false;
+    this._signal_history = [];
   }
 
   get path() {
-    return this._modem.path;
+    return this._modem ? this._modem.path : null;
   }
 
   get baudRate() {
-    return this._modem.baudRate;
+    return this._modem ? this._modem.baudRate : null;
+  }
+
+  get transport() {
+    return this._modem ? this._modem.transport : null;
   }
 
   get concat() {
     return this._concat;
   }
 
+  // Name of the modem profile in use
+  get profile() {
+    return this._profile.name;
+  }
+
   set concat(flag) {
     let valexp = new ValExp({
       name: 'concat',
@@ -53,6 +236,31 @@ class SmsTransceiver extends EventEmitter {
     }
   }
 
+  // Samples taken by the signal monitor (copies)
+  get signalHistory() {
+    return this._signal_history.map((sample) => {
+      return Object.assign({}, sample, { low: sample.low.slice() });
+    });
+  }
+
+  get contactLookup() {
+    return this._contact_lookup;
+  }
+
+  set contactLookup(flag) {
+    let valexp = new ValExp({
+      name: 'contactLookup',
+      required: true,
+      schema: { type: 'boolean' }
+    });
+    if (valexp.test(flag)) {
+      this._contact_lookup = flag;
+      this._phonebook_cache = null;
+    } else {
+      throw valexp.error;
+    }
+  }
+
   /* ------------------------------------------------------------------
   * wait(msec) {
   * - Wait for the specified time (msec)
@@ -80,193 +288,1012 @@ class SmsTransceiver extends EventEmitter {
   }
 
   /* ------------------------------------------------------------------
-  * open()
+  * open(options)
   * - Opens the serial port and sets the configurations
   *
   * [Arguments]
-  * - None
+  * - options       | Object | Optional |
+  *   - receiveMode | String | Optional | How incoming messages are indicated:
+  *                 |        |          | - "storage": Messages are stored in the storage
+  *                 |        |          |   and indicated with `+CMTI` (default)
+  *                 |        |          | - "direct": Messages are routed directly with
+  *                 |        |          |   `+CMT` without being stored
+  *   - pin         | String | Optional | PIN of the SIM. If the SIM is locked, it is
+  *                 |        |          | unlocked with the PIN automatically. If only
+  *                 |        |          | one attempt is left, it is not entered and
+  *                 |        |          | an error is thrown.
   * 
   * [Returen value]
   * - Promise object
   * - Nothing will be passed to the `resolve()`.
   * ---------------------------------------------------------------- */
-  open() {
+  open(options = {}) {
     return (async () => {
-      if (this._modem.isOpen === true) {
+      if (this._modem && this._modem.isOpen === true) {
         return;
       }
 
-      this._modem.once('serial-open', () => {
-        this.emit('serial-open');
+      // Check the `options`
+      let valexp_options = new ValExp({
+        name: 'options',
+        schema: {
+          type: 'object',
+          properties: {
+            receiveMode: { type: 'string', enum: ['storage', 'direct'], default: 'storage' },
+            pin: { type: 'string', pattern: /^\d{4,8}$/ }
+          }
+        }
       });
+      let valexp_options_res = valexp_options.exec(options);
+      if (!valexp_options_res) {
+        throw valexp_options.error;
+      }
+      this._receive_mode = valexp_options_res[0].receiveMode;
+      // The PIN is kept to unlock the SIM again when the connection is re-established
+      this._pin = valexp_options_res[0].pin || null;
 
-      this._modem.once('serial-close', () => {
-        this._modem.removeAllListeners();
-        this.emit('serial-close');
-      });
+      this._closing = false;
+      if (!this._modem) {
+        this._modem = await this._selectPort();
+      }
+      this._attachModemListeners();
+      await this._modem.open();
+      await this._initModem();
+    })();
+  }
 
-      this._modem.on('serial-data', (buf) => {
-        this.emit('serial-data', buf);
+  // Search the port matching the `select` specified to the constructor
+  // and create a `SmsModem` object for the port
+  _selectPort() {
+    return (async () => {
+      let select = this._select;
+      let discover_options = {};
+      for (let k of ['ports', 'baudRates', 'timeout']) {
+        if (k in select) {
+          discover_options[k] = select[k];
+        }
+      }
+      let list = await SmsTransceiver.discover(discover_options);
+      let found = list.find((item) => {
+        let info = item.info;
+        if (select.imei && info.serial.replace(/[^\d]/g, '') !== select.imei) {
+          return false;
+        }
+        if (typeof (select.model) === 'string' && info.model !== select.model) {
+          return false;
+        }
+        if (select.model instanceof RegExp && !select.model.test(info.model)) {
+          return false;
+        }
+        return true;
       });
+      if (!found) {
+        throw new Error('No modem matching the `select` was found.');
+      }
+      let modem_options = (found.transport === 'serial') ? { baudRate: found.baudRate } : {};
+      return new SmsModem(found.path, modem_options);
+    })();
+  }
 
-      this._modem.on('at-command', (cmd) => {
-        this.emit('at-command', cmd);
-      });
+  _attachModemListeners() {
+    if (this._listening) {
+      return;
+    }
+    this._listening = true;
 
-      this._modem.on('at-response', (res) => {
-        this.emit('at-response', res);
-      });
+    this._modem.on('serial-open', () => {
+      this.emit('serial-open');
+    });
 
-      this._modem.on('at-notification', (notification) => {
-        this.emit('at-notification', notification);
-      });
+    this._modem.on('serial-close', () => {
+      this.emit('serial-close');
+      if (this._reconnecting) {
+        return;
+      }
+      if (this._auto_reconnect && !this._closing) {
+        this._reconnect();
+      } else {
+        this._modem.removeAllListeners();
+        this._listening = false;
+      }
+    });
 
-      this._modem.on('sms-message', (notification) => {
-        this._handleSmsMessageEvent(notification);
-      });
+    this._modem.on('serial-data', (buf) => {
+      this.emit('serial-data', buf);
+    });
 
-      await this._modem.open();
+    this._modem.on('at-command', (cmd) => {
+      this.emit('at-command', cmd);
+    });
+
+    this._modem.on('at-response', (res) => {
+      this.emit('at-response', res);
+    });
 
+    this._modem.on('at-notification', (notification) => {
+      this.emit('at-notification', notification);
+      if (/^\+CUSD\:/.test(notification)) {
+        this._handleUssdEvent(notification);
+      } else if (/^(RING$|\+CRING\:|\+CLIP\:)/.test(notification)) {
+        this._handleRingEvent(notification);
+      } else if (/^(NO CARRIER|BUSY|NO ANSWER)$/.test(notification)) {
+        // A call was released
+        this._scheduleCallPoll(0);
+      } else if (/^\+C(G|E)?REG\:/.test(notification)) {
+        this._handleRegistrationEvent(notification);
+      }
+    });
+
+    this._modem.on('sms-message', (notification) => {
+      this._handleSmsMessageEvent(notification);
+    });
+
+    this._modem.on('sms-status-report', (notification) => {
+      this._handleStatusReportEvent(notification);
+    });
+
+    this._modem.on('cb-message', (notification) => {
+      this._handleCbMessageEvent(notification);
+    });
+  }
+
+  // Set the configurations of the modem
+  // - This is called every time the connection is (re-)established.
+  _initModem() {
+    return (async () => {
       let cmd_list = [
         'ATE0', // Command Echo: Disable
         'ATQ0', // Quiet Result Codes: Enable
-        'ATV1', // Response Format: full headers and trailers and verbose format of result codes
-        'ATS0=0', // Number Of Rings To Auto Answer: auto answer disabled
-        'AT+CNMI=2,1,0,0,0', // New Message Indications To Terminal Equipment: Enable indications
-        'AT+CMGF=0' // Message Format: PDU mode
+        'ATV1' // Response Format: full headers and trailers and verbose format of result codes
       ];
       for (let cmd of cmd_list) {
         await this._modem.execCommand(cmd);
       }
+
+      // Select the modem profile
+      this._profile = await this._selectProfile();
+      this._modem.addUrcPrefixes(this._profile.urcPrefixes);
+
+      // Number Of Rings To Auto Answer: auto answer disabled
+      await this._modem.execCommand('ATS0=0');
+
+      // Report Mobile Termination Error: Enable result codes with verbose values.
+      // If the modem does not support it, enable result codes with numeric values.
+      let cmee_res = await this._modem.execCommand('AT+CMEE=2');
+      if (/(^|\n)OK/.test(cmee_res) === false) {
+        await this._modem.execCommand('AT+CMEE=1');
+      }
+
+      // Commands specific to the modem profile
+      for (let cmd of this._profile.initCommands) {
+        await this._modem.execCommand(cmd);
+      }
+
+      // Unlock the SIM if the PIN was specified to the `open()`.
+      // While the SIM is locked, the configurations for messaging are
+      // postponed until the SIM is unlocked by the `unlockSim()` or
+      // the `unlockWithPuk()`.
+      let sim_status = await this._readSimStatus();
+      if (sim_status === 'SIM PIN' && this._pin) {
+        sim_status = await this._autoUnlockSim(this._pin);
+      }
+      this._messaging_ready = false;
+      this._phonebook_cache = null;
+      this._registration = { cs: null, ps: null, eps: null };
+      if (!this._isSimLocked(sim_status)) {
+        await this._initMessaging();
+      }
     })();
   }
 
-  _handleSmsMessageEvent(notification) {
-    (async () => {
-      let index = notification.index;
-      let msg = await this._readMessage(index);
-      if (!msg.concat || this._concat === false) {
-        this.emit('sms-message', msg);
-        return;
+  // Set the configurations which require the SIM
+  // (messaging, cell broadcast, USSD, caller ID, and registration monitoring)
+  _initMessaging() {
+    return (async () => {
+      // Message Format: PDU mode
+      await this._modem.execCommand('AT+CMGF=0');
+
+      // New Message Indications To Terminal Equipment: Enable indications
+      // - Incoming messages are stored and indicated (`+CMTI`), or routed
+      //   to the TE directly (`+CMT`) depending on the `receiveMode`.
+      // - Status reports are routed to the TE directly (`+CDS`). If the
+      //   modem does not support it, they are stored and indicated (`+CDSI`).
+      //   If the modem supports neither, status reports are not indicated.
+      // - The candidates of the parameters depend on the modem profile.
+      let mt = (this._receive_mode === 'direct') ? 2 : 1;
+      let cnmi_list = this._profile.cnmi.map((params) => {
+        return 'AT+CNMI=' + params.replace('{mt}', mt);
+      });
+      let cnmi_ok = false;
+      let cnmi_res = '';
+      this._cnmi_command = null;
+      for (let cmd of cnmi_list) {
+        cnmi_res = await this._modem.execCommand(cmd);
+        if (/(^|\n)OK/.test(cnmi_res) === true) {
+          cnmi_ok = true;
+          this._cnmi_command = cmd;
+          break;
+        }
+      }
+      if (!cnmi_ok && this._receive_mode === 'direct') {
+        throw this._createError(cnmi_list[cnmi_list.length - 1], cnmi_res);
       }
 
-      let key = [
-        msg.type,
-        msg.from || msg.to,
-        msg.concat.reference,
-        msg.concat.total
-      ].join('-');
+      // Select Message Service: Messages routed directly must be
+      // acknowledged with `AT+CNMA` if the service is 1 (Phase 2+).
+      this._cnma_required = false;
+      if (this._receive_mode === 'direct') {
+        let csms_res = await this._modem.execCommand('AT+CSMS?');
+        let m = csms_res.match(/(^|\n)\+CSMS\:\s*(\d+)/);
+        if (m && m[2] === '1') {
+          this._cnma_required = true;
+        }
+      }
 
-      if (!(key in this._event_concat_messages)) {
-        let texts = [];
-        let indexes = [];
+      // Restore the preferred message storage selected by the `setMessageStorage()`
+      if (this._cpms_command) {
+        let cpms_res = await this._modem.execCommand(this._cpms_command);
+        if (/(^|\n)OK/.test(cpms_res) === false) {
+          throw this._createError(this._cpms_command, cpms_res);
+        }
+      }
 
-        for (let i = 0; i < msg.concat.total; i++) {
-          indexes.push(undefined);
-          texts.push(undefined);
+      // Restore the cell broadcast channels selected by the `setCellBroadcastChannels()`
+      if (this._cscb_command) {
+        let cscb_res = await this._modem.execCommand(this._cscb_command);
+        if (/(^|\n)OK/.test(cscb_res) === false) {
+          throw this._createError(this._cscb_command, cscb_res);
         }
+        if (this._cb_enabled) {
+          await this._applyCellBroadcastIndication((cmd) => {
+            return this._modem.execCommand(cmd);
+          });
+        }
+      }
 
-        this._event_concat_messages[key] = {
-          indexes: indexes,
-          texts: texts,
-          message: msg,
-          total: msg.concat.total,
-          num: 0
-        };
+      // Unstructured Supplementary Service Data: Enable the result code
+      // presentation, so that network-initiated USSD is reported (`+CUSD`).
+      // The result is ignored because some modems reject it until they
+      // are registered to the network.
+      await this._modem.execCommand('AT+CUSD=1');
+
+      // Calling Line Identification Presentation: Enable (`+CLIP` follows `RING`)
+      await this._modem.execCommand('AT+CLIP=1');
+
+      // Restore the monitoring started by the `startRegistrationMonitoring()`
+      if (this._registration_monitoring) {
+        await this._enableRegistrationUrcs((cmd) => {
+          return this._modem.execCommand(cmd);
+        });
       }
+      this._messaging_ready = true;
+    })();
+  }
 
-      let idx = msg.concat.sequence - 1;
-      let cmsg = this._event_concat_messages[key];
-      cmsg.indexes[idx] = msg.index;
-      cmsg.texts[idx] = msg.text;
-      cmsg.num++;
+  // Read the SIM status with `AT+CPIN?` (e.g., "READY", "SIM PIN", "SIM PUK")
+  // - If the modem does not report it, `null` is returned.
+  _readSimStatus() {
+    return (async () => {
+      let res = await this._modem.execCommand('AT+CPIN?');
+      let m = res.match(/(^|\n)\+CPIN\:\s*(.+)/);
+      return m ? m[2].trim() : null;
+    })();
+  }
 
-      if (cmsg.num === cmsg.total) {
-        cmsg.message.text = cmsg.texts.join('');
-        delete cmsg.message.concat.sequence;
-        cmsg.message.concat.indexes = cmsg.indexes;
-        this.emit('sms-message', cmsg.message);
-        delete this._event_concat_messages[key];
-        return;
+  _isSimLocked(status) {
+    return (status && /PIN|PUK/.test(status)) ? true : false;
+  }
+
+  // Wait until the SIM is ready after it is unlocked
+  // - Some modems take a while to initialize the SIM.
+  _waitForSimReady() {
+    return (async () => {
+      let status = null;
+      for (let i = 0; i < 20; i++) {
+        status = await this._readSimStatus();
+        if (status === 'READY' || this._isSimLocked(status)) {
+          break;
+        }
+        await this.wait(500);
       }
+      return status;
+    })();
+  }
 
-    })().catch((error) => {
-      console.error(error);
-    });
+  // Enter the PIN specified to the `open()`
+  // - If only one attempt is left, the PIN is not entered to avoid
+  //   blocking the SIM with a wrong PIN.
+  _autoUnlockSim(pin) {
+    return (async () => {
+      let retries = await this._readSimRetries((cmd, options) => {
+        return this._modem.execCommand(cmd, options);
+      });
+      if (retries && retries.pin !== null && retries.pin <= 1) {
+        throw new Error('The SIM PIN was not entered automatically because only one attempt is left.');
+      }
+      let cmd = 'AT+CPIN="' + pin + '"';
+      let res = await this._modem.execCommand(cmd);
+      if (/(^|\n)OK/.test(res) === false) {
+        throw this._createError(cmd, res);
+      }
+      return await this._waitForSimReady();
+    })();
+  }
+
+  // Read the remaining attempts of the PIN and PUK using the modem profile
+  _readSimRetries(exec) {
+    return (async () => {
+      if (!this._profile.simRetries) {
+        return null;
+      }
+      try {
+        let retries = await this._profile.simRetries(exec);
+        return retries || null;
+      } catch (error) {
+        return null;
+      }
+    })();
+  }
+
+  // Select the modem profile
+  // - If the `profile` was specified to the constructor, it is used.
+  //   Otherwise, the profile is selected from the responses of
+  //   `AT+CGMI` and `AT+CGMM`.
+  _selectProfile() {
+    return (async () => {
+      let profile = this._profile_option;
+      if (profile && typeof (profile) === 'object') {
+        return mProfiles.normalizeProfile(profile);
+      } else if (typeof (profile) === 'string') {
+        let p = mProfiles.getProfile(profile);
+        if (!p) {
+          throw new Error('The `profile` is unknown: ' + profile);
+        }
+        return p;
+      }
+
+      let cgmi_res = await this._modem.execCommand('AT+CGMI');
+      let cgmm_res = await this._modem.execCommand('AT+CGMM');
+      let info = {
+        manufacturer: /(^|\n)OK/.test(cgmi_res) ? this._trimLastOkLine(cgmi_res) : '',
+        model: /(^|\n)OK/.test(cgmm_res) ? this._trimLastOkLine(cgmm_res) : ''
+      };
+      return mProfiles.findProfile(info);
+    })();
+  }
+
+  // Options of a command with the timeout defined in the modem profile
+  // - If the `timeout` is specified in the `options`, it is used as it is.
+  _getCommandOptions(cmd, options) {
+    let m = (typeof (cmd) === 'string') ? cmd.match(/^AT[\+\^\!\*\$\#\%]?([A-Z0-9]+)/i) : null;
+    let timeout = m ? this._profile.timeouts[m[1].toUpperCase()] : undefined;
+    if (!timeout || (options && typeof (options) === 'object' && ('timeout' in options))) {
+      return options;
+    }
+    return Object.assign({}, options || {}, { timeout: timeout });
   }
 
   /* ------------------------------------------------------------------
-  * close()
-  * - Close the serial port
+  * registerProfile(profile)
+  * - Register a modem profile
+  * - Profiles registered by this method are searched before the
+  *   built-in profiles ("quectel", "simcom", "huawei", "ublox", "sierra").
   *
   * [Arguments]
-  * - None
-  * 
-  * [Returen value]
-  * - Promise object
-  * - Nothing will be passed to the `resolve()`.
+  * - profile        | Object   | Required |
+  *   - name         | String   | Required | Name of the profile
+  *   - match        | Function | Required | Function which receives `{ manufacturer, model }`
+  *                  | Object   |          | and returns `true` if the profile is applicable,
+  *                  |          |          | or an object `{ manufacturer: RegExp, model: RegExp }`
+  *   - cnmi         | Array    | Optional | Parameters of `AT+CNMI` tried in order (e.g., "2,{mt},0,1,0")
+  *   - initCommands | Array    | Optional | AT commands executed at the end of the initialization
+  *   - urcPrefixes  | Array    | Optional | Prefixes of vendor specific URCs (e.g., "^RSSI")
+  *   - promptDelay  | Integer  | Optional | Delay in msec before sending a PDU after the prompt
+  *   - timeouts     | Object   | Optional | Response timeouts for each command (e.g., `{ CMGS: 60000 }`)
+  *   - parsers      | Object   | Optional |
+  *     - creg       | Function | Optional | Parser of a `+CREG` line which returns `{ stat, lac, cid }`
+  *   - servingCell  | Function | Optional | Async function which receives `exec(cmd, options)` and
+  *                  |          |          | returns `{ mcc, mnc, lac, cid }` of the serving cell
   * ---------------------------------------------------------------- */
-  close() {
-    return this._modem.close();
+  static registerProfile(profile) {
+    mProfiles.registerProfile(profile);
   }
 
   /* ------------------------------------------------------------------
-  * execCommand(cmd, options)
-  * - Execute an AT command
+  * registerApnPreset(preset)
+  * - Register an APN preset used by the `provisionContext()`
+  * - Presets registered by this method are searched before the
+  *   built-in presets.
   *
   * [Arguments]
-  * - cmd          | String  | Required | AT command (e.g., "AT+COPS?")
-  * - options      | Object  | Optional |
-  *   - timeout    | Integer | Optional | Response timeout in msec.
-  *                |         |          | The value must be in the range of 1 to 60000.
-  *                |         |          | The default value is 10000.
-  *   - terminator | Integer | Optional | Terminator character of AT command.
-  *                |         |          | The default value is 0x0D (Carriage return).
-  * 
+  * - preset       | Object  | Required |
+  *   - mcc        | Integer | Required | Mobile country code (e.g., 440)
+  *   - mnc        | Integer | Required | Mobile network code (e.g., 10)
+  *   - name       | String  | Optional | Name of the carrier
+  *   - apn        | String  | Required | Access point name
+  *   - type       | String  | Optional | "IP" (default), "IPV6", or "IPV4V6"
+  *   - auth       | Object  | Optional |
+  *     - protocol | String  | Required | "none", "pap", or "chap"
+  *     - username | String  | Optional | User name
+  *     - password | String  | Optional | Password
+  * ---------------------------------------------------------------- */
+  static registerApnPreset(preset) {
+    mApnPresets.registerPreset(preset);
+  }
+
+  /* ------------------------------------------------------------------
+  * getApnPreset(mcc, mnc)
+  * - Get the APN preset of the network
+  *
   * [Returen value]
-  * - Promise object
-  * - A message coming from the modem will be passed to the `resolve()`.
-  * - Even if the modem returns an error, the `resolve()` will be called.
+  * - A preset object (See the `registerApnPreset()`) or `null`
   * ---------------------------------------------------------------- */
-  execCommand(cmd, options) {
-    return this._modem.execCommand(cmd, options);
+  static getApnPreset(mcc, mnc) {
+    return mApnPresets.getPreset(mcc, mnc);
   }
 
   /* ------------------------------------------------------------------
-  * getModemInfo()
-  * - Get the information of the modem
+  * analyzeText(text, options)
+  * - Analyze the encoding and the segments of a message without
+  *   sending it
+  * - The `text` and the `options` are checked in the same way as the
+  *   `sendMessage()`, so an exception is thrown if they are invalid.
   *
   * [Arguments]
-  * - None
-  * 
+  * - text    | String | Required | Message text or binary data
+  *           | Buffer |          |
+  * - options | Object | Optional | Options of the `sendMessage()`. Only the
+  *           |        |          | `destinationPort` and the `sourcePort`
+  *           |        |          | affect the result.
+  *
   * [Returen value]
-  * - Promise object
-  * - An object will be passed to the `resolve()`:
+  * - An object (See the `SmsPduUtils.analyzeText()`):
   *   {
-  *     "manufacturer": "SIMCOM INCORPORATED",
-  *     "model": "SIMCOM_SIM7100JC",
-  *     "revision": "4534B05SIM7100JC",
-  *     "serial": "866803000000000"
+  *     "encoding": "gsm",
+  *     "extended": true,
+  *     "characters": 165,
+  *     "segments": 2,
+  *     "charactersPerSegment": 153,
+  *     "remaining": 141,
+  *     "extensionCharacters": ["€"],
+  *     "unsupportedCharacters": []
   *   }
   * ---------------------------------------------------------------- */
-  getModemInfo() {
-    return (async () => {
-      // Manufacturer Identification
-      let cgmi_res = await this.execCommand('AT+CGMI');
-      let cgmi = this._trimLastOkLine(cgmi_res);
-
-      // Model Identification
-      let cgmm_res = await this.execCommand('AT+CGMM');
-      let cgmm = this._trimLastOkLine(cgmm_res);
+  static analyzeText(text, options = {}) {
+    let submit_options = SmsTransceiver._checkSubmitParams(text, options);
+    return SmsPduUtils.analyzeText(text, {
+      destinationPort: submit_options.destinationPort,
+      sourcePort: submit_options.sourcePort
+    });
+  }
 
-      // Revision Identification
-      let cgmr_res = await this.execCommand('AT+CGMR');
-      cgmr_res = this._trimLastOkLine(cgmr_res);
-      let cgmr = cgmr_res.replace(/^\+CGMR\:\s*/, '');
+  // Check the `text` and the `options` of the `_generateSubmitPdus()`
+  // - The checked options are returned.
+  static _checkSubmitParams(text, options) {
+    let binary = Buffer.isBuffer(text);
+    if (binary) {
+      if (text.length === 0) {
+        throw new Error('The `text` must be a non-empty `Buffer` object.');
+      }
+    } else {
+      let valexp_text = new ValExp({
+        name: 'text',
+        required: true,
+        schema: { type: 'string', minLength: 1 }
+      });
+      if (!valexp_text.test(text)) {
+        throw valexp_text.error;
+      }
+    }
 
-      // Product Serial Number Identification
-      let cgsn_res = await this.execCommand('AT+CGSN');
-      let cgsn = this._trimLastOkLine(cgsn_res);
+    let submit_options = SmsTransceiver._checkSubmitOptions(options);
+    let has_ports = (submit_options.destinationPort !== undefined || submit_options.sourcePort !== undefined);
+    if (has_ports && !binary) {
+      throw new Error('The application ports are available only for binary data.');
+    }
+    return submit_options;
+  }
+
+  static _checkSubmitOptions(options) {
+    let valexp_options = new ValExp({
+      name: 'options',
+      schema: {
+        type: 'object',
+        properties: {
+          smsc: { type: 'string', pattern: /^\+?\d{1,20}$/ },
+          messageClass: { type: 'integer', minimum: 0, maximum: 3 },
+          pid: { type: 'integer', minimum: 0, maximum: 255 },
+          rejectDuplicates: { type: 'boolean', default: false },
+          replyPath: { type: 'boolean', default: false },
+          destinationPort: { type: 'integer', minimum: 0, maximum: 65535 },
+          sourcePort: { type: 'integer', minimum: 0, maximum: 65535 }
+        }
+      }
+    });
+    let valexp_options_res = valexp_options.exec(options);
+    if (!valexp_options_res) {
+      throw valexp_options.error;
+    }
+    let submit_options = valexp_options_res[0];
+
+    // The `validityPeriod` is checked here because the `ValExp` does
+    // not support a `Date` object.
+    let vp = options ? options.validityPeriod : undefined;
+    if (vp instanceof Date) {
+      let year = vp.getUTCFullYear();
+      if (isNaN(vp.getTime()) || year < 2000 || year > 2099) {
+        throw new Error('The `options.validityPeriod` must be a valid date between 2000 and 2099.');
+      }
+      submit_options.validityPeriod = vp;
+    } else if (vp !== undefined) {
+      if (!Number.isInteger(vp) || vp < 5 || vp > 635040) {
+        throw new Error('The `options.validityPeriod` must be an integer in the range of 5 to 635040 or a `Date` object.');
+      }
+      submit_options.validityPeriod = vp;
+    }
+    return submit_options;
+  }
+
+  /* ------------------------------------------------------------------
+  * discover(options)
+  * - Search the ports connected to a modem
+  * - Every candidate port is probed with `AT` at every baud rate until
+  *   the modem responds. The baud rate is not probed for ports other
+  *   than serial ports (e.g., TCP, Unix domain socket, stream).
+  *
+  * [Arguments]
+  * - options     | Object   | Optional |
+  *   - ports     | Array    | Optional | List of the candidate ports. Each element
+  *               |          |          | is any value which can be passed to the
+  *               |          |          | constructor as the `path`. If not specified,
+  *               |          |          | the serial ports found on the system are used.
+  *   - filter    | Function | Optional | Function which receives the information of
+  *               |          |          | a serial port found on the system and returns
+  *               |          |          | `true` if the port should be probed. By default,
+  *               |          |          | only USB serial ports are probed. This is
+  *               |          |          | ignored if the `ports` is specified.
+  *   - baudRates | Array    | Optional | Baud rates to probe. The default is all baud
+  *               |          |          | rates supported by this module (115200 first).
+  *   - timeout   | Integer  | Optional | Response timeout of `AT` in msec for each
+  *               |          |          | probe. The default is 1000.
+  *
+  * [Returen value]
+  * - Promise object
+  * - A list of the ports which responded will be passed to the `resolve()`:
+  *   [
+  *     {
+  *       "path": "/dev/ttyUSB2",
+  *       "transport": "serial",
+  *       "baudRate": 115200,
+  *       "info": { // Result of the `getModemInfo()`
+  *         "manufacturer": "Quectel",
+  *         "model": "EC25",
+  *         "revision": "EC25JFAR06A06M4G",
+  *         "serial": "866000000000000"
+  *       }
+  *     },
+  *     ...
+  *   ]
+  * ---------------------------------------------------------------- */
+  static discover(options = {}) {
+    return (async () => {
+      let default_baud_rates = SmsModem.BAUD_RATES.sort((a, b) => {
+        return (a === 115200) ? -1 : (b === 115200) ? 1 : 0;
+      });
+      let valexp_options = new ValExp({
+        name: 'options',
+        schema: {
+          type: 'object',
+          properties: {
+            baudRates: {
+              type: 'array',
+              minItems: 1,
+              items: { type: 'integer', enum: SmsModem.BAUD_RATES },
+              default: default_baud_rates
+            },
+            timeout: { type: 'integer', minimum: 1, maximum: 60000, default: 1000 }
+          }
+        }
+      });
+      let valexp_options_res = valexp_options.exec(options);
+      if (!valexp_options_res) {
+        throw valexp_options.error;
+      }
+      let opts = valexp_options_res[0];
+
+      // The elements of the `ports` are checked by the constructor
+      if ('ports' in options && (!Array.isArray(options.ports) || options.ports.length === 0)) {
+        throw new Error('The `ports` must be a non-empty array.');
+      }
+      let filter = (typeof (options.filter) === 'function') ? options.filter : (port) => {
+        return port.vendorId ? true : false;
+      };
+
+      let ports = options.ports;
+      if (!ports) {
+        let list = await mTransport.listSerialPorts();
+        ports = list.filter(filter).map((port) => {
+          return port.path;
+        });
+      }
+
+      let results = [];
+      for (let path of ports) {
+        let res = await SmsTransceiver._probePort(path, opts.baudRates, opts.timeout);
+        if (res) {
+          results.push(res);
+        }
+      }
+      return results;
+    })();
+  }
+
+  // Probe a port with `AT` at every baud rate until the modem responds
+  static _probePort(path, baud_rates, timeout) {
+    return (async () => {
+      for (let baud_rate of baud_rates) {
+        let st = null;
+        try {
+          st = new SmsTransceiver(path, { baudRate: baud_rate });
+        } catch (error) {
+          return null;
+        }
+        let is_serial = (st.transport === 'serial');
+
+        try {
+          await st._modem.open();
+        } catch (error) {
+          // The port can not be opened regardless of the baud rate
+          return null;
+        }
+
+        let res = null;
+        try {
+          let at_res = await st.execCommand('AT', { timeout: timeout });
+          if (/(^|\n)OK$/.test(at_res)) {
+            res = {
+              path: path,
+              transport: st.transport,
+              baudRate: is_serial ? baud_rate : null,
+              info: await st.getModemInfo()
+            };
+          }
+        } catch (error) {
+          // No response at this baud rate
+        }
+        await st.close().catch(() => { });
+
+        if (res || !is_serial) {
+          return res;
+        }
+      }
+      return null;
+    })();
+  }
+
+  // Re-establish the connection with backoff
+  // - The `reconnecting` event is emitted before every attempt and
+  //   the `reconnected` event is emitted when it succeeds.
+  _reconnect() {
+    this._reconnecting = true;
+    (async () => {
+      let interval = this._reconnect_interval;
+      let attempt = 0;
+      while (!this._closing) {
+        attempt++;
+        this.emit('reconnecting', { attempt: attempt, delay: interval });
+        await this.wait(interval);
+        if (this._closing) {
+          break;
+        }
+        try {
+          await this._modem.open();
+          await this._initModem();
+          this._reconnecting = false;
+          this.emit('reconnected', { attempt: attempt });
+          this._releaseHeldCommands(null);
+          return;
+        } catch (error) {
+          if (this._modem.isOpen) {
+            await this._modem.close().catch(() => { });
+          }
+          interval = Math.min(interval * 2, this._reconnect_max_interval);
+        }
+      }
+      this._reconnecting = false;
+      this._releaseHeldCommands(new Error('The serial port is closed.'));
+      this._modem.removeAllListeners();
+      this._listening = false;
+    })().catch((error) => {
+      console.error(error);
+    });
+  }
+
+  // Wait until the connection is re-established if the link is down
+  _waitForLink() {
+    return new Promise((resolve, reject) => {
+      if (!this._modem) {
+        reject(new Error('The serial port is not open.'));
+      } else if (!this._reconnecting) {
+        resolve();
+      } else if (this._hold_commands) {
+        this._held_commands.push({ resolve: resolve, reject: reject });
+      } else {
+        reject(new Error('The serial port is closed. Reconnecting...'));
+      }
+    });
+  }
+
+  _releaseHeldCommands(error) {
+    let held_commands = this._held_commands;
+    this._held_commands = [];
+    for (let held of held_commands) {
+      if (error) {
+        held.reject(error);
+      } else {
+        held.resolve();
+      }
+    }
+  }
+
+  _handleSmsMessageEvent(notification) {
+    (async () => {
+      let msg = null;
+      if (notification.pdu) {
+        // A message routed directly (`+CMT`)
+        if (this._cnma_required) {
+          await this._acknowledgeMessage();
+        }
+        msg = this._createMessageFromPdu(null, 0, notification.pdu);
+      } else {
+        // A message stored in the storage (`+CMTI`)
+        msg = await this._readMessage(notification.index);
+      }
+      if (!msg) {
+        return;
+      }
+      if (!msg.concat || this._concat === false) {
+        await this._addContact(msg);
+        this.emit('sms-message', msg);
+        return;
+      }
+
+      let key = [
+        msg.type,
+        msg.from || msg.to,
+        msg.concat.reference,
+        msg.concat.total
+      ].join('-');
+
+      if (!(key in this._event_concat_messages)) {
+        let texts = [];
+        let indexes = [];
+        let datas = [];
+
+        for (let i = 0; i < msg.concat.total; i++) {
+          indexes.push(undefined);
+          texts.push(undefined);
+          datas.push(undefined);
+        }
+
+        this._event_concat_messages[key] = {
+          indexes: indexes,
+          texts: texts,
+          datas: datas,
+          message: msg,
+          total: msg.concat.total,
+          num: 0
+        };
+      }
+
+      let idx = msg.concat.sequence - 1;
+      let cmsg = this._event_concat_messages[key];
+      cmsg.indexes[idx] = msg.index;
+      cmsg.texts[idx] = msg.text;
+      cmsg.datas[idx] = msg.data;
+      cmsg.num++;
+
+      if (cmsg.num === cmsg.total) {
+        if (cmsg.message.data) {
+          cmsg.message.data = Buffer.concat(cmsg.datas);
+        } else {
+          cmsg.message.text = cmsg.texts.join('');
+        }
+        delete cmsg.message.concat.sequence;
+        cmsg.message.concat.indexes = cmsg.indexes;
+        delete this._event_concat_messages[key];
+        await this._addContact(cmsg.message);
+        this.emit('sms-message', cmsg.message);
+        return;
+      }
+
+    })().catch((error) => {
+      console.error(error);
+    });
+  }
+
+  // Acknowledge a message routed directly (`+CMT` or `+CDS`)
+  // - The acknowledgement must be sent before the modem times out,
+  //   so it is executed with the highest priority.
+  _acknowledgeMessage() {
+    return (async () => {
+      let command = 'AT+CNMA';
+      let res = await this.execCommand(command, { priority: 10 });
+      if (/(^|\n)OK/.test(res) === false) {
+        throw this._createError(command, res);
+      }
+    })();
+  }
+
+  _handleStatusReportEvent(notification) {
+    (async () => {
+      let pdu = notification.pdu;
+      if (pdu && this._cnma_required) {
+        await this._acknowledgeMessage();
+      }
+
+      // A status report stored in the storage (`+CDSI`) is read and deleted
+      if (!pdu) {
+        let index = notification.index;
+        let command = 'AT+CMGR=' + index;
+        let cmgr_res = await this.execCommand(command);
+        if (/(^|\n)OK/.test(cmgr_res) === false) {
+          throw this._createError(command, cmgr_res);
+        }
+        let lines = this._trimLastOkLine(cmgr_res).split(/\n+/);
+        if (/^\+CMGR\:/.test(lines[0]) === false || /^[A-F0-9]+$/i.test(lines[1]) === false) {
+          return;
+        }
+        pdu = lines[1];
+        await this.execCommand('AT+CMGD=' + index);
+      }
+
+      let report = SmsPduUtils.parseStatusReport(pdu);
+      if (report.error) {
+        throw report.error;
+      }
+
+      // Link the report to the message sent by the `sendMessage()`
+      let message = null;
+      let sent = this._status_report_messages[report.reference];
+      if (sent) {
+        let idx = sent.references.indexOf(report.reference);
+        sent.statuses[idx] = report.status;
+        let completed = sent.statuses.every((st) => {
+          return st !== null && SmsPduUtils.isFinalStatus(st);
+        });
+        let delivered = sent.statuses.every((st) => {
+          return st !== null && SmsPduUtils.isDelivered(st);
+        });
+        message = {
+          to: sent.to,
+          references: sent.references.slice(),
+          statuses: sent.statuses.slice(),
+          completed: completed,
+          delivered: delivered
+        };
+        if (completed) {
+          for (let mr of sent.references) {
+            if (this._status_report_messages[mr] === sent) {
+              delete this._status_report_messages[mr];
+            }
+          }
+        }
+      }
+
+      this.emit('delivery-report', {
+        reference: report.reference,
+        recipient: report.recipient,
+        status: report.status,
+        delivered: report.delivered,
+        final: report.final,
+        timestamp: report.timestamp,
+        dischargeTime: report.dischargeTime,
+        message: message
+      });
+    })().catch((error) => {
+      console.error(error);
+    });
+  }
+
+  /* ------------------------------------------------------------------
+  * close()
+  * - Close the serial port
+  * - If the connection is being re-established, the reconnection is stopped.
+  *
+  * [Arguments]
+  * - None
+  * 
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  close() {
+    this._closing = true;
+    this._releaseHeldCommands(new Error('The serial port is closed.'));
+    this._ussd_active = false;
+    this._settleUssdRequest(new Error('The serial port is closed.'));
+    this._stopCallTracking();
+    this.stopSignalMonitor();
+    if (!this._modem) {
+      return Promise.resolve();
+    }
+    return this._modem.close();
+  }
+
+  /* ------------------------------------------------------------------
+  * execCommand(cmd, options)
+  * - Execute an AT command
+  *
+  * [Arguments]
+  * - cmd          | String  | Required | AT command (e.g., "AT+COPS?")
+  * - options      | Object  | Optional |
+  *   - timeout    | Integer | Optional | Response timeout in msec.
+  *                |         |          | The value must be in the range of 1 to 600000.
+  *                |         |          | The default value is 10000.
+  *   - terminator | Integer | Optional | Terminator character of AT command.
+  *                |         |          | The default value is 0x0D (Carriage return).
+  *   - priority   | Integer | Optional | Priority in the command queue.
+  *                |         |          | The value must be in the range of -10 to 10.
+  *                |         |          | The default value is 0.
+  * 
+  * [Returen value]
+  * - Promise object
+  * - A message coming from the modem will be passed to the `resolve()`.
+  * - Even if the modem returns an error, the `resolve()` will be called.
+  * ---------------------------------------------------------------- */
+  execCommand(cmd, options) {
+    return (async () => {
+      await this._waitForLink();
+      let res = await this._modem.execCommand(cmd, this._getCommandOptions(cmd, options));
+      return res;
+    })();
+  }
+
+  // Execute a sequence of AT commands atomically (See `SmsModem.transaction()`)
+  _transaction(callback, options) {
+    return (async () => {
+      await this._waitForLink();
+      let res = await this._modem.transaction(callback, options);
+      return res;
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * getModemInfo()
+  * - Get the information of the modem
+  *
+  * [Arguments]
+  * - None
+  * 
+  * [Returen value]
+  * - Promise object
+  * - An object will be passed to the `resolve()`:
+  *   {
+  *     "manufacturer": "SIMCOM INCORPORATED",
+  *     "model": "SIMCOM_SIM7100JC",
+  *     "revision": "4534B05SIM7100JC",
+  *     "serial": "866803000000000"
+  *   }
+  * ---------------------------------------------------------------- */
+  getModemInfo() {
+    return (async () => {
+      // Manufacturer Identification
+      let cgmi_res = await this.execCommand('AT+CGMI');
+      let cgmi = this._trimLastOkLine(cgmi_res);
+
+      // Model Identification
+      let cgmm_res = await this.execCommand('AT+CGMM');
+      let cgmm = this._trimLastOkLine(cgmm_res);
+
+      // Revision Identification
+      let cgmr_res = await this.execCommand('AT+CGMR');
+      cgmr_res = this._trimLastOkLine(cgmr_res);
+      let cgmr = cgmr_res.replace(/^\+CGMR\:\s*/, '');
+
+      // Product Serial Number Identification
+      let cgsn_res = await this.execCommand('AT+CGSN');
+      let cgsn = this._trimLastOkLine(cgsn_res);
 
       let info = {
         manufacturer: cgmi,
@@ -275,10 +1302,1262 @@ class SmsTransceiver extends EventEmitter {
         serial: cgsn
       };
 
-      return info;
+      return info;
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * getSimStatus()
+  * - Get the status of the SIM
+  *
+  * [Arguments]
+  * - None
+  * 
+  * [Returen value]
+  * - Promise object
+  * - An object will be passed to the `resolve()`:
+  *   {
+  *     "status": "SIM PIN", // "READY", "SIM PIN", "SIM PUK", etc. (response of `AT+CPIN?`)
+  *     "locked": true,      // `true` if the SIM requires a PIN or a PUK
+  *     "pinRetries": 3,     // Remaining attempts of the PIN (`null` if unknown)
+  *     "pukRetries": 10     // Remaining attempts of the PUK (`null` if unknown)
+  *   }
+  * ---------------------------------------------------------------- */
+  getSimStatus() {
+    return (async () => {
+      let cmd = 'AT+CPIN?';
+      let res = await this.execCommand(cmd);
+      let m = res.match(/(^|\n)\+CPIN\:\s*(.+)/);
+      if (!m) {
+        throw this._createError(cmd, res);
+      }
+      let status = m[2].trim();
+      let retries = await this._readSimRetries((cmd, options) => {
+        return this.execCommand(cmd, options);
+      });
+      return {
+        status: status,
+        locked: this._isSimLocked(status),
+        pinRetries: (retries && Number.isInteger(retries.pin)) ? retries.pin : null,
+        pukRetries: (retries && Number.isInteger(retries.puk)) ? retries.puk : null
+      };
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * unlockSim(pin)
+  * - Unlock the SIM with the PIN
+  * - If the configurations for messaging were postponed by the `open()`
+  *   because the SIM was locked, they are done after the SIM is unlocked.
+  *
+  * [Arguments]
+  * - pin | String | Required | PIN (4 - 8 digits)
+  * 
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  unlockSim(pin) {
+    return (async () => {
+      this._checkPinCode('pin', pin, 4, 8);
+      await this._execSimCommand('AT+CPIN="' + pin + '"');
+      await this._onSimUnlocked();
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * unlockWithPuk(puk, newPin)
+  * - Unblock the SIM with the PUK and set a new PIN
+  *
+  * [Arguments]
+  * - puk    | String | Required | PUK (8 digits)
+  * - newPin | String | Required | New PIN (4 - 8 digits)
+  * 
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  unlockWithPuk(puk, newPin) {
+    return (async () => {
+      this._checkPinCode('puk', puk, 8, 8);
+      this._checkPinCode('newPin', newPin, 4, 8);
+      await this._execSimCommand('AT+CPIN="' + puk + '","' + newPin + '"');
+      await this._onSimUnlocked();
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * changePin(oldPin, newPin)
+  * - Change the PIN of the SIM
+  * - The PIN lock must be enabled.
+  *
+  * [Arguments]
+  * - oldPin | String | Required | Current PIN (4 - 8 digits)
+  * - newPin | String | Required | New PIN (4 - 8 digits)
+  * 
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  changePin(oldPin, newPin) {
+    return (async () => {
+      this._checkPinCode('oldPin', oldPin, 4, 8);
+      this._checkPinCode('newPin', newPin, 4, 8);
+      await this._execSimCommand('AT+CPWD="SC","' + oldPin + '","' + newPin + '"');
+      if (this._pin === oldPin) {
+        this._pin = newPin;
+      }
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * setPinLock(enabled, pin)
+  * - Enable or disable the PIN lock of the SIM
+  *
+  * [Arguments]
+  * - enabled | Boolean | Required | `true` to require the PIN at power-up
+  * - pin     | String  | Required | Current PIN (4 - 8 digits)
+  * 
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  setPinLock(enabled, pin) {
+    return (async () => {
+      let valexp_enabled = new ValExp({
+        name: 'enabled',
+        required: true,
+        schema: { type: 'boolean' }
+      });
+      if (!valexp_enabled.test(enabled)) {
+        throw valexp_enabled.error;
+      }
+      this._checkPinCode('pin', pin, 4, 8);
+      await this._execSimCommand('AT+CLCK="SC",' + (enabled ? 1 : 0) + ',"' + pin + '"');
+    })();
+  }
+
+  _checkPinCode(name, code, min, max) {
+    let valexp = new ValExp({
+      name: name,
+      required: true,
+      schema: { type: 'string', pattern: new RegExp('^\\d{' + min + ',' + max + '}$') }
+    });
+    if (!valexp.test(code)) {
+      throw valexp.error;
+    }
+  }
+
+  _execSimCommand(cmd) {
+    return (async () => {
+      let res = await this.execCommand(cmd);
+      if (/(^|\n)OK/.test(res) === false) {
+        throw this._createError(cmd, res);
+      }
+    })();
+  }
+
+  _onSimUnlocked() {
+    return (async () => {
+      let status = await this._waitForSimReady();
+      if (status === 'READY' && !this._messaging_ready) {
+        await this._initMessaging();
+      }
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * getPhonebookStorage()
+  * - Get the phonebook storage in use
+  *
+  * [Arguments]
+  * - None
+  * 
+  * [Returen value]
+  * - Promise object
+  * - An object will be passed to the `resolve()`:
+  *   {
+  *     "storage": "SM",
+  *     "used": 12,
+  *     "total": 250
+  *   }
+  * ---------------------------------------------------------------- */
+  getPhonebookStorage() {
+    return this._phonebookTransaction(async (exec) => {
+      let cmd = 'AT+CPBS?';
+      let res = await exec(cmd);
+      let rows = this._parseCsvResponseLine('CPBS', this._trimLastOkLine(res));
+      if (!rows || rows.length < 1) {
+        throw this._createError(cmd, res);
+      }
+      return {
+        storage: rows[0],
+        used: (rows.length > 1) ? parseInt(rows[1], 10) : null,
+        total: (rows.length > 2) ? parseInt(rows[2], 10) : null
+      };
+    });
+  }
+
+  /* ------------------------------------------------------------------
+  * setPhonebookStorage(storage)
+  * - Select the phonebook storage used by the phonebook methods
+  * - The storage is selected again before every phonebook operation,
+  *   so that the selection survives a reconnection.
+  *
+  * [Arguments]
+  * - storage | String | Required | Phonebook storage.
+  *
+  * The `storage` must be one in the table below:
+  * - "SM": SIM phonebook
+  * - "ME": Modem phonebook
+  * - "FD": SIM fixed dialing phonebook
+  * - "ON": Own numbers (MSISDNs) phonebook
+  * 
+  * [Returen value]
+  * - Promise object
+  * - An object will be passed to the `resolve()`.
+  *   See the `getPhonebookStorage()` for details.
+  * ---------------------------------------------------------------- */
+  setPhonebookStorage(storage) {
+    return (async () => {
+      let valexp = new ValExp({
+        name: 'storage',
+        required: true,
+        schema: { type: 'string', enum: ['SM', 'ME', 'FD', 'ON'] }
+      });
+      if (!valexp.test(storage)) {
+        throw valexp.error;
+      }
+      let cmd = 'AT+CPBS="' + storage + '"';
+      let res = await this.execCommand(cmd);
+      if (/(^|\n)OK/.test(res) === false) {
+        throw this._createError(cmd, res);
+      }
+      this._phonebook_storage = storage;
+      this._phonebook_cache = null;
+      return await this.getPhonebookStorage();
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * listPhonebookEntries()
+  * - List all entries in the selected phonebook storage
+  *
+  * [Arguments]
+  * - None
+  * 
+  * [Returen value]
+  * - Promise object
+  * - An array will be passed to the `resolve()`:
+  *   [
+  *     {
+  *       "index": 1,
+  *       "number": "+819000000000",
+  *       "type": 145, // Type of address (145: international, 129: national)
+  *       "name": "Tom"
+  *     }
+  *   ]
+  * ---------------------------------------------------------------- */
+  listPhonebookEntries() {
+    return this._phonebookTransaction(async (exec) => {
+      let range = await this._readPhonebookRange(exec);
+      if (!range) {
+        return [];
+      }
+      let entries = await this._readPhonebookEntries(exec, range.first + ',' + range.last);
+      return entries;
+    });
+  }
+
+  /* ------------------------------------------------------------------
+  * readPhonebookEntry(index)
+  * - Read an entry in the selected phonebook storage
+  *
+  * [Arguments]
+  * - index | Integer | Required | Index number in the phonebook storage.
+  * 
+  * [Returen value]
+  * - Promise object
+  * - An object will be passed to the `resolve()`.
+  *   See the `listPhonebookEntries()` for details.
+  * - If the entry at the `index` is empty, `null` will be passed to the
+  *   `resolve()`.
+  * ---------------------------------------------------------------- */
+  readPhonebookEntry(index) {
+    return (async () => {
+      this._checkPhonebookIndex(index);
+      let entries = await this._phonebookTransaction(async (exec) => {
+        return await this._readPhonebookEntries(exec, String(index));
+      });
+      return entries[0] || null;
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * findPhonebookEntries(name)
+  * - Find entries whose names start with the specified string
+  *   in the selected phonebook storage
+  *
+  * [Arguments]
+  * - name | String | Required | Beginning of the name (e.g., "Tom")
+  * 
+  * [Returen value]
+  * - Promise object
+  * - An array will be passed to the `resolve()`.
+  *   See the `listPhonebookEntries()` for details.
+  * - If no entry is found, an empty array will be passed.
+  * ---------------------------------------------------------------- */
+  findPhonebookEntries(name) {
+    return (async () => {
+      let valexp = new ValExp({
+        name: 'name',
+        required: true,
+        schema: { type: 'string', minLength: 1 }
+      });
+      if (!valexp.test(name)) {
+        throw valexp.error;
+      }
+      let entries = await this._phonebookTransaction(async (exec) => {
+        let cmd = 'AT+CPBF="' + PhonebookUtils.encodeUcs2(name) + '"';
+        let res = await exec(cmd);
+        return this._parsePhonebookEntries(cmd, 'CPBF', res);
+      });
+      return entries;
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * writePhonebookEntry(entry)
+  * - Write an entry to the selected phonebook storage
+  *
+  * [Arguments]
+  * - entry    | Object  | Required |
+  *   - index  | Integer | Optional | Index number in the phonebook storage.
+  *            |         |          | If not specified, the entry is written
+  *            |         |          | to the first free location.
+  *   - number | String  | Required | Phone number (e.g., "+819000000000")
+  *   - name   | String  | Required | Name (e.g., "Tom")
+  * 
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  writePhonebookEntry(entry) {
+    return (async () => {
+      let valexp = new ValExp({
+        name: 'entry',
+        required: true,
+        schema: {
+          type: 'object',
+          required: ['number', 'name'],
+          properties: {
+            index: { type: 'integer', minimum: 0 },
+            number: { type: 'string', pattern: /^\+?[\d\*#]{1,40}$/ },
+            name: { type: 'string' }
+          }
+        }
+      });
+      if (!valexp.test(entry)) {
+        throw valexp.error;
+      }
+      let index = ('index' in entry) ? String(entry.index) : '';
+      // Type of address: 145 (international) or 129 (national)
+      let type = /^\+/.test(entry.number) ? 145 : 129;
+      let cmd = 'AT+CPBW=' + index + ',"' + entry.number + '",' + type + ',"' + PhonebookUtils.encodeUcs2(entry.name) + '"';
+      await this._phonebookTransaction(async (exec) => {
+        let res = await exec(cmd);
+        if (/(^|\n)OK/.test(res) === false) {
+          throw this._createError(cmd, res);
+        }
+      });
+      this._phonebook_cache = null;
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * deletePhonebookEntry(index)
+  * - Delete an entry in the selected phonebook storage
+  *
+  * [Arguments]
+  * - index | Integer | Required | Index number in the phonebook storage.
+  * 
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  deletePhonebookEntry(index) {
+    return (async () => {
+      this._checkPhonebookIndex(index);
+      let cmd = 'AT+CPBW=' + index;
+      await this._phonebookTransaction(async (exec) => {
+        let res = await exec(cmd);
+        if (/(^|\n)OK/.test(res) === false) {
+          throw this._createError(cmd, res);
+        }
+      });
+      this._phonebook_cache = null;
+    })();
+  }
+
+  _checkPhonebookIndex(index) {
+    let valexp = new ValExp({
+      name: 'index',
+      required: true,
+      schema: { type: 'integer', minimum: 0 }
+    });
+    if (!valexp.test(index)) {
+      throw valexp.error;
+    }
+  }
+
+  // Execute phonebook commands with the TE character set "UCS2"
+  // - The storage selected by the `setPhonebookStorage()` is selected
+  //   again, and the character set is restored at the end.
+  _phonebookTransaction(callback) {
+    return this._transaction(async (exec) => {
+      if (this._phonebook_storage) {
+        let cmd = 'AT+CPBS="' + this._phonebook_storage + '"';
+        let res = await exec(cmd);
+        if (/(^|\n)OK/.test(res) === false) {
+          throw this._createError(cmd, res);
+        }
+      }
+
+      let cscs_res = await exec('AT+CSCS?');
+      let m = cscs_res.match(/(^|\n)\+CSCS\:\s*"([^"]+)"/);
+      let charset = m ? m[2] : null;
+      let cmd = 'AT+CSCS="UCS2"';
+      let res = await exec(cmd);
+      if (/(^|\n)OK/.test(res) === false) {
+        throw this._createError(cmd, res);
+      }
+      try {
+        return await callback(exec);
+      } finally {
+        if (charset && charset !== 'UCS2') {
+          await exec('AT+CSCS="' + charset + '"');
+        }
+      }
+    });
+  }
+
+  // Read the range of the location numbers with `AT+CPBR=?`
+  // (e.g., "+CPBR: (1-250),40,18")
+  _readPhonebookRange(exec) {
+    return (async () => {
+      let cmd = 'AT+CPBR=?';
+      let res = await exec(cmd);
+      let m = res.match(/(^|\n)\+CPBR\:\s*\((\d+)-(\d+)\)/);
+      if (!m) {
+        if (/(^|\n)OK/.test(res) === true) {
+          return null;
+        }
+        throw this._createError(cmd, res);
+      }
+      return { first: parseInt(m[2], 10), last: parseInt(m[3], 10) };
+    })();
+  }
+
+  // Read entries with `AT+CPBR=<index1>[,<index2>]`
+  // - Reading the SIM phonebook may take a long time.
+  _readPhonebookEntries(exec, params) {
+    return (async () => {
+      let cmd = 'AT+CPBR=' + params;
+      let res = await exec(cmd, { timeout: 60000 });
+      return this._parsePhonebookEntries(cmd, 'CPBR', res);
+    })();
+  }
+
+  // Parse the entry lines of `+CPBR` or `+CPBF`
+  // - "+CME ERROR: not found" means that there is no entry.
+  _parsePhonebookEntries(cmd, prefix, res) {
+    if (/(^|\n)OK/.test(res) === false) {
+      let error = this._createError(cmd, res);
+      if (error instanceof mAtErrors.CmeError && error.code === 22) {
+        return [];
+      }
+      throw error;
+    }
+    let entries = [];
+    for (let line of res.split('\n')) {
+      let entry = PhonebookUtils.parseEntryLine('+' + prefix, line.trim());
+      if (entry) {
+        entries.push(entry);
+      }
+    }
+    return entries;
+  }
+
+  // Add the contact which matches the originator to a received message
+  // if the `contactLookup` is enabled
+  // - The entries of the phonebook are cached at the first lookup.
+  _addContact(msg) {
+    return (async () => {
+      if (!this._contact_lookup) {
+        return;
+      }
+      msg.contact = null;
+      if (!msg.from) {
+        return;
+      }
+      try {
+        if (!this._phonebook_cache) {
+          this._phonebook_cache = await this.listPhonebookEntries();
+        }
+      } catch (error) {
+        return;
+      }
+      for (let entry of this._phonebook_cache) {
+        if (PhonebookUtils.isSameNumber(entry.number, msg.from)) {
+          msg.contact = { index: entry.index, name: entry.name, number: entry.number };
+          break;
+        }
+      }
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * sendUssd(code, options)
+  * - Send a USSD (Unstructured Supplementary Service Data) request
+  *   (e.g., "*100#" for a balance check) and wait for the reply
+  *   from the network
+  *
+  * [Arguments]
+  * - code      | String  | Required | USSD code (e.g., "*100#")
+  * - options   | Object  | Optional |
+  *   - timeout | Integer | Optional | Time to wait for the reply in msec.
+  *             |         |          | The default value is 30000.
+  * 
+  * [Returen value]
+  * - Promise object
+  * - An object will be passed to the `resolve()`:
+  *   {
+  *     "status": 1,  // <m> of the `+CUSD`
+  *     "active": true, // `true` if the network is waiting for a reply
+  *     "text": "1. Balance\n2. Bundles",
+  *     "dcs": 15     // Data coding scheme (`null` if not reported)
+  *   }
+  * - If the `active` is `true`, the session can be continued with the
+  *   `replyUssd()` or terminated with the `cancelUssd()`.
+  * ---------------------------------------------------------------- */
+  sendUssd(code, options = {}) {
+    return (async () => {
+      let valexp = new ValExp({
+        name: 'code',
+        required: true,
+        schema: { type: 'string', pattern: /^[\d\*#\+]{1,160}$/ }
+      });
+      if (!valexp.test(code)) {
+        throw valexp.error;
+      }
+      let res = await this._requestUssd(code, options);
+      return res;
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * replyUssd(text, options)
+  * - Reply to the network in an active USSD session (e.g., select
+  *   an item of a menu)
+  *
+  * [Arguments]
+  * - text      | String  | Required | Reply (e.g., "1"). It must consist of
+  *             |         |          | the GSM 7-bit default alphabet except
+  *             |         |          | `"`, CR and LF.
+  * - options   | Object  | Optional | See the `sendUssd()`
+  * 
+  * [Returen value]
+  * - Promise object
+  * - An object will be passed to the `resolve()`.
+  *   See the `sendUssd()` for details.
+  * ---------------------------------------------------------------- */
+  replyUssd(text, options = {}) {
+    return (async () => {
+      let valexp = new ValExp({
+        name: 'text',
+        required: true,
+        schema: { type: 'string', minLength: 1, maxLength: 160 }
+      });
+      if (!valexp.test(text)) {
+        throw valexp.error;
+      }
+      if (!UssdUtils.isValidString(text)) {
+        throw new Error('The `text` must consist of the GSM 7-bit default alphabet except `"`, CR and LF.');
+      }
+      if (!this._ussd_active) {
+        throw new Error('No USSD session is active.');
+      }
+      let res = await this._requestUssd(text, options);
+      return res;
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * cancelUssd()
+  * - Terminate the active USSD session
+  * - If a request is waiting for the reply, it is rejected.
+  *
+  * [Arguments]
+  * - None
+  * 
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  cancelUssd() {
+    return (async () => {
+      let cmd = 'AT+CUSD=2';
+      let res = await this.execCommand(cmd);
+      if (/(^|\n)OK/.test(res) === false) {
+        throw this._createError(cmd, res);
+      }
+      this._ussd_active = false;
+      this._settleUssdRequest(new Error('The USSD session was canceled.'));
+    })();
+  }
+
+  _requestUssd(str, options) {
+    return (async () => {
+      let valexp_options = new ValExp({
+        name: 'options',
+        schema: {
+          type: 'object',
+          properties: {
+            timeout: { type: 'integer', minimum: 1, default: 30000 }
+          }
+        }
+      });
+      let valexp_options_res = valexp_options.exec(options);
+      if (!valexp_options_res) {
+        throw valexp_options.error;
+      }
+      let timeout = valexp_options_res[0].timeout;
+
+      if (this._ussd_request) {
+        throw new Error('Another USSD request is waiting for the reply.');
+      }
+
+      // The command is created before the request is registered, so
+      // an encoding error does not leave the request waiting.
+      let cmd = 'AT+CUSD=1,"' + UssdUtils.encode(str, this._profile.ussdPacked) + '",15';
+
+      // The reply is reported by a `+CUSD` result code after the `OK`.
+      // The request is registered before the command is sent, so that
+      // a `+CUSD` reported early settles it.
+      let request = null;
+      let reply = new Promise((resolve, reject) => {
+        request = { resolve: resolve, reject: reject, timer: null };
+        this._ussd_request = request;
+      });
+      // The rejection is handled by the `await` below unless the command fails
+      reply.catch(() => { });
+
+      let res = null;
+      try {
+        res = await this.execCommand(cmd);
+      } catch (error) {
+        this._settleUssdRequest(null);
+        throw error;
+      }
+      if (/(^|\n)OK/.test(res) === false) {
+        this._settleUssdRequest(null);
+        throw this._createError(cmd, res);
+      }
+
+      // Some modems report the `+CUSD` before the `OK`
+      let m = res.match(/(^|\n)(\+CUSD\:[\s\S]*?)\nOK$/);
+      if (m) {
+        this._handleUssdEvent(m[2]);
+      }
+
+      // The timeout starts when the command is accepted, so that the time
+      // waiting behind other commands is not counted.
+      if (this._ussd_request === request) {
+        request.timer = setTimeout(() => {
+          this._ussd_active = false;
+          this._settleUssdRequest(new Error('No USSD reply was received from the network.'));
+        }, timeout);
+      }
+      return await reply;
+    })();
+  }
+
+  // Settle the USSD request waiting for the reply
+  // - If the `error` is `null`, the request is discarded silently.
+  _settleUssdRequest(error, reply) {
+    let request = this._ussd_request;
+    if (!request) {
+      return;
+    }
+    this._ussd_request = null;
+    clearTimeout(request.timer);
+    if (reply) {
+      request.resolve(reply);
+    } else if (error) {
+      request.reject(error);
+    }
+  }
+
+  // Handle a `+CUSD` result code
+  // - A reply to the `sendUssd()` or the `replyUssd()` settles the request.
+  //   Otherwise, it is a network-initiated USSD and the `ussd` event is fired.
+  _handleUssdEvent(data) {
+    let cusd = UssdUtils.parseCusd(data);
+    if (!cusd) {
+      return;
+    }
+    let ussd = {
+      status: cusd.status,
+      active: (cusd.status === 1),
+      text: (cusd.str === null) ? null : UssdUtils.decode(cusd.str, cusd.dcs, this._profile.ussdPacked),
+      dcs: cusd.dcs
+    };
+    this._ussd_active = ussd.active;
+
+    if (!this._ussd_request) {
+      this.emit('ussd', ussd);
+    } else if (cusd.status === 4) {
+      this._settleUssdRequest(new Error('The USSD request is not supported by the network.'));
+    } else if (cusd.status === 5) {
+      this._settleUssdRequest(new Error('The USSD session timed out in the network.'));
+    } else {
+      this._settleUssdRequest(null, ussd);
+    }
+  }
+
+  /* ------------------------------------------------------------------
+  * getCalls()
+  * - List the current calls (`AT+CLCC`)
+  *
+  * [Arguments]
+  * - None
+  * 
+  * [Returen value]
+  * - Promise object
+  * - An array will be passed to the `resolve()`:
+  *   [
+  *     {
+  *       "id": 1,
+  *       "direction": "incoming", // "incoming" or "outgoing"
+  *       "state": "incoming", // "active", "held", "dialing", "alerting", "incoming" or "waiting"
+  *       "voice": true,
+  *       "multiparty": false,
+  *       "number": "+819000000000", // `null` if not available
+  *       "type": 145 // Type of address (`null` if not available)
+  *     }
+  *   ]
+  * ---------------------------------------------------------------- */
+  getCalls() {
+    return (async () => {
+      let cmd = 'AT+CLCC';
+      let res = await this.execCommand(cmd);
+      if (/(^|\n)OK/.test(res) === false) {
+        throw this._createError(cmd, res);
+      }
+      // +CLCC: <id>,<dir>,<stat>,<mode>,<mpty>[,<number>,<type>[,<alpha>]]
+      let states = ['active', 'held', 'dialing', 'alerting', 'incoming', 'waiting'];
+      let calls = [];
+      for (let line of res.split('\n')) {
+        let cols = this._parseCsvResponseLine('CLCC', line.trim());
+        if (!cols || cols.length < 5) {
+          continue;
+        }
+        calls.push({
+          id: parseInt(cols[0], 10),
+          direction: (cols[1] === '1') ? 'incoming' : 'outgoing',
+          state: states[parseInt(cols[2], 10)] || 'unknown',
+          voice: (cols[3] === '0'),
+          multiparty: (cols[4] === '1'),
+          number: cols[5] || null,
+          type: cols[6] ? parseInt(cols[6], 10) : null
+        });
+      }
+      return calls;
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * dial(number, options)
+  * - Make a voice call
+  *
+  * [Arguments]
+  * - number        | String  | Required | Phone number (e.g., "09000000000")
+  * - options       | Object  | Optional |
+  *   - hangupAfter | Integer | Optional | If specified, the call is hung up
+  *                 |         |          | automatically after the time (msec).
+  *                 |         |          | This is useful for a ring-only call.
+  * 
+  * [Returen value]
+  * - Promise object
+  * - An object representing the call will be passed to the `resolve()`:
+  *   {
+  *     "id": null, // Call identification of `AT+CLCC` (`null` until it is known)
+  *     "direction": "outgoing",
+  *     "number": "09000000000",
+  *     "type": 129,
+  *     "state": "dialing",
+  *     "startedAt": "2020-04-11T00:00:00.000Z",
+  *     "answeredAt": null
+  *   }
+  * ---------------------------------------------------------------- */
+  dial(number, options = {}) {
+    return (async () => {
+      let valexp_number = new ValExp({
+        name: 'number',
+        required: true,
+        schema: { type: 'string', pattern: /^\+?[\d\*#]{1,40}$/ }
+      });
+      if (!valexp_number.test(number)) {
+        throw valexp_number.error;
+      }
+      let valexp_options = new ValExp({
+        name: 'options',
+        schema: {
+          type: 'object',
+          properties: {
+            hangupAfter: { type: 'integer', minimum: 1 }
+          }
+        }
+      });
+      let valexp_options_res = valexp_options.exec(options);
+      if (!valexp_options_res) {
+        throw valexp_options.error;
+      }
+      let hangup_after = valexp_options_res[0].hangupAfter;
+
+      // The semicolon means a voice call
+      let cmd = 'ATD' + number + ';';
+      let res = await this.execCommand(cmd, { timeout: 30000 });
+      if (/(^|\n)OK/.test(res) === false) {
+        throw this._createError(cmd, res);
+      }
+      let call = this._addCall('outgoing', number, 'dialing');
+      if (hangup_after) {
+        call.timer = setTimeout(() => {
+          call.timer = null;
+          if (this._calls.includes(call)) {
+            this.hangup().catch(() => { });
+          }
+        }, hangup_after);
+      }
+      this._scheduleCallPoll(0);
+      return this._copyCall(call);
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * answer()
+  * - Answer the incoming call
+  *
+  * [Arguments]
+  * - None
+  * 
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  answer() {
+    return (async () => {
+      let cmd = 'ATA';
+      let res = await this.execCommand(cmd, { timeout: 30000 });
+      if (/(^|\n)OK/.test(res) === false) {
+        throw this._createError(cmd, res);
+      }
+      this._scheduleCallPoll(0);
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * hangup()
+  * - Hang up all calls (or reject the incoming call)
+  *
+  * [Arguments]
+  * - None
+  * 
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  hangup() {
+    return (async () => {
+      // `AT+CHUP` is defined for voice calls in 3GPP TS 27.007, but
+      // some modems support only `ATH`.
+      let cmd = 'AT+CHUP';
+      let res = await this.execCommand(cmd);
+      if (/(^|\n)OK/.test(res) === false) {
+        cmd = 'ATH';
+        res = await this.execCommand(cmd);
+        if (/(^|\n)OK/.test(res) === false) {
+          throw this._createError(cmd, res);
+        }
+      }
+      this._scheduleCallPoll(0);
+    })();
+  }
+
+  // Handle `RING`, `+CRING` and `+CLIP` which are repeated while an
+  // incoming call is ringing
+  // - +CLIP: <number>,<type>[,<subaddr>,<satype>[,<alpha>[,<CLI validity>]]]
+  _handleRingEvent(data) {
+    let call = this._calls.find((c) => {
+      return c.direction === 'incoming' && (c.state === 'incoming' || c.state === 'waiting');
+    });
+    if (!call) {
+      call = this._addCall('incoming', null, 'incoming');
+    }
+    let cols = this._parseCsvResponseLine('CLIP', data);
+    if (cols && cols.length >= 2) {
+      call.number = cols[0] || null;
+      call.type = parseInt(cols[1], 10);
+      this._announceCall(call);
+    }
+    // If the `+CLIP` is not reported (e.g., `AT+CLIP` is not supported),
+    // the call is announced after `AT+CLCC`.
+    this._scheduleCallPoll(0);
+  }
+
+  _addCall(direction, number, state) {
+    let call = {
+      id: null,
+      direction: direction,
+      number: number,
+      type: number ? (/^\+/.test(number) ? 145 : 129) : null,
+      state: state,
+      startedAt: new Date().toISOString(),
+      answeredAt: null,
+      // Whether the `incoming-call` event has been fired
+      announced: false,
+      // Timer of the `hangupAfter` option of the `dial()`
+      timer: null
+    };
+    this._calls.push(call);
+    return call;
+  }
+
+  _copyCall(call) {
+    return {
+      id: call.id,
+      direction: call.direction,
+      number: call.number,
+      type: call.type,
+      state: call.state,
+      startedAt: call.startedAt,
+      answeredAt: call.answeredAt
+    };
+  }
+
+  _announceCall(call) {
+    if (call.direction === 'incoming' && !call.announced) {
+      call.announced = true;
+      this.emit('incoming-call', this._copyCall(call));
+    }
+  }
+
+  // Poll the calls with `AT+CLCC` while any call exists
+  // - A poll requested while polling is executed after the current poll.
+  _scheduleCallPoll(delay) {
+    if (this._call_polling) {
+      this._call_poll_requested = true;
+      return;
+    }
+    if (this._call_poll_timer) {
+      if (delay > 0) {
+        return;
+      }
+      clearTimeout(this._call_poll_timer);
+    }
+    this._call_poll_timer = setTimeout(() => {
+      this._call_poll_timer = null;
+      this._pollCalls();
+    }, delay);
+  }
+
+  _pollCalls() {
+    (async () => {
+      if (this._closing || !this._modem || !this._modem.isOpen) {
+        return;
+      }
+      this._call_polling = true;
+      this._call_poll_requested = false;
+      try {
+        let calls = await this.getCalls();
+        this._updateCalls(calls);
+      } catch (error) {
+        // Try again at the next poll
+      }
+      this._call_polling = false;
+      if (this._call_poll_requested) {
+        this._scheduleCallPoll(0);
+      } else if (this._calls.length > 0) {
+        this._scheduleCallPoll(this._call_poll_interval);
+      }
+    })();
+  }
+
+  // Update the tracked calls with the result of `AT+CLCC`
+  _updateCalls(calls) {
+    let now = new Date();
+    let tracked = [];
+    for (let c of calls) {
+      if (!c.voice) {
+        continue;
+      }
+      let call = this._calls.find((t) => {
+        return t.id === c.id;
+      }) || this._calls.find((t) => {
+        return t.id === null && t.direction === c.direction;
+      });
+      if (!call) {
+        call = this._addCall(c.direction, c.number, c.state);
+      }
+      call.id = c.id;
+      if (!call.number && c.number) {
+        call.number = c.number;
+        call.type = c.type;
+      }
+      tracked.push(call);
+      this._announceCall(call);
+      if (call.state !== c.state) {
+        call.state = c.state;
+        if (c.state === 'active' && !call.answeredAt) {
+          call.answeredAt = now.toISOString();
+        }
+        this.emit('call-state', this._copyCall(call));
+      }
+    }
+
+    // Calls which are not listed have been released
+    for (let call of this._calls) {
+      if (tracked.includes(call)) {
+        continue;
+      }
+      if (call.timer) {
+        clearTimeout(call.timer);
+      }
+      let ended = this._copyCall(call);
+      ended.endedAt = now.toISOString();
+      ended.answered = call.answeredAt ? true : false;
+      ended.duration = call.answeredAt ? Math.round((now.getTime() - Date.parse(call.answeredAt)) / 1000) : 0;
+      this.emit('call-ended', ended);
+    }
+    this._calls = tracked;
+  }
+
+  _stopCallTracking() {
+    if (this._call_poll_timer) {
+      clearTimeout(this._call_poll_timer);
+      this._call_poll_timer = null;
+    }
+    for (let call of this._calls) {
+      if (call.timer) {
+        clearTimeout(call.timer);
+      }
+    }
+    this._calls = [];
+  }
+
+  /* ------------------------------------------------------------------
+  * getCellBroadcastChannels()
+  * - Get the cell broadcast message types accepted by the modem (`AT+CSCB?`)
+  *
+  * [Arguments]
+  * - None
+  * 
+  * [Returen value]
+  * - Promise object
+  * - An object will be passed to the `resolve()`:
+  *   {
+  *     "mode": 0, // 0: the listed types are accepted, 1: not accepted
+  *     "channels": [50, "4370-4383"], // Message identifiers
+  *     "languages": [] // Data coding schemes (empty means all)
+  *   }
+  * ---------------------------------------------------------------- */
+  getCellBroadcastChannels() {
+    return (async () => {
+      let cmd = 'AT+CSCB?';
+      let res = await this.execCommand(cmd);
+      if (/(^|\n)OK/.test(res) === false) {
+        throw this._createError(cmd, res);
+      }
+      let m = res.match(/(^|\n)\+CSCB\:\s*(\d+)\s*,\s*"([^"]*)"(?:\s*,\s*"([^"]*)")?/);
+      if (!m) {
+        throw new Error('Failed to parse the response of `AT+CSCB?`: ' + res);
+      }
+      return {
+        mode: parseInt(m[2], 10),
+        channels: this._parseCellBroadcastList(m[3]),
+        languages: this._parseCellBroadcastList(m[4] || '')
+      };
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * setCellBroadcastChannels(channels, options)
+  * - Select the cell broadcast channels to receive (`AT+CSCB`) and
+  *   enable the indication of cell broadcast messages (`AT+CNMI`)
+  * - The received messages are reported by the `cb-message` event.
+  *
+  * [Arguments]
+  * - channels    | Array  | Required | Message identifiers. Each element is an
+  *               |        |          | integer (e.g., 50) or a range in a string
+  *               |        |          | (e.g., "4370-4383"). If the array is empty,
+  *               |        |          | the reception is disabled.
+  * - options     | Object | Optional |
+  *   - languages | Array  | Optional | Data coding schemes to receive (e.g., [1]
+  *               |        |          | for English). The default is all.
+  * 
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  setCellBroadcastChannels(channels, options = {}) {
+    return (async () => {
+      let mids = this._formatCellBroadcastList('channels', channels, 0xFFFF);
+      if (!options || typeof (options) !== 'object') {
+        throw new Error('The `options` must be an object.');
+      }
+      let dcss = this._formatCellBroadcastList('languages', options.languages || [], 0xFF);
+
+      let cscb_command = 'AT+CSCB=0,"' + mids + '","' + dcss + '"';
+      let res = await this.execCommand(cscb_command);
+      if (/(^|\n)OK/.test(res) === false) {
+        throw this._createError(cscb_command, res);
+      }
+      this._cscb_command = cscb_command;
+      this._cb_enabled = (mids !== '');
+
+      await this._applyCellBroadcastIndication((cmd) => {
+        return this.execCommand(cmd);
+      });
+    })();
+  }
+
+  // Enable (or disable) the indication of cell broadcast messages by
+  // changing the 3rd parameter (<bm>) of the `AT+CNMI` selected by the
+  // `open()`: 2: routed directly to the TE (`+CBM`), 0: no indication
+  _applyCellBroadcastIndication(exec) {
+    return (async () => {
+      if (!this._cnmi_command) {
+        if (this._cb_enabled) {
+          throw new Error('The modem does not support `AT+CNMI`.');
+        }
+        return;
+      }
+      let params = this._cnmi_command.replace(/^AT\+CNMI=/, '').split(',');
+      params[2] = this._cb_enabled ? '2' : '0';
+      let cmd = 'AT+CNMI=' + params.join(',');
+      let res = await exec(cmd);
+      if (/(^|\n)OK/.test(res) === false) {
+        throw this._createError(cmd, res);
+      }
     })();
   }
 
+  // Format a list of `AT+CSCB` (e.g., [50, "4370-4383"] -> "50,4370-4383")
+  _formatCellBroadcastList(name, list, max) {
+    if (!Array.isArray(list)) {
+      throw new Error('The `' + name + '` must be an array.');
+    }
+    let items = [];
+    for (let v of list) {
+      let range = null;
+      if (Number.isInteger(v)) {
+        range = [v, v];
+      } else if (typeof (v) === 'string' && /^\d+\-\d+$/.test(v)) {
+        range = v.split('-').map((n) => {
+          return parseInt(n, 10);
+        });
+      }
+      if (!range || range[0] < 0 || range[1] > max || range[0] > range[1]) {
+        throw new Error('The `' + name + '` contains an invalid value: ' + v);
+      }
+      items.push((range[0] === range[1]) ? String(range[0]) : range.join('-'));
+    }
+    return items.join(',');
+  }
+
+  // Parse a list of `AT+CSCB?` (e.g., "50,4370-4383" -> [50, "4370-4383"])
+  _parseCellBroadcastList(str) {
+    return str.split(',').filter((v) => {
+      return /^\d+(\-\d+)?$/.test(v.trim());
+    }).map((v) => {
+      v = v.trim();
+      return /\-/.test(v) ? v : parseInt(v, 10);
+    });
+  }
+
+  _handleCbMessageEvent(notification) {
+    let page = CbsPduUtils.parse(notification.pdu);
+    if (page.error) {
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', page.error);
+      }
+      return;
+    }
+    let msg = Object.assign({}, page, { page: Object.assign({}, page.page) });
+    if (this._concat === false) {
+      this.emit('cb-message', msg);
+      return;
+    }
+
+    // The network repeats the broadcast until the serial number is changed
+    let recent_key = msg.messageId + '-' + msg.serialNumber;
+    if (this._recent_cb_messages.includes(recent_key)) {
+      return;
+    }
+    // A message in the UMTS format contains all pages
+    if (msg.page.total === 1 || msg.format === 'umts') {
+      this._addRecentCbMessage(recent_key);
+      this.emit('cb-message', msg);
+      return;
+    }
+
+    // Pages of a message have the same serial number and message identifier
+    let key = [
+      msg.messageId,
+      msg.serialNumber,
+      msg.dcs,
+      msg.page.total
+    ].join('-');
+
+    if (!(key in this._event_cb_messages)) {
+      let texts = [];
+      for (let i = 0; i < msg.page.total; i++) {
+        texts.push(undefined);
+      }
+      this._event_cb_messages[key] = {
+        texts: texts,
+        message: msg,
+        total: msg.page.total,
+        num: 0
+      };
+    }
+
+    // A page could be received twice before all pages are received
+    let idx = msg.page.sequence - 1;
+    let cmsg = this._event_cb_messages[key];
+    if (cmsg.texts[idx] !== undefined) {
+      return;
+    }
+    cmsg.texts[idx] = msg.text;
+    cmsg.num++;
+
+    if (cmsg.num === cmsg.total) {
+      cmsg.message.text = cmsg.texts.join('');
+      delete cmsg.message.page.sequence;
+      delete this._event_cb_messages[key];
+      this._addRecentCbMessage(recent_key);
+      this.emit('cb-message', cmsg.message);
+    }
+  }
+
+  _addRecentCbMessage(key) {
+    this._recent_cb_messages.push(key);
+    if (this._recent_cb_messages.length > 32) {
+      this._recent_cb_messages.shift();
+    }
+  }
+
   /* ------------------------------------------------------------------
   * getNetworkInfo()
   * - Get the information of the network
@@ -337,7 +2616,7 @@ class SmsTransceiver extends EventEmitter {
       let cops2_data = this._parseCops(cops2_res);
       if (cops2_data) {
         operator.mcc = parseInt(cops2_data.oper.substring(0, 3), 10);
-        operator.mnc = parseInt(cops2_data.oper.substring(3, 5), 10);
+        operator.mnc = parseInt(cops2_data.oper.substring(3), 10);
       }
 
       // PDP contexts
@@ -353,126 +2632,520 @@ class SmsTransceiver extends EventEmitter {
         }
       }
 
-      // Show PDP Address 
-      let cgpaddr_res = await this.execCommand('AT+CGPADDR=' + Object.keys(contexts).join(','));
-      let context_addrs = this._parseCgpaddr(cgpaddr_res);
-      for (let [cid, addr] of Object.entries(context_addrs)) {
-        if (contexts[cid]) {
-          contexts[cid].addr = addr;
-        }
+      // Show PDP Address 
+      let cgpaddr_res = await this.execCommand('AT+CGPADDR=' + Object.keys(contexts).join(','));
+      let context_addrs = this._parseCgpaddr(cgpaddr_res);
+      for (let [cid, addr] of Object.entries(context_addrs)) {
+        if (contexts[cid]) {
+          contexts[cid].addr = addr;
+        }
+      }
+
+      let info = {
+        subscriber: cnum,
+        operator: operator,
+        contexts: Object.values(contexts)
+      };
+
+      return info;
+    })();
+  }
+
+  _parseCops(data) {
+    let ln = this._trimLastOkLine(data);
+    let rows = this._parseCsvResponseLine('COPS', ln);
+    if (!rows || rows.length < 3) {
+      return null;
+    }
+
+    let res = {
+      mode: rows[0],
+      format: rows[1],
+      oper: rows[2]
+    };
+    return res;
+  }
+
+  _parseCgdcont(data) {
+    data = this._trimLastOkLine(data);
+    let lines = data.split(/\n+/);
+    let res = {};
+    for (let ln of lines) {
+      let rows = this._parseCsvResponseLine('CGDCONT', ln);
+      if (!rows || rows.length < 3) {
+        continue;
+      }
+      let id = rows[0];
+      res[id] = {
+        cid: rows[0], // context identifier
+        type: rows[1],
+        apn: rows[2]
+      };
+    }
+    return res;
+  }
+
+  _parseCgact(data) {
+    data = this._trimLastOkLine(data);
+    let lines = data.split(/\n+/);
+    let res = {};
+    for (let ln of lines) {
+      let rows = this._parseCsvResponseLine('CGACT', ln);
+      if (!rows || rows.length < 2) {
+        continue;
+      }
+      let cid = rows[0];
+      let active = (rows[1] === '1') ? true : false;
+      res[cid] = active;
+    }
+    return res;
+  }
+
+  _parseCgpaddr(data) {
+    data = this._trimLastOkLine(data);
+    let lines = data.split(/\n+/);
+    let res = {};
+    for (let ln of lines) {
+      let rows = this._parseCsvResponseLine('CGPADDR', ln);
+      if (!rows || rows.length < 2) {
+        continue;
+      }
+      let cid = rows[0];
+      let addr = rows[1];
+      res[cid] = addr;
+    }
+    return res;
+  }
+
+  _trimLastOkLine(data) {
+    data = data.replace(/\n+OK$/, '');
+    return data;
+  }
+
+  // Create an error object from an unexpected response of an AT command
+  // (e.g., `+CMS ERROR: 330`)
+  _createError(command, response) {
+    return mAtErrors.AtCommandError.fromResponse(command, response);
+  }
+
+  _parseCsvResponseLine(cmd, line) {
+    let prefix_re = new RegExp('^\\+' + cmd + '\\:\\s*');
+    if (prefix_re.test(line) === false) {
+      return null;
+    }
+    line = line.replace(prefix_re, '');
+
+    let cols = [];
+    let is_in_quoted_col = false;
+    let col = '';
+    let chars = line.split('');
+
+    for (let char of chars) {
+      if (char === ',') {
+        if (!is_in_quoted_col) {
+          cols.push(col);
+          col = '';
+          continue;
+        }
+      } else if (char === '"') {
+        is_in_quoted_col = !is_in_quoted_col;
+        continue;
+      }
+      col += char;
+    }
+    if (col) {
+      cols.push(col);
+    }
+
+    return cols;
+  }
+
+  /* ------------------------------------------------------------------
+  * defineContext(params)
+  * - Define a PDP context (`AT+CGDCONT`) and set its authentication
+  * - If the context has already been defined, it is overwritten.
+  *
+  * [Arguments]
+  * - params       | Object  | Required |
+  *   - cid        | Integer | Required | PDP context identifier (1 - 255)
+  *   - type       | String  | Optional | "IP", "IPV6", "IPV4V6", or "PPP".
+  *                |         |          | The default value is "IP".
+  *   - apn        | String  | Required | Access point name
+  *   - auth       | Object  | Optional | If not specified, the authentication
+  *                |         |          | is not changed.
+  *     - protocol | String  | Required | "none", "pap", or "chap"
+  *     - username | String  | Optional | User name
+  *     - password | String  | Optional | Password
+  * 
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  defineContext(params) {
+    return (async () => {
+      let valexp = new ValExp({
+        name: 'params',
+        required: true,
+        schema: {
+          type: 'object',
+          required: ['cid', 'apn'],
+          properties: {
+            cid: { type: 'integer', minimum: 1, maximum: 255 },
+            type: { type: 'string', enum: ['IP', 'IPV6', 'IPV4V6', 'PPP'], default: 'IP' },
+            apn: { type: 'string', pattern: /^[^",]{1,100}$/ },
+            auth: {
+              type: 'object',
+              required: ['protocol'],
+              properties: {
+                protocol: { type: 'string', enum: ['none', 'pap', 'chap'] },
+                username: { type: 'string', pattern: /^[^"]{0,64}$/, default: '' },
+                password: { type: 'string', pattern: /^[^"]{0,64}$/, default: '' }
+              }
+            }
+          }
+        }
+      });
+      let valexp_res = valexp.exec(params);
+      if (!valexp_res) {
+        throw valexp.error;
+      }
+      let p = valexp_res[0];
+
+      let cmd = 'AT+CGDCONT=' + p.cid + ',"' + p.type + '","' + p.apn + '"';
+      let res = await this.execCommand(cmd);
+      if (/(^|\n)OK/.test(res) === false) {
+        throw this._createError(cmd, res);
+      }
+
+      if (p.auth) {
+        let auth = {
+          protocol: ['none', 'pap', 'chap'].indexOf(p.auth.protocol),
+          username: p.auth.username || '',
+          password: p.auth.password || ''
+        };
+        let auth_res = await this._profile.contextAuth((cmd, options) => {
+          return this.execCommand(cmd, options);
+        }, p.cid, auth);
+        if (/(^|\n)OK/.test(auth_res) === false) {
+          throw this._createError('AT+CGAUTH', auth_res);
+        }
+      }
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * activateContext(cid, options)
+  * - Activate a PDP context (`AT+CGACT=1,<cid>`)
+  *
+  * [Arguments]
+  * - cid       | Integer | Required | PDP context identifier
+  * - options   | Object  | Optional |
+  *   - timeout | Integer | Optional | Response timeout in msec (1 - 600000).
+  *             |         |          | The default value is 150000.
+  * 
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  activateContext(cid, options = {}) {
+    return this._setContextState(cid, 1, options, 150000);
+  }
+
+  /* ------------------------------------------------------------------
+  * deactivateContext(cid, options)
+  * - Deactivate a PDP context (`AT+CGACT=0,<cid>`)
+  *
+  * [Arguments]
+  * - cid       | Integer | Required | PDP context identifier
+  * - options   | Object  | Optional |
+  *   - timeout | Integer | Optional | Response timeout in msec (1 - 600000).
+  *             |         |          | The default value is 40000.
+  * 
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  deactivateContext(cid, options = {}) {
+    return this._setContextState(cid, 0, options, 40000);
+  }
+
+  _setContextState(cid, state, options, default_timeout) {
+    return (async () => {
+      this._checkContextId(cid);
+      let timeout = this._checkTimeoutParam(options, default_timeout);
+      let cmd = 'AT+CGACT=' + state + ',' + cid;
+      let res = await this.execCommand(cmd, { timeout: timeout });
+      if (/(^|\n)OK/.test(res) === false) {
+        throw this._createError(cmd, res);
+      }
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * deleteContext(cid)
+  * - Delete a PDP context (`AT+CGDCONT=<cid>`)
+  *
+  * [Arguments]
+  * - cid | Integer | Required | PDP context identifier
+  * 
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  deleteContext(cid) {
+    return (async () => {
+      this._checkContextId(cid);
+      let cmd = 'AT+CGDCONT=' + cid;
+      let res = await this.execCommand(cmd);
+      if (/(^|\n)OK/.test(res) === false) {
+        throw this._createError(cmd, res);
+      }
+    })();
+  }
+
+  _checkContextId(cid) {
+    let valexp = new ValExp({
+      name: 'cid',
+      required: true,
+      schema: { type: 'integer', minimum: 1, maximum: 255 }
+    });
+    if (!valexp.test(cid)) {
+      throw valexp.error;
+    }
+  }
+
+  /* ------------------------------------------------------------------
+  * provisionContext(params)
+  * - Define a PDP context with the APN preset of the current network
+  * - The network is determined by the MCC and the MNC reported by the
+  *   `getNetworkInfo()`.
+  *
+  * [Arguments]
+  * - params     | Object  | Optional |
+  *   - cid      | Integer | Optional | PDP context identifier. The default value is 1.
+  *   - activate | Boolean | Optional | If `true`, the context is activated.
+  *              |         |          | The default value is `false`.
+  * 
+  * [Returen value]
+  * - Promise object
+  * - The preset applied (See the `registerApnPreset()`) will be passed
+  *   to the `resolve()`. If no preset is found for the network, an
+  *   error will be passed to the `reject()`.
+  * ---------------------------------------------------------------- */
+  provisionContext(params = {}) {
+    return (async () => {
+      let valexp = new ValExp({
+        name: 'params',
+        schema: {
+          type: 'object',
+          properties: {
+            cid: { type: 'integer', minimum: 1, maximum: 255, default: 1 },
+            activate: { type: 'boolean', default: false }
+          }
+        }
+      });
+      let valexp_res = valexp.exec(params);
+      if (!valexp_res) {
+        throw valexp.error;
+      }
+      let p = valexp_res[0];
+
+      let info = await this.getNetworkInfo();
+      let oper = info.operator;
+      let preset = mApnPresets.getPreset(oper.mcc, oper.mnc);
+      if (!preset) {
+        throw new Error('No APN preset is found for the network: ' + oper.mcc + '-' + oper.mnc);
       }
+      await this.defineContext({ cid: p.cid, type: preset.type, apn: preset.apn, auth: preset.auth });
+      if (p.activate) {
+        await this.activateContext(p.cid);
+      }
+      return preset;
+    })();
+  }
 
-      let info = {
-        subscriber: cnum,
-        operator: operator,
-        contexts: Object.values(contexts)
-      };
-
-      return info;
+  /* ------------------------------------------------------------------
+  * scanOperators(params)
+  * - Search the networks available with `AT+COPS=?`
+  * - The search may take a few minutes depending on the modem.
+  *
+  * [Arguments]
+  * - params    | Object  | Optional |
+  *   - timeout | Integer | Optional | Response timeout in msec (1 - 600000).
+  *             |         |          | The default value is 180000.
+  * 
+  * [Returen value]
+  * - Promise object
+  * - An array will be passed to the `resolve()`:
+  *   [
+  *     {
+  *       "status": "current", // "unknown", "available", "current", or "forbidden"
+  *       "stat": 2,
+  *       "longName": "NTT DOCOMO",
+  *       "shortName": "DOCOMO",
+  *       "mccmnc": "44010",
+  *       "mcc": 440,
+  *       "mnc": 10,
+  *       "act": 7, // `null` if not reported
+  *       "accessTechnology": "E-UTRAN" // `null` if not reported
+  *     },
+  *     ...
+  *   ]
+  * ---------------------------------------------------------------- */
+  scanOperators(params = {}) {
+    return (async () => {
+      let timeout = this._checkTimeoutParam(params, 180000);
+      let res = await this.execCommand('AT+COPS=?', { timeout: timeout });
+      if (/(^|\n)OK/.test(res) === false) {
+        throw this._createError('AT+COPS=?', res);
+      }
+      return this._parseCopsList(res);
     })();
   }
 
-  _parseCops(data) {
-    let ln = this._trimLastOkLine(data);
-    let rows = this._parseCsvResponseLine('COPS', ln);
-    if (!rows || rows.length < 3) {
-      return null;
+  // Parse the response of `AT+COPS=?`
+  // - "+COPS: (2,"NTT DOCOMO","DOCOMO","44010",7),(1,...),,(0-4),(0-2)"
+  // - The lists of the supported <mode>s and <format>s are ignored.
+  _parseCopsList(data) {
+    let statuses = ['unknown', 'available', 'current', 'forbidden'];
+    let list = [];
+    let regexp = /\((\d+),"([^"]*)","([^"]*)","(\d*)"(?:,(\d+))?\)/g;
+    let m = null;
+    while ((m = regexp.exec(data)) !== null) {
+      let stat = parseInt(m[1], 10);
+      let act = (m[5] === undefined) ? null : parseInt(m[5], 10);
+      list.push({
+        status: statuses[stat] || 'unknown',
+        stat: stat,
+        longName: m[2],
+        shortName: m[3],
+        mccmnc: m[4],
+        mcc: m[4] ? parseInt(m[4].substring(0, 3), 10) : null,
+        mnc: m[4] ? parseInt(m[4].substring(3), 10) : null,
+        act: act,
+        accessTechnology: RegistrationUtils.getAccessTechnology(act)
+      });
     }
-
-    let res = {
-      mode: rows[0],
-      format: rows[1],
-      oper: rows[2]
-    };
-    return res;
+    return list;
   }
 
-  _parseCgdcont(data) {
-    data = this._trimLastOkLine(data);
-    let lines = data.split(/\n+/);
-    let res = {};
-    for (let ln of lines) {
-      let rows = this._parseCsvResponseLine('CGDCONT', ln);
-      if (!rows || rows.length < 3) {
-        continue;
+  /* ------------------------------------------------------------------
+  * selectOperator(params)
+  * - Register to the network specified by the numeric code (manual
+  *   network selection)
+  *
+  * [Arguments]
+  * - params     | Object  | Required |
+  *   - mccmnc   | String  | Required | MCC and MNC of the network (e.g., "44010")
+  *   - act      | Integer | Optional | Access technology (e.g., 0: GSM, 2: UTRAN,
+  *              |         |          | 7: E-UTRAN). If not specified, the modem
+  *              |         |          | selects it.
+  *   - fallback | Boolean | Optional | If `true`, the modem enters the automatic
+  *              |         |          | mode when the manual selection fails
+  *              |         |          | (`<mode>` = 4). The default value is `false`.
+  *   - timeout  | Integer | Optional | Response timeout in msec (1 - 600000).
+  *              |         |          | The default value is 120000.
+  * 
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  selectOperator(params) {
+    return (async () => {
+      let valexp = new ValExp({
+        name: 'params',
+        required: true,
+        schema: {
+          type: 'object',
+          required: ['mccmnc'],
+          properties: {
+            mccmnc: { type: 'string', pattern: /^\d{5,6}$/ },
+            act: { type: 'integer', minimum: 0, maximum: 13 },
+            fallback: { type: 'boolean', default: false },
+            timeout: { type: 'integer', minimum: 1, maximum: 600000, default: 120000 }
+          }
+        }
+      });
+      let valexp_res = valexp.exec(params);
+      if (!valexp_res) {
+        throw valexp.error;
       }
-      let id = rows[0];
-      res[id] = {
-        cid: rows[0], // context identifier
-        type: rows[1],
-        apn: rows[2]
-      };
-    }
-    return res;
-  }
+      let p = valexp_res[0];
 
-  _parseCgact(data) {
-    data = this._trimLastOkLine(data);
-    let lines = data.split(/\n+/);
-    let res = {};
-    for (let ln of lines) {
-      let rows = this._parseCsvResponseLine('CGACT', ln);
-      if (!rows || rows.length < 2) {
-        continue;
+      let cmd = 'AT+COPS=' + (p.fallback ? 4 : 1) + ',2,"' + p.mccmnc + '"';
+      if (p.act !== undefined) {
+        cmd += ',' + p.act;
       }
-      let cid = rows[0];
-      let active = (rows[1] === '1') ? true : false;
-      res[cid] = active;
-    }
-    return res;
+      let res = await this.execCommand(cmd, { timeout: p.timeout });
+      if (/(^|\n)OK/.test(res) === false) {
+        throw this._createError(cmd, res);
+      }
+    })();
   }
 
-  _parseCgpaddr(data) {
-    data = this._trimLastOkLine(data);
-    let lines = data.split(/\n+/);
-    let res = {};
-    for (let ln of lines) {
-      let rows = this._parseCsvResponseLine('CGPADDR', ln);
-      if (!rows || rows.length < 2) {
-        continue;
+  /* ------------------------------------------------------------------
+  * setAutomaticSelection(params)
+  * - Let the modem select a network automatically (`AT+COPS=0`)
+  *
+  * [Arguments]
+  * - params    | Object  | Optional |
+  *   - timeout | Integer | Optional | Response timeout in msec (1 - 600000).
+  *             |         |          | The default value is 120000.
+  * 
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  setAutomaticSelection(params = {}) {
+    return (async () => {
+      let timeout = this._checkTimeoutParam(params, 120000);
+      let res = await this.execCommand('AT+COPS=0', { timeout: timeout });
+      if (/(^|\n)OK/.test(res) === false) {
+        throw this._createError('AT+COPS=0', res);
       }
-      let cid = rows[0];
-      let addr = rows[1];
-      res[cid] = addr;
-    }
-    return res;
+    })();
   }
 
-  _trimLastOkLine(data) {
-    data = data.replace(/\n+OK$/, '');
-    return data;
+  /* ------------------------------------------------------------------
+  * deregister(params)
+  * - Deregister from the network (`AT+COPS=2`)
+  * - The modem stays deregistered until the `selectOperator()` or the
+  *   `setAutomaticSelection()` is called.
+  *
+  * [Arguments]
+  * - params    | Object  | Optional |
+  *   - timeout | Integer | Optional | Response timeout in msec (1 - 600000).
+  *             |         |          | The default value is 60000.
+  * 
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  deregister(params = {}) {
+    return (async () => {
+      let timeout = this._checkTimeoutParam(params, 60000);
+      let res = await this.execCommand('AT+COPS=2', { timeout: timeout });
+      if (/(^|\n)OK/.test(res) === false) {
+        throw this._createError('AT+COPS=2', res);
+      }
+    })();
   }
 
-  _parseCsvResponseLine(cmd, line) {
-    let prefix_re = new RegExp('^\\+' + cmd + '\\:\\s*');
-    if (prefix_re.test(line) === false) {
-      return null;
-    }
-    line = line.replace(prefix_re, '');
-
-    let cols = [];
-    let is_in_quoted_col = false;
-    let col = '';
-    let chars = line.split('');
-
-    for (let char of chars) {
-      if (char === ',') {
-        if (!is_in_quoted_col) {
-          cols.push(col);
-          col = '';
-          continue;
+  _checkTimeoutParam(params, default_timeout) {
+    let valexp = new ValExp({
+      name: 'params',
+      schema: {
+        type: 'object',
+        properties: {
+          timeout: { type: 'integer', minimum: 1, maximum: 600000, default: default_timeout }
         }
-      } else if (char === '"') {
-        is_in_quoted_col = !is_in_quoted_col;
-        continue;
       }
-      col += char;
-    }
-    if (col) {
-      cols.push(col);
+    });
+    let valexp_res = valexp.exec(params);
+    if (!valexp_res) {
+      throw valexp.error;
     }
-
-    return cols;
+    return valexp_res[0].timeout;
   }
 
   /* ------------------------------------------------------------------
@@ -508,37 +3181,258 @@ class SmsTransceiver extends EventEmitter {
       csq = this._trimLastOkLine(csq);
       let regexp = /^\+CSQ\:\s*/;
 
-      let res = {
-        rssi: null,
-        ber: null
-      };
+      let res = {
+        rssi: null,
+        ber: null
+      };
+
+      if (regexp.test(csq)) {
+        let [rssi, ber] = csq.replace(regexp, '').split(',');
+
+        if (/^\d+$/.test(rssi)) {
+          rssi = parseInt(rssi, 10);
+          if (rssi === 0) {
+            rssi = -113; // -113 dBm or less 
+          } else if (rssi >= 1 && rssi <= 30) {
+            rssi = -113 + (rssi * 2); // in the range of -111 to -53 dBm
+          } else if (rssi === 31) {
+            rssi = -51; // -51 dBm or greater 
+          } else {
+            rssi = null; // not known or not detectable
+          }
+          res.rssi = rssi;
+        }
+
+        if (/^\d+$/.test(ber)) {
+          res.ber = parseInt(ber, 10);
+        }
+      }
+
+      return res;
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * getExtendedSignalQuality()
+  * - Get the signal quality including the metrics of the UMTS and the LTE
+  * - The metrics are read with the vendor specific command of the modem
+  *   profile (e.g., `AT+QCSQ`, `AT^HCSQ?`) or the `AT+CESQ`.
+  *
+  * [Arguments]
+  * - None
+  * 
+  * [Returen value]
+  * - Promise object
+  * - An object will be passed to the `resolve()`:
+  *   {
+  *     "rssi": -67, // dBm (`AT+CSQ`)
+  *     "ber": null, // See the `getSignalQuality()`
+  *     "rscp": null, // Received signal code power in dBm (UMTS)
+  *     "ecno": null, // Ec/No in dB (UMTS)
+  *     "rsrp": -95, // Reference signal received power in dBm (LTE)
+  *     "rsrq": -10, // Reference signal received quality in dB (LTE)
+  *     "sinr": 12.4 // Signal to interference plus noise ratio in dB (LTE)
+  *   }
+  *   A metric which is not known or not supported by the modem is `null`.
+  * ---------------------------------------------------------------- */
+  getExtendedSignalQuality() {
+    return (async () => {
+      let res = await this.getSignalQuality();
+      let ext = null;
+      if (this._profile.signalQuality) {
+        try {
+          ext = await this._profile.signalQuality((cmd, options) => {
+            return this.execCommand(cmd, options);
+          });
+        } catch (error) {
+          ext = null;
+        }
+      }
+      for (let k of ['rscp', 'ecno', 'rsrp', 'rsrq', 'sinr']) {
+        let v = ext ? ext[k] : null;
+        res[k] = (typeof (v) === 'number' && !isNaN(v)) ? v : null;
+      }
+      return res;
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * startSignalMonitor(params)
+  * - Start sampling the signal quality periodically
+  * - The samples are kept in the `signalHistory` property, and the
+  *   `signal-changed` and `signal-low` events are fired.
+  *
+  * [Arguments]
+  * - params        | Object  | Optional |
+  *   - interval    | Integer | Optional | Sampling interval in msec (100 - 3600000).
+  *                 |         |          | The default value is 10000.
+  *   - historySize | Integer | Optional | Maximum number of samples kept in the history
+  *                 |         |          | (1 - 10000). The default value is 60.
+  *   - minChange   | Number  | Optional | Change of a metric (dB) regarded as a change
+  *                 |         |          | of the signal. The default value is 5.
+  *   - thresholds  | Object  | Optional | A metric lower than the threshold is regarded
+  *                 |         |          | as a low signal.
+  *     - rssi      | Number  | Optional | dBm. The default value is -100.
+  *     - rsrp      | Number  | Optional | dBm. The default value is -110.
+  *     - rsrq      | Number  | Optional | dB. The default value is -15.
+  *     - sinr      | Number  | Optional | dB. The default value is 0.
+  * 
+  * [Returen value]
+  * - Promise object
+  * - The first sample will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  startSignalMonitor(params = {}) {
+    return (async () => {
+      let valexp = new ValExp({
+        name: 'params',
+        schema: {
+          type: 'object',
+          properties: {
+            interval: { type: 'integer', minimum: 100, maximum: 3600000, default: 10000 },
+            historySize: { type: 'integer', minimum: 1, maximum: 10000, default: 60 },
+            minChange: { type: 'number', minimum: 0, default: 5 },
+            thresholds: {
+              type: 'object',
+              properties: {
+                rssi: { type: 'number' },
+                rsrp: { type: 'number' },
+                rsrq: { type: 'number' },
+                sinr: { type: 'number' }
+              }
+            }
+          }
+        }
+      });
+      let valexp_res = valexp.exec(params);
+      if (!valexp_res) {
+        throw valexp.error;
+      }
+      let p = valexp_res[0];
+      let thresholds = Object.assign({ rssi: -100, rsrp: -110, rsrq: -15, sinr: 0 }, p.thresholds);
+
+      this.stopSignalMonitor();
+      this._signal_history = [];
+      this._signal_monitor = {
+        interval: p.interval,
+        historySize: p.historySize,
+        minChange: p.minChange,
+        thresholds: thresholds,
+        timer: null
+      };
+      let monitor = this._signal_monitor;
+      let sample = null;
+      try {
+        sample = await this._sampleSignal(monitor);
+      } catch (error) {
+        // The monitor is not started if the first sample fails
+        if (this._signal_monitor === monitor) {
+          this._signal_monitor = null;
+        }
+        throw error;
+      }
+      this._scheduleSignalSample(monitor);
+      return sample;
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * stopSignalMonitor()
+  * - Stop sampling the signal quality
+  * - The `signalHistory` is kept until the monitor is started again.
+  *
+  * [Arguments]
+  * - None
+  * 
+  * [Returen value]
+  * - None
+  * ---------------------------------------------------------------- */
+  stopSignalMonitor() {
+    if (this._signal_monitor) {
+      clearTimeout(this._signal_monitor.timer);
+      this._signal_monitor = null;
+    }
+  }
+
+  _scheduleSignalSample(monitor) {
+    if (this._signal_monitor !== monitor) {
+      return;
+    }
+    monitor.timer = setTimeout(async () => {
+      monitor.timer = null;
+      // A failure of the sampling (e.g., while reconnecting) is ignored.
+      // The next sample is taken after the interval.
+      if (!this._signal_sampling) {
+        try {
+          await this._sampleSignal(monitor);
+        } catch (error) { }
+      }
+      this._scheduleSignalSample(monitor);
+    }, monitor.interval);
+  }
+
+  _sampleSignal(monitor) {
+    return (async () => {
+      this._signal_sampling = true;
+      let quality = null;
+      try {
+        quality = await this.getExtendedSignalQuality();
+      } finally {
+        this._signal_sampling = false;
+      }
+      if (this._signal_monitor !== monitor) {
+        return quality;
+      }
 
-      if (regexp.test(csq)) {
-        let [rssi, ber] = csq.replace(regexp, '').split(',');
+      let sample = Object.assign({ timestamp: new Date().toISOString() }, quality);
+      sample.low = Object.keys(monitor.thresholds).filter((k) => {
+        return sample[k] !== null && sample[k] < monitor.thresholds[k];
+      });
 
-        if (/^\d+$/.test(rssi)) {
-          rssi = parseInt(rssi, 10);
-          if (rssi === 0) {
-            rssi = -113; // -113 dBm or less 
-          } else if (rssi >= 1 && rssi <= 30) {
-            rssi = -113 + (rssi * 2); // in the range of -111 to -53 dBm
-          } else if (rssi = 31) {
-            rssi = -51; // -51 dBm or greater 
-          } else {
-            rssi = null; // not known or not detectable
-          }
-          res.rssi = rssi;
-        }
+      let prev = this._signal_history[this._signal_history.length - 1] || null;
+      this._signal_history.push(sample);
+      if (this._signal_history.length > monitor.historySize) {
+        this._signal_history.shift();
+      }
+      if (!prev) {
+        return Object.assign({}, sample, { low: sample.low.slice() });
+      }
 
-        if (/^\d+$/.test(ber)) {
-          res.ber = parseInt(ber, 10);
+      if (this._isSignalChanged(prev, sample, monitor.minChange)) {
+        this.emit('signal-changed', Object.assign({}, sample, { low: sample.low.slice() }));
+      }
+      // The `signal-low` event is fired only when a metric falls below
+      // the threshold, not while it stays below the threshold.
+      for (let k of sample.low) {
+        if (!prev.low.includes(k)) {
+          this.emit('signal-low', {
+            metric: k,
+            value: sample[k],
+            threshold: monitor.thresholds[k],
+            sample: Object.assign({}, sample, { low: sample.low.slice() })
+          });
         }
       }
-
-      return res;
+      return Object.assign({}, sample, { low: sample.low.slice() });
     })();
   }
 
+  _isSignalChanged(prev, sample, min_change) {
+    if (prev.low.join() !== sample.low.join()) {
+      return true;
+    }
+    for (let k of ['rssi', 'rscp', 'ecno', 'rsrp', 'rsrq', 'sinr']) {
+      let a = prev[k];
+      let b = sample[k];
+      if ((a === null) !== (b === null)) {
+        return true;
+      }
+      if (a !== null && Math.abs(a - b) >= min_change) {
+        return true;
+      }
+    }
+    return false;
+  }
+
   /* ------------------------------------------------------------------
   * getLocationInfo()
   * - Get the information of the location
@@ -592,40 +3486,67 @@ class SmsTransceiver extends EventEmitter {
         throw new Error('The `params` must be an object.');
       }
 
-      // Set the presentation of an unsolicited result code of `AT +CREG?`
-      let creg2_res = await this.execCommand('AT+CREG=2');
-      if (/(^|\n)OK/.test(creg2_res) === false) {
-        throw new Error('Unexpected response: ' + creg2_res);
+      // Serving cell information using the vendor specific command
+      let cell = null;
+      if (this._profile.servingCell) {
+        cell = await this._profile.servingCell((cmd, options) => {
+          return this.execCommand(cmd, options);
+        });
       }
 
-      // Get the location
-      let creg_res = await this.execCommand('AT+CREG?');
-      let creg_res_line = this._trimLastOkLine(creg_res);
-      let rows = this._parseCsvResponseLine('CREG', creg_res_line);
-      if (!rows || rows.length < 4) {
-        return null;
-      }
+      let lac = null;
+      let cid = null;
+      if (cell && Number.isInteger(cell.lac) && Number.isInteger(cell.cid)) {
+        lac = cell.lac;
+        cid = cell.cid;
+      } else {
+        cell = null;
 
-      let lac_hex = rows[2];
-      let cid_hex = rows[3];
-      if (!lac_hex || /^[0-9A-Fa-f]{4}$/.test(lac_hex) === false) {
-        throw new Error('Unexpected response: ' + creg_res_line);
-      }
-      if (!cid_hex || /^[0-9A-Fa-f]+$/.test(cid_hex) === false) {
-        throw new Error('Unexpected response: ' + creg_res_line);
+        // Set the presentation of an unsolicited result code of `AT +CREG?`
+        let creg2_res = await this.execCommand('AT+CREG=2');
+        if (/(^|\n)OK/.test(creg2_res) === false) {
+          throw this._createError('AT+CREG=2', creg2_res);
+        }
+
+        // Get the location
+        let creg_res = await this.execCommand('AT+CREG?');
+        let creg_res_line = this._trimLastOkLine(creg_res);
+        let creg = this._profile.parsers.creg(creg_res_line);
+
+        // On LTE, the location is reported by `+CEREG` as the TAC and
+        // the 28-bit E-UTRAN cell identity instead of `+CREG`.
+        if (!creg || creg.lac === null || creg.cid === null) {
+          let cereg = await this._readCeregLocation();
+          if (cereg) {
+            creg = cereg;
+          }
+        }
+        if (!creg || (creg.lac === null && creg.cid === null)) {
+          return null;
+        }
+        if (creg.lac === null || creg.cid === null) {
+          throw this._createError('AT+CREG?', creg_res);
+        }
+        lac = creg.lac;
+        cid = creg.cid;
       }
-      let lac = parseInt(lac_hex, 16);
-      let cid = parseInt(cid_hex, 16);
 
-      // Operator Selection
-      await this.execCommand(`AT+COPS=3,2`);
-      let cops2_res = await this.execCommand('AT+COPS?');
-      let cops2_data = this._parseCops(cops2_res);
-      if (!cops2_data) {
-        throw new Error('Failed to execute the command: AT+COPS?');
+      let mcc = null;
+      let mnc = null;
+      if (cell && Number.isInteger(cell.mcc) && Number.isInteger(cell.mnc)) {
+        mcc = cell.mcc;
+        mnc = cell.mnc;
+      } else {
+        // Operator Selection
+        await this.execCommand(`AT+COPS=3,2`);
+        let cops2_res = await this.execCommand('AT+COPS?');
+        let cops2_data = this._parseCops(cops2_res);
+        if (!cops2_data) {
+          throw this._createError('AT+COPS?', cops2_res);
+        }
+        mcc = parseInt(cops2_data.oper.substring(0, 3), 10);
+        mnc = parseInt(cops2_data.oper.substring(3), 10);
       }
-      let mcc = parseInt(cops2_data.oper.substring(0, 3), 10);
-      let mnc = parseInt(cops2_data.oper.substring(3, 5), 10);
 
       let info = {
         mcc: mcc, // Mobile country code
@@ -660,6 +3581,198 @@ class SmsTransceiver extends EventEmitter {
     })();
   }
 
+  // Read the location with `AT+CEREG?` (`null` if not available)
+  _readCeregLocation() {
+    return (async () => {
+      let cereg2_res = await this.execCommand('AT+CEREG=2');
+      if (/(^|\n)OK/.test(cereg2_res) === false) {
+        return null;
+      }
+      let cereg_res = await this.execCommand('AT+CEREG?');
+      let line = cereg_res.split('\n').find((l) => {
+        return l.startsWith('+CEREG:');
+      });
+      let cereg = RegistrationUtils.parse(line, false);
+      if (!cereg || cereg.tac === null || cereg.cid === null) {
+        return null;
+      }
+      return { stat: cereg.stat, lac: cereg.tac, cid: cereg.cid };
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * getRegistration()
+  * - Get the network registration status of each domain
+  *   (`AT+CREG?`, `AT+CGREG?` and `AT+CEREG?`)
+  *
+  * [Arguments]
+  * - None
+  * 
+  * [Returen value]
+  * - Promise object
+  * - An object will be passed to the `resolve()`:
+  *   {
+  *     "cs": {...}, // Circuit switched (`+CREG`)
+  *     "ps": {...}, // Packet switched (`+CGREG`)
+  *     "eps": {...}, // Evolved packet system (`+CEREG`)
+  *     "registered": true // `true` if registered in any domain
+  *   }
+  *   Each domain is an object returned by the `RegistrationUtils.parse()`,
+  *   or `null` if the modem does not support the command.
+  * ---------------------------------------------------------------- */
+  getRegistration() {
+    return (async () => {
+      let reg = { cs: null, ps: null, eps: null, registered: false };
+      for (let name of ['CREG', 'CGREG', 'CEREG']) {
+        let res = await this.execCommand('AT+' + name + '?');
+        if (/(^|\n)OK/.test(res) === false) {
+          continue;
+        }
+        let line = res.split('\n').find((l) => {
+          return l.startsWith('+' + name + ':');
+        });
+        let status = RegistrationUtils.parse(line, false);
+        if (status) {
+          reg[status.domain] = status;
+          this._registration[status.domain] = status;
+        }
+      }
+      reg.registered = [reg.cs, reg.ps, reg.eps].some((status) => {
+        return status && status.registered;
+      });
+      return reg;
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * startRegistrationMonitoring()
+  * - Enable the unsolicited result codes `+CREG`, `+CGREG` and `+CEREG`
+  *   with the location, so that the `registration-changed` event is
+  *   fired when the registration status changes
+  * - The monitoring is enabled again when the connection is re-established.
+  *
+  * [Arguments]
+  * - None
+  * 
+  * [Returen value]
+  * - Promise object
+  * - The current status (see the `getRegistration()`) will be passed to
+  *   the `resolve()`.
+  * ---------------------------------------------------------------- */
+  startRegistrationMonitoring() {
+    return (async () => {
+      this._registration_monitoring = true;
+      await this._enableRegistrationUrcs((cmd) => {
+        return this.execCommand(cmd);
+      });
+      return await this.getRegistration();
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * stopRegistrationMonitoring()
+  * - Disable the unsolicited result codes `+CREG`, `+CGREG` and `+CEREG`
+  *
+  * [Arguments]
+  * - None
+  * 
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  stopRegistrationMonitoring() {
+    return (async () => {
+      this._registration_monitoring = false;
+      for (let name of ['CREG', 'CGREG', 'CEREG']) {
+        await this.execCommand('AT+' + name + '=0');
+      }
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * waitForRegistration(timeout)
+  * - Wait until the modem is registered to a network in any domain
+  *
+  * [Arguments]
+  * - timeout | Integer | Optional | Time to wait in msec. The default is 60000.
+  * 
+  * [Returen value]
+  * - Promise object
+  * - The status (see the `getRegistration()`) will be passed to the
+  *   `resolve()`. If the modem is not registered within the `timeout`,
+  *   a `TimeoutError` will be passed to the `reject()`.
+  * ---------------------------------------------------------------- */
+  waitForRegistration(timeout = 60000) {
+    return (async () => {
+      let valexp = new ValExp({
+        name: 'timeout',
+        schema: { type: 'integer', minimum: 0 }
+      });
+      if (!valexp.test(timeout)) {
+        throw valexp.error;
+      }
+
+      // The status is checked every second. The `registration-changed`
+      // event triggers the check immediately if the monitoring is enabled.
+      let deadline = Date.now() + timeout;
+      while (true) {
+        let reg = await this.getRegistration();
+        if (reg.registered) {
+          return reg;
+        }
+        let remaining = deadline - Date.now();
+        if (remaining <= 0) {
+          throw new mAtErrors.TimeoutError('The modem was not registered to a network within ' + timeout + ' msec.');
+        }
+        await this._waitForRegistrationEvent(Math.min(remaining, 1000));
+      }
+    })();
+  }
+
+  _waitForRegistrationEvent(msec) {
+    return new Promise((resolve) => {
+      let timer = null;
+      let onchange = (status) => {
+        if (status.registered) {
+          clearTimeout(timer);
+          this.removeListener('registration-changed', onchange);
+          resolve();
+        }
+      };
+      timer = setTimeout(() => {
+        this.removeListener('registration-changed', onchange);
+        resolve();
+      }, msec);
+      this.on('registration-changed', onchange);
+    });
+  }
+
+  // Enable the URCs of the registration status with the location (`<n>` = 2).
+  // If the modem does not support it, the URCs without the location (`<n>` = 1)
+  // are enabled. A command which the modem does not support is ignored.
+  _enableRegistrationUrcs(exec) {
+    return (async () => {
+      for (let name of ['CREG', 'CGREG', 'CEREG']) {
+        let res = await exec('AT+' + name + '=2');
+        if (/(^|\n)OK/.test(res) === false) {
+          await exec('AT+' + name + '=1');
+        }
+      }
+    })();
+  }
+
+  _handleRegistrationEvent(data) {
+    let status = RegistrationUtils.parse(data, true);
+    if (!status) {
+      return;
+    }
+    let prev = this._registration[status.domain];
+    this._registration[status.domain] = status;
+    if (!RegistrationUtils.isSameStatus(prev, status)) {
+      this.emit('registration-changed', Object.assign({}, status));
+    }
+  }
+
   /* ------------------------------------------------------------------
   * getMessageStorage()
   * - Get the preferred message storage
@@ -695,7 +3808,7 @@ class SmsTransceiver extends EventEmitter {
       cpms_res = this._trimLastOkLine(cpms_res);
       let rows = this._parseCsvResponseLine('CPMS', cpms_res);
       if (!rows || rows.length < 9) {
-        throw new Error('Unexpected response: ' + cpms_res);
+        throw this._createError('AT+CPMS?', cpms_res);
       }
 
       let res = {
@@ -771,12 +3884,13 @@ class SmsTransceiver extends EventEmitter {
       }
 
       // Preferred Message Storage
-      let command = `AT+CPMS="${memr}","${memw}","${mems}"`;
+      let command = `AT+CPMS="${params.memr}","${params.memw}","${params.mems}"`;
       let cpms = await this.execCommand(command);
 
       if (/\nOK/.test(cpms) === false) {
-        throw new Error('Unexpected response: ' + cpms);
+        throw this._createError(command, cpms);
       }
+      this._cpms_command = command;
 
       let res = await this.getMessageStorage();
       return res;
@@ -841,7 +3955,7 @@ class SmsTransceiver extends EventEmitter {
       let command = 'AT+CMGL=' + options.stat.toString();
       let cmgl = await this.execCommand(command);
       if (/(^|\n)OK/.test(cmgl) === false) {
-        throw new Error('Unexpected response: ' + cmgl);
+        throw this._createError(command, cmgl);
       }
 
       let message_list = this._parseMessageList(cmgl);
@@ -873,12 +3987,14 @@ class SmsTransceiver extends EventEmitter {
           to: null,
           date: null,
           concat: null,
-          text: ''
+          text: '',
+          data: null,
+          ports: null,
+          udh: null
         };
 
       } else if (current_message && /^[A-F0-9]+$/.test(line)) {
-        let pdu = SmsPdu.parse(line);
-        delete pdu.details;
+        let pdu = SmsPduUtils.parse(line);
         current_message.type = pdu.type;
 
         if (pdu.type === 'SMS-DELIVER') {
@@ -897,6 +4013,10 @@ class SmsTransceiver extends EventEmitter {
           concat_num++;
         }
         current_message.text = pdu.text;
+        current_message.data = pdu.data || null;
+        current_message.ports = pdu.ports || null;
+        current_message.udh = pdu.udh || null;
+        this._setMessageOptions(current_message, line);
         message_list.push(current_message);
       } else {
         current_message = null;
@@ -936,15 +4056,18 @@ class SmsTransceiver extends EventEmitter {
       if (!(key in concat_msg_map)) {
         let texts = [];
         let indexes = [];
+        let datas = [];
 
         for (let i = 0; i < msg.concat.total; i++) {
           indexes.push(undefined);
           texts.push(undefined);
+          datas.push(undefined);
         }
 
         concat_msg_map[key] = {
           indexes: indexes,
           texts: texts,
+          datas: datas,
           message: msg,
           total: msg.concat.total,
           num: 0
@@ -955,11 +4078,16 @@ class SmsTransceiver extends EventEmitter {
       let idx = msg.concat.sequence - 1;
       concat_msg_map[key].indexes[idx] = msg.index;
       concat_msg_map[key].texts[idx] = msg.text;
+      concat_msg_map[key].datas[idx] = msg.data;
       concat_msg_map[key].num++;
 
       if (concat_msg_map[key].num === concat_msg_map[key].total) {
         let message = concat_msg_map[key].message;
-        message.text = concat_msg_map[key].texts.join('');
+        if (message.data) {
+          message.data = Buffer.concat(concat_msg_map[key].datas);
+        } else {
+          message.text = concat_msg_map[key].texts.join('');
+        }
         delete message.concat.sequence;
         message.concat.indexes = concat_msg_map[key].indexes;
         delete concat_msg_map[key];
@@ -967,14 +4095,21 @@ class SmsTransceiver extends EventEmitter {
     }
 
     for (let concat_msg of Object.values(concat_msg_map)) {
-      let merged_text = '';
-      for (let txt of concat_msg.texts) {
-        if (txt === undefined) {
-          txt = '[?]'
+      if (concat_msg.message.data) {
+        // The missing segments of binary data are just skipped
+        concat_msg.message.data = Buffer.concat(concat_msg.datas.filter((d) => {
+          return d !== undefined;
+        }));
+      } else {
+        let merged_text = '';
+        for (let txt of concat_msg.texts) {
+          if (txt === undefined) {
+            txt = '[?]'
+          }
+          merged_text += txt;
         }
-        merged_text += txt;
+        concat_msg.message.text = merged_text;
       }
-      concat_msg.message.text = merged_text;
       delete concat_msg.message.concat.sequence;
       concat_msg.message.concat.indexes = concat_msg.indexes;
     }
@@ -1045,7 +4180,7 @@ class SmsTransceiver extends EventEmitter {
       let command = 'AT+CMGR=' + index.toString();
       let cmgr_res = await this.execCommand(command);
       if (/(^|\n)OK/.test(cmgr_res) === false) {
-        throw new Error('Unexpected response: ' + cmgr_res);
+        throw this._createError(command, cmgr_res);
       }
       cmgr_res = this._trimLastOkLine(cmgr_res);
       let lines = cmgr_res.split(/\n+/);
@@ -1057,36 +4192,55 @@ class SmsTransceiver extends EventEmitter {
       let rows = this._parseCsvResponseLine('CMGR', lines[0]);
       let stat = parseInt(rows[0], 10);
 
-      let pdu = SmsPdu.parse(lines[1]);
+      let msg = this._createMessageFromPdu(index, stat, lines[1]);
+      return msg;
+    })();
+  }
+
+  // Create a `SmsMessage` object from a PDU
+  _createMessageFromPdu(index, stat, hex) {
+    let pdu = SmsPduUtils.parse(hex);
+
+    let msg = {
+      index: index,
+      stat: stat,
+      type: pdu.type,
+      from: null,
+      to: null,
+      date: null,
+      concat: null,
+      text: pdu.text,
+      data: pdu.data || null,
+      ports: pdu.ports || null,
+      udh: pdu.udh || null
+    };
 
-      let msg = {
-        index: index,
-        stat: stat,
-        type: pdu.type,
-        from: null,
-        to: null,
-        date: null,
-        concat: null,
-        text: pdu.text
+    if (pdu.concat) {
+      msg.concat = {
+        reference: pdu.concat.reference,
+        sequence: pdu.concat.sequence,
+        total: pdu.concat.total
       };
+    }
 
-      if (pdu.concat) {
-        msg.concat = {
-          reference: pdu.concat.reference,
-          sequence: pdu.concat.sequence,
-          total: pdu.concat.total
-        };
-      }
+    if (pdu.type === 'SMS-DELIVER') {
+      msg.from = pdu.origination;
+      msg.date = pdu.timestamp;
+    } else if (pdu.type === 'SMS-SUBMIT') {
+      msg.to = pdu.destination;
+    }
 
-      if (pdu.type === 'SMS-DELIVER') {
-        msg.from = pdu.origination;
-        msg.date = pdu.timestamp;
-      } else if (pdu.type === 'SMS-SUBMIT') {
-        msg.to = pdu.destination;
-      }
+    this._setMessageOptions(msg, hex);
+    return msg;
+  }
 
-      return msg;
-    })();
+  // Add the optional parameters of the PDU (the message class, the
+  // TP-PID, etc.) to a `SmsMessage` object
+  _setMessageOptions(msg, hex) {
+    let options = SmsPduUtils.parseOptions(hex) || {};
+    for (let k of ['messageClass', 'pid', 'replyPath', 'rejectDuplicates', 'validityPeriod']) {
+      msg[k] = (k in options) ? options[k] : null;
+    }
   }
 
   /* ------------------------------------------------------------------
@@ -1138,7 +4292,7 @@ class SmsTransceiver extends EventEmitter {
         let command = 'AT+CMGD=' + index.toString();
         let cmgd = await this.execCommand(command);
         if (/(^|\n)OK/.test(cmgd) === false) {
-          throw new Error('Unexpected response: ' + cmgr);
+          throw this._createError(command, cmgd);
         }
         return msg;
       }
@@ -1161,7 +4315,7 @@ class SmsTransceiver extends EventEmitter {
         let command = 'AT+CMGD=' + idx.toString();
         let cmgd = await this.execCommand(command);
         if (/(^|\n)OK/.test(cmgd) === false) {
-          throw new Error('Unexpected response: ' + cmgr);
+          throw this._createError(command, cmgd);
         }
       }
       return target_message;
@@ -1187,57 +4341,229 @@ class SmsTransceiver extends EventEmitter {
       if (/(^|\n)OK/.test(cmgd)) {
         return;
       } else {
-        throw new Error('Unexpected response: ' + cmgr);
+        throw this._createError(command, cmgd);
+      }
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * getServiceCenter()
+  * - Get the address of the SMSC (Service Center) set in the modem
+  *
+  * [Arguments]
+  * - None
+  * 
+  * [Returen value]
+  * - Promise object
+  * - An object will be passed to the `resolve()`:
+  *   {
+  *     "number": "+819000000000", // "" if not set
+  *     "type": 145 // Type of address (129: unknown, 145: international)
+  *   }
+  * ---------------------------------------------------------------- */
+  getServiceCenter() {
+    return (async () => {
+      let res = await this.execCommand('AT+CSCA?');
+      let line = this._trimLastOkLine(res);
+      let rows = this._parseCsvResponseLine('CSCA', line);
+      if (!rows) {
+        throw this._createError('AT+CSCA?', res);
+      }
+      let number = rows[0] || '';
+      // Some modems report the address in the TE character set
+      // (e.g., "002B0038..." in UCS2)
+      if (/^(002B)?(003[0-9])+$/i.test(number)) {
+        number = PhonebookUtils.decodeUcs2(number);
+      }
+      let type = /^\d+$/.test(rows[1] || '') ? parseInt(rows[1], 10) : null;
+      if (type === null && number) {
+        type = /^\+/.test(number) ? 145 : 129;
+      }
+      return {
+        number: number,
+        type: type
+      };
+    })();
+  }
+
+  /* ------------------------------------------------------------------
+  * setServiceCenter(number, type)
+  * - Set the address of the SMSC (Service Center) used for sending
+  *   messages (`AT+CSCA`)
+  *
+  * [Arguments]
+  * - number | String  | Required | Address of the SMSC (e.g., "+819000000000")
+  * - type   | Integer | Optional | Type of address (129: unknown, 145: international).
+  *          |         |          | The default is 145 if the `number` starts with
+  *          |         |          | "+", otherwise 129.
+  * 
+  * [Returen value]
+  * - Promise object
+  * - Nothing will be passed to the `resolve()`.
+  * ---------------------------------------------------------------- */
+  setServiceCenter(number, type) {
+    return (async () => {
+      let valexp_number = new ValExp({
+        name: 'number',
+        required: true,
+        schema: { type: 'string', pattern: /^\+?\d{1,20}$/ }
+      });
+      if (!valexp_number.test(number)) {
+        throw valexp_number.error;
+      }
+      let valexp_type = new ValExp({
+        name: 'type',
+        schema: { type: 'integer', minimum: 128, maximum: 255 }
+      });
+      if (!valexp_type.test(type)) {
+        throw valexp_type.error;
+      }
+      if (type === undefined) {
+        type = /^\+/.test(number) ? 145 : 129;
+      }
+
+      let cmd = 'AT+CSCA="' + number + '",' + type;
+      let res = await this.execCommand(cmd);
+      if (/(^|\n)OK/.test(res) === false) {
+        throw this._createError(cmd, res);
       }
     })();
   }
 
   /* ------------------------------------------------------------------
-  * sendMessage(dest, text)
+  * sendMessage(dest, text, options)
   * - Send a message to the specified telephone number
   *
   * [Arguments]
-  * - dest    | String | Required | Destination telephone number
-  * - text    | String | Required | Message text
+  * - dest                  | String  | Required | Destination telephone number
+  * - text                  | String  | Required | Message text, or binary data which is
+  *                         | Buffer  |          | sent as 8-bit data
+  * - options               | Object  | Optional |
+  *   - statusReport        | Boolean | Optional | If `true`, a status report is requested.
+  *                         |         |          | The `delivery-report` event is fired
+  *                         |         |          | when the report is received.
+  *                         |         |          | The default is `false`.
+  *   - waitForRegistration | Integer | Optional | If specified, the message is sent
+  *                         |         |          | after the modem is registered to a
+  *                         |         |          | network. The value is the timeout in
+  *                         |         |          | msec (see the `waitForRegistration()`).
+  *   - smsc                | String  | Optional | Address of the SMSC encoded into the
+  *                         |         |          | PDU (e.g., "+819000000000"). If not
+  *                         |         |          | specified, the SMSC set by the
+  *                         |         |          | `setServiceCenter()` is used.
+  *   - messageClass        | Integer | Optional | Message class (0 - 3). 0 means a flash
+  *                         |         |          | message which is displayed immediately.
+  *   - validityPeriod      | Integer | Optional | Relative validity period in minutes
+  *                         | Date    |          | (5 - 635040), or an absolute validity
+  *                         |         |          | period. The SMSC discards the message
+  *                         |         |          | if it can not be delivered in time.
+  *   - pid                 | Integer | Optional | TP-PID (0 - 255). For example, 0x41 -
+  *                         |         |          | 0x47 mean the Replace Short Message
+  *                         |         |          | Type 1 - 7.
+  *   - rejectDuplicates    | Boolean | Optional | If `true`, the SMSC rejects a message
+  *                         |         |          | with the same TP-MR and destination.
+  *   - replyPath           | Boolean | Optional | If `true`, the reply path is requested.
+  *   - destinationPort     | Integer | Optional | Destination application port (0 - 65535).
+  *                         |         |          | Available only for binary data.
+  *   - sourcePort          | Integer | Optional | Source application port (0 - 65535).
+  *                         |         |          | The default is 0.
   *
   * [Returen value]
   * - Promise object
-  * - Nothing will be passed to the `resolve()`:
+  * - An object will be passed to the `resolve()`:
+  *   {
+  *     "references": [12, 13] // TP-MR of each segment
+  *   }
+  * - If a segment fails after the preceding segments were sent, the
+  *   error passed to the `reject()` has the `references` of them.
   * ---------------------------------------------------------------- */
-  sendMessage(dest, text) {
+  sendMessage(dest, text, options = {}) {
     return (async () => {
+      // Check the `options`
+      let valexp_options = new ValExp({
+        name: 'options',
+        schema: {
+          type: 'object',
+          properties: {
+            statusReport: { type: 'boolean', default: false },
+            waitForRegistration: { type: 'integer', minimum: 0 }
+          }
+        }
+      });
+      let valexp_options_res = valexp_options.exec(options);
+      if (!valexp_options_res) {
+        throw valexp_options.error;
+      }
+      let status_report = valexp_options_res[0].statusReport;
+      let registration_timeout = valexp_options_res[0].waitForRegistration;
+
       // Create PDUs
-      let pdu_list = this._generateSubmitPdus(dest, text);
+      let pdu_list = this._generateSubmitPdus(dest, text, options);
 
-      // Send Message
-      let err = '';
+      // Wait until the modem is registered to a network
+      if (registration_timeout !== undefined) {
+        await this.waitForRegistration(registration_timeout);
+      }
+      if (status_report) {
+        pdu_list = pdu_list.map((pdu) => {
+          return SmsPduUtils.setStatusReportRequest(pdu);
+        });
+      }
 
+      // Messages waiting for the status reports
+      let sent = {
+        to: dest,
+        references: [],
+        statuses: []
+      };
+
+      // Send Message
+      // - The `AT+CMGS` command and the PDU must be sent in a row,
+      //   so they are executed in a transaction.
       for (let pdu of pdu_list) {
-        let command = 'AT+CMGS=' + pdu.length;
-        let cmgs = await this.execCommand(command);
-        if (/^\>/.test(cmgs)) {
-          let result = await this.execCommand(pdu.hex, {
+        let mr = await this._transaction(async (exec) => {
+          let command = 'AT+CMGS=' + pdu.length;
+          let cmgs = await exec(command);
+          if (/^\>/.test(cmgs) === false) {
+            throw this._createError(command, cmgs);
+          }
+          if (this._profile.promptDelay > 0) {
+            await this.wait(this._profile.promptDelay);
+          }
+          let result = await exec(pdu.hex, this._getCommandOptions(command, {
             terminator: 0x1A  // `0x1A` means "Ctrl+z"
-          });
+          }));
           if (/(^|\n)OK/.test(result) === false) {
-            err = 'Unexpected response: ' + result;
-            break;
+            throw this._createError(command, result);
           }
-        } else {
-          err = 'Unexpected response: ' + cmgs;
-          break;
-        }
-      }
+          // Message reference: "+CMGS: <mr>"
+          let m = result.match(/(^|\n)\+CMGS\:\s*(\d+)/);
+          return m ? parseInt(m[2], 10) : null;
+        }).catch((error) => {
+          // The segments which have been sent
+          error.references = sent.references.slice();
+          throw error;
+        });
 
-      if (err) {
-        throw new Error(err);
+        sent.references.push(mr);
+        sent.statuses.push(null);
+        if (status_report && mr !== null) {
+          this._status_report_messages[mr] = sent;
+        }
       }
 
-      return;
+      return {
+        references: sent.references
+      };
     })();
   }
 
-  _generateSubmitPdus(dest, text) {
+  // Create SMS-SUBMIT PDUs
+  // - text: A string or a `Buffer` object (8-bit data)
+  // - options: `smsc`, `messageClass`, `validityPeriod`, `pid`,
+  //   `rejectDuplicates`, `replyPath`, `destinationPort` and `sourcePort`
+  //   (See the `sendMessage()`)
+  _generateSubmitPdus(dest, text, options = {}) {
     let valexp_dest = new ValExp({
       name: 'dest',
       required: true,
@@ -1247,60 +4573,85 @@ class SmsTransceiver extends EventEmitter {
       throw valexp_dest.error;
     }
 
-    let valexp_text = new ValExp({
-      name: 'text',
-      required: true,
-      schema: { type: 'string', minLength: 1 }
-    });
-    if (!valexp_text.test(text)) {
-      throw valexp_text.error;
-    }
+    let submit_options = SmsTransceiver._checkSubmitParams(text, options);
 
     // Create PDUs
-    let pdu_list = SmsPdu.generateSubmit(dest, text);
+    let pdu_list = null;
+    if (Buffer.isBuffer(text)) {
+      this._concat_reference = (this._concat_reference + 1) % 256;
+      pdu_list = SmsPduUtils.generateSubmitData(dest, text, {
+        destinationPort: submit_options.destinationPort,
+        sourcePort: submit_options.sourcePort,
+        reference: this._concat_reference
+      });
+    } else {
+      // The encoding is determined in the same way as the `analyzeText()`
+      pdu_list = SmsPdu.generateSubmit(dest, text, { encoding: SmsPduUtils.getEncoding(text) });
+    }
+    if (submit_options.smsc) {
+      pdu_list = pdu_list.map((pdu) => {
+        return SmsPduUtils.setServiceCenter(pdu, submit_options.smsc);
+      });
+    }
+    pdu_list = pdu_list.map((pdu) => {
+      return SmsPduUtils.setSubmitOptions(pdu, submit_options);
+    });
     return pdu_list;
   }
 
   /* ------------------------------------------------------------------
-  * writeSubmitMessage(dest, text)
+  * writeSubmitMessage(dest, text, options)
   * - Write a SMS-SUBMIT message to the selected storage
   *
   * [Arguments]
-  * - dest    | String | Required | Destination telephone number
-  * - text    | String | Required | Message text
+  * - dest               | String  | Required | Destination telephone number
+  * - text               | String  | Required | Message text or binary data
+  *                      | Buffer  |          |
+  * - options            | Object  | Optional |
+  *   - smsc             | String  | Optional | Address of the SMSC encoded into the PDU
+  *   - messageClass     | Integer | Optional | Message class (0 - 3)
+  *   - validityPeriod   | Integer | Optional | Validity period in minutes or
+  *                      | Date    |          | an absolute one
+  *   - pid              | Integer | Optional | TP-PID (0 - 255)
+  *   - rejectDuplicates | Boolean | Optional | TP-RD
+  *   - replyPath        | Boolean | Optional | TP-RP
+  *   - destinationPort  | Integer | Optional | Destination application port
+  *   - sourcePort       | Integer | Optional | Source application port
+  *   See the `sendMessage()` for details.
   *
   * [Returen value]
   * - Promise object
   * - A list of the stored message index number will be passed to the `resolve()`:
   * ---------------------------------------------------------------- */
-  writeSubmitMessage(dest, text) {
+  writeSubmitMessage(dest, text, options = {}) {
     return (async () => {
       // Create PDUs
-      let pdu_list = this._generateSubmitPdus(dest, text);
+      let pdu_list = this._generateSubmitPdus(dest, text, options);
 
       // Write the PDUs to the selected storage
-      let err = '';
       let index_list = [];
 
       for (let pdu of pdu_list) {
         let command = 'AT+CMGW=' + pdu.length.toString() + ',2';
-        let cmgw_res = await this.execCommand(command);
-        if (/^\>/.test(cmgw_res) === false) {
-          err = 'Unexpected response: ' + cmgw_res;
-          break;
-        }
-        let result = await this.execCommand(pdu.hex, {
-          terminator: 0x1A  // `0x1A` means "Ctrl+z"
+        let result = await this._transaction(async (exec) => {
+          let cmgw_res = await exec(command);
+          if (/^\>/.test(cmgw_res) === false) {
+            return cmgw_res;
+          }
+          if (this._profile.promptDelay > 0) {
+            await this.wait(this._profile.promptDelay);
+          }
+          return await exec(pdu.hex, this._getCommandOptions(command, {
+            terminator: 0x1A  // `0x1A` means "Ctrl+z"
+          }));
         });
         if (/(^|\n)OK/.test(result) === false) {
-          err = 'Unexpected response: ' + result;
-          break;
+          throw this._createError(command, result);
         }
-        result = this._trimLastOkLine(result);
-        let rows = this._parseCsvResponseLine('CMGW', result);
+        let result_line = this._trimLastOkLine(result);
+        let rows = this._parseCsvResponseLine('CMGW', result_line);
         if (!rows || rows.length < 1 || /^\d+$/.test(rows[0]) === false) {
-          err = 'Unexpected response: ' + result;
-          break;
+          throw this._createError(command, result);
         }
 
         let parsed_pud = SmsPdu.parse(pdu.hex);
@@ -1309,10 +4660,6 @@ class SmsTransceiver extends EventEmitter {
         index_list.push(parseInt(rows[0], 10));
       }
 
-      if (err) {
-        throw new Error(err);
-      }
-
       return index_list;
     })();
   }
@@ -1356,7 +4703,7 @@ class SmsTransceiver extends EventEmitter {
         let command = 'AT+CMSS=' + idx.toString();
         let cmss_res = await this.execCommand(command);
         if (/(^|\n)OK/.test(cmss_res) === false) {
-          throw new Error('Unexpected response: ' + cmss_res);
+          throw this._createError(command, cmss_res);
         }
       }
     })();
@@ -1364,4 +4711,11 @@ class SmsTransceiver extends EventEmitter {
 
 }
 
-module.exports = SmsTransceiver;
\ No newline at end of file
+module.exports = SmsTransceiver;
+module.exports.AtCommandError = mAtErrors.AtCommandError;
+module.exports.CmsError = mAtErrors.CmsError;
+module.exports.CmeError = mAtErrors.CmeError;
+module.exports.TimeoutError = mAtErrors.TimeoutError;
+module.exports.VirtualModem = require('./virtual-modem.js');
+module.exports.SmsTransceiverPool = require('./sms-transceiver-pool.js');
+module.exports.SmsOutbox = require('./sms-outbox.js');
\ No newline at end of file
@@ -0,0 +1,339 @@
+/* ------------------------------------------------------------------
+* node-sms-transceiver - transport.js
+*
+* Copyright (c) 2020, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2020-04-11
+* ---------------------------------------------------------------- */
+'use strict';
+const EventEmitter = require('events');
+const mFs = require('fs');
+const mNet = require('net');
+const SerialPort = require('serialport');
+
+/* ------------------------------------------------------------------
+* Transport
+* - Base class of the transports
+* - A transport has the same interface as the `SerialPort` object
+*   which the `SmsModem` uses:
+*   - `isOpen` property
+*   - `open(callback)`, `close(callback)`, `write(buf, callback)` methods
+*   - `open`, `close`, `data` events
+* ---------------------------------------------------------------- */
+class Transport extends EventEmitter {
+  constructor(type, path) {
+    super();
+    this._type = type;
+    this._path = path;
+    this._is_open = false;
+  }
+
+  get type() {
+    return this._type;
+  }
+
+  get path() {
+    return this._path;
+  }
+
+  get isOpen() {
+    return this._is_open;
+  }
+
+  _emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+}
+
+/* ------------------------------------------------------------------
+* SerialTransport
+* - Transport for a serial port (e.g., "/dev/ttyUSB0")
+* ---------------------------------------------------------------- */
+class SerialTransport extends Transport {
+  constructor(path, options = {}) {
+    super('serial', path);
+    this._baud_rate = options.baudRate;
+    this._port = null;
+  }
+
+  get isOpen() {
+    return (this._port && this._port.isOpen) ? true : false;
+  }
+
+  open(callback) {
+    if (!this._port) {
+      this._port = new SerialPort(this._path, {
+        autoOpen: false,
+        baudRate: this._baud_rate
+      });
+      this._port.on('open', () => {
+        this.emit('open');
+      });
+      this._port.on('close', () => {
+        this.emit('close');
+      });
+      this._port.on('data', (buf) => {
+        this.emit('data', buf);
+      });
+      this._port.on('error', (error) => {
+        this._emitError(error);
+      });
+    }
+    this._port.open(callback);
+  }
+
+  close(callback) {
+    if (!this._port) {
+      callback();
+      return;
+    }
+    this._port.close(callback);
+  }
+
+  write(buf, callback) {
+    this._port.write(buf, callback);
+  }
+}
+
+/* ------------------------------------------------------------------
+* SocketTransport
+* - Transport for a TCP socket (e.g., "tcp://192.168.1.10:3001") or
+*   a Unix domain socket (e.g., "unix:/var/run/modem.sock")
+* ---------------------------------------------------------------- */
+class SocketTransport extends Transport {
+  constructor(type, path, connect_options) {
+    super(type, path);
+    this._connect_options = connect_options;
+    this._socket = null;
+  }
+
+  open(callback) {
+    let socket = mNet.connect(this._connect_options);
+    let connected = false;
+
+    socket.once('connect', () => {
+      connected = true;
+      this._socket = socket;
+      this._is_open = true;
+      this.emit('open');
+      callback();
+    });
+    socket.on('data', (buf) => {
+      this.emit('data', buf);
+    });
+    socket.on('error', (error) => {
+      if (connected) {
+        this._emitError(error);
+      } else {
+        callback(error);
+      }
+    });
+    socket.once('close', () => {
+      if (this._socket === socket) {
+        this._socket = null;
+        this._is_open = false;
+        this.emit('close');
+      }
+    });
+  }
+
+  close(callback) {
+    if (!this._socket) {
+      callback();
+      return;
+    }
+    this._socket.once('close', () => {
+      callback();
+    });
+    this._socket.destroy();
+  }
+
+  write(buf, callback) {
+    this._socket.write(buf, callback);
+  }
+}
+
+/* ------------------------------------------------------------------
+* StreamTransport
+* - Transport for an arbitrary `Duplex` stream
+* - If a stream object is specified, it can not be opened again once
+*   it is closed. If a function which returns a stream object is
+*   specified, the function is called every time the transport is
+*   opened, so the transport can be opened again.
+* ---------------------------------------------------------------- */
+class StreamTransport extends Transport {
+  constructor(stream) {
+    super('stream', null);
+    this._stream = null;
+    this._factory = null;
+    this._ended = false;
+
+    if (typeof (stream) === 'function') {
+      this._factory = stream;
+    } else {
+      this._attachStream(stream);
+    }
+  }
+
+  _attachStream(stream) {
+    this._stream = stream;
+    this._ended = false;
+
+    stream.on('data', (buf) => {
+      if (this._is_open && this._stream === stream) {
+        this.emit('data', Buffer.isBuffer(buf) ? buf : Buffer.from(buf));
+      }
+    });
+    stream.on('error', (error) => {
+      this._emitError(error);
+    });
+    let onend = () => {
+      if (this._stream !== stream) {
+        return;
+      }
+      this._ended = true;
+      if (this._is_open) {
+        this._is_open = false;
+        this.emit('close');
+      }
+    };
+    stream.on('end', onend);
+    stream.on('close', onend);
+  }
+
+  open(callback) {
+    if (this._factory) {
+      let stream = null;
+      try {
+        stream = this._factory();
+      } catch (error) {
+        callback(error);
+        return;
+      }
+      if (!isStream(stream)) {
+        callback(new Error('The stream factory did not return a stream object.'));
+        return;
+      }
+      this._attachStream(stream);
+    }
+    if (this._ended || this._stream.destroyed) {
+      callback(new Error('The stream has been closed.'));
+      return;
+    }
+    this._is_open = true;
+    this.emit('open');
+    callback();
+  }
+
+  close(callback) {
+    if (this._is_open) {
+      this._is_open = false;
+      this._ended = true;
+      this._stream.end();
+      this.emit('close');
+    }
+    callback();
+  }
+
+  write(buf, callback) {
+    this._stream.write(buf, (error) => {
+      callback(error || null);
+    });
+  }
+}
+
+/* ------------------------------------------------------------------
+* isStream(obj)
+* - Check if the specified object is a `Duplex` stream or not
+* ---------------------------------------------------------------- */
+function isStream(obj) {
+  if (obj && typeof (obj) === 'object' &&
+    typeof (obj.on) === 'function' &&
+    typeof (obj.write) === 'function' &&
+    typeof (obj.end) === 'function') {
+    return true;
+  } else {
+    return false;
+  }
+}
+
+/* ------------------------------------------------------------------
+* listSerialPorts()
+* - List the serial ports available on the system
+*
+* [Returen value]
+* - Promise object
+* - A list of the port information reported by the `SerialPort.list()`
+*   will be passed to the `resolve()`:
+*   [{ "path": "/dev/ttyUSB0", "manufacturer": "...", "vendorId": "2c7c", ... }, ...]
+* ---------------------------------------------------------------- */
+function listSerialPorts() {
+  return (async () => {
+    let list = await SerialPort.list();
+    return list.map((port) => {
+      // The `comName` was renamed to the `path` in serialport v9
+      return Object.assign({ path: port.comName }, port);
+    });
+  })();
+}
+
+/* ------------------------------------------------------------------
+* createTransport(path, options)
+* - Create a transport object
+*
+* [Arguments]
+* - path       | String  | Required | One of the followings:
+*              | Object  |          | - System path of the serial port (e.g., "/dev/ttyMODEM0")
+*              |         |          | - TCP URL (e.g., "tcp://192.168.1.10:3001")
+*              |         |          | - Path of the Unix domain socket (e.g., "unix:/var/run/modem.sock")
+*              |         |          | - `Duplex` stream object
+*              |         |          | - Function which returns a `Duplex` stream object
+* - options    | Object  | Optional |
+*   - baudRate | Integer | Optional | Baud rate (only for the serial port)
+*
+* [Returen value]
+* - Transport object
+* ---------------------------------------------------------------- */
+function createTransport(path, options = {}) {
+  if (isStream(path) || typeof (path) === 'function') {
+    return new StreamTransport(path);
+  }
+
+  let m = path.match(/^tcp\:\/\/([^\/]+)\:(\d+)\/?$/);
+  if (m) {
+    let host = m[1].replace(/^\[/, '').replace(/\]$/, '');
+    let port = parseInt(m[2], 10);
+    if (port < 1 || port > 65535) {
+      throw new Error('The port number of the `path` is invalid: ' + path);
+    }
+    return new SocketTransport('tcp', path, { host: host, port: port });
+  }
+
+  m = path.match(/^unix\:(\/\/)?(\/.+)$/);
+  if (m) {
+    return new SocketTransport('unix', path, { path: m[2] });
+  }
+
+  let is_socket = false;
+  try {
+    is_socket = mFs.statSync(path).isSocket();
+  } catch (error) {
+    // The path does not exist for now
+  }
+  if (is_socket) {
+    return new SocketTransport('unix', path, { path: path });
+  }
+
+  return new SerialTransport(path, options);
+}
+
+module.exports = {
+  createTransport: createTransport,
+  isStream: isStream,
+  listSerialPorts: listSerialPorts,
+  SerialTransport: SerialTransport,
+  SocketTransport: SocketTransport,
+  StreamTransport: StreamTransport
+};
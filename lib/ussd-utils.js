@@ -0,0 +1,151 @@
+/* ------------------------------------------------------------------
+* node-sms-transceiver - ussd-utils.js
+*
+* Copyright (c) 2020, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2020-04-11
+* ---------------------------------------------------------------- */
+'use strict';
+const Gsm7Utils = require('./gsm7-utils.js');
+
+/* ------------------------------------------------------------------
+* UssdUtils
+* - Helpers for USSD (`AT+CUSD`)
+* - The character set of a USSD string is indicated by the DCS (Data
+*   Coding Scheme, 3GPP TS 23.038 clause 5). A string in the GSM 7-bit
+*   default alphabet is usually converted to the TE character set by
+*   the modem, while a string in UCS2 is reported as a HEX string.
+*   Some modems (e.g., Huawei) exchange a string in the GSM 7-bit
+*   default alphabet as a HEX string of packed septets.
+* ---------------------------------------------------------------- */
+class UssdUtils {
+  constructor() { }
+
+  /* ------------------------------------------------------------------
+  * parseCusd(data)
+  * - Parse a `+CUSD` result code
+  *   "+CUSD: <m>[,<str>,<dcs>]"
+  * - The <str> may contain line breaks.
+  *
+  * [Returen value]
+  * - An object or `null` if the `data` is not a `+CUSD` result code:
+  *   {
+  *     "status": 0, // <m>
+  *     "str": "Your balance is 100.00", // `null` if not reported
+  *     "dcs": 15 // `null` if not reported
+  *   }
+  * ---------------------------------------------------------------- */
+  parseCusd(data) {
+    let m = (data || '').match(/^\+CUSD\:\s*(\d+)(?:\s*,\s*"([^"]*)"(?:\s*,\s*(\d+))?)?/);
+    if (!m) {
+      return null;
+    }
+    return {
+      status: parseInt(m[1], 10),
+      str: (m[2] === undefined) ? null : m[2],
+      dcs: (m[3] === undefined) ? null : parseInt(m[3], 10)
+    };
+  }
+
+  /* ------------------------------------------------------------------
+  * getCharset(dcs)
+  * - Determine the character set from the DCS of a USSD string
+  *
+  * [Returen value]
+  * - "gsm7", "8bit", or "ucs2"
+  * ---------------------------------------------------------------- */
+  getCharset(dcs) {
+    if (!Number.isInteger(dcs)) {
+      return 'gsm7';
+    }
+    let group = dcs >> 4;
+    if (dcs === 0x11) {
+      // UCS2; message preceded by language indication
+      return 'ucs2';
+    } else if (group >= 0x4 && group <= 0x7) {
+      // General data coding indication
+      return ['gsm7', '8bit', 'ucs2', 'gsm7'][(dcs >> 2) & 0b11];
+    } else if (group === 0x9) {
+      // Message with user data header
+      return ['gsm7', '8bit', 'ucs2', 'gsm7'][(dcs >> 2) & 0b11];
+    } else if (group === 0xF) {
+      // Data coding / message handling
+      return (dcs & 0b100) ? '8bit' : 'gsm7';
+    }
+    return 'gsm7';
+  }
+
+  /* ------------------------------------------------------------------
+  * decode(str, dcs, packed)
+  * - Decode a USSD string reported by the modem
+  *
+  * [Arguments]
+  * - str    | String  | Required | <str> of the `+CUSD`
+  * - dcs    | Integer | Optional | <dcs> of the `+CUSD`
+  * - packed | Boolean | Optional | `true` if a string in the GSM 7-bit
+  *          |         |          | default alphabet is reported as a HEX
+  *          |         |          | string of packed septets
+  *
+  * [Returen value]
+  * - Decoded text
+  * ---------------------------------------------------------------- */
+  decode(str, dcs, packed) {
+    let charset = this.getCharset(dcs);
+    let is_hex = /^([0-9A-Fa-f]{2})+$/.test(str);
+    let text = str;
+    if (charset === 'ucs2') {
+      if (is_hex && str.length % 4 === 0) {
+        let buf = Buffer.from(str, 'hex');
+        if (dcs === 0x11) {
+          // Skip the language indication (2 characters in 2 octets)
+          buf = buf.slice(2);
+        }
+        text = buf.swap16().toString('utf16le');
+      }
+    } else if (charset === 'gsm7') {
+      if (packed && is_hex) {
+        text = Gsm7Utils.decode(Buffer.from(str, 'hex'));
+      }
+      if (dcs === 0x10) {
+        // Skip the language indication (2 characters and a CR)
+        text = text.replace(/^[\s\S]{2}\r?/, '');
+      }
+    }
+    return text;
+  }
+
+  /* ------------------------------------------------------------------
+  * isValidString(text)
+  * - Check if the text can be sent as a USSD string (DCS: 15)
+  * - The text must consist of the GSM 7-bit default alphabet. The `"`,
+  *   CR and LF are not allowed because the string is quoted in the
+  *   `AT+CUSD` command.
+  * ---------------------------------------------------------------- */
+  isValidString(text) {
+    if (typeof (text) !== 'string' || text.length === 0 || /["\r\n]/.test(text)) {
+      return false;
+    }
+    return Gsm7Utils.isAcceptable(text);
+  }
+
+  /* ------------------------------------------------------------------
+  * encode(text, packed)
+  * - Encode a USSD string sent to the modem (DCS: 15)
+  *
+  * [Arguments]
+  * - text   | String  | Required | USSD string (e.g., "*100#")
+  * - packed | Boolean | Optional | `true` if the modem requires a HEX
+  *          |         |          | string of packed septets
+  *
+  * [Returen value]
+  * - Encoded string
+  * ---------------------------------------------------------------- */
+  encode(text, packed) {
+    if (!packed) {
+      return text;
+    }
+    return Gsm7Utils.encode(text).toString('hex').toUpperCase();
+  }
+}
+
+module.exports = new UssdUtils();
@@ -0,0 +1,2067 @@
+/* ------------------------------------------------------------------
+* node-sms-transceiver - virtual-modem.js
+*
+* Copyright (c) 2020, Futomi Hatano, All rights reserved.
+* Released under the MIT license
+* Date: 2020-04-11
+* ---------------------------------------------------------------- */
+'use strict';
+const EventEmitter = require('events');
+const { Duplex } = require('stream');
+const SmsPdu = require('node-sms-pdu');
+const mAtErrors = require('./at-errors.js');
+const PhonebookUtils = require('./phonebook-utils.js');
+const Gsm7Utils = require('./gsm7-utils.js');
+const SmsPduUtils = require('./sms-pdu-utils.js');
+
+class VirtualModem extends EventEmitter {
+  /* ------------------------------------------------------------------
+  * Constructor
+  * - A virtual GSM modem which speaks the AT command dialect used by
+  *   the `SmsTransceiver`. It is intended to be used for testing
+  *   without a physical modem.
+  *
+  * [Arguments]
+  * - options          | Object  | Optional |
+  *   - manufacturer   | String  | Optional | Response of `AT+CGMI`. The default is "VIRTUAL".
+  *   - model          | String  | Optional | Response of `AT+CGMM`. The default is "VIRTUAL_MODEM".
+  *   - revision       | String  | Optional | Response of `AT+CGMR`. The default is "1.0.0".
+  *   - serial         | String  | Optional | Response of `AT+CGSN` (IMEI). The default is "350000000000000".
+  *   - subscriber     | String  | Optional | Subscriber number. The default is "08000000000".
+  *   - operator       | Object  | Optional |
+  *     - name         | String  | Optional | Operator name. The default is "VIRTUAL".
+  *     - mcc          | Integer | Optional | Mobile country code. The default is 440.
+  *     - mnc          | Integer | Optional | Mobile network code. The default is 10.
+  *   - lac            | Integer | Optional | Location area code. The default is 0x1110.
+  *   - cid            | Integer | Optional | Cell ID. The default is 0x2FA5E55.
+  *   - act            | Integer | Optional | Access technology (`<AcT>` of `AT+CREG`).
+  *                    |         |          | The default is 7 (E-UTRAN).
+  *   - networks       | Array   | Optional | Networks found by `AT+COPS=?` other than the `operator`:
+  *                    |         |          | `[{ "name": "OTHER", "shortName": "OTH", "mcc": 440,
+  *                    |         |          | "mnc": 20, "act": 7, "forbidden": false }]`
+  *                    |         |          | The default is a network "OTHER NETWORK" (440-20).
+  *   - rssi           | Integer | Optional | RSSI level of `AT+CSQ` (0 - 31, 99). The default is 20.
+  *   - rsrp           | Number  | Optional | RSRP in dBm reported by `AT+CESQ` while the `act`
+  *                    |         |          | is 7 (E-UTRAN). The default is -95.
+  *   - rsrq           | Number  | Optional | RSRQ in dB reported by `AT+CESQ` while the `act`
+  *                    |         |          | is 7 (E-UTRAN). The default is -10.
+  *   - storageSize    | Object  | Optional | Capacity of the message storages.
+  *                    |         |          | The default is `{ "SM": 20, "ME": 50 }`.
+  *   - responseDelay  | Integer | Optional | Delay of each output in msec. The default is 0.
+  *   - chunkSize      | Integer | Optional | If specified, each output is divided into
+  *                    |         |          | chunks of the specified size (bytes).
+  *   - pin            | String  | Optional | PIN of the SIM. If specified, the SIM is
+  *                    |         |          | locked with the PIN.
+  *   - puk            | String  | Optional | PUK of the SIM. The default is "12345678".
+  *   - smsc           | String  | Optional | SMSC address of `AT+CSCA`. The default is
+  *                    |         |          | "+819000000000". If it is an empty string,
+  *                    |         |          | messages without the SCA in the PDU are
+  *                    |         |          | rejected (+CMS ERROR: 330).
+  *   - phonebook      | Array   | Optional | Initial entries of the SIM phonebook ("SM"):
+  *                    |         |          | `[{ "index": 1, "number": "+819000000000", "name": "Tom" }]`
+  *                    |         |          | The `index` is optional.
+  * ---------------------------------------------------------------- */
+  constructor(options = {}) {
+    super();
+    let oper = options.operator || {};
+    this._info = {
+      manufacturer: options.manufacturer || 'VIRTUAL',
+      model: options.model || 'VIRTUAL_MODEM',
+      revision: options.revision || '1.0.0',
+      serial: options.serial || '350000000000000',
+      subscriber: options.subscriber || '08000000000',
+      operator: {
+        name: oper.name || 'VIRTUAL',
+        mcc: oper.mcc || 440,
+        mnc: oper.mnc || 10
+      },
+      lac: options.lac || 0x1110,
+      cid: options.cid || 0x2FA5E55
+    };
+    this._rssi = ('rssi' in options) ? options.rssi : 20;
+    this._rsrp = ('rsrp' in options) ? options.rsrp : -95;
+    this._rsrq = ('rsrq' in options) ? options.rsrq : -10;
+    this._registration = {
+      stat: 1,
+      act: ('act' in options) ? options.act : 7
+    };
+    // Networks found by `AT+COPS=?` (the first one is the home network)
+    this._networks = [{
+      name: this._info.operator.name,
+      shortName: this._info.operator.name,
+      mcc: this._info.operator.mcc,
+      mnc: this._info.operator.mnc,
+      act: this._registration.act,
+      forbidden: false
+    }];
+    let networks = options.networks || [{ name: 'OTHER NETWORK', shortName: 'OTHER', mcc: 440, mnc: 20 }];
+    for (let net of networks) {
+      this._networks.push({
+        name: net.name,
+        shortName: net.shortName || net.name,
+        mcc: net.mcc,
+        mnc: net.mnc,
+        act: ('act' in net) ? net.act : 7,
+        forbidden: net.forbidden ? true : false
+      });
+    }
+    this._response_delay = options.responseDelay || 0;
+    this._chunk_size = options.chunkSize || 0;
+
+    let size = options.storageSize || {};
+    this._storages = {
+      SM: { total: size.SM || 20, messages: {} },
+      ME: { total: size.ME || 50, messages: {} }
+    };
+
+    // Settings changed by AT commands
+    this._settings = {
+      echo: true,
+      cmee: 0,
+      cmgf: 0,
+      csms: 0,
+      cnmi: [0, 0, 0, 0, 0],
+      creg: 0,
+      cgreg: 0,
+      cereg: 0,
+      copsMode: 0,
+      copsFormat: 0,
+      cpms: ['ME', 'ME', 'ME'],
+      cscs: 'IRA',
+      cpbs: 'SM',
+      cusd: 0,
+      clip: 0,
+      cscb: [0, '', ''],
+      csca: [('smsc' in options) ? options.smsc : '+819000000000', 145]
+    };
+    if (!/^\+/.test(this._settings.csca[0])) {
+      this._settings.csca[1] = 129;
+    }
+
+    // USSD
+    this._ussd_handler = (str) => {
+      return (str === '*100#') ? 'Your balance is 100.00' : null;
+    };
+    this._ussd_active = false;
+
+    // Voice calls listed by `AT+CLCC`
+    this._calls = [];
+
+    // Phonebooks (the entries are keyed by the index starting from 1)
+    this._phonebooks = {
+      SM: { total: 250, entries: {} },
+      ME: { total: 100, entries: {} },
+      FD: { total: 10, entries: {} },
+      ON: { total: 4, entries: {} }
+    };
+    (options.phonebook || []).forEach((entry, i) => {
+      this._phonebooks.SM.entries[entry.index || (i + 1)] = {
+        number: entry.number,
+        type: /^\+/.test(entry.number) ? 145 : 129,
+        name: entry.name
+      };
+    });
+
+    // SIM
+    this._sim = {
+      status: options.pin ? 'SIM PIN' : 'READY',
+      lock: options.pin ? true : false,
+      pin: options.pin || '0000',
+      puk: options.puk || '12345678',
+      pinRetries: 3,
+      pukRetries: 10
+    };
+
+    this._contexts = [
+      {
+        cid: 1, type: 'IP', apn: 'virtual.example.com', active: true, addr: '10.0.0.1',
+        auth: { protocol: 0, username: '', password: '' }
+      }
+    ];
+
+    this._stream = null;
+    this._input = '';
+    this._pdu_command = null;
+    this._handlers = [];
+    this._message_reference = 0;
+    this._concat_reference = 0;
+    this._commands = [];
+    this._sent_messages = [];
+    this._unacknowledged = 0;
+  }
+
+  // List of AT commands received from the host
+  get commands() {
+    return this._commands;
+  }
+
+  // List of messages sent with `AT+CMGS` or `AT+CMSS`
+  get sentMessages() {
+    return this._sent_messages;
+  }
+
+  get settings() {
+    return this._settings;
+  }
+
+  // Status of the SIM reported by `AT+CPIN?` (e.g., "READY", "SIM PIN")
+  get simStatus() {
+    return this._sim.status;
+  }
+
+  // List of voice calls (`{ id, dir, stat, number, type }`)
+  get calls() {
+    return this._calls;
+  }
+
+  get isConnected() {
+    return this._stream ? true : false;
+  }
+
+  // Number of messages routed directly which have not been acknowledged
+  // with `AT+CNMA` (only when the `AT+CSMS` service is 1)
+  get unacknowledgedMessages() {
+    return this._unacknowledged;
+  }
+
+  /* ------------------------------------------------------------------
+  * createStream()
+  * - Create a `Duplex` stream connected to this virtual modem
+  * - The stream can be passed to the constructor of the `SmsTransceiver`.
+  *   If a stream has already been created, it is disconnected.
+  *
+  * [Arguments]
+  * - None
+  *
+  * [Returen value]
+  * - `Duplex` stream object
+  * ---------------------------------------------------------------- */
+  createStream() {
+    this.disconnect();
+    let stream = new Duplex({
+      read: () => { },
+      write: (chunk, encoding, callback) => {
+        if (this._stream === stream) {
+          this._receive(chunk.toString('latin1'));
+        }
+        callback();
+      },
+      final: (callback) => {
+        if (this._stream === stream) {
+          this._stream = null;
+        }
+        callback();
+      }
+    });
+    this._stream = stream;
+    this._input = '';
+    this._pdu_command = null;
+    return stream;
+  }
+
+  /* ------------------------------------------------------------------
+  * disconnect()
+  * - Disconnect the current stream (e.g., a USB reset of the modem)
+  * ---------------------------------------------------------------- */
+  disconnect() {
+    if (!this._stream) {
+      return;
+    }
+    let stream = this._stream;
+    this._stream = null;
+    stream.push(null);
+    stream.destroy();
+  }
+
+  /* ------------------------------------------------------------------
+  * setCommandHandler(pattern, handler)
+  * - Override the behavior of AT commands
+  *
+  * [Arguments]
+  * - pattern | RegExp   | Required | Pattern of the AT command (e.g., /^AT\+CMGS=/)
+  * - handler | Function | Required | Function called with the command and the
+  *           |          |          | result of `pattern.exec()`. If it returns a
+  *           |          |          | string, the string is sent as the response
+  *           |          |          | (e.g., "+CMS ERROR: 330"). If it returns
+  *           |          |          | `null`, the command is processed as usual.
+  * ---------------------------------------------------------------- */
+  setCommandHandler(pattern, handler) {
+    this._handlers.unshift({ pattern: pattern, handler: handler });
+  }
+
+  // Remove all handlers set by the `setCommandHandler()`
+  clearCommandHandlers() {
+    this._handlers = [];
+  }
+
+  /* ------------------------------------------------------------------
+  * injectUrc(urc)
+  * - Send an unsolicited result code to the host
+  *
+  * [Arguments]
+  * - urc | String | Required | URC (e.g., '+CMTI: "ME",1').
+  *       |        |          | Multiple lines can be separated by "\n".
+  * ---------------------------------------------------------------- */
+  injectUrc(urc) {
+    this._sendLines(urc.split('\n'));
+  }
+
+  /* ------------------------------------------------------------------
+  * injectMessage(message)
+  * - Simulate an incoming SMS message
+  * - The message is stored in the storage for received messages
+  *   (the 3rd parameter of `AT+CPMS`) and a `+CMTI` is sent to the host
+  *   if it is enabled by `AT+CNMI`.
+  * - If the 2nd parameter of `AT+CNMI` is 2, the message is routed to
+  *   the host directly (`+CMT`) without being stored.
+  *
+  * [Arguments]
+  * - message           | String  | Required | HEX string of a SMS-DELIVER PDU or
+  *                     | Object  |          | an object:
+  *   - from            | String  | Required | Phone number of the origination
+  *   - text            | String  | Required | Message text, or binary data which is
+  *                     | Buffer  |          | delivered as 8-bit data
+  *   - date            | Date    | Optional | Time stamp. The default is now.
+  *   - messageClass    | Integer | Optional | Message class (0 - 3)
+  *   - pid             | Integer | Optional | TP-PID. The default is 0.
+  *   - destinationPort | Integer | Optional | Destination application port
+  *   - sourcePort      | Integer | Optional | Source application port
+  *
+  * [Returen value]
+  * - A list of the index numbers of the stored PDUs
+  * ---------------------------------------------------------------- */
+  injectMessage(message) {
+    let pdu_list = [];
+    if (typeof (message) === 'string') {
+      pdu_list.push(message);
+    } else {
+      pdu_list = VirtualModem.generateDeliverPdus(message.from, message.text, {
+        date: message.date,
+        messageClass: message.messageClass,
+        pid: message.pid,
+        destinationPort: message.destinationPort,
+        sourcePort: message.sourcePort,
+        reference: this._nextConcatReference()
+      });
+    }
+
+    // Messages routed directly to the host (`AT+CNMI=2,2`)
+    if (this._settings.cnmi[1] === 2) {
+      for (let pdu of pdu_list) {
+        this._sendDirect('+CMT: ,', pdu);
+      }
+      return [];
+    }
+
+    let mem = this._settings.cpms[2];
+    let index_list = [];
+    for (let pdu of pdu_list) {
+      let index = this._storeMessage(mem, 0, pdu);
+      if (index === null) {
+        break;
+      }
+      index_list.push(index);
+      if (this._settings.cnmi[1] === 1) {
+        this._sendLines(['+CMTI: "' + mem + '",' + index]);
+      }
+    }
+    return index_list;
+  }
+
+  /* ------------------------------------------------------------------
+  * setUssdHandler(handler)
+  * - Set the behavior of the network for USSD requests (`AT+CUSD`)
+  *
+  * [Arguments]
+  * - handler | Function | Required | Function called with the USSD string
+  *           |          |          | and `true` if the session is active
+  *           |          |          | (i.e., the string is a reply). It
+  *           |          |          | returns one of the values below:
+  *           |          |          | - A string: the reply which terminates
+  *           |          |          |   the session
+  *           |          |          | - An object `{ text, active }`: the reply
+  *           |          |          |   which continues the session if the
+  *           |          |          |   `active` is `true`
+  *           |          |          | - `null`: the request is not supported
+  *
+  * The default handler replies "Your balance is 100.00" to "*100#".
+  * ---------------------------------------------------------------- */
+  setUssdHandler(handler) {
+    this._ussd_handler = handler;
+  }
+
+  /* ------------------------------------------------------------------
+  * injectUssd(text, options)
+  * - Simulate a network-initiated USSD
+  * - The `+CUSD` is sent to the host if it is enabled by `AT+CUSD=1`.
+  *
+  * [Arguments]
+  * - text     | String  | Required | USSD string
+  * - options  | Object  | Optional |
+  *   - active | Boolean | Optional | `true` if the network requests a reply.
+  *            |         |          | The default is `false`.
+  * ---------------------------------------------------------------- */
+  injectUssd(text, options = {}) {
+    this._ussd_active = options.active ? true : false;
+    if (this._settings.cusd === 1) {
+      this._sendLines([this._formatCusd(this._ussd_active ? 1 : 0, text)]);
+    }
+  }
+
+  /* ------------------------------------------------------------------
+  * injectCellBroadcast(messageId, text, options)
+  * - Simulate a cell broadcast message
+  * - The pages are sent to the host (`+CBM`) only if the indication is
+  *   enabled by `AT+CNMI` (the 3rd parameter is 2) and the message
+  *   identifier is accepted by `AT+CSCB`.
+  *
+  * [Arguments]
+  * - messageId      | Integer | Required | Message identifier (channel)
+  * - text           | String  | Required | Message text
+  * - options        | Object  | Optional |
+  *   - serialNumber | Integer | Optional | See `generateCbmPdus()`
+  *   - format       | String  | Optional | See `generateCbmPdus()`
+  *   - order        | Array   | Optional | Indexes of the pages in the order to be
+  *                  |         |          | sent (e.g., [1, 0]). The default is in order.
+  *
+  * [Returen value]
+  * - The number of the PDUs (pages) sent to the host
+  * ---------------------------------------------------------------- */
+  injectCellBroadcast(messageId, text, options = {}) {
+    if (this._settings.cnmi[2] !== 2 || !this._isCellBroadcastAccepted(messageId)) {
+      return 0;
+    }
+    let pdus = VirtualModem.generateCbmPdus(messageId, text, options);
+    if (options.order) {
+      pdus = options.order.map((i) => {
+        return pdus[i];
+      });
+    }
+    for (let pdu of pdus) {
+      this._sendLines(['+CBM: ' + (pdu.length / 2), pdu]);
+    }
+    return pdus.length;
+  }
+
+  /* ------------------------------------------------------------------
+  * setRegistration(params)
+  * - Change the network registration status
+  * - The `+CREG`, `+CGREG` and `+CEREG` are sent to the host if they
+  *   are enabled (e.g., `AT+CEREG=2`).
+  *
+  * [Arguments]
+  * - params | Object  | Required |
+  *   - stat | Integer | Optional | `<stat>` (e.g., 1: home, 2: searching, 5: roaming)
+  *   - act  | Integer | Optional | `<AcT>` (e.g., 0: GSM, 2: UTRAN, 7: E-UTRAN)
+  *   - lac  | Integer | Optional | Location area code (tracking area code for LTE)
+  *   - cid  | Integer | Optional | Cell ID
+  * ---------------------------------------------------------------- */
+  setRegistration(params) {
+    for (let k of ['stat', 'act']) {
+      if (k in params) {
+        this._registration[k] = params[k];
+      }
+    }
+    for (let k of ['lac', 'cid']) {
+      if (k in params) {
+        this._info[k] = params[k];
+      }
+    }
+    let lines = [];
+    for (let name of ['creg', 'cgreg', 'cereg']) {
+      let n = this._settings[name];
+      if (n > 0) {
+        lines.push('+' + name.toUpperCase() + ': ' + this._formatRegistration(n, false));
+      }
+    }
+    if (lines.length > 0) {
+      this._sendLines(lines);
+    }
+  }
+
+  /* ------------------------------------------------------------------
+  * setSignal(params)
+  * - Change the signal quality reported by `AT+CSQ` and `AT+CESQ`
+  *
+  * [Arguments]
+  * - params | Object  | Required |
+  *   - rssi | Integer | Optional | RSSI level (0 - 31, 99)
+  *   - rsrp | Number  | Optional | RSRP in dBm (`null` for "not known")
+  *   - rsrq | Number  | Optional | RSRQ in dB (`null` for "not known")
+  * ---------------------------------------------------------------- */
+  setSignal(params) {
+    for (let k of ['rssi', 'rsrp', 'rsrq']) {
+      if (k in params) {
+        this['_' + k] = params[k];
+      }
+    }
+  }
+
+  /* ------------------------------------------------------------------
+  * injectCall(number)
+  * - Simulate an incoming voice call
+  * - `RING` is sent to the host, followed by a `+CLIP` if it is enabled
+  *   by `AT+CLIP=1`. The call is listed by `AT+CLCC` as "incoming"
+  *   (or "waiting" if another call is in progress) until it is answered
+  *   by `ATA` or released.
+  *
+  * [Arguments]
+  * - number | String | Required | Phone number of the caller
+  *
+  * [Returen value]
+  * - The call identification number
+  * ---------------------------------------------------------------- */
+  injectCall(number) {
+    let call = this._addCall(1, (this._calls.length > 0) ? 5 : 4, number);
+    let lines = ['RING'];
+    if (this._settings.clip === 1) {
+      lines.push('+CLIP: "' + call.number + '",' + call.type + ',"",,"",0');
+    }
+    this._sendLines(lines);
+    return call.id;
+  }
+
+  /* ------------------------------------------------------------------
+  * answerCall(id)
+  * - Simulate that the called party answers an outgoing call
+  *
+  * [Arguments]
+  * - id | Integer | Optional | The call identification number. If not
+  *      |         |          | specified, the latest call is answered.
+  * ---------------------------------------------------------------- */
+  answerCall(id) {
+    let call = this._findCall(id);
+    if (call && call.dir === 0) {
+      call.stat = 0;
+    }
+  }
+
+  /* ------------------------------------------------------------------
+  * endCall(id)
+  * - Simulate that the remote party releases a call
+  * - `NO CARRIER` is sent to the host if the call was active.
+  *
+  * [Arguments]
+  * - id | Integer | Optional | The call identification number. If not
+  *      |         |          | specified, the latest call is released.
+  * ---------------------------------------------------------------- */
+  endCall(id) {
+    let call = this._findCall(id);
+    if (!call) {
+      return;
+    }
+    this._calls.splice(this._calls.indexOf(call), 1);
+    if (call.stat === 0) {
+      this._sendLines(['NO CARRIER']);
+    }
+  }
+
+  /* ------------------------------------------------------------------
+  * injectStatusReport(reference, options)
+  * - Simulate a SMS-STATUS-REPORT for a sent message
+  * - The report is routed according to the 4th parameter of `AT+CNMI`:
+  *   - 1: Sent to the host directly (`+CDS`)
+  *   - 2: Stored in the storage for received messages and
+  *        indicated to the host (`+CDSI`)
+  *
+  * [Arguments]
+  * - reference   | Integer | Required | TP-MR of the sent message
+  * - options     | Object  | Optional |
+  *   - status    | Integer | Optional | TP-ST. The default is 0 (delivered).
+  *   - recipient | String  | Optional | Recipient address. The default is the
+  *               |         |          | destination of the sent message.
+  *
+  * [Returen value]
+  * - The index number of the stored report if it is stored.
+  *   Otherwise, `null`.
+  * ---------------------------------------------------------------- */
+  injectStatusReport(reference, options = {}) {
+    let recipient = options.recipient;
+    if (!recipient) {
+      let sent = this._sent_messages.slice().reverse().find((m) => {
+        return m.reference === reference;
+      });
+      recipient = (sent && sent.destination) ? sent.destination : '0';
+    }
+    let pdu = VirtualModem.generateStatusReportPdu(reference, recipient, {
+      status: options.status
+    });
+
+    let ds = this._settings.cnmi[3];
+    if (ds === 1) {
+      this._sendDirect('+CDS: ', pdu);
+    } else if (ds === 2) {
+      let mem = this._settings.cpms[2];
+      let index = this._storeMessage(mem, 0, pdu);
+      if (index !== null) {
+        this._sendLines(['+CDSI: "' + mem + '",' + index]);
+      }
+      return index;
+    }
+    return null;
+  }
+
+  /* ------------------------------------------------------------------
+  * storeMessage(mem, stat, pdu)
+  * - Store a PDU in the specified storage directly
+  *
+  * [Arguments]
+  * - mem  | String  | Required | "SM" or "ME"
+  * - stat | Integer | Required | Message status (0 - 3)
+  * - pdu  | String  | Required | HEX string of the PDU
+  *
+  * [Returen value]
+  * - The index number of the stored PDU
+  * - If the storage is full, `null` is returned.
+  * ---------------------------------------------------------------- */
+  storeMessage(mem, stat, pdu) {
+    return this._storeMessage(mem, stat, pdu);
+  }
+
+  /* ------------------------------------------------------------------
+  * getMessages(mem)
+  * - Get the messages stored in the specified storage
+  *
+  * [Arguments]
+  * - mem | String | Required | "SM" or "ME"
+  *
+  * [Returen value]
+  * - An array of objects: `[{ index: 0, stat: 0, pdu: "0791..." }, ...]`
+  * ---------------------------------------------------------------- */
+  getMessages(mem) {
+    let messages = this._storages[mem].messages;
+    return Object.keys(messages).map((k) => {
+      let index = parseInt(k, 10);
+      return {
+        index: index,
+        stat: messages[k].stat,
+        pdu: messages[k].pdu
+      };
+    }).sort((a, b) => {
+      return a.index - b.index;
+    });
+  }
+
+  /* ------------------------------------------------------------------
+  * generateDeliverPdus(from, text, options)
+  * - Generate SMS-DELIVER PDUs (HEX strings)
+  *
+  * [Arguments]
+  * - from              | String  | Required | Phone number of the origination
+  * - text              | String  | Required | Message text, or binary data which is
+  *                     | Buffer  |          | delivered as 8-bit data
+  * - options           | Object  | Optional |
+  *   - date            | Date    | Optional | Time stamp. The default is now.
+  *   - reference       | Integer | Optional | Reference number of the concatenated SMS.
+  *                     |         |          | The default is 0.
+  *   - messageClass    | Integer | Optional | Message class (0 - 3)
+  *   - pid             | Integer | Optional | TP-PID. The default is 0.
+  *   - destinationPort | Integer | Optional | Destination application port
+  *                     |         |          | (binary data only)
+  *   - sourcePort      | Integer | Optional | Source application port
+  *
+  * [Returen value]
+  * - An array of HEX strings
+  * ---------------------------------------------------------------- */
+  static generateDeliverPdus(from, text, options = {}) {
+    let date = options.date || new Date();
+    let reference = options.reference || 0;
+
+    // SMS-SUBMIT PDUs are converted to SMS-DELIVER PDUs.
+    // The DA (Destination Address) of the SMS-SUBMIT is used as
+    // the OA (Origination Address) of the SMS-DELIVER.
+    let submit_list = null;
+    if (Buffer.isBuffer(text)) {
+      submit_list = SmsPduUtils.generateSubmitData(from, text, {
+        destinationPort: options.destinationPort,
+        sourcePort: options.sourcePort,
+        reference: reference
+      });
+    } else {
+      submit_list = SmsPdu.generateSubmit(from, text);
+    }
+    return submit_list.map((submit) => {
+      let buf = submit.buffer;
+      let udhi = buf.readUInt8(1) & 0b01000000;
+      let da_len = Math.ceil(buf.readUInt8(3) / 2) + 2;
+      let addr = buf.slice(3, 3 + da_len);
+      let pid_dcs = Buffer.from(buf.slice(3 + da_len, 3 + da_len + 2));
+      if (Number.isInteger(options.pid)) {
+        pid_dcs.writeUInt8(options.pid, 0);
+      }
+      if (Number.isInteger(options.messageClass)) {
+        pid_dcs.writeUInt8((pid_dcs.readUInt8(1) & 0b00001100) | 0b00010000 | options.messageClass, 1);
+      }
+      let ud = Buffer.from(buf.slice(3 + da_len + 2));
+      if (udhi && ud.readUInt8(2) === 0x00) {
+        // UDL (1 byte) + UDHL (1 byte) + IEI (1 byte) + IEDL (1 byte) + reference
+        ud.writeUInt8(reference % 256, 4);
+      }
+      let pdu = Buffer.concat([
+        Buffer.from([0x00]), // SCA
+        Buffer.from([udhi | 0b00000100]), // PDU type (MTI: SMS-DELIVER, MMS: no more messages)
+        addr,
+        pid_dcs,
+        VirtualModem._encodeScts(date),
+        ud
+      ]);
+      return pdu.toString('hex').toUpperCase();
+    });
+  }
+
+  /* ------------------------------------------------------------------
+  * generateCbmPdus(messageId, text, options)
+  * - Generate CBS pages in the GSM format (HEX strings)
+  * - A text in the GSM 7-bit default alphabet is divided into pages of
+  *   93 characters (DCS: 0x0F), otherwise it is encoded in UCS2 and
+  *   divided into pages of 41 characters (DCS: 0x48).
+  * - If the `format` is "umts", all pages are put in a CBS message in
+  *   the UMTS format.
+  *
+  * [Arguments]
+  * - messageId      | Integer | Required | Message identifier
+  * - text           | String  | Required | Message text
+  * - options        | Object  | Optional |
+  *   - serialNumber | Integer | Optional | Serial number. The default is 0x4000
+  *                  |         |          | (PLMN wide, message code 0, update number 0).
+  *   - format       | String  | Optional | "gsm" (default) or "umts"
+  *
+  * [Returen value]
+  * - An array of HEX strings
+  * ---------------------------------------------------------------- */
+  static generateCbmPdus(messageId, text, options = {}) {
+    let sn = ('serialNumber' in options) ? options.serialNumber : 0x4000;
+    let gsm = Gsm7Utils.isAcceptable(text);
+    let page_len = gsm ? 93 : 41;
+    let texts = [];
+    for (let i = 0; i < text.length; i += page_len) {
+      texts.push(text.substring(i, i + page_len));
+    }
+    if (texts.length === 0) {
+      texts.push('');
+    }
+    let contents = texts.map((t) => {
+      if (gsm) {
+        // Padded with CRs
+        return Gsm7Utils.encode(t + '\r'.repeat(page_len - t.length));
+      }
+      let content = Buffer.alloc(82);
+      Buffer.from(t, 'utf16le').swap16().copy(content);
+      return content;
+    });
+
+    if (options.format === 'umts') {
+      let header = Buffer.alloc(7);
+      header.writeUInt8(0x01, 0);
+      header.writeUInt16BE(messageId, 1);
+      header.writeUInt16BE(sn, 3);
+      header.writeUInt8(gsm ? 0x0F : 0x48, 5);
+      header.writeUInt8(texts.length, 6);
+      let pages = contents.map((content, i) => {
+        // Length of the information in the page
+        let len = gsm ? Math.ceil(texts[i].length * 7 / 8) : texts[i].length * 2;
+        return Buffer.concat([content, Buffer.from([Math.max(len, 1)])]);
+      });
+      return [Buffer.concat([header].concat(pages)).toString('hex').toUpperCase()];
+    }
+
+    return contents.map((content, i) => {
+      let header = Buffer.alloc(6);
+      header.writeUInt16BE(sn, 0);
+      header.writeUInt16BE(messageId, 2);
+      header.writeUInt8(gsm ? 0x0F : 0x48, 4);
+      header.writeUInt8(((i + 1) << 4) | texts.length, 5);
+      return Buffer.concat([header, content]).toString('hex').toUpperCase();
+    });
+  }
+
+  /* ------------------------------------------------------------------
+  * generateStatusReportPdu(reference, recipient, options)
+  * - Generate a SMS-STATUS-REPORT PDU (HEX string)
+  *
+  * [Arguments]
+  * - reference       | Integer | Required | TP-MR of the sent message
+  * - recipient       | String  | Required | Recipient address
+  * - options         | Object  | Optional |
+  *   - status        | Integer | Optional | TP-ST. The default is 0 (delivered).
+  *   - date          | Date    | Optional | Time the SMSC received the message.
+  *                   |         |          | The default is now.
+  *   - dischargeDate | Date    | Optional | Time of the delivery. The default is now.
+  *
+  * [Returen value]
+  * - A HEX string
+  * ---------------------------------------------------------------- */
+  static generateStatusReportPdu(reference, recipient, options = {}) {
+    let international = /^\+/.test(recipient);
+    let digits = recipient.replace(/^\+/, '');
+    let semi_octets = digits + ((digits.length % 2) ? 'F' : '');
+    let addr_bytes = [];
+    for (let i = 0; i < semi_octets.length; i += 2) {
+      addr_bytes.push(parseInt(semi_octets[i + 1] + semi_octets[i], 16));
+    }
+    let pdu = Buffer.concat([
+      Buffer.from([0x00]), // SCA
+      Buffer.from([0b00000110]), // PDU type (MTI: SMS-STATUS-REPORT, MMS: no more messages)
+      Buffer.from([reference % 256]), // TP-MR
+      Buffer.from([digits.length, international ? 0x91 : 0x81]), // TP-RA
+      Buffer.from(addr_bytes),
+      VirtualModem._encodeScts(options.date || new Date()), // TP-SCTS
+      VirtualModem._encodeScts(options.dischargeDate || new Date()), // TP-DT
+      Buffer.from([options.status || 0]) // TP-ST
+    ]);
+    return pdu.toString('hex').toUpperCase();
+  }
+
+  // Encode a Date object to a SCTS (Service Center Time Stamp) in UTC
+  static _encodeScts(date) {
+    let values = [
+      date.getUTCFullYear() % 100,
+      date.getUTCMonth() + 1,
+      date.getUTCDate(),
+      date.getUTCHours(),
+      date.getUTCMinutes(),
+      date.getUTCSeconds(),
+      0 // Time zone
+    ];
+    return Buffer.from(values.map((n) => {
+      return ((n % 10) << 4) | Math.floor(n / 10);
+    }));
+  }
+
+  _nextConcatReference() {
+    this._concat_reference = (this._concat_reference + 1) % 256;
+    return this._concat_reference;
+  }
+
+  _nextMessageReference() {
+    let mr = this._message_reference;
+    this._message_reference = (this._message_reference + 1) % 256;
+    return mr;
+  }
+
+  _storeMessage(mem, stat, pdu) {
+    let storage = this._storages[mem];
+    for (let i = 0; i < storage.total; i++) {
+      if (!(i in storage.messages)) {
+        storage.messages[i] = { stat: stat, pdu: pdu.toUpperCase() };
+        return i;
+      }
+    }
+    return null;
+  }
+
+  // Byte length of the TPDU (without the SCA)
+  _getTpduLength(pdu) {
+    let sca_len = parseInt(pdu.substring(0, 2), 16);
+    return (pdu.length / 2) - sca_len - 1;
+  }
+
+  // First octet of the TPDU (PDU type)
+  _getFirstOctet(pdu) {
+    let sca_len = parseInt(pdu.substring(0, 2), 16);
+    return parseInt(pdu.substring((sca_len + 1) * 2, (sca_len + 2) * 2), 16);
+  }
+
+  // Receive data from the host
+  _receive(data) {
+    this._input += data;
+
+    while (this._input.length > 0) {
+      if (this._pdu_command) {
+        // Waiting for a PDU terminated by Ctrl+Z (or canceled by ESC)
+        let m = this._input.match(/[\x1a\x1b]/);
+        if (!m) {
+          return;
+        }
+        let pdu = this._input.substring(0, m.index).trim();
+        this._input = this._input.substring(m.index + 1);
+        let cmd = this._pdu_command;
+        this._pdu_command = null;
+        if (this._settings.echo) {
+          this._send(pdu);
+        }
+        if (m[0] === '\x1b') {
+          this._sendLines(['OK']);
+        } else {
+          this._sendResponse(this._executePdu(cmd, pdu));
+        }
+      } else {
+        let pos = this._input.search(/[\r\n]/);
+        if (pos === -1) {
+          return;
+        }
+        let cmd = this._input.substring(0, pos).trim();
+        this._input = this._input.substring(pos + 1);
+        if (!cmd) {
+          continue;
+        }
+        if (this._settings.echo) {
+          this._send(cmd + '\r');
+        }
+        this._commands.push(cmd);
+        this.emit('command', cmd);
+        this._sendResponse(this._execute(cmd));
+      }
+    }
+  }
+
+  /* ------------------------------------------------------------------
+  * Each command handler returns an object:
+  * - { lines: [...], result: "OK" } : Information lines and a final result
+  * - { error: "CMS", code: 321 }    : +CMS ERROR (or ERROR depending on +CMEE)
+  * - { error: "CME", code: 3 }      : +CME ERROR (or ERROR depending on +CMEE)
+  * - { prompt: true }               : The "> " prompt for a PDU
+  * - A string                       : Raw response
+  * ---------------------------------------------------------------- */
+  _execute(cmd) {
+    for (let h of this._handlers) {
+      let m = h.pattern.exec(cmd);
+      if (m) {
+        let res = h.handler(cmd, m);
+        if (res !== null && res !== undefined) {
+          return res;
+        }
+      }
+    }
+
+    let ucmd = cmd.toUpperCase();
+    if (!/^AT/.test(ucmd)) {
+      return { error: null };
+    }
+    let body = cmd.substring(2);
+
+    // Basic commands (e.g., `ATE0`, `ATS0=0`)
+    let m = body.match(/^(E|Q|V)(\d?)$/i);
+    if (m) {
+      if (m[1].toUpperCase() === 'E') {
+        this._settings.echo = (m[2] === '1');
+      }
+      return this._ok();
+    }
+    if (/^D[\+\d\*#]+;$/i.test(body)) {
+      // Voice call (the called party is alerted until `answerCall()`)
+      if (this._sim.status !== 'READY') {
+        return 'NO CARRIER';
+      }
+      this._addCall(0, 3, body.slice(1, -1));
+      return this._ok();
+    } else if (/^A$/i.test(body)) {
+      let call = this._calls.find((c) => { return c.stat === 4 || c.stat === 5; });
+      if (!call) {
+        return 'NO CARRIER';
+      }
+      call.stat = 0;
+      return this._ok();
+    } else if (/^H0?$/i.test(body)) {
+      this._calls = [];
+      return this._ok();
+    }
+    if (body === '' || /^S\d+(=\d+|\?)$/i.test(body) || /^[ZH]\d?$/i.test(body)) {
+      return this._ok();
+    }
+
+    // Extended commands (e.g., `AT+CPMS?`, `AT+CMGR=1`)
+    m = body.match(/^([\+\^][A-Z0-9]+)(=\?|\?|=(.*))?$/i);
+    if (!m) {
+      return { error: null };
+    }
+    let name = m[1].toUpperCase();
+    let type = 'exec';
+    if (m[2] === '=?') {
+      type = 'test';
+    } else if (m[2] === '?') {
+      type = 'read';
+    } else if (m[2]) {
+      type = 'set';
+    }
+    let params = (type === 'set') ? this._splitParams(m[3]) : [];
+
+    let method = '_cmd' + name.replace(/^[\+\^]/, '').replace(/^(.)(.*)$/, (s, a, b) => {
+      return a.toUpperCase() + b.toLowerCase();
+    });
+    if (typeof (this[method]) !== 'function') {
+      return { error: null };
+    }
+
+    // Commands which require the SIM are rejected while the SIM is locked
+    let sim_commands = [
+      '+CNMI', '+CPMS', '+CMGL', '+CMGR', '+CMGD', '+CMGS', '+CMGW', '+CMSS', '+CNUM',
+      '+CPBS', '+CPBR', '+CPBF', '+CPBW', '+CUSD', '+CLCC', '+CSCB'
+    ];
+    if (this._sim.status !== 'READY' && sim_commands.includes(name)) {
+      return { error: 'CME', code: (this._sim.status === 'SIM PUK') ? 12 : 11 };
+    }
+    return this[method](type, params, cmd);
+  }
+
+  _executePdu(cmd, pdu) {
+    if (!/^[0-9A-Fa-f]+$/.test(pdu) || pdu.length % 2 !== 0) {
+      return { error: 'CMS', code: 304 };
+    }
+    if (this._getTpduLength(pdu) !== cmd.length) {
+      return { error: 'CMS', code: 304 };
+    }
+    if (cmd.name === 'CMGS') {
+      if (!this._getServiceCenter(pdu)) {
+        return { error: 'CMS', code: 330 }; // SMSC address unknown
+      }
+      let mr = this._recordSentMessage(pdu);
+      return this._ok(['+CMGS: ' + mr]);
+    } else if (cmd.name === 'CMGW') {
+      let index = this._storeMessage(this._settings.cpms[1], cmd.stat, pdu);
+      if (index === null) {
+        return { error: 'CMS', code: 322 };
+      }
+      return this._ok(['+CMGW: ' + index]);
+    }
+    return { error: null };
+  }
+
+  _recordSentMessage(pdu) {
+    let mr = this._nextMessageReference();
+    let parsed = SmsPduUtils.parse(pdu);
+    let sent = {
+      reference: mr,
+      pdu: pdu.toUpperCase(),
+      destination: parsed.destination || null,
+      smsc: this._getServiceCenter(pdu),
+      concat: parsed.concat || null,
+      text: parsed.text || null,
+      data: parsed.data || null,
+      ports: parsed.ports || null,
+      statusReport: (this._getFirstOctet(pdu) & 0b00100000) ? true : false
+    };
+    this._sent_messages.push(sent);
+    this.emit('sent-message', sent);
+    return mr;
+  }
+
+  // SMSC address used for the PDU (the SCA in the PDU or the one set by `AT+CSCA`)
+  _getServiceCenter(pdu) {
+    let sca = SmsPduUtils.parse(pdu).smsc;
+    return sca || this._settings.csca[0] || null;
+  }
+
+  _splitParams(str) {
+    let params = [];
+    let col = '';
+    let quoted = false;
+    for (let c of str.split('')) {
+      if (c === '"') {
+        quoted = !quoted;
+        continue;
+      }
+      if (c === ',' && !quoted) {
+        params.push(col);
+        col = '';
+        continue;
+      }
+      col += c;
+    }
+    params.push(col);
+    return params.map((p) => {
+      return p.trim();
+    });
+  }
+
+  _ok(lines = []) {
+    return { lines: lines, result: 'OK' };
+  }
+
+  // Format a response object and send it to the host
+  _sendResponse(res) {
+    if (typeof (res) === 'string') {
+      this._sendLines(res.split('\n'));
+      return;
+    }
+    if (res.prompt) {
+      this._send('\r\n> ');
+      return;
+    }
+    if ('error' in res) {
+      this._sendLines([this._formatError(res.error, res.code)]);
+      return;
+    }
+    this._sendLines(res.lines.concat([res.result]));
+  }
+
+  _formatError(type, code) {
+    if (!type || this._settings.cmee === 0) {
+      return 'ERROR';
+    }
+    if (this._settings.cmee === 1) {
+      return '+' + type + ' ERROR: ' + code;
+    }
+    let table = (type === 'CMS') ? mAtErrors.CMS_ERROR_CODES : mAtErrors.CME_ERROR_CODES;
+    return '+' + type + ' ERROR: ' + (table[code] || code);
+  }
+
+  // Send a PDU routed directly to the host (`+CMT` or `+CDS`)
+  _sendDirect(prefix, pdu) {
+    if (this._settings.csms === 1) {
+      this._unacknowledged++;
+    }
+    this._sendLines([prefix + this._getTpduLength(pdu), pdu]);
+  }
+
+  _sendLines(lines) {
+    let data = '';
+    for (let line of lines) {
+      data += '\r\n' + line + '\r\n';
+    }
+    this._send(data);
+  }
+
+  _send(data) {
+    let stream = this._stream;
+    if (!stream) {
+      return;
+    }
+    let buf = Buffer.from(data, 'latin1');
+    let chunks = [];
+    if (this._chunk_size > 0) {
+      for (let i = 0; i < buf.length; i += this._chunk_size) {
+        chunks.push(buf.slice(i, i + this._chunk_size));
+      }
+    } else {
+      chunks.push(buf);
+    }
+    for (let chunk of chunks) {
+      setTimeout(() => {
+        if (this._stream === stream) {
+          stream.push(chunk);
+        }
+      }, this._response_delay);
+    }
+  }
+
+  // ---------------------------------------------------------------
+  // Command handlers
+  // ---------------------------------------------------------------
+
+  // Manufacturer, model, revision, and serial number identification
+  _cmdCgmi(type) {
+    return (type === 'exec') ? this._ok([this._info.manufacturer]) : this._ok();
+  }
+
+  _cmdCgmm(type) {
+    return (type === 'exec') ? this._ok([this._info.model]) : this._ok();
+  }
+
+  _cmdCgmr(type) {
+    return (type === 'exec') ? this._ok(['+CGMR: ' + this._info.revision]) : this._ok();
+  }
+
+  _cmdCgsn(type) {
+    return (type === 'exec') ? this._ok([this._info.serial]) : this._ok();
+  }
+
+  // Report Mobile Termination Error
+  _cmdCmee(type, params) {
+    if (type === 'read') {
+      return this._ok(['+CMEE: ' + this._settings.cmee]);
+    } else if (type === 'set') {
+      let n = parseInt(params[0], 10);
+      if (!(n >= 0 && n <= 2)) {
+        return { error: 'CME', code: 50 };
+      }
+      this._settings.cmee = n;
+    }
+    return this._ok();
+  }
+
+  // Message Format
+  _cmdCmgf(type, params) {
+    if (type === 'read') {
+      return this._ok(['+CMGF: ' + this._settings.cmgf]);
+    } else if (type === 'set') {
+      if (params[0] !== '0') {
+        return { error: 'CMS', code: 303 };
+      }
+    }
+    return this._ok();
+  }
+
+  // Select Message Service
+  _cmdCsms(type, params) {
+    if (type === 'read') {
+      return this._ok(['+CSMS: ' + this._settings.csms + ',1,1,1']);
+    } else if (type === 'set') {
+      let service = parseInt(params[0], 10);
+      if (service !== 0 && service !== 1) {
+        return { error: 'CMS', code: 302 };
+      }
+      this._settings.csms = service;
+      return this._ok(['+CSMS: 1,1,1']);
+    }
+    return this._ok();
+  }
+
+  // New Message Acknowledgement to ME/TA
+  _cmdCnma(type) {
+    if (type === 'test') {
+      return this._ok(['+CNMA: (0-2)']);
+    }
+    if (this._settings.csms !== 1 || this._unacknowledged === 0) {
+      return { error: 'CMS', code: 340 };
+    }
+    this._unacknowledged--;
+    return this._ok();
+  }
+
+  // New Message Indications to TE
+  _cmdCnmi(type, params) {
+    if (type === 'read') {
+      return this._ok(['+CNMI: ' + this._settings.cnmi.join(',')]);
+    } else if (type === 'set') {
+      params.forEach((p, i) => {
+        if (i < 5 && /^\d+$/.test(p)) {
+          this._settings.cnmi[i] = parseInt(p, 10);
+        }
+      });
+    }
+    return this._ok();
+  }
+
+  // Select Cell Broadcast Message Types
+  // - AT+CSCB=[<mode>[,<mids>[,<dcss>]]]
+  _cmdCscb(type, params) {
+    if (type === 'read') {
+      let cscb = this._settings.cscb;
+      return this._ok(['+CSCB: ' + cscb[0] + ',"' + cscb[1] + '","' + cscb[2] + '"']);
+    } else if (type === 'test') {
+      return this._ok(['+CSCB: (0,1)']);
+    } else if (type !== 'set') {
+      return this._ok();
+    }
+    let mode = parseInt(params[0], 10);
+    let mids = params[1] || '';
+    let dcss = params[2] || '';
+    if ((mode !== 0 && mode !== 1) || !/^[\d,\-]*$/.test(mids) || !/^[\d,\-]*$/.test(dcss)) {
+      return { error: 'CMS', code: 304 };
+    }
+    this._settings.cscb = [mode, mids, dcss];
+    return this._ok();
+  }
+
+  // Whether the message identifier is accepted by `AT+CSCB`
+  _isCellBroadcastAccepted(mid) {
+    let [mode, mids] = this._settings.cscb;
+    let listed = mids.split(',').some((range) => {
+      let [from, to] = range.split('-');
+      if (!from) {
+        return false;
+      }
+      return mid >= parseInt(from, 10) && mid <= parseInt(to || from, 10);
+    });
+    return (mode === 0) ? listed : !listed;
+  }
+
+  // Preferred Message Storage
+  _cmdCpms(type, params) {
+    let cpms = this._settings.cpms;
+    if (type === 'read') {
+      let rows = [];
+      for (let mem of cpms) {
+        let s = this._storages[mem];
+        rows.push('"' + mem + '"', Object.keys(s.messages).length, s.total);
+      }
+      return this._ok(['+CPMS: ' + rows.join(',')]);
+    } else if (type === 'set') {
+      let mems = params.map((p) => {
+        return p.toUpperCase();
+      });
+      for (let mem of mems) {
+        if (!(mem in this._storages)) {
+          return { error: 'CMS', code: 302 };
+        }
+      }
+      for (let i = 0; i < 3; i++) {
+        cpms[i] = mems[i] || cpms[i];
+      }
+      let rows = [];
+      for (let mem of cpms) {
+        let s = this._storages[mem];
+        rows.push(Object.keys(s.messages).length, s.total);
+      }
+      return this._ok(['+CPMS: ' + rows.join(',')]);
+    }
+    return this._ok();
+  }
+
+  // List Messages
+  _cmdCmgl(type, params) {
+    if (type !== 'set') {
+      return this._ok();
+    }
+    let stat = parseInt(params[0], 10);
+    if (!(stat >= 0 && stat <= 4)) {
+      return { error: 'CMS', code: 302 };
+    }
+    let lines = [];
+    for (let msg of this.getMessages(this._settings.cpms[0])) {
+      if (stat !== 4 && msg.stat !== stat) {
+        continue;
+      }
+      lines.push('+CMGL: ' + msg.index + ',' + msg.stat + ',,' + this._getTpduLength(msg.pdu));
+      lines.push(msg.pdu);
+      this._markAsRead(this._settings.cpms[0], msg.index);
+    }
+    return this._ok(lines);
+  }
+
+  // Read Message
+  _cmdCmgr(type, params) {
+    if (type !== 'set') {
+      return this._ok();
+    }
+    let storage = this._storages[this._settings.cpms[0]];
+    let index = parseInt(params[0], 10);
+    if (!(index >= 0 && index < storage.total)) {
+      return { error: 'CMS', code: 321 };
+    }
+    let msg = storage.messages[index];
+    if (!msg) {
+      return this._ok();
+    }
+    let lines = [
+      '+CMGR: ' + msg.stat + ',,' + this._getTpduLength(msg.pdu),
+      msg.pdu
+    ];
+    this._markAsRead(this._settings.cpms[0], index);
+    return this._ok(lines);
+  }
+
+  _markAsRead(mem, index) {
+    let msg = this._storages[mem].messages[index];
+    if (msg && msg.stat === 0) {
+      msg.stat = 1;
+    }
+  }
+
+  // Delete Message
+  _cmdCmgd(type, params) {
+    if (type !== 'set') {
+      return this._ok();
+    }
+    let storage = this._storages[this._settings.cpms[0]];
+    let index = parseInt(params[0], 10);
+    let flag = params[1] ? parseInt(params[1], 10) : 0;
+    if (flag === 0) {
+      if (!(index >= 0 && index < storage.total)) {
+        return { error: 'CMS', code: 321 };
+      }
+      delete storage.messages[index];
+      return this._ok();
+    }
+    // 1: read, 2: read and sent, 3: read, sent and unsent, 4: all
+    let stat_list = [[], [1], [1, 3], [1, 2, 3], [0, 1, 2, 3]][flag];
+    if (!stat_list) {
+      return { error: 'CMS', code: 302 };
+    }
+    for (let [i, msg] of Object.entries(storage.messages)) {
+      if (stat_list.includes(msg.stat)) {
+        delete storage.messages[i];
+      }
+    }
+    return this._ok();
+  }
+
+  // Send Message
+  _cmdCmgs(type, params) {
+    if (type !== 'set') {
+      return this._ok();
+    }
+    let length = parseInt(params[0], 10);
+    if (!(length > 0 && length <= 164)) {
+      return { error: 'CMS', code: 304 };
+    }
+    this._pdu_command = { name: 'CMGS', length: length };
+    return { prompt: true };
+  }
+
+  // Write Message to Memory
+  _cmdCmgw(type, params) {
+    if (type !== 'set') {
+      return this._ok();
+    }
+    let length = parseInt(params[0], 10);
+    let stat = params[1] ? parseInt(params[1], 10) : 2;
+    if (!(length > 0 && length <= 164) || !(stat >= 0 && stat <= 3)) {
+      return { error: 'CMS', code: 304 };
+    }
+    this._pdu_command = { name: 'CMGW', length: length, stat: stat };
+    return { prompt: true };
+  }
+
+  // Service Centre Address
+  // - AT+CSCA=<sca>[,<tosca>]
+  _cmdCsca(type, params) {
+    if (type === 'read') {
+      return this._ok(['+CSCA: "' + this._encodeText(this._settings.csca[0]) + '",' + this._settings.csca[1]]);
+    } else if (type === 'set') {
+      let number = this._decodeText(params[0] || '') || '';
+      if (!/^\+?\d{1,20}$/.test(number)) {
+        return { error: 'CMS', code: 304 };
+      }
+      let tosca = params[1] ? parseInt(params[1], 10) : (/^\+/.test(number) ? 145 : 129);
+      this._settings.csca = [number, tosca];
+      return this._ok();
+    }
+    return this._ok();
+  }
+
+  // Send Message from Storage
+  _cmdCmss(type, params) {
+    if (type !== 'set') {
+      return this._ok();
+    }
+    let mem = this._settings.cpms[1];
+    let index = parseInt(params[0], 10);
+    let msg = this._storages[mem].messages[index];
+    if (!msg) {
+      return { error: 'CMS', code: 321 };
+    }
+    if (!this._getServiceCenter(msg.pdu)) {
+      return { error: 'CMS', code: 330 }; // SMSC address unknown
+    }
+    let mr = this._recordSentMessage(msg.pdu);
+    if (msg.stat === 2) {
+      msg.stat = 3;
+    }
+    return this._ok(['+CMSS: ' + mr]);
+  }
+
+  // Signal Quality
+  _cmdCsq(type) {
+    if (type === 'exec') {
+      return this._ok(['+CSQ: ' + this._rssi + ',99']);
+    }
+    return this._ok();
+  }
+
+  // Extended Signal Quality
+  // - "+CESQ: <rxlev>,<ber>,<rscp>,<ecno>,<rsrq>,<rsrp>"
+  // - The <rsrq> and the <rsrp> are reported only for the E-UTRAN.
+  _cmdCesq(type) {
+    if (type === 'exec') {
+      let rsrq = 255;
+      let rsrp = 255;
+      if (this._registration.act === 7) {
+        if (typeof (this._rsrq) === 'number') {
+          rsrq = Math.min(Math.max(Math.round((this._rsrq + 20) * 2), 0), 34);
+        }
+        if (typeof (this._rsrp) === 'number') {
+          rsrp = Math.min(Math.max(Math.round(this._rsrp + 141), 0), 97);
+        }
+      }
+      return this._ok(['+CESQ: 99,99,255,255,' + rsrq + ',' + rsrp]);
+    } else if (type === 'test') {
+      return this._ok(['+CESQ: (0-63,99),(0-7,99),(0-96,255),(0-49,255),(0-34,255),(0-97,255)']);
+    }
+    return { error: null };
+  }
+
+  // Network Registration
+  _cmdCreg(type, params) {
+    return this._registrationCommand('creg', type, params);
+  }
+
+  // GPRS Network Registration Status
+  _cmdCgreg(type, params) {
+    return this._registrationCommand('cgreg', type, params);
+  }
+
+  // EPS Network Registration Status
+  _cmdCereg(type, params) {
+    return this._registrationCommand('cereg', type, params);
+  }
+
+  _registrationCommand(name, type, params) {
+    if (type === 'set') {
+      let n = parseInt(params[0], 10);
+      if (!(n >= 0 && n <= 2)) {
+        return { error: 'CME', code: 50 };
+      }
+      this._settings[name] = n;
+      return this._ok();
+    } else if (type === 'read') {
+      let n = this._settings[name];
+      return this._ok(['+' + name.toUpperCase() + ': ' + this._formatRegistration(n, true)]);
+    }
+    return this._ok();
+  }
+
+  // Format the parameters of `+CREG`, `+CGREG` and `+CEREG`
+  // - Read command: "<n>,<stat>[,<lac>,<ci>,<AcT>]"
+  // - URC: "<stat>[,<lac>,<ci>,<AcT>]"
+  _formatRegistration(n, read) {
+    let reg = this._registration;
+    let params = read ? [n, reg.stat] : [reg.stat];
+    let registered = [1, 5].includes(reg.stat);
+    if (n === 2 && registered) {
+      params.push('"' + this._toHex(this._info.lac, 4) + '"', '"' + this._toHex(this._info.cid, 4) + '"', reg.act);
+    }
+    return params.join(',');
+  }
+
+  _toHex(n, digits) {
+    let hex = n.toString(16).toUpperCase();
+    while (hex.length < digits) {
+      hex = '0' + hex;
+    }
+    return hex;
+  }
+
+  // Operator Selection
+  // - AT+COPS=<mode>[,<format>[,<oper>[,<AcT>]]]
+  //   (0: automatic, 1: manual, 2: deregister, 3: set only <format>,
+  //   4: manual/automatic)
+  _cmdCops(type, params) {
+    if (type === 'set') {
+      let mode = parseInt(params[0], 10);
+      if (!(mode >= 0 && mode <= 4)) {
+        return { error: 'CME', code: 50 };
+      }
+      if (mode === 3) {
+        let format = parseInt(params[1], 10);
+        if (!(format >= 0 && format <= 2)) {
+          return { error: 'CME', code: 50 };
+        }
+        this._settings.copsFormat = format;
+      } else if (mode === 0) {
+        this._settings.copsMode = 0;
+        this._selectNetwork(this._networks[0]);
+      } else if (mode === 2) {
+        this._settings.copsMode = 2;
+        this.setRegistration({ stat: 0 });
+      } else {
+        let net = this._findNetwork(params[1], params[2], params[3]);
+        if (!net || net.forbidden) {
+          if (mode === 1) {
+            return { error: 'CME', code: net ? 32 : 30 };
+          }
+          // Manual selection failed, so the automatic mode is entered
+          net = this._networks[0];
+          mode = 0;
+        }
+        this._settings.copsMode = mode;
+        this._selectNetwork(net);
+      }
+      return this._ok();
+    } else if (type === 'read') {
+      if (this._registration.stat === 0) {
+        return this._ok(['+COPS: ' + this._settings.copsMode]);
+      }
+      let oper = this._info.operator;
+      let value = oper.name;
+      if (this._settings.copsFormat === 2) {
+        value = this._formatMccMnc(oper);
+      }
+      return this._ok(['+COPS: ' + this._settings.copsMode + ',' + this._settings.copsFormat + ',"' + value + '",' + this._registration.act]);
+    } else if (type === 'test') {
+      // "+COPS: (<stat>,long alphanumeric <oper>,short alphanumeric <oper>,numeric <oper>,<AcT>),...
+      //  ,,(list of supported <mode>s),(list of supported <format>s)"
+      let current = this._formatMccMnc(this._info.operator);
+      let list = this._networks.map((net) => {
+        let stat = 1;
+        if (net.forbidden) {
+          stat = 3;
+        } else if (this._registration.stat !== 0 && this._formatMccMnc(net) === current && net.act === this._registration.act) {
+          stat = 2;
+        }
+        return '(' + stat + ',"' + net.name + '","' + net.shortName + '","' + this._formatMccMnc(net) + '",' + net.act + ')';
+      });
+      return this._ok(['+COPS: ' + list.join(',') + ',,(0,1,2,3,4),(0,1,2)']);
+    }
+    return this._ok();
+  }
+
+  _findNetwork(format, oper, act) {
+    return this._networks.find((net) => {
+      if (act !== undefined && act !== '' && parseInt(act, 10) !== net.act) {
+        return false;
+      }
+      if (format === '2') {
+        return this._formatMccMnc(net) === oper;
+      } else if (format === '1') {
+        return net.shortName === oper;
+      }
+      return net.name === oper;
+    }) || null;
+  }
+
+  _selectNetwork(net) {
+    this._info.operator = { name: net.name, mcc: net.mcc, mnc: net.mnc };
+    this.setRegistration({ stat: (net === this._networks[0]) ? 1 : 5, act: net.act });
+  }
+
+  _formatMccMnc(oper) {
+    return oper.mcc.toString() + ('0' + oper.mnc).slice(-2);
+  }
+
+  // Enter PIN
+  // - AT+CPIN="<pin>" or AT+CPIN="<puk>","<newpin>"
+  _cmdCpin(type, params) {
+    let sim = this._sim;
+    if (type === 'read') {
+      return this._ok(['+CPIN: ' + sim.status]);
+    } else if (type !== 'set') {
+      return this._ok();
+    }
+
+    if (sim.status === 'SIM PIN') {
+      if (params[0] !== sim.pin) {
+        sim.pinRetries--;
+        if (sim.pinRetries === 0) {
+          sim.status = 'SIM PUK';
+        }
+        return { error: 'CME', code: 16 };
+      }
+    } else if (sim.status === 'SIM PUK') {
+      if (params.length < 2 || !/^\d{4,8}$/.test(params[1])) {
+        return { error: 'CME', code: 50 };
+      }
+      if (params[0] !== sim.puk) {
+        sim.pukRetries = Math.max(sim.pukRetries - 1, 0);
+        return { error: 'CME', code: 16 };
+      }
+      sim.pin = params[1];
+      sim.pukRetries = 10;
+    } else {
+      return { error: 'CME', code: 3 };
+    }
+    sim.status = 'READY';
+    sim.pinRetries = 3;
+    return this._ok();
+  }
+
+  // Remaining PIN Retries
+  _cmdCpinr(type) {
+    if (type === 'test') {
+      return this._ok();
+    }
+    return this._ok([
+      '+CPINR: SIM PIN,' + this._sim.pinRetries + ',3',
+      '+CPINR: SIM PUK,' + this._sim.pukRetries + ',10'
+    ]);
+  }
+
+  // Change Password
+  _cmdCpwd(type, params) {
+    if (type !== 'set') {
+      return this._ok();
+    }
+    let sim = this._sim;
+    if (params[0] !== 'SC' || !/^\d{4,8}$/.test(params[2] || '')) {
+      return { error: 'CME', code: 50 };
+    }
+    if (sim.status !== 'READY' || !sim.lock) {
+      return { error: 'CME', code: 3 };
+    }
+    if (params[1] !== sim.pin) {
+      sim.pinRetries--;
+      if (sim.pinRetries === 0) {
+        sim.status = 'SIM PUK';
+      }
+      return { error: 'CME', code: 16 };
+    }
+    sim.pin = params[2];
+    sim.pinRetries = 3;
+    return this._ok();
+  }
+
+  // Facility Lock (only "SC")
+  _cmdClck(type, params) {
+    if (type !== 'set') {
+      return this._ok();
+    }
+    let sim = this._sim;
+    if (params[0] !== 'SC') {
+      return { error: 'CME', code: 4 };
+    }
+    let mode = parseInt(params[1], 10);
+    if (mode === 2) {
+      return this._ok(['+CLCK: ' + (sim.lock ? 1 : 0)]);
+    } else if (mode !== 0 && mode !== 1) {
+      return { error: 'CME', code: 50 };
+    }
+    if (sim.status !== 'READY') {
+      return { error: 'CME', code: 3 };
+    }
+    if (params[2] !== sim.pin) {
+      sim.pinRetries--;
+      if (sim.pinRetries === 0) {
+        sim.status = 'SIM PUK';
+      }
+      return { error: 'CME', code: 16 };
+    }
+    sim.lock = (mode === 1);
+    sim.pinRetries = 3;
+    return this._ok();
+  }
+
+  // Select TE Character Set ("GSM", "IRA" or "UCS2")
+  _cmdCscs(type, params) {
+    if (type === 'read') {
+      return this._ok(['+CSCS: "' + this._settings.cscs + '"']);
+    } else if (type === 'test') {
+      return this._ok(['+CSCS: ("GSM","IRA","UCS2")']);
+    } else if (type === 'set') {
+      if (!['GSM', 'IRA', 'UCS2'].includes(params[0])) {
+        return { error: 'CME', code: 4 };
+      }
+      this._settings.cscs = params[0];
+    }
+    return this._ok();
+  }
+
+  // Select Phonebook Memory Storage
+  _cmdCpbs(type, params) {
+    if (type === 'read') {
+      let pb = this._phonebooks[this._settings.cpbs];
+      let used = Object.keys(pb.entries).length;
+      return this._ok(['+CPBS: "' + this._settings.cpbs + '",' + used + ',' + pb.total]);
+    } else if (type === 'test') {
+      return this._ok(['+CPBS: ("SM","ME","FD","ON")']);
+    } else if (type === 'set') {
+      if (!(params[0] in this._phonebooks)) {
+        return { error: 'CME', code: 4 };
+      }
+      this._settings.cpbs = params[0];
+    }
+    return this._ok();
+  }
+
+  // Read Phonebook Entries
+  _cmdCpbr(type, params) {
+    let pb = this._phonebooks[this._settings.cpbs];
+    if (type === 'test') {
+      return this._ok(['+CPBR: (1-' + pb.total + '),40,18']);
+    } else if (type !== 'set') {
+      return { error: null };
+    }
+    let first = parseInt(params[0], 10);
+    let last = (params.length > 1) ? parseInt(params[1], 10) : first;
+    if (!(first >= 1 && last <= pb.total && first <= last)) {
+      return { error: 'CME', code: 21 };
+    }
+    let lines = [];
+    for (let i = first; i <= last; i++) {
+      if (i in pb.entries) {
+        lines.push(this._formatPhonebookEntry('+CPBR', i, pb.entries[i]));
+      }
+    }
+    return this._ok(lines);
+  }
+
+  // Find Phonebook Entries (the names starting with the text)
+  _cmdCpbf(type, params) {
+    if (type !== 'set') {
+      return this._ok();
+    }
+    let text = this._decodeText(params[0]);
+    if (text === null) {
+      return { error: 'CME', code: 25 };
+    }
+    text = text.toLowerCase();
+    let pb = this._phonebooks[this._settings.cpbs];
+    let lines = [];
+    for (let [i, entry] of Object.entries(pb.entries)) {
+      if (entry.name.toLowerCase().startsWith(text)) {
+        lines.push(this._formatPhonebookEntry('+CPBF', i, entry));
+      }
+    }
+    if (lines.length === 0) {
+      return { error: 'CME', code: 22 };
+    }
+    return this._ok(lines);
+  }
+
+  // Write Phonebook Entry
+  // - AT+CPBW=[<index>][,<number>[,<type>[,<text>]]]
+  // - If only the <index> is specified, the entry is deleted.
+  _cmdCpbw(type, params) {
+    if (type !== 'set') {
+      return this._ok();
+    }
+    let pb = this._phonebooks[this._settings.cpbs];
+    let index = null;
+    if (params[0] !== '') {
+      index = parseInt(params[0], 10);
+      if (!(index >= 1 && index <= pb.total)) {
+        return { error: 'CME', code: 21 };
+      }
+    }
+    if (params.length < 2) {
+      if (index === null) {
+        return { error: 'CME', code: 50 };
+      }
+      delete pb.entries[index];
+      return this._ok();
+    }
+    let name = this._decodeText(params[3] || '');
+    if (name === null) {
+      return { error: 'CME', code: 25 };
+    }
+    if (index === null) {
+      for (let i = 1; i <= pb.total; i++) {
+        if (!(i in pb.entries)) {
+          index = i;
+          break;
+        }
+      }
+      if (index === null) {
+        return { error: 'CME', code: 20 };
+      }
+    }
+    pb.entries[index] = {
+      number: params[1],
+      type: params[2] ? parseInt(params[2], 10) : (/^\+/.test(params[1]) ? 145 : 129),
+      name: name
+    };
+    return this._ok();
+  }
+
+  _formatPhonebookEntry(prefix, index, entry) {
+    return prefix + ': ' + index + ',"' + entry.number + '",' + entry.type + ',"' + this._encodeText(entry.name) + '"';
+  }
+
+  // Encode a string in the TE character set selected by `AT+CSCS`
+  _encodeText(text) {
+    return (this._settings.cscs === 'UCS2') ? PhonebookUtils.encodeUcs2(text) : text;
+  }
+
+  // Decode a string in the TE character set selected by `AT+CSCS`
+  // (`null` if the string is invalid)
+  _decodeText(text) {
+    return (this._settings.cscs === 'UCS2') ? PhonebookUtils.decodeUcs2(text) : text;
+  }
+
+  // Unstructured Supplementary Service Data
+  // - AT+CUSD=[<n>[,<str>[,<dcs>]]]
+  // - The reply is reported by a `+CUSD` after the `OK`.
+  _cmdCusd(type, params) {
+    if (type === 'read') {
+      return this._ok(['+CUSD: ' + this._settings.cusd]);
+    } else if (type === 'test') {
+      return this._ok(['+CUSD: (0-2)']);
+    } else if (type !== 'set') {
+      return this._ok();
+    }
+    let n = parseInt(params[0], 10);
+    if (n === 2) {
+      this._ussd_active = false;
+      return this._ok();
+    } else if (n !== 0 && n !== 1) {
+      return { error: 'CME', code: 50 };
+    }
+    this._settings.cusd = n;
+    if (params.length < 2) {
+      return this._ok();
+    }
+
+    let reply = this._ussd_handler(params[1], this._ussd_active);
+    let line = null;
+    if (reply === null || reply === undefined) {
+      this._ussd_active = false;
+      line = '+CUSD: 4';
+    } else {
+      if (typeof (reply) === 'string') {
+        reply = { text: reply, active: false };
+      }
+      this._ussd_active = reply.active ? true : false;
+      line = this._formatCusd(this._ussd_active ? 1 : 0, reply.text);
+    }
+    setTimeout(() => {
+      this._sendLines([line]);
+    }, 0);
+    return this._ok();
+  }
+
+  // Format a `+CUSD` result code
+  // - A string in the GSM 7-bit default alphabet is sent as it is (DCS: 15),
+  //   otherwise it is sent as a HEX string of UCS2 (DCS: 72).
+  _formatCusd(m, text) {
+    if (!text || Gsm7Utils.isAcceptable(text)) {
+      return '+CUSD: ' + m + ',"' + (text || '') + '",15';
+    }
+    return '+CUSD: ' + m + ',"' + PhonebookUtils.encodeUcs2(text) + '",72';
+  }
+
+  // Hang up voice calls
+  _cmdChup(type) {
+    if (type === 'exec') {
+      this._calls = [];
+    }
+    return this._ok();
+  }
+
+  // List current calls
+  // - +CLCC: <id>,<dir>,<stat>,<mode>,<mpty>,<number>,<type>
+  _cmdClcc(type) {
+    if (type !== 'exec') {
+      return this._ok();
+    }
+    let lines = this._calls.map((c) => {
+      return '+CLCC: ' + [c.id, c.dir, c.stat, 0, 0, '"' + c.number + '"', c.type].join(',');
+    });
+    return this._ok(lines);
+  }
+
+  // Calling line identification presentation
+  _cmdClip(type, params) {
+    if (type === 'read') {
+      return this._ok(['+CLIP: ' + this._settings.clip + ',1']);
+    } else if (type === 'test') {
+      return this._ok(['+CLIP: (0,1)']);
+    } else if (type === 'set') {
+      this._settings.clip = (params[0] === '1') ? 1 : 0;
+    }
+    return this._ok();
+  }
+
+  // Add a voice call
+  // - dir : 0: mobile originated, 1: mobile terminated
+  // - stat: 0: active, 2: dialing, 3: alerting, 4: incoming, 5: waiting
+  _addCall(dir, stat, number) {
+    let id = 1;
+    while (this._calls.some((c) => { return c.id === id; })) {
+      id++;
+    }
+    let call = {
+      id: id,
+      dir: dir,
+      stat: stat,
+      number: number,
+      type: /^\+/.test(number) ? 145 : 129
+    };
+    this._calls.push(call);
+    return call;
+  }
+
+  _findCall(id) {
+    if (id === undefined) {
+      return this._calls[this._calls.length - 1] || null;
+    }
+    return this._calls.find((c) => { return c.id === id; }) || null;
+  }
+
+  // Subscriber Number
+  _cmdCnum(type) {
+    if (type === 'exec') {
+      return this._ok(['+CNUM: "","' + this._info.subscriber + '",129']);
+    }
+    return this._ok();
+  }
+
+  // Define PDP Context
+  _cmdCgdcont(type, params) {
+    if (type === 'read') {
+      return this._ok(this._contexts.map((c) => {
+        return '+CGDCONT: ' + c.cid + ',"' + c.type + '","' + c.apn + '","0.0.0.0",0,0';
+      }));
+    } else if (type === 'set') {
+      // AT+CGDCONT=<cid>[,<PDP_type>,<APN>] (the context is deleted
+      // if only the <cid> is specified)
+      let cid = parseInt(params[0], 10);
+      if (!(cid >= 1 && cid <= 255)) {
+        return { error: 'CME', code: 50 };
+      }
+      let context = this._findContext(cid);
+      if (params.length === 1) {
+        this._contexts = this._contexts.filter((c) => {
+          return c !== context;
+        });
+        return this._ok();
+      }
+      if (!['IP', 'IPV6', 'IPV4V6', 'PPP'].includes(params[1])) {
+        return { error: 'CME', code: 50 };
+      }
+      if (!context) {
+        context = { cid: cid, active: false, addr: '', auth: { protocol: 0, username: '', password: '' } };
+        this._contexts.push(context);
+        this._contexts.sort((a, b) => {
+          return a.cid - b.cid;
+        });
+      }
+      context.type = params[1];
+      context.apn = params[2] || '';
+      return this._ok();
+    }
+    return this._ok();
+  }
+
+  // Define PDP Context Authentication Parameters
+  // - AT+CGAUTH=<cid>[,<auth_prot>[,<userid>[,<password>]]]
+  _cmdCgauth(type, params) {
+    if (type === 'read') {
+      return this._ok(this._contexts.map((c) => {
+        return '+CGAUTH: ' + c.cid + ',' + c.auth.protocol + ',"' + c.auth.username + '"';
+      }));
+    } else if (type === 'set') {
+      let context = this._findContext(parseInt(params[0], 10));
+      let protocol = parseInt(params[1] || '0', 10);
+      if (!context || !(protocol >= 0 && protocol <= 2)) {
+        return { error: 'CME', code: 50 };
+      }
+      context.auth = {
+        protocol: protocol,
+        username: (protocol > 0) ? (params[2] || '') : '',
+        password: (protocol > 0) ? (params[3] || '') : ''
+      };
+      return this._ok();
+    }
+    return this._ok();
+  }
+
+  // PDP Context Activate or Deactivate
+  // - AT+CGACT=<state>[,<cid>[,<cid>[,...]]]
+  _cmdCgact(type, params) {
+    if (type === 'read') {
+      return this._ok(this._contexts.map((c) => {
+        return '+CGACT: ' + c.cid + ',' + (c.active ? 1 : 0);
+      }));
+    } else if (type === 'set') {
+      let state = params[0];
+      if (state !== '0' && state !== '1') {
+        return { error: 'CME', code: 50 };
+      }
+      let contexts = (params.length > 1) ? params.slice(1).map((cid) => {
+        return this._findContext(parseInt(cid, 10));
+      }) : this._contexts;
+      if (contexts.includes(null)) {
+        return { error: 'CME', code: 50 };
+      }
+      if (state === '1' && ![1, 5].includes(this._registration.stat)) {
+        return { error: 'CME', code: 30 }; // No network service
+      }
+      for (let c of contexts) {
+        c.active = (state === '1');
+        c.addr = c.active ? '10.0.0.' + c.cid : '';
+      }
+      return this._ok();
+    }
+    return this._ok();
+  }
+
+  _findContext(cid) {
+    return this._contexts.find((c) => {
+      return c.cid === cid;
+    }) || null;
+  }
+
+  // Show PDP Address
+  _cmdCgpaddr(type, params) {
+    let lines = [];
+    for (let c of this._contexts) {
+      if (type === 'exec' || params.includes(c.cid.toString())) {
+        // No address is reported for a context which is not activated
+        lines.push('+CGPADDR: ' + c.cid + (c.addr ? ',"' + c.addr + '"' : ''));
+      }
+    }
+    return this._ok(lines);
+  }
+}
+
+module.exports = VirtualModem;
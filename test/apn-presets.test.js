@@ -0,0 +1,40 @@
+'use strict';
+const assert = require('assert');
+const mApnPresets = require('../lib/apn-presets.js');
+
+describe('ApnPresets', () => {
+  describe('getPreset()', () => {
+    it('returns the normalized preset of the network', () => {
+      assert.deepStrictEqual(mApnPresets.getPreset(440, 10), {
+        mcc: 440,
+        mnc: 10,
+        name: 'NTT DOCOMO',
+        apn: 'spmode.ne.jp',
+        type: 'IP',
+        auth: { protocol: 'none', username: '', password: '' }
+      });
+      assert.strictEqual(mApnPresets.getPreset(311, 480).apn, 'vzwinternet');
+      assert.strictEqual(mApnPresets.getPreset(999, 99), null);
+    });
+  });
+
+  describe('registerPreset()', () => {
+    it('searches the presets registered by users first', () => {
+      mApnPresets.registerPreset({ mcc: 310, mnc: 410, name: 'MVNO', apn: 'mvno.example.com', auth: { protocol: 'chap', username: 'user', password: 'pass' } });
+      let preset = mApnPresets.getPreset(310, 410);
+      assert.strictEqual(preset.apn, 'mvno.example.com');
+      assert.deepStrictEqual(preset.auth, { protocol: 'chap', username: 'user', password: 'pass' });
+
+      // The preset for the same network is replaced
+      mApnPresets.registerPreset({ mcc: 310, mnc: 410, apn: 'mvno2.example.com' });
+      assert.strictEqual(mApnPresets.getPreset(310, 410).apn, 'mvno2.example.com');
+    });
+
+    it('throws an error if the preset is invalid', () => {
+      assert.throws(() => mApnPresets.registerPreset({ mcc: 440, mnc: 10 }));
+      assert.throws(() => mApnPresets.registerPreset({ mcc: 1000, mnc: 10, apn: 'a' }));
+      assert.throws(() => mApnPresets.registerPreset({ mcc: 440, mnc: 10, apn: 'a', type: 'X' }));
+      assert.throws(() => mApnPresets.registerPreset({ mcc: 440, mnc: 10, apn: 'a', auth: { protocol: 'md5' } }));
+    });
+  });
+});
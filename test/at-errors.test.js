@@ -0,0 +1,38 @@
+'use strict';
+const assert = require('assert');
+const { AtCommandError, CmsError, CmeError } = require('../lib/at-errors.js');
+
+describe('AtCommandError', () => {
+  describe('fromResponse()', () => {
+    it('creates a CmsError from a numeric result code', () => {
+      let error = AtCommandError.fromResponse('AT+CMGS=20', '+CMS ERROR: 330');
+      assert.ok(error instanceof CmsError);
+      assert.ok(error instanceof AtCommandError);
+      assert.strictEqual(error.name, 'CmsError');
+      assert.strictEqual(error.command, 'AT+CMGS=20');
+      assert.strictEqual(error.response, '+CMS ERROR: 330');
+      assert.strictEqual(error.code, 330);
+      assert.strictEqual(error.description, 'SMSC address unknown');
+    });
+
+    it('creates a CmeError from a verbose result code', () => {
+      let error = AtCommandError.fromResponse('AT+CPIN?', '+CME ERROR: SIM not inserted');
+      assert.ok(error instanceof CmeError);
+      assert.strictEqual(error.code, 10);
+      assert.strictEqual(error.description, 'SIM not inserted');
+    });
+
+    it('creates an AtCommandError from an unexpected response', () => {
+      let error = AtCommandError.fromResponse('AT+CSQ', 'ERROR');
+      assert.strictEqual(error.constructor, AtCommandError);
+      assert.strictEqual(error.code, null);
+      assert.strictEqual(error.message, 'Unexpected response: ERROR');
+    });
+
+    it('keeps an unknown code', () => {
+      let error = AtCommandError.fromResponse('AT+CSQ', '+CME ERROR: 999');
+      assert.strictEqual(error.code, 999);
+      assert.strictEqual(error.description, null);
+    });
+  });
+});
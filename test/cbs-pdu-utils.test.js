@@ -0,0 +1,97 @@
+'use strict';
+const assert = require('assert');
+const CbsPduUtils = require('../lib/cbs-pdu-utils.js');
+const VirtualModem = require('../lib/virtual-modem.js');
+
+// Replace the DCS (the 5th octet) of a CBS page
+function setDcs(pdu, dcs) {
+  return pdu.substring(0, 8) + ('0' + dcs.toString(16).toUpperCase()).slice(-2) + pdu.substring(10);
+}
+
+describe('CbsPduUtils', () => {
+  describe('parse()', () => {
+    it('parses the header of a CBS page', () => {
+      let pdu = VirtualModem.generateCbmPdus(4370, 'Presidential Alert', { serialNumber: 0x5013 })[0];
+      assert.deepStrictEqual(CbsPduUtils.parse(pdu), {
+        messageId: 4370,
+        serialNumber: 0x5013,
+        geographicalScope: 1,
+        messageCode: 0x101,
+        updateNumber: 3,
+        dcs: 0x0F,
+        language: null,
+        emergency: true,
+        format: 'gsm',
+        page: { sequence: 1, total: 1 },
+        text: 'Presidential Alert'
+      });
+    });
+
+    it('decodes the pages of a multi-page message', () => {
+      let text = 'Tsunami warning. '.repeat(8);
+      let pdus = VirtualModem.generateCbmPdus(4352, text);
+      assert.strictEqual(pdus.length, 2);
+      let pages = pdus.map((pdu) => CbsPduUtils.parse(pdu));
+      assert.deepStrictEqual(pages.map((p) => p.page), [{ sequence: 1, total: 2 }, { sequence: 2, total: 2 }]);
+      assert.strictEqual(pages[0].text + pages[1].text, text);
+    });
+
+    it('parses a message in the UMTS format', () => {
+      let text = 'Tsunami warning. '.repeat(8);
+      let res = CbsPduUtils.parse(VirtualModem.generateCbmPdus(4352, text, { format: 'umts', serialNumber: 0x3001 })[0]);
+      assert.strictEqual(res.messageId, 4352);
+      assert.strictEqual(res.serialNumber, 0x3001);
+      assert.strictEqual(res.format, 'umts');
+      assert.deepStrictEqual(res.page, { total: 2 });
+      assert.strictEqual(res.text, text);
+
+      res = CbsPduUtils.parse(VirtualModem.generateCbmPdus(4370, '大地震警報', { format: 'umts' })[0]);
+      assert.deepStrictEqual(res.page, { sequence: 1, total: 1 });
+      assert.strictEqual(res.dcs, 0x48);
+      assert.strictEqual(res.text, '大地震警報');
+    });
+
+    it('determines the language from the DCS or the content', () => {
+      let pdu = VirtualModem.generateCbmPdus(50, 'Hello')[0];
+      assert.strictEqual(CbsPduUtils.parse(setDcs(pdu, 0x01)).language, 'en');
+      assert.strictEqual(CbsPduUtils.parse(setDcs(pdu, 0x23)).language, 'ru');
+
+      let res = CbsPduUtils.parse(setDcs(VirtualModem.generateCbmPdus(50, 'FR\rBonjour')[0], 0x10));
+      assert.strictEqual(res.language, 'fr');
+      assert.strictEqual(res.text, 'Bonjour');
+
+      // UCS2 preceded by the language in 2 septets ("ja" -> 0xEA 0x30)
+      let content = Buffer.alloc(82);
+      Buffer.from([0xEA, 0x30]).copy(content);
+      Buffer.from('地震', 'utf16le').swap16().copy(content, 2);
+      let ucs2 = Buffer.concat([Buffer.from([0x40, 0x00, 0x11, 0x02, 0x11, 0x11]), content]).toString('hex');
+      res = CbsPduUtils.parse(ucs2);
+      assert.strictEqual(res.language, 'ja');
+      assert.strictEqual(res.text, '地震');
+    });
+
+    it('returns an error for invalid data', () => {
+      assert.ok(CbsPduUtils.parse('XYZ').error);
+      assert.ok(CbsPduUtils.parse('0011').error);
+      // The number of the pages does not match the length
+      let umts = VirtualModem.generateCbmPdus(4370, 'Alert', { format: 'umts' })[0];
+      assert.ok(CbsPduUtils.parse(umts.substring(0, 12) + '02' + umts.substring(14)).error);
+    });
+  });
+
+  describe('getCoding()', () => {
+    it('determines the character set from the DCS', () => {
+      assert.deepStrictEqual(CbsPduUtils.getCoding(0x0F), { charset: 'gsm7', language: null });
+      assert.deepStrictEqual(CbsPduUtils.getCoding(0x48), { charset: 'ucs2', language: null });
+      assert.deepStrictEqual(CbsPduUtils.getCoding(0x44), { charset: '8bit', language: null });
+      assert.deepStrictEqual(CbsPduUtils.getCoding(0x02), { charset: 'gsm7', language: 'it' });
+    });
+  });
+
+  describe('isEmergency()', () => {
+    it('checks the message identifier of the public warning system', () => {
+      assert.strictEqual(CbsPduUtils.isEmergency(4370), true);
+      assert.strictEqual(CbsPduUtils.isEmergency(50), false);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+'use strict';
+const assert = require('assert');
+const Gsm7Utils = require('../lib/gsm7-utils.js');
+
+describe('Gsm7Utils', () => {
+  describe('toSeptets()', () => {
+    it('converts a character in the extension table to 2 septets', () => {
+      assert.deepStrictEqual(Gsm7Utils.toSeptets('A@€'), [0x41, 0x00, 0x1B, 0x65]);
+      assert.strictEqual(Gsm7Utils.toSeptets('Aあ'), null);
+    });
+  });
+
+  describe('isAcceptable()', () => {
+    it('checks the characters of the GSM 7-bit default alphabet', () => {
+      assert.strictEqual(Gsm7Utils.isAcceptable('Hello {world} @£'), true);
+      assert.strictEqual(Gsm7Utils.isAcceptable('Hello 😀'), false);
+      // The escape is not a character
+      assert.strictEqual(Gsm7Utils.isAcceptable(' '), false);
+      assert.strictEqual(Gsm7Utils.isAcceptable(null), false);
+    });
+  });
+
+  describe('encode()', () => {
+    it('packs a text into septets', () => {
+      assert.strictEqual(Gsm7Utils.encode('hellohello').toString('hex'), 'e8329bfd4697d9ec37');
+      assert.strictEqual(Gsm7Utils.encode('*100#').toString('hex'), 'aa180c3602');
+    });
+
+    it('fills 7 spare bits with a CR', () => {
+      assert.strictEqual(Gsm7Utils.encode('1234567').toString('hex'), '31d98c56b3dd1a');
+      assert.throws(() => {
+        Gsm7Utils.encode('あ');
+      });
+    });
+  });
+
+  describe('decode()', () => {
+    it('unpacks septets', () => {
+      assert.strictEqual(Gsm7Utils.decode(Buffer.from('e8329bfd4697d9ec37', 'hex')), 'hellohello');
+      assert.strictEqual(Gsm7Utils.decode(Gsm7Utils.encode('1234567')), '1234567');
+      assert.strictEqual(Gsm7Utils.decode(Gsm7Utils.encode('Price: 5€ [a]')), 'Price: 5€ [a]');
+    });
+
+    it('skips the UDH and decodes the number of the septets', () => {
+      // UDH (6 octets) + a fill bit + "Hi@"
+      // - The 7 septets of "@" (zero) are replaced with the UDH.
+      let ud = Gsm7Utils.encode('@'.repeat(7) + 'Hi@');
+      Buffer.from('050003010201', 'hex').copy(ud);
+      assert.strictEqual(Gsm7Utils.decode(ud, 6, 10), 'Hi@');
+    });
+  });
+});
@@ -0,0 +1,129 @@
+'use strict';
+const assert = require('assert');
+const mProfiles = require('../lib/modem-profiles.js');
+
+describe('modem profiles', () => {
+  describe('findProfile()', () => {
+    it('finds the built-in profiles', () => {
+      let list = [
+        ['Quectel', 'EC25', 'quectel'],
+        ['SIMCOM INCORPORATED', 'SIMCOM_SIM7600JC-H', 'simcom'],
+        ['huawei', 'E3372', 'huawei'],
+        ['u-blox', 'SARA-R410M-02B', 'ublox'],
+        ['Sierra Wireless, Incorporated', 'MC7455', 'sierra'],
+        ['ACME', 'X1', 'generic']
+      ];
+      for (let [manufacturer, model, name] of list) {
+        let profile = mProfiles.findProfile({ manufacturer: manufacturer, model: model });
+        assert.strictEqual(profile.name, name);
+      }
+    });
+
+    it('fills the properties with the generic profile', () => {
+      let profile = mProfiles.findProfile({ manufacturer: 'Quectel', model: 'EC25' });
+      assert.deepStrictEqual(profile.cnmi, ['2,{mt},0,1,0', '2,{mt},0,2,0', '2,{mt},0,0,0']);
+      assert.deepStrictEqual(profile.initCommands, []);
+      assert.strictEqual(typeof (profile.parsers.creg), 'function');
+    });
+
+    it('searches the profiles registered by the user first', () => {
+      mProfiles.registerProfile({
+        name: 'quectel-bg96',
+        match: { manufacturer: /quectel/i, model: /BG96/ },
+        promptDelay: 10
+      });
+      assert.strictEqual(mProfiles.findProfile({ manufacturer: 'Quectel', model: 'BG96' }).name, 'quectel-bg96');
+      assert.strictEqual(mProfiles.findProfile({ manufacturer: 'Quectel', model: 'EC25' }).name, 'quectel');
+    });
+  });
+
+  describe('parseCreg()', () => {
+    it('parses the location', () => {
+      assert.deepStrictEqual(mProfiles.parseCreg('+CREG: 2,1,"1110","2FA5E55",7'), { stat: 1, lac: 0x1110, cid: 0x2FA5E55 });
+      assert.deepStrictEqual(mProfiles.parseCreg('+CEREG: 2,5,"1110","2FA5E55",7'), { stat: 5, lac: 0x1110, cid: 0x2FA5E55 });
+      assert.deepStrictEqual(mProfiles.parseCreg('+CREG: 0,1'), { stat: 1, lac: null, cid: null });
+      assert.strictEqual(mProfiles.parseCreg('+COPS: 0'), null);
+    });
+
+    it('parses the location without quotes', () => {
+      assert.deepStrictEqual(mProfiles.parseCreg('+CREG: 2,1,1110,2FA5E55'), { stat: 1, lac: 0x1110, cid: 0x2FA5E55 });
+    });
+  });
+
+  describe('simRetries()', () => {
+    // Returns a function which responds to the command with the `res`
+    function createExec(res) {
+      return async () => res;
+    }
+
+    it('parses the remaining attempts of each vendor', async () => {
+      let cases = [
+        ['generic', '+CPINR: SIM PIN,2,3\n+CPINR: SIM PUK,10,10\nOK'],
+        ['quectel', '+QPINC: "SC",2,10\nOK'],
+        ['simcom', '+SPIC: 2,10,3,10\nOK'],
+        ['huawei', '^CPIN: SIM PIN,2,10,2,10,3\nOK'],
+        ['ublox', '+UPINCNT: 2,3,10,10\nOK']
+      ];
+      for (let [name, res] of cases) {
+        let retries = await mProfiles.getProfile(name).simRetries(createExec(res));
+        assert.deepStrictEqual(retries, { pin: 2, puk: 10 }, name);
+      }
+    });
+
+    it('returns null if the modem does not support the command', async () => {
+      assert.strictEqual(await mProfiles.getProfile('generic').simRetries(createExec('ERROR')), null);
+      assert.strictEqual(await mProfiles.getProfile('quectel').simRetries(createExec('ERROR')), null);
+    });
+  });
+
+  describe('signalQuality()', () => {
+    // Returns a function which responds to each command with the `responses`
+    function createExec(responses) {
+      return async (cmd) => responses[cmd] || 'ERROR';
+    }
+
+    it('converts the values of `AT+CESQ`', async () => {
+      let exec = createExec({ 'AT+CESQ': '+CESQ: 99,99,255,255,20,46\nOK' });
+      let quality = await mProfiles.getProfile('generic').signalQuality(exec);
+      assert.deepStrictEqual(quality, { rscp: null, ecno: null, rsrp: -95, rsrq: -10, sinr: null });
+    });
+
+    it('parses the LTE metrics of each vendor', async () => {
+      let cases = [
+        ['quectel', { 'AT+QCSQ': '+QCSQ: "LTE",-67,-95,160,-10\nOK' }],
+        ['simcom', { 'AT+CPSI?': '+CPSI: LTE,Online,440-10,0x1110,49983061,256,EUTRAN-BAND1,100,5,5,-100,-950,-670,12\nOK' }],
+        ['huawei', { 'AT^HCSQ?': '^HCSQ: "LTE",53,45,160,19\nOK' }]
+      ];
+      for (let [name, responses] of cases) {
+        let quality = await mProfiles.getProfile(name).signalQuality(createExec(responses));
+        assert.deepStrictEqual(quality, { rscp: null, ecno: null, rsrp: -95, rsrq: -10, sinr: 12 }, name);
+      }
+    });
+
+    it('falls back to `AT+CESQ` if the vendor command is not supported', async () => {
+      let exec = createExec({ 'AT+CESQ': '+CESQ: 99,99,255,255,20,46\nOK' });
+      let quality = await mProfiles.getProfile('quectel').signalQuality(exec);
+      assert.deepStrictEqual(quality, { rscp: null, ecno: null, rsrp: -95, rsrq: -10, sinr: null });
+      assert.strictEqual(await mProfiles.getProfile('huawei').signalQuality(createExec({})), null);
+    });
+  });
+
+  describe('contextAuth()', () => {
+    it('sends the user name and the password in the order of each vendor', async () => {
+      let commands = [];
+      let exec = async (cmd) => {
+        commands.push(cmd);
+        return 'OK';
+      };
+      let auth = { protocol: 2, username: 'user', password: 'pass' };
+      await mProfiles.getProfile('generic').contextAuth(exec, 1, auth);
+      await mProfiles.getProfile('simcom').contextAuth(exec, 1, auth);
+      await mProfiles.getProfile('generic').contextAuth(exec, 2, { protocol: 0, username: '', password: '' });
+      assert.deepStrictEqual(commands, [
+        'AT+CGAUTH=1,2,"user","pass"',
+        'AT+CGAUTH=1,2,"pass","user"',
+        'AT+CGAUTH=2,0'
+      ]);
+    });
+  });
+});
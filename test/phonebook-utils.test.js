@@ -0,0 +1,49 @@
+'use strict';
+const assert = require('assert');
+const PhonebookUtils = require('../lib/phonebook-utils.js');
+
+describe('PhonebookUtils', () => {
+  describe('encodeUcs2() / decodeUcs2()', () => {
+    it('converts a string to a HEX string of UCS2 and back', () => {
+      assert.strictEqual(PhonebookUtils.encodeUcs2('Tom'), '0054006F006D');
+      assert.strictEqual(PhonebookUtils.encodeUcs2('山田'), '5C717530');
+      assert.strictEqual(PhonebookUtils.decodeUcs2('5C717530'), '山田');
+      assert.strictEqual(PhonebookUtils.decodeUcs2('0054006f006d'), 'Tom');
+    });
+
+    it('returns null for a string which is not UCS2', () => {
+      assert.strictEqual(PhonebookUtils.decodeUcs2('Tom'), null);
+      assert.strictEqual(PhonebookUtils.decodeUcs2('005'), null);
+    });
+  });
+
+  describe('parseEntryLine()', () => {
+    it('parses an entry line', () => {
+      let entry = PhonebookUtils.parseEntryLine('+CPBR', '+CPBR: 3,"+819000000000",145,"5C717530"');
+      assert.deepStrictEqual(entry, { index: 3, number: '+819000000000', type: 145, name: '山田' });
+    });
+
+    it('decodes a number encoded in UCS2', () => {
+      let entry = PhonebookUtils.parseEntryLine('+CPBF', '+CPBF: 1,"003000390030",129,"0054006F006D"');
+      assert.deepStrictEqual(entry, { index: 1, number: '090', type: 129, name: 'Tom' });
+    });
+
+    it('returns null for other lines', () => {
+      assert.strictEqual(PhonebookUtils.parseEntryLine('+CPBR', 'OK'), null);
+      assert.strictEqual(PhonebookUtils.parseEntryLine('+CPBR', '+CPBF: 1,"090",129,"0054"'), null);
+    });
+  });
+
+  describe('isSameNumber()', () => {
+    it('compares the international and the national formats', () => {
+      assert.strictEqual(PhonebookUtils.isSameNumber('+819011112222', '09011112222'), true);
+      assert.strictEqual(PhonebookUtils.isSameNumber('09011112222', '09011112222'), true);
+      assert.strictEqual(PhonebookUtils.isSameNumber('+819011112222', '09011113333'), false);
+    });
+
+    it('does not match short numbers partially', () => {
+      assert.strictEqual(PhonebookUtils.isSameNumber('110', '+81110'), false);
+      assert.strictEqual(PhonebookUtils.isSameNumber('', '110'), false);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+'use strict';
+const assert = require('assert');
+const RegistrationUtils = require('../lib/registration-utils.js');
+
+describe('RegistrationUtils', () => {
+  describe('parse()', () => {
+    it('parses a response of the read command', () => {
+      assert.deepStrictEqual(RegistrationUtils.parse('+CREG: 2,5,"1110","2FA5E55",2'), {
+        domain: 'cs',
+        stat: 5,
+        status: 'registered-roaming',
+        registered: true,
+        roaming: true,
+        act: 2,
+        accessTechnology: 'UTRAN',
+        lac: 0x1110,
+        tac: null,
+        cid: 0x2FA5E55
+      });
+      let cgreg = RegistrationUtils.parse('+CGREG: 0,2');
+      assert.strictEqual(cgreg.domain, 'ps');
+      assert.strictEqual(cgreg.status, 'searching');
+      assert.strictEqual(cgreg.registered, false);
+      assert.strictEqual(cgreg.cid, null);
+      assert.strictEqual(cgreg.act, null);
+    });
+
+    it('parses a URC of the `+CEREG` with the TAC and the 28-bit cell identity', () => {
+      assert.deepStrictEqual(RegistrationUtils.parse('+CEREG: 1,"00A1","0B7D4F01",7', true), {
+        domain: 'eps',
+        stat: 1,
+        status: 'registered-home',
+        registered: true,
+        roaming: false,
+        act: 7,
+        accessTechnology: 'E-UTRAN',
+        lac: null,
+        tac: 0xA1,
+        cid: 0xB7D4F01
+      });
+      assert.strictEqual(RegistrationUtils.parse('+CEREG: 3', true).status, 'denied');
+      assert.strictEqual(RegistrationUtils.parse('+COPS: 0', true), null);
+    });
+  });
+
+  describe('getAccessTechnology()', () => {
+    it('returns the name of the access technology', () => {
+      assert.strictEqual(RegistrationUtils.getAccessTechnology(0), 'GSM');
+      assert.strictEqual(RegistrationUtils.getAccessTechnology(7), 'E-UTRAN');
+      assert.strictEqual(RegistrationUtils.getAccessTechnology(99), null);
+      assert.strictEqual(RegistrationUtils.getAccessTechnology(null), null);
+    });
+  });
+
+  describe('isSameStatus()', () => {
+    it('compares the status and the location', () => {
+      let a = RegistrationUtils.parse('+CREG: 1,"1110","2FA5E55",7', true);
+      let b = RegistrationUtils.parse('+CREG: 2,1,"1110","2FA5E55",7');
+      let c = RegistrationUtils.parse('+CREG: 1,"1111","2FA5E55",7', true);
+      assert.strictEqual(RegistrationUtils.isSameStatus(a, b), true);
+      assert.strictEqual(RegistrationUtils.isSameStatus(a, c), false);
+      assert.strictEqual(RegistrationUtils.isSameStatus(null, a), false);
+    });
+  });
+});
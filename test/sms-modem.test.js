@@ -0,0 +1,211 @@
+'use strict';
+const assert = require('assert');
+const SmsModem = require('../lib/sms-modem.js');
+const VirtualModem = require('../lib/virtual-modem.js');
+const { TimeoutError } = require('../lib/at-errors.js');
+
+describe('SmsModem', () => {
+  let vmodem = null;
+  let modem = null;
+
+  async function setup(options = {}) {
+    vmodem = new VirtualModem(options);
+    modem = new SmsModem(vmodem.createStream());
+    await modem.open();
+    await modem.execCommand('ATE0');
+  }
+
+  afterEach(async () => {
+    if (modem) {
+      await modem.close();
+      modem = null;
+    }
+  });
+
+  describe('execCommand()', () => {
+    it('returns the response without line breaks and the echo', async () => {
+      vmodem = new VirtualModem();
+      modem = new SmsModem(vmodem.createStream());
+      await modem.open();
+      let res = await modem.execCommand('AT+CSQ');
+      assert.strictEqual(res, '+CSQ: 20,99\nOK');
+    });
+
+    it('runs concurrent commands one by one in order', async () => {
+      await setup({ responseDelay: 5 });
+      let res = await Promise.all([
+        modem.execCommand('AT+CGMI'),
+        modem.execCommand('AT+CGMM'),
+        modem.execCommand('AT+CSQ')
+      ]);
+      assert.deepStrictEqual(res, ['VIRTUAL\nOK', 'VIRTUAL_MODEM\nOK', '+CSQ: 20,99\nOK']);
+      assert.deepStrictEqual(vmodem.commands.slice(-3), ['AT+CGMI', 'AT+CGMM', 'AT+CSQ']);
+    });
+
+    it('runs a command with a higher priority first', async () => {
+      await setup({ responseDelay: 5 });
+      await Promise.all([
+        modem.execCommand('AT+CGMI'),
+        modem.execCommand('AT+CGMM'),
+        modem.execCommand('AT+CSQ', { priority: 5 })
+      ]);
+      assert.deepStrictEqual(vmodem.commands.slice(-3), ['AT+CGMI', 'AT+CSQ', 'AT+CGMM']);
+    });
+
+    it('rejects with a TimeoutError if the modem does not respond', async () => {
+      await setup();
+      vmodem.setCommandHandler(/^AT\+CSQ$/, () => '');
+      await assert.rejects(modem.execCommand('AT+CSQ', { timeout: 50 }), (error) => {
+        assert.ok(error instanceof TimeoutError);
+        assert.strictEqual(error.command, 'AT+CSQ');
+        return true;
+      });
+      // The next command works
+      let res = await modem.execCommand('AT+CGMI');
+      assert.strictEqual(res, 'VIRTUAL\nOK');
+    });
+
+    it('resolves with the error response', async () => {
+      await setup();
+      let res = await modem.execCommand('AT+UNKNOWN');
+      assert.strictEqual(res, 'ERROR');
+    });
+  });
+
+  describe('transaction()', () => {
+    it('does not interleave other commands', async () => {
+      await setup({ responseDelay: 5 });
+      let pdu = '0001000B819010325476F8000005C8329BFD06';
+      let results = await Promise.all([
+        modem.transaction(async (exec) => {
+          let prompt = await exec('AT+CMGS=18');
+          let res = await exec(pdu, { terminator: 0x1A });
+          return [prompt, res];
+        }),
+        modem.execCommand('AT+CSQ', { priority: 5 })
+      ]);
+      assert.deepStrictEqual(results[0], ['> ', '+CMGS: 0\nOK']);
+      assert.deepStrictEqual(vmodem.commands.slice(-2), ['AT+CMGS=18', 'AT+CSQ']);
+      assert.strictEqual(vmodem.sentMessages.length, 1);
+    });
+
+    it('releases the queue when the callback throws', async () => {
+      await setup();
+      await assert.rejects(modem.transaction(async () => {
+        throw new Error('failed');
+      }), /failed/);
+      let res = await modem.execCommand('AT+CGMI');
+      assert.strictEqual(res, 'VIRTUAL\nOK');
+    });
+  });
+
+  describe('response framing', () => {
+    it('handles lines divided into chunks', async () => {
+      await setup({ chunkSize: 3 });
+      let res = await modem.execCommand('AT+CGDCONT?');
+      assert.strictEqual(res, '+CGDCONT: 1,"IP","virtual.example.com","0.0.0.0",0,0\nOK');
+    });
+
+    it('dispatches a URC received while a command is running', async () => {
+      await setup({ chunkSize: 4 });
+      let notifications = [];
+      let messages = [];
+      modem.on('at-notification', (data) => {
+        notifications.push(data);
+      });
+      modem.on('sms-message', (data) => {
+        messages.push(data);
+      });
+      vmodem.setCommandHandler(/^AT\+CSQ$/, () => {
+        return '+CSQ: 20,99\n+CMTI: "ME",3\nOK';
+      });
+      let res = await modem.execCommand('AT+CSQ');
+      assert.strictEqual(res, '+CSQ: 20,99\nOK');
+      assert.deepStrictEqual(notifications, ['+CMTI: "ME",3']);
+      assert.deepStrictEqual(messages, [{ memr: 'ME', index: 3 }]);
+    });
+
+    it('treats a URC prefix as a response of the command with the same name', async () => {
+      await setup();
+      let notifications = [];
+      modem.on('at-notification', (data) => {
+        notifications.push(data);
+      });
+      let res = await modem.execCommand('AT+CREG?');
+      assert.strictEqual(res, '+CREG: 0,1\nOK');
+      assert.deepStrictEqual(notifications, []);
+    });
+
+    it('joins the PDU line to a URC such as +CMT', async () => {
+      await setup();
+      let notification = new Promise((resolve) => {
+        modem.once('at-notification', resolve);
+      });
+      vmodem.injectUrc('+CMT: ,24\n07911326040000F0040B911346610089F60000208062917314080CC8F71D14969741F977FD07');
+      assert.strictEqual(await notification, '+CMT: ,24\n07911326040000F0040B911346610089F60000208062917314080CC8F71D14969741F977FD07');
+    });
+
+    it('joins the lines of a URC with a line break in a quoted string', async () => {
+      await setup();
+      let notification = new Promise((resolve) => {
+        modem.once('at-notification', resolve);
+      });
+      vmodem.injectUrc('+CUSD: 1,"1. Balance\n2. Bundles\n3. Exit",15');
+      assert.strictEqual(await notification, '+CUSD: 1,"1. Balance\n2. Bundles\n3. Exit",15');
+    });
+
+    it('treats `NO CARRIER` as a final result only for the call commands', async () => {
+      await setup();
+      let notifications = [];
+      modem.on('at-notification', (data) => {
+        notifications.push(data);
+      });
+      vmodem.setCommandHandler(/^AT\+CSQ$/, () => {
+        return 'NO CARRIER\n+CSQ: 20,99\nOK';
+      });
+      let res = await modem.execCommand('AT+CSQ');
+      assert.strictEqual(res, '+CSQ: 20,99\nOK');
+      assert.deepStrictEqual(notifications, ['NO CARRIER']);
+      vmodem.setCommandHandler(/^ATD/, () => 'BUSY');
+      assert.strictEqual(await modem.execCommand('ATD09011112222;'), 'BUSY');
+    });
+
+    it('discards a line which is not a URC while no command is running', async () => {
+      await setup();
+      modem.addUrcPrefixes(['*ATREADY']);
+      let notifications = [];
+      let notified = new Promise((resolve) => {
+        modem.on('at-notification', (data) => {
+          notifications.push(data);
+          if (data === '+CPIN: READY') {
+            resolve();
+          }
+        });
+      });
+      vmodem.injectUrc('OK\nERROR\n+CME ERROR: 10\nBOOT 1.0\nRING\n*ATREADY: 1\n^BOOT:1,0\nNO CARRIER\n+CPIN: READY');
+      await notified;
+      assert.deepStrictEqual(notifications, ['RING', '*ATREADY: 1', '^BOOT:1,0', 'NO CARRIER', '+CPIN: READY']);
+    });
+  });
+
+  describe('constructor', () => {
+    it('throws an error if the path is invalid', () => {
+      assert.throws(() => {
+        new SmsModem(123);
+      });
+    });
+
+    it('throws an error if the baud rate is invalid', () => {
+      assert.throws(() => {
+        new SmsModem('/dev/ttyMODEM0', { baudRate: 1 });
+      });
+    });
+
+    it('detects the type of the transport', () => {
+      assert.strictEqual(new SmsModem('/dev/ttyMODEM0').transport, 'serial');
+      assert.strictEqual(new SmsModem('tcp://127.0.0.1:3001').transport, 'tcp');
+      assert.strictEqual(new SmsModem('unix:/tmp/modem.sock').transport, 'unix');
+      assert.strictEqual(new SmsModem(new VirtualModem().createStream()).transport, 'stream');
+    });
+  });
+});
@@ -0,0 +1,243 @@
+'use strict';
+const assert = require('assert');
+const mFs = require('fs');
+const mOs = require('os');
+const mPath = require('path');
+const SmsTransceiver = require('../lib/sms-transceiver.js');
+const VirtualModem = require('../lib/virtual-modem.js');
+const { SmsOutbox } = SmsTransceiver;
+
+function waitForEvent(emitter, name, filter) {
+  return new Promise((resolve) => {
+    let listener = (data) => {
+      if (!filter || filter(data)) {
+        emitter.removeListener(name, listener);
+        resolve(data);
+      }
+    };
+    emitter.on(name, listener);
+  });
+}
+
+describe('SmsOutbox', () => {
+  let vmodem = null;
+  let smstransceiver = null;
+  let outbox = null;
+
+  beforeEach(async () => {
+    vmodem = new VirtualModem();
+    smstransceiver = new SmsTransceiver(vmodem.createStream());
+    await smstransceiver.open();
+  });
+
+  afterEach(async () => {
+    if (outbox) {
+      await outbox.stop();
+      outbox = null;
+    }
+    await smstransceiver.close();
+  });
+
+  it('sends a queued message and reports every state change', async () => {
+    outbox = new SmsOutbox(smstransceiver, { store: new SmsOutbox.MemoryStore() });
+    let states = [];
+    for (let name of ['queued', 'sending', 'sent', 'failed']) {
+      outbox.on(name, (rec) => {
+        states.push(rec.status);
+      });
+    }
+    await outbox.start();
+    let sent = waitForEvent(outbox, 'sent');
+    let rec = await outbox.enqueue('09000000000', 'Hello!');
+    assert.strictEqual(rec.status, 'queued');
+
+    let res = await sent;
+    assert.strictEqual(res.id, rec.id);
+    assert.strictEqual(res.attempts, 1);
+    assert.deepStrictEqual(res.result, { references: [0] });
+    assert.deepStrictEqual(states, ['queued', 'sending', 'sent']);
+    assert.strictEqual(outbox.get(rec.id).status, 'sent');
+    assert.strictEqual(vmodem.sentMessages[0].text, 'Hello!');
+  });
+
+  it('retries a failed message with backoff', async () => {
+    outbox = new SmsOutbox(smstransceiver, {
+      store: new SmsOutbox.MemoryStore(),
+      retryInterval: 20
+    });
+    let failures = 0;
+    vmodem.setCommandHandler(/^AT\+CMGS=/, () => {
+      failures++;
+      return (failures <= 2) ? '+CMS ERROR: 500' : null;
+    });
+    let requeued = [];
+    outbox.on('queued', (rec) => {
+      if (rec.attempts > 0) {
+        requeued.push(Date.parse(rec.nextAttemptAt) - Date.parse(rec.updatedAt));
+      }
+    });
+    await outbox.start();
+    let sent = waitForEvent(outbox, 'sent');
+    await outbox.enqueue('09000000000', 'Hello!');
+    let rec = await sent;
+    assert.strictEqual(rec.attempts, 3);
+    assert.strictEqual(rec.error, null);
+    assert.deepStrictEqual(requeued, [20, 40]);
+  });
+
+  it('marks a message as failed after the maximum attempts', async () => {
+    outbox = new SmsOutbox(smstransceiver, {
+      store: new SmsOutbox.MemoryStore(),
+      maxAttempts: 2,
+      retryInterval: 10
+    });
+    vmodem.setCommandHandler(/^AT\+CMGS=/, () => '+CMS ERROR: 500');
+    await outbox.start();
+    let failed = waitForEvent(outbox, 'failed');
+    await outbox.enqueue('09000000000', 'Hello!');
+    let rec = await failed;
+    assert.strictEqual(rec.status, 'failed');
+    assert.strictEqual(rec.attempts, 2);
+    assert.ok(/500/.test(rec.error));
+
+    // Retry manually
+    vmodem.clearCommandHandlers();
+    let sent = waitForEvent(outbox, 'sent');
+    await outbox.retry(rec.id);
+    assert.strictEqual((await sent).id, rec.id);
+    assert.strictEqual(await outbox.clear('sent'), 1);
+    assert.deepStrictEqual(outbox.list(), []);
+  });
+
+  it('limits the number of messages sent in the period', async () => {
+    outbox = new SmsOutbox(smstransceiver, {
+      store: new SmsOutbox.MemoryStore(),
+      rateLimit: 2,
+      ratePeriod: 200
+    });
+    let times = [];
+    outbox.on('sent', () => {
+      times.push(Date.now());
+    });
+    await outbox.start();
+    let third = waitForEvent(outbox, 'sent', () => times.length === 3);
+    let start = Date.now();
+    for (let i = 0; i < 3; i++) {
+      await outbox.enqueue('09000000000', 'Hello ' + i);
+    }
+    await third;
+    assert.ok(times[1] - start < 150);
+    assert.ok(times[2] - start >= 190);
+  });
+
+  it('restores the queue from the JSON file after a restart', async () => {
+    let dir = mFs.mkdtempSync(mPath.join(mOs.tmpdir(), 'sms-outbox-'));
+    let path = mPath.join(dir, 'outbox.json');
+    try {
+      // Enqueue without starting (as if the process was terminated)
+      let outbox1 = new SmsOutbox(smstransceiver, { path: path });
+      let rec1 = await outbox1.enqueue('09000000000', 'First');
+      let rec2 = await outbox1.enqueue('09000000001', 'Second');
+
+      // A message which was being sent is queued again
+      let saved = JSON.parse(mFs.readFileSync(path, 'utf8'));
+      saved[0].status = 'sending';
+      mFs.writeFileSync(path, JSON.stringify(saved));
+
+      outbox = new SmsOutbox(smstransceiver, { path: path });
+      let done = waitForEvent(outbox, 'sent', (rec) => rec.id === rec2.id);
+      await outbox.start();
+      await done;
+      assert.deepStrictEqual(outbox.list('sent').map((rec) => rec.id), [rec1.id, rec2.id]);
+      assert.deepStrictEqual(vmodem.sentMessages.map((msg) => msg.text), ['First', 'Second']);
+
+      await outbox.stop();
+      saved = JSON.parse(mFs.readFileSync(path, 'utf8'));
+      assert.deepStrictEqual(saved.map((rec) => rec.status), ['sent', 'sent']);
+    } finally {
+      mFs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('passes an absolute validity period as a `Date` object', async () => {
+    outbox = new SmsOutbox(smstransceiver, { store: new SmsOutbox.MemoryStore() });
+    await outbox.start();
+    let sent = waitForEvent(outbox, 'sent');
+    let rec = await outbox.enqueue('09000000000', 'Hello!', { validityPeriod: new Date('2030-01-02T03:04:05Z') });
+    assert.strictEqual(rec.options.validityPeriod, '2030-01-02T03:04:05.000Z');
+    let res = await sent;
+    assert.strictEqual(res.error, null);
+    assert.strictEqual(vmodem.sentMessages.length, 1);
+  });
+
+  it('keeps the queue consistent when the records can not be saved', async () => {
+    let store = new SmsOutbox.MemoryStore();
+    let save = store.save.bind(store);
+    // The statuses of the last record whose save fails
+    let failures = ['queued', 'sending'];
+    store.save = (records) => {
+      let last = records[records.length - 1];
+      if (last && last.status === failures[0]) {
+        failures.shift();
+        return Promise.reject(new Error('Disk full'));
+      }
+      return save(records);
+    };
+    outbox = new SmsOutbox(smstransceiver, { store: store, retryInterval: 50 });
+    await outbox.start();
+    await assert.rejects(outbox.enqueue('09000000000', 'Hello!'), /Disk full/);
+    assert.deepStrictEqual(outbox.list(), []);
+
+    let errored = waitForEvent(outbox, 'error');
+    let rec = await outbox.enqueue('09000000000', 'Hello!');
+    let error = await errored;
+    assert.strictEqual(error.message, 'Disk full');
+    let queued = outbox.get(rec.id);
+    assert.strictEqual(queued.status, 'queued');
+    assert.strictEqual(queued.attempts, 0);
+
+    let res = await waitForEvent(outbox, 'sent');
+    assert.strictEqual(res.attempts, 1);
+    assert.strictEqual(await outbox.remove(rec.id), true);
+  });
+
+  it('does not send a message again when the sent status can not be saved', async () => {
+    let store = new SmsOutbox.MemoryStore();
+    let save = store.save.bind(store);
+    let failed = false;
+    store.save = (records) => {
+      let last = records[records.length - 1];
+      if (!failed && last && last.status === 'sent') {
+        failed = true;
+        return Promise.reject(new Error('Disk full'));
+      }
+      return save(records);
+    };
+    outbox = new SmsOutbox(smstransceiver, { store: store, retryInterval: 50 });
+    await outbox.start();
+    let errored = waitForEvent(outbox, 'error');
+    let rec = await outbox.enqueue('09000000000', 'Hello!');
+    let error = await errored;
+    assert.strictEqual(error.message, 'Disk full');
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.strictEqual(vmodem.sentMessages.length, 1);
+    let sent = outbox.get(rec.id);
+    assert.strictEqual(sent.status, 'sent');
+    assert.strictEqual(sent.attempts, 1);
+  });
+
+  it('throws an error for invalid arguments', async () => {
+    assert.throws(() => {
+      new SmsOutbox({});
+    });
+    assert.throws(() => {
+      new SmsOutbox(smstransceiver, { store: {} });
+    });
+    assert.throws(() => {
+      new SmsOutbox(smstransceiver, { rateLimit: -1 });
+    });
+    outbox = new SmsOutbox(smstransceiver, { store: new SmsOutbox.MemoryStore() });
+    await assert.rejects(outbox.enqueue('', 'Hello!'));
+    await assert.rejects(outbox.enqueue('09000000000', ''));
+  });
+});
@@ -0,0 +1,262 @@
+'use strict';
+const assert = require('assert');
+const SmsPdu = require('node-sms-pdu');
+const SmsPduUtils = require('../lib/sms-pdu-utils.js');
+
+describe('SmsPduUtils', () => {
+  describe('setStatusReportRequest()', () => {
+    it('sets the TP-SRR bit', () => {
+      let pdu = SmsPdu.generateSubmit('09000000000', 'Hello')[0];
+      let res = SmsPduUtils.setStatusReportRequest(pdu);
+      assert.strictEqual(res.hex.substring(0, 4), '0021');
+      assert.strictEqual(res.length, pdu.length);
+      // The original PDU is not modified
+      assert.strictEqual(pdu.hex.substring(0, 4), '0001');
+    });
+  });
+
+  describe('setServiceCenter()', () => {
+    it('sets the SCA without changing the TPDU length', () => {
+      let pdu = SmsPdu.generateSubmit('09000000000', 'Hello')[0];
+      let res = SmsPduUtils.setServiceCenter(pdu, '+31624000000');
+      assert.strictEqual(res.hex, '07911326040000F0' + pdu.hex.substring(2));
+      assert.strictEqual(res.length, pdu.length);
+      assert.strictEqual(SmsPdu.parse(res.hex).smsc, '+31624000000');
+      // The original PDU is not modified
+      assert.strictEqual(pdu.hex.substring(0, 2), '00');
+    });
+  });
+
+  describe('getEncoding()', () => {
+    it('determines the encoding of a text', () => {
+      assert.strictEqual(SmsPduUtils.getEncoding('Price: 5€ {a}'), 'gsm');
+      assert.strictEqual(SmsPduUtils.getEncoding('Hello あ'), 'ucs2');
+    });
+  });
+
+  describe('analyzeText()', () => {
+    it('counts the extension characters as 2 septets', () => {
+      assert.deepStrictEqual(SmsPduUtils.analyzeText('Price: 5€ {a}'), {
+        encoding: 'gsm',
+        extended: true,
+        characters: 16,
+        segments: 1,
+        charactersPerSegment: 160,
+        remaining: 144,
+        extensionCharacters: ['€', '{', '}'],
+        unsupportedCharacters: []
+      });
+    });
+
+    it('reports the characters which forced the UCS2', () => {
+      let res = SmsPduUtils.analyzeText('Hello あい😀 あ' + 'a'.repeat(60));
+      assert.strictEqual(res.encoding, 'ucs2');
+      assert.strictEqual(res.extended, false);
+      assert.strictEqual(res.characters, 72);
+      assert.strictEqual(res.segments, 2);
+      assert.strictEqual(res.charactersPerSegment, 67);
+      assert.strictEqual(res.remaining, 62);
+      assert.deepStrictEqual(res.unsupportedCharacters, ['あ', 'い', '😀']);
+    });
+
+    it('uses the same limits as the PDUs', () => {
+      let texts = ['a'.repeat(160), 'a'.repeat(161), '€'.repeat(81), 'あ'.repeat(70), 'あ'.repeat(135)];
+      for (let text of texts) {
+        let res = SmsPduUtils.analyzeText(text);
+        assert.strictEqual(res.segments, SmsPdu.generateSubmit('09000000000', text).length, text);
+        assert.strictEqual(res.encoding, SmsPdu.getEncoding(text));
+      }
+      for (let len of [140, 141, 133, 134, 300]) {
+        let data = Buffer.alloc(len);
+        let res = SmsPduUtils.analyzeText(data, { destinationPort: 5000 });
+        assert.strictEqual(res.encoding, '8bit');
+        assert.strictEqual(res.segments, SmsPduUtils.generateSubmitData('09000000000', data, { destinationPort: 5000 }).length);
+      }
+    });
+  });
+
+  describe('setSubmitOptions()', () => {
+    it('sets the message class, the TP-PID, the TP-RD and the TP-RP', () => {
+      let pdu = SmsPdu.generateSubmit('09000000000', 'Hi')[0];
+      let res = SmsPduUtils.setSubmitOptions(pdu, {
+        messageClass: 0,
+        pid: 0x41,
+        rejectDuplicates: true,
+        replyPath: true
+      });
+      assert.strictEqual(res.hex, '0085000B819000000000F04110' + pdu.hex.substring(26));
+      assert.strictEqual(res.length, pdu.length);
+      assert.deepStrictEqual(SmsPduUtils.parseOptions(res.hex), {
+        messageClass: 0,
+        pid: 0x41,
+        replyPath: true,
+        rejectDuplicates: true,
+        validityPeriod: null
+      });
+      // The original PDU is not modified
+      assert.strictEqual(pdu.hex.substring(0, 4), '0001');
+    });
+
+    it('inserts a relative validity period', () => {
+      let pdu = SmsPdu.generateSubmit('09000000000', 'Hi')[0];
+      let res = SmsPduUtils.setSubmitOptions(pdu, { validityPeriod: 1440 });
+      assert.strictEqual(res.hex, '0011000B819000000000F00000A7' + pdu.hex.substring(26));
+      assert.strictEqual(res.length, pdu.length + 1);
+      assert.strictEqual(SmsPdu.parse(res.hex).text, 'Hi');
+      assert.strictEqual(SmsPduUtils.parseOptions(res.hex).validityPeriod, 1440);
+      // Rounded up to the nearest representable period
+      res = SmsPduUtils.setSubmitOptions(pdu, { validityPeriod: 50000 });
+      assert.strictEqual(SmsPduUtils.parseOptions(res.hex).validityPeriod, 50400);
+    });
+
+    it('inserts an absolute validity period', () => {
+      let pdu = SmsPdu.generateSubmit('09000000000', 'Hi')[0];
+      let res = SmsPduUtils.setSubmitOptions(pdu, { validityPeriod: new Date('2020-04-12T10:30:00Z') });
+      assert.strictEqual(res.hex, '0019000B819000000000F0000002402101030000' + pdu.hex.substring(26));
+      assert.strictEqual(res.length, pdu.length + 7);
+      assert.strictEqual(SmsPduUtils.parseOptions(res.hex).validityPeriod, '2020-04-12T10:30:00+00:00');
+    });
+  });
+
+  describe('parseOptions()', () => {
+    it('parses a SMS-DELIVER', () => {
+      let res = SmsPduUtils.parseOptions('07911326040000F0040B911346610089F60000208062917314080CC8F71D14969741F977FD07');
+      assert.deepStrictEqual(res, {
+        messageClass: null,
+        pid: 0,
+        replyPath: false,
+        rejectDuplicates: null,
+        validityPeriod: null
+      });
+    });
+
+    it('returns `null` for an invalid PDU', () => {
+      assert.strictEqual(SmsPduUtils.parseOptions('XYZ'), null);
+    });
+  });
+
+  describe('generateSubmitData()', () => {
+    it('creates a PDU with the application ports', () => {
+      let list = SmsPduUtils.generateSubmitData('09000000000', Buffer.from([0x01, 0x02]), { destinationPort: 5000 });
+      assert.strictEqual(list.length, 1);
+      assert.strictEqual(list[0].hex, '0041000B819000000000F0000409060504138800000102');
+      assert.strictEqual(list[0].length, 22);
+      assert.strictEqual(list[0].encoding, '8bit');
+    });
+
+    it('creates a PDU without the UDH', () => {
+      let list = SmsPduUtils.generateSubmitData('09000000000', Buffer.alloc(140));
+      assert.strictEqual(list.length, 1);
+      assert.strictEqual(list[0].hex.substring(0, 28), '0001000B819000000000F000048C');
+    });
+
+    it('divides long data into concatenated segments', () => {
+      let data = Buffer.alloc(300);
+      for (let i = 0; i < data.length; i++) {
+        data[i] = i % 256;
+      }
+      let list = SmsPduUtils.generateSubmitData('09000000000', data, { destinationPort: 2948, sourcePort: 9200, reference: 7 });
+      assert.strictEqual(list.length, 3);
+      let parsed = list.map((pdu) => SmsPduUtils.parse(pdu.hex));
+      assert.deepStrictEqual(parsed.map((p) => p.concat), [
+        { reference: 7, total: 3, sequence: 1 },
+        { reference: 7, total: 3, sequence: 2 },
+        { reference: 7, total: 3, sequence: 3 }
+      ]);
+      assert.deepStrictEqual(parsed[0].ports, { source: 9200, destination: 2948 });
+      assert.deepStrictEqual(parsed.map((p) => p.data.length), [128, 128, 44]);
+      assert.deepStrictEqual(Buffer.concat(parsed.map((p) => p.data)), data);
+    });
+
+    it('throws an error if only the source port is specified', () => {
+      assert.throws(() => {
+        SmsPduUtils.generateSubmitData('09000000000', Buffer.from([0x01]), { sourcePort: 9200 });
+      });
+    });
+  });
+
+  describe('parse()', () => {
+    it('parses a SMS-DELIVER in the same way as the node-sms-pdu', () => {
+      let hex = '07911326040000F0040B911346610089F60000208062917314080CC8F71D14969741F977FD07';
+      let res = SmsPduUtils.parse(hex);
+      assert.strictEqual(res.type, 'SMS-DELIVER');
+      assert.strictEqual(res.smsc, '+31624000000');
+      assert.strictEqual(res.origination, '+31641600986');
+      assert.strictEqual(res.text, SmsPdu.parse(hex).text);
+      assert.strictEqual(res.data, null);
+      assert.strictEqual(res.udh, null);
+    });
+
+    it('parses the text of a concatenated SMS-SUBMIT', () => {
+      let list = SmsPdu.generateSubmit('+819000000000', 'Hello world! '.repeat(15));
+      let res = SmsPduUtils.parse(list[1].hex);
+      assert.strictEqual(res.type, 'SMS-SUBMIT');
+      assert.strictEqual(res.destination, '+819000000000');
+      assert.strictEqual(res.text, SmsPdu.parse(list[1].hex).text);
+      assert.deepStrictEqual(res.concat, { reference: 0, total: 2, sequence: 2 });
+      assert.strictEqual(res.udh.toString('hex'), '050003000202');
+    });
+
+    it('parses a 16-bit concatenation reference and 8-bit ports', () => {
+      // UDH: 16-bit concatenation (0x08) and 8-bit application ports (0x04)
+      let hex = '0044' + '0B819000000000F0' + '0004' + '02101040000000' + '0C' + '0A' + '080412340201' + '04021F2E' + 'AB';
+      let res = SmsPduUtils.parse(hex);
+      assert.deepStrictEqual(res.concat, { reference: 0x1234, total: 2, sequence: 1 });
+      assert.deepStrictEqual(res.ports, { source: 0x2E, destination: 0x1F });
+      assert.deepStrictEqual(res.data, Buffer.from([0xAB]));
+      assert.strictEqual(res.text, null);
+    });
+
+    it('returns an error for an invalid PDU', () => {
+      assert.ok(SmsPduUtils.parse('XYZ').error);
+      assert.ok(SmsPduUtils.parse('0001000B81').error);
+    });
+  });
+
+  describe('encodeAddress()', () => {
+    it('encodes the length in digits except for the SCA', () => {
+      assert.strictEqual(SmsPduUtils.encodeAddress('09012345678').toString('hex'), '0b819010325476f8');
+      assert.strictEqual(SmsPduUtils.encodeAddress('+819012345678', true).toString('hex'), '0791180921436587');
+    });
+  });
+
+  describe('parseStatusReport()', () => {
+    it('parses a SMS-STATUS-REPORT PDU', () => {
+      let res = SmsPduUtils.parseStatusReport('07911326040000F0060C0B911326880736F4111011719551401110117195714000');
+      assert.deepStrictEqual(res, {
+        smsc: '+31624000000',
+        type: 'SMS-STATUS-REPORT',
+        reference: 12,
+        recipient: '+31628870634',
+        timestamp: '2011-01-11T17:59:15+01:00',
+        dischargeTime: '2011-01-11T17:59:17+01:00',
+        status: 0,
+        delivered: true,
+        final: true
+      });
+    });
+
+    it('handles a negative time zone', () => {
+      let res = SmsPduUtils.parseStatusReport('0006050B819010325476F80210611100000A0210611100050A20');
+      assert.strictEqual(res.timestamp, '2020-01-16T11:00:00-05:00');
+      assert.strictEqual(res.recipient, '09012345678');
+      assert.strictEqual(res.status, 0x20);
+      assert.strictEqual(res.delivered, false);
+      assert.strictEqual(res.final, false);
+    });
+
+    it('returns an error for other message types', () => {
+      let pdu = SmsPdu.generateSubmit('09000000000', 'Hello')[0];
+      assert.ok(SmsPduUtils.parseStatusReport(pdu.hex).error instanceof Error);
+      assert.ok(SmsPduUtils.parseStatusReport('XYZ').error instanceof Error);
+    });
+  });
+
+  describe('getMessageType()', () => {
+    it('returns the message type', () => {
+      let pdu = SmsPdu.generateSubmit('09000000000', 'Hello')[0];
+      assert.strictEqual(SmsPduUtils.getMessageType(pdu.hex), 'SMS-SUBMIT');
+      assert.strictEqual(SmsPduUtils.getMessageType('0006050B819010325476F80210611100000A0210611100050A20'), 'SMS-STATUS-REPORT');
+    });
+  });
+});
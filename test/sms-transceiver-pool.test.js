@@ -0,0 +1,190 @@
+'use strict';
+const assert = require('assert');
+const SmsTransceiver = require('../lib/sms-transceiver.js');
+const VirtualModem = require('../lib/virtual-modem.js');
+const { SmsTransceiverPool, CmsError } = SmsTransceiver;
+
+describe('SmsTransceiverPool', () => {
+  let vmodems = null;
+  let pool = null;
+
+  // Create a pool of the virtual modems registered to the specified operators
+  async function setup(operators, options) {
+    vmodems = {};
+    pool = new SmsTransceiverPool(options);
+    for (let [name, oper] of Object.entries(operators)) {
+      vmodems[name] = new VirtualModem({ operator: oper });
+      pool.add(name, new SmsTransceiver(vmodems[name].createStream()));
+    }
+    await pool.open();
+  }
+
+  function countSent() {
+    let counts = {};
+    for (let [name, vmodem] of Object.entries(vmodems)) {
+      counts[name] = vmodem.sentMessages.length;
+    }
+    return counts;
+  }
+
+  afterEach(async () => {
+    if (pool) {
+      await pool.close();
+      pool = null;
+    }
+  });
+
+  it('sends messages in turn (round-robin)', async () => {
+    await setup({ m1: {}, m2: {}, m3: {} });
+    let modems = [];
+    for (let i = 0; i < 4; i++) {
+      let res = await pool.sendMessage('09000000000', 'Hello!');
+      modems.push(res.modem);
+      assert.ok(Array.isArray(res.references));
+    }
+    assert.deepStrictEqual(modems, ['m1', 'm2', 'm3', 'm1']);
+    assert.deepStrictEqual(countSent(), { m1: 2, m2: 1, m3: 1 });
+  });
+
+  it('sends a message through the least recently used modem', async () => {
+    await setup({ m1: {}, m2: {} }, { strategy: 'least-recently-used' });
+    let modems = [];
+    for (let i = 0; i < 3; i++) {
+      let res = await pool.sendMessage('09000000000', 'Hello!');
+      modems.push(res.modem);
+    }
+    assert.deepStrictEqual(modems, ['m1', 'm2', 'm1']);
+    assert.deepStrictEqual(countSent(), { m1: 2, m2: 1 });
+  });
+
+  it('routes a message to the modem of the operator', async () => {
+    await setup({
+      docomo: { mcc: 440, mnc: 10 },
+      softbank: { mcc: 440, mnc: 20 }
+    }, {
+      strategy: 'operator',
+      routes: [
+        { pattern: /^080/, mcc: 440, mnc: 20 },
+        { pattern: /^090/, mcc: 440, mnc: 10 }
+      ]
+    });
+    assert.strictEqual((await pool.sendMessage('08000000000', 'Hello!')).modem, 'softbank');
+    assert.strictEqual((await pool.sendMessage('08000000001', 'Hello!')).modem, 'softbank');
+    assert.strictEqual((await pool.sendMessage('09000000000', 'Hello!')).modem, 'docomo');
+  });
+
+  it('fails over to another modem', async () => {
+    await setup({ m1: {}, m2: {} });
+    let failovers = [];
+    pool.on('failover', (data) => {
+      failovers.push(data);
+    });
+    vmodems.m1.setCommandHandler(/^AT\+CMGS=/, () => '+CMS ERROR: 330');
+    let res = await pool.sendMessage('09000000000', 'Hello!');
+    assert.strictEqual(res.modem, 'm2');
+    assert.strictEqual(failovers.length, 1);
+    assert.strictEqual(failovers[0].modem, 'm1');
+    assert.strictEqual(failovers[0].next, 'm2');
+    assert.ok(failovers[0].error instanceof CmsError);
+  });
+
+  it('rejects with the last error if all modems fail', async () => {
+    await setup({ m1: {}, m2: {} });
+    vmodems.m1.setCommandHandler(/^AT\+CMGS=/, () => '+CMS ERROR: 330');
+    vmodems.m2.setCommandHandler(/^AT\+CMGS=/, () => '+CMS ERROR: 331');
+    await assert.rejects(pool.sendMessage('09000000000', 'Hello!'), (error) => {
+      assert.ok(error instanceof CmsError);
+      assert.strictEqual(error.code, 331);
+      return true;
+    });
+  });
+
+  it('does not fail over for an error of the message', async () => {
+    await setup({ m1: {}, m2: {} });
+    let failovers = 0;
+    pool.on('failover', () => {
+      failovers++;
+    });
+    await assert.rejects(pool.sendMessage('abc', 'Hello!'));
+    vmodems.m2.setCommandHandler(/^AT\+CMGS=/, () => '+CMS ERROR: 304');
+    await assert.rejects(pool.sendMessage('09000000000', 'Hello!'), (error) => {
+      return error instanceof CmsError && error.code === 304;
+    });
+    assert.strictEqual(failovers, 0);
+    assert.deepStrictEqual(countSent(), { m1: 0, m2: 0 });
+  });
+
+  it('does not fail over after a segment has been sent', async () => {
+    await setup({ m1: {}, m2: {} });
+    let count = 0;
+    vmodems.m1.setCommandHandler(/^AT\+CMGS=/, () => {
+      count++;
+      return (count === 2) ? '+CMS ERROR: 331' : null;
+    });
+    let text = 'Hello world! '.repeat(15);
+    await assert.rejects(pool.sendMessage('09000000000', text), (error) => {
+      assert.ok(error instanceof CmsError);
+      assert.strictEqual(error.references.length, 1);
+      return true;
+    });
+    assert.deepStrictEqual(countSent(), { m1: 1, m2: 0 });
+  });
+
+  it('retrieves the operator of a modem added after it is opened', async () => {
+    await setup({ m1: { mcc: 440, mnc: 10 } }, {
+      strategy: 'operator',
+      routes: [{ pattern: /^080/, mcc: 440, mnc: 20 }]
+    });
+    vmodems.m2 = new VirtualModem({ operator: { mcc: 440, mnc: 20 } });
+    let transceiver = new SmsTransceiver(vmodems.m2.createStream());
+    await transceiver.open();
+    pool.add('m2', transceiver);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual((await pool.sendMessage('08000000000', 'Hello!')).modem, 'm2');
+    assert.strictEqual((await pool.sendMessage('08000000000', 'Hello!')).modem, 'm2');
+  });
+
+  it('merges the incoming messages with the name of the modem', async () => {
+    await setup({ m1: {}, m2: {} });
+    let received = [];
+    let done = new Promise((resolve) => {
+      pool.on('sms-message', (message, modem) => {
+        received.push([modem, message.text]);
+        if (received.length === 2) {
+          resolve();
+        }
+      });
+    });
+    vmodems.m2.injectMessage({ from: '09011112222', text: 'From m2' });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    vmodems.m1.injectMessage({ from: '09033334444', text: 'From m1' });
+    await done;
+    assert.deepStrictEqual(received, [['m2', 'From m2'], ['m1', 'From m1']]);
+  });
+
+  it('stops forwarding the events of a removed modem', async () => {
+    await setup({ m1: {}, m2: {} });
+    let transceiver = pool.remove('m1');
+    assert.ok(transceiver instanceof SmsTransceiver);
+    assert.deepStrictEqual(pool.members, ['m2']);
+    assert.strictEqual(transceiver.listenerCount('sms-message'), 0);
+    await transceiver.close();
+  });
+
+  it('throws an error for invalid arguments', () => {
+    assert.throws(() => {
+      new SmsTransceiverPool({ strategy: 'random' });
+    });
+    assert.throws(() => {
+      new SmsTransceiverPool({ routes: [{ pattern: '^090', mcc: 440, mnc: 10 }] });
+    });
+    let p = new SmsTransceiverPool();
+    p.add('m1', new SmsTransceiver(new VirtualModem().createStream()));
+    assert.throws(() => {
+      p.add('m1', new SmsTransceiver(new VirtualModem().createStream()));
+    });
+    assert.throws(() => {
+      p.add('m2', {});
+    });
+  });
+});
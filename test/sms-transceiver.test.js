@@ -0,0 +1,1722 @@
+'use strict';
+const assert = require('assert');
+const SmsTransceiver = require('../lib/sms-transceiver.js');
+const VirtualModem = require('../lib/virtual-modem.js');
+const SmsPduUtils = require('../lib/sms-pdu-utils.js');
+
+const LONG_TEXT = 'SMS (short message service) is a text messaging service component of most telephone, Internet, and mobile device systems. It uses standardized communication protocols to enable mobile devices to exchange short text messages!!';
+
+// Store a received message without notifying it (no `+CMTI`)
+let reference = 0;
+function storeMessage(vmodem, from, text) {
+  reference++;
+  let pdus = VirtualModem.generateDeliverPdus(from, text, { reference: reference });
+  for (let pdu of pdus) {
+    vmodem.storeMessage('ME', 0, pdu);
+  }
+}
+
+function waitForEvent(emitter, name) {
+  return new Promise((resolve) => {
+    emitter.once(name, resolve);
+  });
+}
+
+describe('SmsTransceiver', () => {
+  let vmodem = null;
+  let smstransceiver = null;
+
+  beforeEach(async () => {
+    vmodem = new VirtualModem();
+    smstransceiver = new SmsTransceiver(vmodem.createStream());
+    await smstransceiver.open();
+  });
+
+  afterEach(async () => {
+    await smstransceiver.close();
+  });
+
+  describe('open()', () => {
+    it('initializes the modem', () => {
+      assert.deepStrictEqual(vmodem.commands, [
+        'ATE0', 'ATQ0', 'ATV1', 'AT+CGMI', 'AT+CGMM', 'ATS0=0', 'AT+CMEE=2', 'AT+CPIN?', 'AT+CMGF=0', 'AT+CNMI=2,1,0,1,0',
+        'AT+CUSD=1', 'AT+CLIP=1'
+      ]);
+      assert.strictEqual(vmodem.settings.echo, false);
+      assert.strictEqual(vmodem.settings.cmee, 2);
+      assert.strictEqual(smstransceiver.profile, 'generic');
+    });
+  });
+
+  describe('getModemInfo()', () => {
+    it('returns the modem information', async () => {
+      let info = await smstransceiver.getModemInfo();
+      assert.deepStrictEqual(info, {
+        manufacturer: 'VIRTUAL',
+        model: 'VIRTUAL_MODEM',
+        revision: '1.0.0',
+        serial: '350000000000000'
+      });
+    });
+  });
+
+  describe('getNetworkInfo()', () => {
+    it('returns the network information', async () => {
+      let info = await smstransceiver.getNetworkInfo();
+      assert.deepStrictEqual(info, {
+        subscriber: '08000000000',
+        operator: { name: 'VIRTUAL', mcc: 440, mnc: 10 },
+        contexts: [{ cid: '1', type: 'IP', apn: 'virtual.example.com', active: true, addr: '10.0.0.1' }]
+      });
+    });
+  });
+
+  describe('getSignalQuality()', () => {
+    it('converts the RSSI level to dBm', async () => {
+      let res = await smstransceiver.getSignalQuality();
+      assert.deepStrictEqual(res, { rssi: -73, ber: 99 });
+    });
+
+    it('regards the RSSI level 99 as unknown', async () => {
+      vmodem.setSignal({ rssi: 31 });
+      assert.strictEqual((await smstransceiver.getSignalQuality()).rssi, -51);
+      vmodem.setSignal({ rssi: 99 });
+      assert.strictEqual((await smstransceiver.getSignalQuality()).rssi, null);
+    });
+  });
+
+  describe('getLocationInfo()', () => {
+    it('returns the location information', async () => {
+      let res = await smstransceiver.getLocationInfo();
+      assert.deepStrictEqual(res, { mcc: 440, mnc: 10, lac: 0x1110, cid: 0x2FA5E55 });
+    });
+  });
+
+  describe('message storage', () => {
+    it('selects the preferred message storage', async () => {
+      let res = await smstransceiver.setMessageStorage('SM');
+      assert.deepStrictEqual(res, {
+        r: { mem: 'SM', used: 0, total: 20 },
+        w: { mem: 'SM', used: 0, total: 20 },
+        s: { mem: 'SM', used: 0, total: 20 }
+      });
+      assert.deepStrictEqual(vmodem.settings.cpms, ['SM', 'SM', 'SM']);
+    });
+
+    it('rejects an invalid storage', async () => {
+      await assert.rejects(smstransceiver.setMessageStorage('XX'));
+    });
+
+    it('lists, reads and deletes the stored messages', async () => {
+      storeMessage(vmodem, '09011112222', 'Hello');
+      storeMessage(vmodem, '09033334444', 'World');
+
+      let list = await smstransceiver.listMessages();
+      assert.strictEqual(list.length, 2);
+      assert.strictEqual(list[0].from, '09011112222');
+      assert.strictEqual(list[0].text, 'Hello');
+      assert.strictEqual(list[1].text, 'World');
+
+      let msg = await smstransceiver.readMessage(1);
+      assert.strictEqual(msg.text, 'World');
+      assert.strictEqual(msg.stat, 1);
+
+      let deleted = await smstransceiver.deleteMessage(0);
+      assert.strictEqual(deleted.text, 'Hello');
+      assert.strictEqual(vmodem.getMessages('ME').length, 1);
+
+      await smstransceiver.deleteAllMessages();
+      assert.strictEqual(vmodem.getMessages('ME').length, 0);
+    });
+
+    it('lists only the messages which match the `stat`', async () => {
+      storeMessage(vmodem, '09011112222', 'Hello');
+      await smstransceiver.readMessage(0);
+      storeMessage(vmodem, '09011112222', 'New');
+      let list = await smstransceiver.listMessages({ stat: 0 });
+      assert.deepStrictEqual(list.map((m) => m.text), ['New']);
+    });
+
+    it('returns null if the message is not found', async () => {
+      assert.strictEqual(await smstransceiver.readMessage(5), null);
+      assert.strictEqual(await smstransceiver.deleteMessage(5), null);
+    });
+
+    it('rejects with a CmsError if the index is out of range', async () => {
+      await assert.rejects(smstransceiver.readMessage(100), (error) => {
+        assert.ok(error instanceof SmsTransceiver.CmsError);
+        assert.strictEqual(error.code, 321);
+        assert.strictEqual(error.command, 'AT+CMGR=100');
+        return true;
+      });
+    });
+  });
+
+  describe('concatenated messages', () => {
+    it('merges the concatenated messages in the list', async () => {
+      storeMessage(vmodem, '09011112222', LONG_TEXT);
+      storeMessage(vmodem, '09011112222', 'Short');
+      let list = await smstransceiver.listMessages();
+      assert.strictEqual(list.length, 2);
+      assert.strictEqual(list[0].text, LONG_TEXT);
+      assert.deepStrictEqual(list[0].concat.indexes, [0, 1]);
+      assert.strictEqual(list[1].text, 'Short');
+    });
+
+    it('does not merge the messages if the `concat` is false', async () => {
+      smstransceiver.concat = false;
+      storeMessage(vmodem, '09011112222', LONG_TEXT);
+      let list = await smstransceiver.listMessages();
+      assert.strictEqual(list.length, 2);
+      assert.strictEqual(list[0].text + list[1].text, LONG_TEXT);
+    });
+
+    it('shows missing segments as "[?]"', async () => {
+      storeMessage(vmodem, '09011112222', LONG_TEXT);
+      await smstransceiver.execCommand('AT+CMGD=1');
+      let list = await smstransceiver.listMessages();
+      assert.strictEqual(list.length, 1);
+      assert.ok(/\[\?\]$/.test(list[0].text));
+    });
+
+    it('deletes all segments of the concatenated message', async () => {
+      storeMessage(vmodem, '09011112222', LONG_TEXT);
+      let msg = await smstransceiver.deleteMessage(0);
+      assert.strictEqual(msg.text, LONG_TEXT);
+      assert.strictEqual(vmodem.getMessages('ME').length, 0);
+    });
+  });
+
+  describe('sms-message event', () => {
+    it('is fired when a message is received', async () => {
+      let event = waitForEvent(smstransceiver, 'sms-message');
+      vmodem.injectMessage({ from: '09011112222', text: 'Hello' });
+      let msg = await event;
+      assert.strictEqual(msg.index, 0);
+      assert.strictEqual(msg.type, 'SMS-DELIVER');
+      assert.strictEqual(msg.from, '09011112222');
+      assert.strictEqual(msg.text, 'Hello');
+    });
+
+    it('is fired once for a concatenated message', async () => {
+      let messages = [];
+      smstransceiver.on('sms-message', (msg) => {
+        messages.push(msg);
+      });
+      let event = waitForEvent(smstransceiver, 'sms-message');
+      vmodem.injectMessage({ from: '09011112222', text: LONG_TEXT });
+      let msg = await event;
+      assert.strictEqual(msg.text, LONG_TEXT);
+      assert.deepStrictEqual(msg.concat.indexes, [0, 1]);
+      assert.strictEqual(messages.length, 1);
+    });
+
+    it('is fired while other commands are running', async () => {
+      let event = waitForEvent(smstransceiver, 'sms-message');
+      let quality = smstransceiver.getSignalQuality();
+      vmodem.injectMessage({ from: '09011112222', text: 'Hello' });
+      await quality;
+      let msg = await event;
+      assert.strictEqual(msg.text, 'Hello');
+    });
+  });
+
+  describe('sms-message event (direct mode)', () => {
+    async function reopen(csms) {
+      await smstransceiver.close();
+      vmodem = new VirtualModem();
+      vmodem.settings.csms = csms;
+      smstransceiver = new SmsTransceiver(vmodem.createStream());
+      await smstransceiver.open({ receiveMode: 'direct' });
+    }
+
+    it('routes messages directly without the storage', async () => {
+      await reopen(0);
+      assert.strictEqual(vmodem.settings.cnmi[1], 2);
+      let event = waitForEvent(smstransceiver, 'sms-message');
+      vmodem.injectMessage({ from: '09011112222', text: 'Hello' });
+      let msg = await event;
+      assert.strictEqual(msg.index, null);
+      assert.strictEqual(msg.type, 'SMS-DELIVER');
+      assert.strictEqual(msg.from, '09011112222');
+      assert.strictEqual(msg.text, 'Hello');
+      assert.strictEqual(vmodem.getMessages('ME').length, 0);
+      assert.ok(!vmodem.commands.includes('AT+CNMA'));
+      assert.ok(!vmodem.commands.some((c) => /^AT\+CMGR/.test(c)));
+    });
+
+    it('merges the concatenated messages', async () => {
+      await reopen(0);
+      let event = waitForEvent(smstransceiver, 'sms-message');
+      vmodem.injectMessage({ from: '09011112222', text: LONG_TEXT });
+      let msg = await event;
+      assert.strictEqual(msg.text, LONG_TEXT);
+      assert.deepStrictEqual(msg.concat.indexes, [null, null]);
+    });
+
+    it('acknowledges the messages if the modem requires it', async () => {
+      await reopen(1);
+      let messages = [];
+      smstransceiver.on('sms-message', (msg) => {
+        messages.push(msg);
+      });
+      let event = waitForEvent(smstransceiver, 'sms-message');
+      vmodem.injectMessage({ from: '09011112222', text: LONG_TEXT });
+      await event;
+      await smstransceiver.wait(10);
+      assert.strictEqual(messages.length, 1);
+      assert.strictEqual(vmodem.commands.filter((c) => c === 'AT+CNMA').length, 2);
+      assert.strictEqual(vmodem.unacknowledgedMessages, 0);
+    });
+
+    it('rejects an invalid `receiveMode`', async () => {
+      await smstransceiver.close();
+      await assert.rejects(smstransceiver.open({ receiveMode: 'foo' }));
+    });
+  });
+
+  describe('sendMessage()', () => {
+    it('sends a message', async () => {
+      await smstransceiver.sendMessage('09000000000', 'Hello!');
+      assert.strictEqual(vmodem.sentMessages.length, 1);
+      assert.strictEqual(vmodem.sentMessages[0].destination, '09000000000');
+      assert.strictEqual(vmodem.sentMessages[0].text, 'Hello!');
+    });
+
+    it('sends a concatenated message', async () => {
+      await smstransceiver.sendMessage('09000000000', LONG_TEXT);
+      let sent = vmodem.sentMessages;
+      assert.strictEqual(sent.length, 2);
+      assert.deepStrictEqual(sent.map((s) => s.concat.sequence), [1, 2]);
+      assert.strictEqual(sent[0].text + sent[1].text, LONG_TEXT);
+    });
+
+    it('sends messages in parallel with other commands', async () => {
+      await Promise.all([
+        smstransceiver.sendMessage('09000000000', LONG_TEXT),
+        smstransceiver.getSignalQuality(),
+        smstransceiver.sendMessage('09000000001', 'Hi'),
+        smstransceiver.getModemInfo()
+      ]);
+      assert.strictEqual(vmodem.sentMessages.length, 3);
+    });
+
+    it('rejects with a CmsError if the modem returns an error', async () => {
+      vmodem.setCommandHandler(/^AT\+CMGS=/, () => '+CMS ERROR: 330');
+      await assert.rejects(smstransceiver.sendMessage('09000000000', 'Hello!'), (error) => {
+        assert.ok(error instanceof SmsTransceiver.CmsError);
+        assert.strictEqual(error.code, 330);
+        assert.strictEqual(error.description, 'SMSC address unknown');
+        return true;
+      });
+    });
+
+    it('rejects an invalid destination', async () => {
+      await assert.rejects(smstransceiver.sendMessage('abc', 'Hello!'));
+    });
+
+    it('returns the message references', async () => {
+      let res1 = await smstransceiver.sendMessage('09000000000', LONG_TEXT);
+      let res2 = await smstransceiver.sendMessage('09000000000', 'Hello!');
+      assert.deepStrictEqual(res1, { references: [0, 1] });
+      assert.deepStrictEqual(res2, { references: [2] });
+      assert.strictEqual(vmodem.sentMessages[0].statusReport, false);
+    });
+  });
+
+  describe('delivery-report event', () => {
+    it('is fired for each segment and links it to the sent message', async () => {
+      let reports = [];
+      smstransceiver.on('delivery-report', (report) => {
+        reports.push(report);
+      });
+      let res = await smstransceiver.sendMessage('09000000000', LONG_TEXT, { statusReport: true });
+      assert.deepStrictEqual(vmodem.sentMessages.map((m) => m.statusReport), [true, true]);
+
+      let event = waitForEvent(smstransceiver, 'delivery-report');
+      vmodem.injectStatusReport(res.references[1]);
+      await event;
+      event = waitForEvent(smstransceiver, 'delivery-report');
+      vmodem.injectStatusReport(res.references[0]);
+      await event;
+
+      assert.strictEqual(reports.length, 2);
+      assert.strictEqual(reports[0].reference, 1);
+      assert.strictEqual(reports[0].recipient, '09000000000');
+      assert.strictEqual(reports[0].status, 0);
+      assert.strictEqual(reports[0].delivered, true);
+      assert.deepStrictEqual(reports[0].message, {
+        to: '09000000000',
+        references: [0, 1],
+        statuses: [null, 0],
+        completed: false,
+        delivered: false
+      });
+      assert.deepStrictEqual(reports[1].message.statuses, [0, 0]);
+      assert.strictEqual(reports[1].message.completed, true);
+      assert.strictEqual(reports[1].message.delivered, true);
+    });
+
+    it('waits for the final status after a temporary error', async () => {
+      let res = await smstransceiver.sendMessage('09000000000', 'Hello!', { statusReport: true });
+      let event = waitForEvent(smstransceiver, 'delivery-report');
+      vmodem.injectStatusReport(res.references[0], { status: 0x30 });
+      let report = await event;
+      assert.strictEqual(report.final, false);
+      assert.strictEqual(report.message.completed, false);
+
+      event = waitForEvent(smstransceiver, 'delivery-report');
+      vmodem.injectStatusReport(res.references[0], { status: 0x41 });
+      report = await event;
+      assert.strictEqual(report.final, true);
+      assert.strictEqual(report.delivered, false);
+      assert.strictEqual(report.message.completed, true);
+      assert.strictEqual(report.message.delivered, false);
+    });
+
+    it('reads and deletes a status report stored in the storage', async () => {
+      await smstransceiver.execCommand('AT+CNMI=2,1,0,2,0');
+      let res = await smstransceiver.sendMessage('09000000000', 'Hello!', { statusReport: true });
+      let event = waitForEvent(smstransceiver, 'delivery-report');
+      vmodem.injectStatusReport(res.references[0]);
+      let report = await event;
+      assert.strictEqual(report.reference, res.references[0]);
+      assert.strictEqual(report.message.completed, true);
+      assert.strictEqual(vmodem.getMessages('ME').length, 0);
+    });
+
+    it('is fired with `message` set to null for an unknown reference', async () => {
+      let event = waitForEvent(smstransceiver, 'delivery-report');
+      vmodem.injectStatusReport(100, { recipient: '+819000000000' });
+      let report = await event;
+      assert.strictEqual(report.reference, 100);
+      assert.strictEqual(report.recipient, '+819000000000');
+      assert.strictEqual(report.message, null);
+    });
+  });
+
+  describe('writeSubmitMessage() and sendStoredMessage()', () => {
+    it('writes a message and sends it', async () => {
+      let indexes = await smstransceiver.writeSubmitMessage('09000000000', 'Hello!');
+      assert.deepStrictEqual(indexes, [0]);
+      await smstransceiver.sendStoredMessage(0);
+      assert.strictEqual(vmodem.sentMessages[0].text, 'Hello!');
+      assert.strictEqual(vmodem.getMessages('ME')[0].stat, 3);
+    });
+
+    it('writes and sends a concatenated message', async () => {
+      let indexes = await smstransceiver.writeSubmitMessage('09000000000', LONG_TEXT);
+      assert.deepStrictEqual(indexes, [0, 1]);
+      let msg = await smstransceiver.readMessage(0);
+      assert.strictEqual(msg.type, 'SMS-SUBMIT');
+      assert.strictEqual(msg.to, '09000000000');
+      assert.strictEqual(msg.text, LONG_TEXT);
+      await smstransceiver.sendStoredMessage(0);
+      assert.strictEqual(vmodem.sentMessages.length, 2);
+    });
+
+    it('rejects with a CmsError if the storage is full', async () => {
+      await smstransceiver.setMessageStorage('SM');
+      for (let i = 0; i < 20; i++) {
+        vmodem.storeMessage('SM', 1, VirtualModem.generateDeliverPdus('09011112222', 'Hi')[0]);
+      }
+      await assert.rejects(smstransceiver.writeSubmitMessage('09000000000', 'Hello!'), (error) => {
+        assert.ok(error instanceof SmsTransceiver.CmsError);
+        assert.strictEqual(error.code, 322);
+        return true;
+      });
+    });
+
+    it('rejects if the index is not found', async () => {
+      await assert.rejects(smstransceiver.sendStoredMessage(3), /not found/);
+    });
+  });
+
+  describe('sendUssd() and replyUssd()', () => {
+    it('sends a USSD code and returns the reply', async () => {
+      let res = await smstransceiver.sendUssd('*100#');
+      assert.deepStrictEqual(res, { status: 0, active: false, text: 'Your balance is 100.00', dcs: 15 });
+      assert.ok(vmodem.commands.includes('AT+CUSD=1,"*100#",15'));
+    });
+
+    it('decodes a reply in UCS2', async () => {
+      vmodem.setUssdHandler(() => '残高は100円です');
+      let res = await smstransceiver.sendUssd('*101#');
+      assert.strictEqual(res.text, '残高は100円です');
+      assert.strictEqual(res.dcs, 72);
+    });
+
+    it('continues a session with a multi-line menu', async () => {
+      vmodem.setUssdHandler((str, active) => {
+        if (!active) {
+          return { text: '1. Balance\n2. Bundles', active: true };
+        }
+        return (str === '2') ? 'Bundle activated' : null;
+      });
+      let menu = await smstransceiver.sendUssd('*123#');
+      assert.strictEqual(menu.active, true);
+      assert.strictEqual(menu.text, '1. Balance\n2. Bundles');
+
+      let res = await smstransceiver.replyUssd('2');
+      assert.deepStrictEqual(res, { status: 0, active: false, text: 'Bundle activated', dcs: 15 });
+      await assert.rejects(smstransceiver.replyUssd('1'), /No USSD session/);
+    });
+
+    it('rejects a reply which can not be quoted in the command', async () => {
+      vmodem.setUssdHandler((str, active) => {
+        return active ? 'Done' : { text: 'Enter the name', active: true };
+      });
+      await smstransceiver.sendUssd('*123#');
+      await assert.rejects(smstransceiver.replyUssd('a"\rAT+CFUN=0'), /GSM 7-bit/);
+      await assert.rejects(smstransceiver.replyUssd('残高'), /GSM 7-bit/);
+      assert.ok(!vmodem.commands.some((c) => /CFUN/.test(c)));
+      assert.strictEqual((await smstransceiver.replyUssd('Taro')).text, 'Done');
+    });
+
+    it('cancels a session', async () => {
+      vmodem.setUssdHandler(() => {
+        return { text: 'Menu', active: true };
+      });
+      await smstransceiver.sendUssd('*123#');
+      await smstransceiver.cancelUssd();
+      assert.ok(vmodem.commands.includes('AT+CUSD=2'));
+      await assert.rejects(smstransceiver.replyUssd('1'));
+    });
+
+    it('rejects if the request is not supported or no reply is received', async () => {
+      await assert.rejects(smstransceiver.sendUssd('*999#'), /not supported/);
+      vmodem.setCommandHandler(/^AT\+CUSD=1,/, () => 'OK');
+      await assert.rejects(smstransceiver.sendUssd('*100#', { timeout: 50 }), /No USSD reply/);
+      await assert.rejects(smstransceiver.sendUssd('abc'));
+    });
+
+    it('accepts a reply reported before the `OK`', async () => {
+      vmodem.setCommandHandler(/^AT\+CUSD=1,/, () => '+CUSD: 0,"Hello",15\nOK');
+      let res = await smstransceiver.sendUssd('*100#');
+      assert.strictEqual(res.text, 'Hello');
+    });
+
+    it('does not count the time waiting behind other commands', async () => {
+      vmodem.setCommandHandler(/^AT\+COPS=\?/, () => '');
+      let scan = assert.rejects(smstransceiver.execCommand('AT+COPS=?', { timeout: 150 }));
+      let res = await smstransceiver.sendUssd('*100#', { timeout: 100 });
+      assert.strictEqual(res.text, 'Your balance is 100.00');
+      await scan;
+    });
+
+    it('emits the `ussd` event for a network-initiated USSD', async () => {
+      let received = waitForEvent(smstransceiver, 'ussd');
+      vmodem.injectUssd('Reply 1 to subscribe', { active: true });
+      let ussd = await received;
+      assert.deepStrictEqual(ussd, { status: 1, active: true, text: 'Reply 1 to subscribe', dcs: 15 });
+      vmodem.setUssdHandler(() => 'Subscribed');
+      assert.strictEqual((await smstransceiver.replyUssd('1')).text, 'Subscribed');
+    });
+
+    it('exchanges packed strings with the huawei profile', async () => {
+      await smstransceiver.close();
+      vmodem = new VirtualModem({ manufacturer: 'huawei' });
+      smstransceiver = new SmsTransceiver(vmodem.createStream());
+      await smstransceiver.open();
+      vmodem.setCommandHandler(/^AT\+CUSD=1,"AA180C3602",15$/, () => {
+        setTimeout(() => {
+          vmodem.injectUrc('+CUSD: 0,"D9775D0E1287D961F7B80C4ACF413118CC058301",15');
+        }, 10);
+        return 'OK';
+      });
+      let res = await smstransceiver.sendUssd('*100#');
+      assert.strictEqual(res.text, 'Your balance is 100.00');
+    });
+  });
+
+  describe('cell broadcast', () => {
+    it('selects the channels and enables the indication', async () => {
+      await smstransceiver.setCellBroadcastChannels([50, '4370-4383'], { languages: [1] });
+      assert.ok(vmodem.commands.includes('AT+CSCB=0,"50,4370-4383","1"'));
+      assert.ok(vmodem.commands.includes('AT+CNMI=2,1,2,1,0'));
+      assert.deepStrictEqual(await smstransceiver.getCellBroadcastChannels(), {
+        mode: 0, channels: [50, '4370-4383'], languages: [1]
+      });
+
+      await smstransceiver.setCellBroadcastChannels([]);
+      assert.strictEqual(vmodem.settings.cnmi[2], 0);
+      assert.strictEqual(vmodem.injectCellBroadcast(4370, 'Alert'), 0);
+    });
+
+    it('emits the `cb-message` event', async () => {
+      await smstransceiver.setCellBroadcastChannels(['4370-4383']);
+      let received = waitForEvent(smstransceiver, 'cb-message');
+      assert.strictEqual(vmodem.injectCellBroadcast(50, 'Not selected'), 0);
+      assert.strictEqual(vmodem.injectCellBroadcast(4370, 'Presidential Alert'), 1);
+      let msg = await received;
+      assert.strictEqual(msg.messageId, 4370);
+      assert.strictEqual(msg.text, 'Presidential Alert');
+      assert.strictEqual(msg.emergency, true);
+      assert.deepStrictEqual(msg.page, { sequence: 1, total: 1 });
+    });
+
+    it('reassembles the pages of a multi-page message', async () => {
+      await smstransceiver.setCellBroadcastChannels([4352]);
+      let messages = [];
+      smstransceiver.on('cb-message', (msg) => {
+        messages.push(msg);
+      });
+      let text = 'Earthquake warning. '.repeat(12);
+      // The pages are received out of order and repeated
+      assert.strictEqual(vmodem.injectCellBroadcast(4352, text, { order: [2, 0, 0, 1] }), 4);
+      await smstransceiver.wait(50);
+      assert.strictEqual(messages.length, 1);
+      assert.strictEqual(messages[0].text, text);
+      assert.deepStrictEqual(messages[0].page, { total: 3 });
+
+      messages = [];
+      smstransceiver.concat = false;
+      vmodem.injectCellBroadcast(4352, text);
+      await smstransceiver.wait(50);
+      assert.deepStrictEqual(messages.map((m) => m.page.sequence), [1, 2, 3]);
+    });
+
+    it('reports a message in the UMTS format', async () => {
+      await smstransceiver.setCellBroadcastChannels([4352]);
+      let received = waitForEvent(smstransceiver, 'cb-message');
+      let text = 'Earthquake warning. '.repeat(12);
+      assert.strictEqual(vmodem.injectCellBroadcast(4352, text, { format: 'umts' }), 1);
+      let msg = await received;
+      assert.strictEqual(msg.format, 'umts');
+      assert.strictEqual(msg.text, text);
+      assert.deepStrictEqual(msg.page, { total: 3 });
+    });
+
+    it('ignores the repeated broadcasts of a reported message', async () => {
+      await smstransceiver.setCellBroadcastChannels([4352, 4370]);
+      let messages = [];
+      smstransceiver.on('cb-message', (msg) => {
+        messages.push(msg);
+      });
+      let text = 'Earthquake warning. '.repeat(12);
+      vmodem.injectCellBroadcast(4352, text);
+      vmodem.injectCellBroadcast(4370, 'Alert');
+      await smstransceiver.wait(50);
+      vmodem.injectCellBroadcast(4352, text);
+      vmodem.injectCellBroadcast(4370, 'Alert');
+      vmodem.injectCellBroadcast(4370, 'Alert', { format: 'umts' });
+      // The update number is changed
+      vmodem.injectCellBroadcast(4370, 'Updated alert', { serialNumber: 0x4001 });
+      await smstransceiver.wait(50);
+      assert.deepStrictEqual(messages.map((m) => m.text), [text, 'Alert', 'Updated alert']);
+    });
+
+    it('emits the `error` event for a page which can not be parsed', async () => {
+      await smstransceiver.setCellBroadcastChannels([4370]);
+      let errored = waitForEvent(smstransceiver, 'error');
+      vmodem.injectUrc('+CBM: 2\n0011');
+      let error = await errored;
+      assert.ok(/CBS page/.test(error.message));
+    });
+
+    it('restores the channels when the connection is re-established', async () => {
+      await smstransceiver.close();
+      smstransceiver = new SmsTransceiver(() => vmodem.createStream(), { autoReconnect: true, reconnectInterval: 10 });
+      await smstransceiver.open();
+      await smstransceiver.setCellBroadcastChannels([4370]);
+      let reconnected = waitForEvent(smstransceiver, 'reconnected');
+      let count = vmodem.commands.length;
+      vmodem.disconnect();
+      await reconnected;
+      let commands = vmodem.commands.slice(count);
+      let cscb_idx = commands.indexOf('AT+CSCB=0,"4370",""');
+      assert.ok(cscb_idx > 0);
+      assert.ok(commands.indexOf('AT+CNMI=2,1,2,1,0') > cscb_idx);
+    });
+
+    it('rejects invalid channels', async () => {
+      await assert.rejects(smstransceiver.setCellBroadcastChannels('50'));
+      await assert.rejects(smstransceiver.setCellBroadcastChannels([70000]));
+      await assert.rejects(smstransceiver.setCellBroadcastChannels(['100-50']));
+      await assert.rejects(smstransceiver.setCellBroadcastChannels([50], { languages: [256] }));
+    });
+  });
+
+  describe('network registration', () => {
+    it('reads the registration status of each domain', async () => {
+      let reg = await smstransceiver.getRegistration();
+      assert.strictEqual(reg.registered, true);
+      assert.strictEqual(reg.cs.status, 'registered-home');
+      assert.strictEqual(reg.ps.domain, 'ps');
+      assert.strictEqual(reg.eps.domain, 'eps');
+    });
+
+    it('emits the `registration-changed` event with the location', async () => {
+      let reg = await smstransceiver.startRegistrationMonitoring();
+      assert.strictEqual(vmodem.settings.cereg, 2);
+      assert.strictEqual(reg.eps.tac, 0x1110);
+      assert.strictEqual(reg.eps.cid, 0x2FA5E55);
+
+      let events = [];
+      smstransceiver.on('registration-changed', (status) => {
+        events.push(status);
+      });
+      vmodem.setRegistration({ stat: 5, lac: 0x00A1, cid: 0xB7D4F01 });
+      await smstransceiver.wait(50);
+      assert.deepStrictEqual(events.map((e) => e.domain), ['cs', 'ps', 'eps']);
+      assert.deepStrictEqual(events[2], {
+        domain: 'eps',
+        stat: 5,
+        status: 'registered-roaming',
+        registered: true,
+        roaming: true,
+        act: 7,
+        accessTechnology: 'E-UTRAN',
+        lac: null,
+        tac: 0xA1,
+        cid: 0xB7D4F01
+      });
+
+      // The same status is not reported again
+      events = [];
+      vmodem.setRegistration({});
+      await smstransceiver.wait(50);
+      assert.deepStrictEqual(events, []);
+
+      await smstransceiver.stopRegistrationMonitoring();
+      assert.strictEqual(vmodem.settings.creg, 0);
+    });
+
+    it('waits for the registration', async () => {
+      vmodem.setRegistration({ stat: 2 });
+      await smstransceiver.startRegistrationMonitoring();
+      setTimeout(() => {
+        vmodem.setRegistration({ stat: 1 });
+      }, 50);
+      let reg = await smstransceiver.waitForRegistration(5000);
+      assert.strictEqual(reg.registered, true);
+
+      vmodem.setRegistration({ stat: 3 });
+      await assert.rejects(smstransceiver.waitForRegistration(100), (error) => {
+        return error instanceof SmsTransceiver.TimeoutError;
+      });
+      await assert.rejects(smstransceiver.sendMessage('09000000000', 'Hello', { waitForRegistration: 100 }));
+      assert.strictEqual(vmodem.sentMessages.length, 0);
+
+      vmodem.setRegistration({ stat: 1 });
+      await smstransceiver.sendMessage('09000000000', 'Hello', { waitForRegistration: 100 });
+      assert.strictEqual(vmodem.sentMessages.length, 1);
+    });
+
+    it('gets the location with `AT+CEREG` if `AT+CREG` does not report it', async () => {
+      vmodem.setCommandHandler(/^AT\+CREG\?$/, () => '+CREG: 2,1\nOK');
+      vmodem.setRegistration({ lac: 0x00A1, cid: 0xB7D4F01 });
+      let res = await smstransceiver.getLocationInfo();
+      assert.deepStrictEqual(res, { mcc: 440, mnc: 10, lac: 0xA1, cid: 0xB7D4F01 });
+    });
+  });
+
+  describe('signal monitor', () => {
+    it('reads the extended signal quality with `AT+CESQ`', async () => {
+      let res = await smstransceiver.getExtendedSignalQuality();
+      assert.deepStrictEqual(res, { rssi: -73, ber: 99, rscp: null, ecno: null, rsrp: -95, rsrq: -10, sinr: null });
+
+      // The LTE metrics are not reported out of the E-UTRAN
+      vmodem.setRegistration({ act: 0 });
+      res = await smstransceiver.getExtendedSignalQuality();
+      assert.strictEqual(res.rsrp, null);
+      assert.strictEqual(res.rsrq, null);
+    });
+
+    it('keeps the rolling history of the samples', async () => {
+      let first = await smstransceiver.startSignalMonitor({ interval: 100, historySize: 3 });
+      assert.strictEqual(first.rsrp, -95);
+      assert.deepStrictEqual(first.low, []);
+      await smstransceiver.wait(500);
+      let history = smstransceiver.signalHistory;
+      assert.strictEqual(history.length, 3);
+      assert.ok(history.every((sample) => typeof (sample.timestamp) === 'string'));
+
+      smstransceiver.stopSignalMonitor();
+      let count = vmodem.commands.filter((cmd) => cmd === 'AT+CESQ').length;
+      await smstransceiver.wait(250);
+      assert.strictEqual(vmodem.commands.filter((cmd) => cmd === 'AT+CESQ').length, count);
+    });
+
+    it('emits the `signal-changed` and `signal-low` events when a threshold is crossed', async () => {
+      let changed = [];
+      smstransceiver.on('signal-changed', (sample) => {
+        changed.push(sample);
+      });
+      await smstransceiver.startSignalMonitor({ interval: 100, thresholds: { rsrp: -110 } });
+
+      // A change smaller than the `minChange` is ignored
+      vmodem.setSignal({ rsrp: -98 });
+      await smstransceiver.wait(250);
+      assert.strictEqual(changed.length, 0);
+
+      vmodem.setSignal({ rsrp: -115 });
+      let low = await waitForEvent(smstransceiver, 'signal-low');
+      assert.strictEqual(low.metric, 'rsrp');
+      assert.strictEqual(low.value, -115);
+      assert.strictEqual(low.threshold, -110);
+      assert.strictEqual(changed.length, 1);
+      assert.deepStrictEqual(changed[0].low, ['rsrp']);
+
+      // The `signal-low` is not fired again while the signal stays low
+      let lows = 0;
+      smstransceiver.on('signal-low', () => {
+        lows++;
+      });
+      await smstransceiver.wait(250);
+      assert.strictEqual(lows, 0);
+
+      vmodem.setSignal({ rsrp: -90 });
+      let sample = await waitForEvent(smstransceiver, 'signal-changed');
+      assert.strictEqual(sample.rsrp, -90);
+      assert.deepStrictEqual(sample.low, []);
+    });
+
+    it('throws an error if the parameters are invalid', async () => {
+      await assert.rejects(smstransceiver.startSignalMonitor({ interval: 10 }));
+      await assert.rejects(smstransceiver.startSignalMonitor({ thresholds: { rsrp: 'low' } }));
+    });
+  });
+
+  describe('PDP contexts', () => {
+    it('defines, activates, deactivates and deletes a context', async () => {
+      await smstransceiver.defineContext({
+        cid: 2,
+        type: 'IPV4V6',
+        apn: 'iot.example.com',
+        auth: { protocol: 'chap', username: 'user', password: 'pass' }
+      });
+      assert.strictEqual(await smstransceiver.execCommand('AT+CGAUTH?'), '+CGAUTH: 1,0,""\n+CGAUTH: 2,2,"user"\nOK');
+      let info = await smstransceiver.getNetworkInfo();
+      assert.deepStrictEqual(info.contexts[1], { cid: '2', type: 'IPV4V6', apn: 'iot.example.com', active: false });
+
+      await smstransceiver.activateContext(2);
+      info = await smstransceiver.getNetworkInfo();
+      assert.strictEqual(info.contexts[1].active, true);
+      assert.strictEqual(info.contexts[1].addr, '10.0.0.2');
+
+      await smstransceiver.deactivateContext(2);
+      info = await smstransceiver.getNetworkInfo();
+      assert.strictEqual(info.contexts[1].active, false);
+
+      await smstransceiver.deleteContext(2);
+      info = await smstransceiver.getNetworkInfo();
+      assert.deepStrictEqual(info.contexts.map((c) => c.cid), ['1']);
+    });
+
+    it('rejects if the context cannot be activated', async () => {
+      vmodem.setRegistration({ stat: 2 });
+      await assert.rejects(smstransceiver.activateContext(1), SmsTransceiver.AtCommandError);
+      await assert.rejects(smstransceiver.activateContext(0));
+      await assert.rejects(smstransceiver.defineContext({ cid: 1, apn: 'a"b' }));
+      await assert.rejects(smstransceiver.defineContext({ cid: 1, apn: 'a', auth: { protocol: 'md5' } }));
+    });
+
+    it('provisions a context with the APN preset of the current network', async () => {
+      let preset = await smstransceiver.provisionContext({ activate: true });
+      assert.strictEqual(preset.apn, 'spmode.ne.jp');
+      let info = await smstransceiver.getNetworkInfo();
+      assert.strictEqual(info.contexts[0].apn, 'spmode.ne.jp');
+      assert.strictEqual(info.contexts[0].active, true);
+      assert.ok(vmodem.commands.includes('AT+CGAUTH=1,0'));
+
+      SmsTransceiver.registerApnPreset({ mcc: 440, mnc: 20, apn: 'other.example.com', auth: { protocol: 'pap', username: 'u', password: 'p' } });
+      await smstransceiver.selectOperator({ mccmnc: '44020' });
+      preset = await smstransceiver.provisionContext({ cid: 3 });
+      assert.strictEqual(preset.apn, 'other.example.com');
+      assert.ok(vmodem.commands.includes('AT+CGAUTH=3,1,"u","p"'));
+    });
+
+    it('rejects if no preset is found for the network', async () => {
+      vmodem = new VirtualModem({ operator: { name: 'UNKNOWN', mcc: 999, mnc: 99 } });
+      await smstransceiver.close();
+      smstransceiver = new SmsTransceiver(vmodem.createStream());
+      await smstransceiver.open();
+      await assert.rejects(smstransceiver.provisionContext(), /No APN preset/);
+    });
+  });
+
+  describe('sendMessage() options', () => {
+    it('sends a flash message with a validity period', async () => {
+      await smstransceiver.sendMessage('09000000000', 'Alert', {
+        messageClass: 0,
+        validityPeriod: 60,
+        pid: 0x41,
+        rejectDuplicates: true
+      });
+      let sent = vmodem.sentMessages[0];
+      assert.strictEqual(sent.text, 'Alert');
+      assert.deepStrictEqual(SmsPduUtils.parseOptions(sent.pdu), {
+        messageClass: 0,
+        pid: 0x41,
+        replyPath: false,
+        rejectDuplicates: true,
+        validityPeriod: 60
+      });
+    });
+
+    it('applies the options to all segments of a long message', async () => {
+      let date = new Date('2030-01-02T03:04:05Z');
+      await smstransceiver.sendMessage('09000000000', LONG_TEXT, { validityPeriod: date });
+      assert.strictEqual(vmodem.sentMessages.length, 2);
+      for (let sent of vmodem.sentMessages) {
+        assert.strictEqual(SmsPduUtils.parseOptions(sent.pdu).validityPeriod, '2030-01-02T03:04:05+00:00');
+      }
+    });
+
+    it('writes a message with the options', async () => {
+      let index_list = await smstransceiver.writeSubmitMessage('09000000000', 'Hello', { messageClass: 1, replyPath: true });
+      let msg = await smstransceiver.readMessage(index_list[0]);
+      assert.strictEqual(msg.to, '09000000000');
+      assert.strictEqual(msg.messageClass, 1);
+      assert.strictEqual(msg.replyPath, true);
+      assert.strictEqual(msg.rejectDuplicates, false);
+      assert.strictEqual(msg.validityPeriod, null);
+    });
+
+    it('rejects invalid options', async () => {
+      await assert.rejects(smstransceiver.sendMessage('09000000000', 'Hello', { messageClass: 4 }));
+      await assert.rejects(smstransceiver.sendMessage('09000000000', 'Hello', { pid: 256 }));
+      await assert.rejects(smstransceiver.sendMessage('09000000000', 'Hello', { validityPeriod: 1 }));
+      await assert.rejects(smstransceiver.sendMessage('09000000000', 'Hello', { validityPeriod: new Date('x') }));
+      await assert.rejects(smstransceiver.writeSubmitMessage('09000000000', 'Hello', { rejectDuplicates: 'yes' }));
+      assert.strictEqual(vmodem.sentMessages.length, 0);
+    });
+
+    it('exposes the options of a received message', async () => {
+      let event = waitForEvent(smstransceiver, 'sms-message');
+      vmodem.injectMessage({ from: '09011112222', text: 'Flash', messageClass: 0, pid: 0x41 });
+      let msg = await event;
+      assert.strictEqual(msg.text, 'Flash');
+      assert.strictEqual(msg.messageClass, 0);
+      assert.strictEqual(msg.pid, 0x41);
+      assert.strictEqual(msg.replyPath, false);
+      let list = await smstransceiver.listMessages();
+      assert.strictEqual(list[0].messageClass, 0);
+      assert.strictEqual(list[0].pid, 0x41);
+    });
+  });
+
+  describe('binary messages', () => {
+    function createData(length) {
+      let data = Buffer.alloc(length);
+      for (let i = 0; i < length; i++) {
+        data[i] = (i * 7) % 256;
+      }
+      return data;
+    }
+
+    it('sends binary data to an application port', async () => {
+      let res = await smstransceiver.sendMessage('09000000000', Buffer.from([0x01, 0x02, 0x03]), {
+        destinationPort: 2948,
+        sourcePort: 9200
+      });
+      assert.deepStrictEqual(res, { references: [0] });
+      let sent = vmodem.sentMessages[0];
+      assert.strictEqual(sent.destination, '09000000000');
+      assert.deepStrictEqual(sent.data, Buffer.from([0x01, 0x02, 0x03]));
+      assert.deepStrictEqual(sent.ports, { source: 9200, destination: 2948 });
+      assert.strictEqual(sent.text, null);
+    });
+
+    it('divides long binary data into segments', async () => {
+      let data = createData(300);
+      let res = await smstransceiver.sendMessage('09000000000', data, { destinationPort: 5000, messageClass: 1 });
+      assert.strictEqual(res.references.length, 3);
+      let segments = vmodem.sentMessages;
+      assert.deepStrictEqual(segments.map((m) => m.concat.sequence), [1, 2, 3]);
+      assert.strictEqual(new Set(segments.map((m) => m.concat.reference)).size, 1);
+      assert.deepStrictEqual(Buffer.concat(segments.map((m) => m.data)), data);
+      assert.strictEqual(SmsPduUtils.parseOptions(segments[0].pdu).messageClass, 1);
+    });
+
+    it('rejects the ports for a text message', async () => {
+      await assert.rejects(smstransceiver.sendMessage('09000000000', 'Hello', { destinationPort: 5000 }));
+      await assert.rejects(smstransceiver.sendMessage('09000000000', Buffer.from([0x01]), { destinationPort: 65536 }));
+      await assert.rejects(smstransceiver.sendMessage('09000000000', Buffer.alloc(0)));
+      assert.strictEqual(vmodem.sentMessages.length, 0);
+    });
+
+    it('writes binary data to the storage', async () => {
+      let index_list = await smstransceiver.writeSubmitMessage('09000000000', Buffer.from([0xCA, 0xFE]), { destinationPort: 5000 });
+      let msg = await smstransceiver.readMessage(index_list[0]);
+      assert.strictEqual(msg.type, 'SMS-SUBMIT');
+      assert.strictEqual(msg.to, '09000000000');
+      assert.deepStrictEqual(msg.data, Buffer.from([0xCA, 0xFE]));
+      assert.deepStrictEqual(msg.ports, { source: 0, destination: 5000 });
+      assert.strictEqual(msg.text, null);
+    });
+
+    it('exposes the data, the ports and the UDH of a received message', async () => {
+      let event = waitForEvent(smstransceiver, 'sms-message');
+      vmodem.injectMessage({ from: '09011112222', text: Buffer.from([0x01, 0x02]), destinationPort: 2948, sourcePort: 9200 });
+      let msg = await event;
+      assert.strictEqual(msg.from, '09011112222');
+      assert.deepStrictEqual(msg.data, Buffer.from([0x01, 0x02]));
+      assert.deepStrictEqual(msg.ports, { source: 9200, destination: 2948 });
+      assert.strictEqual(msg.udh.toString('hex'), '0605040b8423f0');
+      assert.strictEqual(msg.text, null);
+    });
+
+    it('merges the segments of received binary data', async () => {
+      let data = createData(300);
+      let event = waitForEvent(smstransceiver, 'sms-message');
+      vmodem.injectMessage({ from: '09011112222', text: data, destinationPort: 5000 });
+      let msg = await event;
+      assert.deepStrictEqual(msg.data, data);
+      assert.deepStrictEqual(msg.ports, { source: 0, destination: 5000 });
+      assert.deepStrictEqual(msg.concat.indexes, [0, 1, 2]);
+
+      let list = await smstransceiver.listMessages();
+      assert.strictEqual(list.length, 1);
+      assert.deepStrictEqual(list[0].data, data);
+    });
+
+    it('keeps the text of a received text message', async () => {
+      let event = waitForEvent(smstransceiver, 'sms-message');
+      vmodem.injectMessage({ from: '09011112222', text: 'Hello' });
+      let msg = await event;
+      assert.strictEqual(msg.text, 'Hello');
+      assert.strictEqual(msg.data, null);
+      assert.strictEqual(msg.ports, null);
+      assert.strictEqual(msg.udh, null);
+    });
+  });
+
+  describe('service center', () => {
+    beforeEach(async () => {
+      await smstransceiver.close();
+      vmodem = new VirtualModem({ smsc: '' });
+      smstransceiver = new SmsTransceiver(vmodem.createStream());
+      await smstransceiver.open();
+    });
+
+    it('gets and sets the SMSC address', async () => {
+      assert.deepStrictEqual(await smstransceiver.getServiceCenter(), { number: '', type: 129 });
+      await smstransceiver.setServiceCenter('+819011112222');
+      assert.strictEqual(vmodem.commands[vmodem.commands.length - 1], 'AT+CSCA="+819011112222",145');
+      assert.deepStrictEqual(await smstransceiver.getServiceCenter(), { number: '+819011112222', type: 145 });
+      await smstransceiver.setServiceCenter('09011112222', 161);
+      assert.deepStrictEqual(await smstransceiver.getServiceCenter(), { number: '09011112222', type: 161 });
+      await assert.rejects(smstransceiver.setServiceCenter('+81-90'));
+    });
+
+    it('decodes the SMSC address reported in UCS2', async () => {
+      vmodem.setCommandHandler(/^AT\+CSCA\?$/, () => '+CSCA: "002B0038003100390030",145\nOK');
+      assert.deepStrictEqual(await smstransceiver.getServiceCenter(), { number: '+8190', type: 145 });
+    });
+
+    it('sends a message with the SMSC encoded into the PDU', async () => {
+      await assert.rejects(smstransceiver.sendMessage('09000000000', 'Hello'), SmsTransceiver.CmsError);
+      await smstransceiver.sendMessage('09000000000', 'Hello', { smsc: '+819011112222' });
+      assert.strictEqual(vmodem.sentMessages.length, 1);
+      assert.strictEqual(vmodem.sentMessages[0].smsc, '+819011112222');
+      assert.strictEqual(vmodem.sentMessages[0].text, 'Hello');
+      await assert.rejects(smstransceiver.sendMessage('09000000000', 'Hello', { smsc: 'SMSC' }));
+    });
+
+    it('writes a message with the SMSC encoded into the PDU', async () => {
+      let index_list = await smstransceiver.writeSubmitMessage('09000000000', 'Hello', { smsc: '+819011112222' });
+      await smstransceiver.sendStoredMessage(index_list[0]);
+      assert.strictEqual(vmodem.sentMessages[0].smsc, '+819011112222');
+    });
+  });
+
+  describe('voice calls', () => {
+    beforeEach(async () => {
+      await smstransceiver.close();
+      vmodem = new VirtualModem();
+      smstransceiver = new SmsTransceiver(vmodem.createStream(), { callPollInterval: 20 });
+      await smstransceiver.open();
+    });
+
+    it('emits the `incoming-call` event with the caller number', async () => {
+      let received = waitForEvent(smstransceiver, 'incoming-call');
+      vmodem.injectCall('+819011112222');
+      let call = await received;
+      assert.strictEqual(call.direction, 'incoming');
+      assert.strictEqual(call.number, '+819011112222');
+      assert.strictEqual(call.type, 145);
+      assert.strictEqual(call.state, 'incoming');
+      assert.strictEqual(vmodem.settings.clip, 1);
+    });
+
+    it('answers an incoming call and reports the duration when it ends', async () => {
+      let states = [];
+      smstransceiver.on('call-state', (call) => {
+        states.push(call.state);
+      });
+      let received = waitForEvent(smstransceiver, 'incoming-call');
+      let id = vmodem.injectCall('09011112222');
+      await received;
+      await smstransceiver.answer();
+      await waitForEvent(smstransceiver, 'call-state');
+      assert.deepStrictEqual(await smstransceiver.getCalls(), [
+        { id: id, direction: 'incoming', state: 'active', voice: true, multiparty: false, number: '09011112222', type: 129 }
+      ]);
+
+      let ended = waitForEvent(smstransceiver, 'call-ended');
+      vmodem.endCall(id);
+      let call = await ended;
+      assert.strictEqual(call.number, '09011112222');
+      assert.strictEqual(call.answered, true);
+      assert.strictEqual(call.duration, 0);
+      assert.ok(call.answeredAt && call.endedAt);
+      assert.deepStrictEqual(states, ['active']);
+    });
+
+    it('rejects an incoming call', async () => {
+      let received = waitForEvent(smstransceiver, 'incoming-call');
+      vmodem.injectCall('09011112222');
+      await received;
+      let ended = waitForEvent(smstransceiver, 'call-ended');
+      await smstransceiver.hangup();
+      let call = await ended;
+      assert.strictEqual(call.answered, false);
+      assert.strictEqual(call.duration, 0);
+      assert.ok(vmodem.commands.includes('AT+CHUP'));
+      assert.deepStrictEqual(vmodem.calls, []);
+    });
+
+    it('dials a number and tracks the state', async () => {
+      let call = await smstransceiver.dial('+819011112222');
+      assert.strictEqual(call.direction, 'outgoing');
+      assert.strictEqual(call.state, 'dialing');
+      assert.ok(vmodem.commands.includes('ATD+819011112222;'));
+
+      let alerting = await waitForEvent(smstransceiver, 'call-state');
+      assert.strictEqual(alerting.state, 'alerting');
+      assert.strictEqual(alerting.id, 1);
+      vmodem.answerCall();
+      let active = await waitForEvent(smstransceiver, 'call-state');
+      assert.strictEqual(active.state, 'active');
+      assert.ok(active.answeredAt);
+
+      let ended = waitForEvent(smstransceiver, 'call-ended');
+      await smstransceiver.hangup();
+      assert.strictEqual((await ended).answered, true);
+    });
+
+    it('hangs up automatically with the `hangupAfter` option', async () => {
+      let ended = waitForEvent(smstransceiver, 'call-ended');
+      await smstransceiver.dial('09011112222', { hangupAfter: 50 });
+      let call = await ended;
+      assert.strictEqual(call.answered, false);
+      assert.deepStrictEqual(vmodem.calls, []);
+    });
+
+    it('falls back to `ATH` and rejects invalid arguments', async () => {
+      vmodem.setCommandHandler(/^AT\+CHUP$/, () => 'ERROR');
+      await smstransceiver.dial('09011112222');
+      await smstransceiver.hangup();
+      assert.ok(vmodem.commands.includes('ATH'));
+      assert.deepStrictEqual(vmodem.calls, []);
+      await assert.rejects(smstransceiver.dial('abc'));
+      await assert.rejects(smstransceiver.dial('0901', { hangupAfter: 0 }));
+      await assert.rejects(smstransceiver.answer());
+    });
+  });
+
+  describe('operator selection', () => {
+    beforeEach(async () => {
+      await smstransceiver.close();
+      vmodem = new VirtualModem({
+        networks: [
+          { name: 'OTHER NETWORK', shortName: 'OTHER', mcc: 440, mnc: 20, act: 2 },
+          { name: 'FORBIDDEN', mcc: 440, mnc: 50, forbidden: true }
+        ]
+      });
+      smstransceiver = new SmsTransceiver(vmodem.createStream());
+      await smstransceiver.open();
+    });
+
+    it('scans the available, current and forbidden networks', async () => {
+      let list = await smstransceiver.scanOperators();
+      assert.deepStrictEqual(list.map((net) => net.status), ['current', 'available', 'forbidden']);
+      assert.deepStrictEqual(list[1], {
+        status: 'available',
+        stat: 1,
+        longName: 'OTHER NETWORK',
+        shortName: 'OTHER',
+        mccmnc: '44020',
+        mcc: 440,
+        mnc: 20,
+        act: 2,
+        accessTechnology: 'UTRAN'
+      });
+    });
+
+    it('rejects with a TimeoutError if the scan does not complete within the timeout', async () => {
+      vmodem.setCommandHandler(/^AT\+COPS=\?$/, () => '');
+      await assert.rejects(smstransceiver.scanOperators({ timeout: 100 }), SmsTransceiver.TimeoutError);
+      await assert.rejects(smstransceiver.scanOperators({ timeout: 600001 }));
+    });
+
+    it('selects a network manually and automatically', async () => {
+      await smstransceiver.selectOperator({ mccmnc: '44020', act: 2 });
+      assert.strictEqual(vmodem.commands[vmodem.commands.length - 1], 'AT+COPS=1,2,"44020",2');
+      let reg = await smstransceiver.getRegistration();
+      assert.strictEqual(reg.cs.status, 'registered-roaming');
+      assert.strictEqual((await smstransceiver.getNetworkInfo()).operator.mnc, 20);
+
+      await smstransceiver.setAutomaticSelection();
+      reg = await smstransceiver.getRegistration();
+      assert.strictEqual(reg.cs.status, 'registered-home');
+    });
+
+    it('rejects if the network cannot be selected', async () => {
+      await assert.rejects(smstransceiver.selectOperator({ mccmnc: '44050' }), SmsTransceiver.AtCommandError);
+      await assert.rejects(smstransceiver.selectOperator({ mccmnc: '4405' }));
+      await assert.rejects(smstransceiver.selectOperator());
+
+      // The modem enters the automatic mode if the `fallback` is `true`
+      await smstransceiver.selectOperator({ mccmnc: '44050', fallback: true });
+      assert.strictEqual((await smstransceiver.getRegistration()).registered, true);
+    });
+
+    it('deregisters from the network', async () => {
+      await smstransceiver.deregister();
+      let reg = await smstransceiver.getRegistration();
+      assert.strictEqual(reg.registered, false);
+      assert.strictEqual((await smstransceiver.getNetworkInfo()).operator.name, '');
+      await smstransceiver.setAutomaticSelection();
+      assert.strictEqual((await smstransceiver.getRegistration()).registered, true);
+    });
+  });
+
+  describe('phonebook', () => {
+    beforeEach(async () => {
+      await smstransceiver.close();
+      vmodem = new VirtualModem({
+        phonebook: [
+          { number: '+819011112222', name: 'Tom' },
+          { number: '08033334444', name: '山田太郎' },
+          { number: '08055556666', name: 'Tomoko' }
+        ]
+      });
+      smstransceiver = new SmsTransceiver(vmodem.createStream());
+      await smstransceiver.open();
+    });
+
+    it('lists the entries with the names decoded from UCS2', async () => {
+      let entries = await smstransceiver.listPhonebookEntries();
+      assert.deepStrictEqual(entries, [
+        { index: 1, number: '+819011112222', type: 145, name: 'Tom' },
+        { index: 2, number: '08033334444', type: 129, name: '山田太郎' },
+        { index: 3, number: '08055556666', type: 129, name: 'Tomoko' }
+      ]);
+      assert.ok(vmodem.commands.includes('AT+CPBR=1,250'));
+      // The character set is restored
+      assert.strictEqual(vmodem.settings.cscs, 'IRA');
+    });
+
+    it('reads and finds entries', async () => {
+      assert.strictEqual((await smstransceiver.readPhonebookEntry(2)).name, '山田太郎');
+      assert.strictEqual(await smstransceiver.readPhonebookEntry(10), null);
+      let found = await smstransceiver.findPhonebookEntries('tom');
+      assert.deepStrictEqual(found.map((e) => e.index), [1, 3]);
+      assert.deepStrictEqual(await smstransceiver.findPhonebookEntries('Jane'), []);
+    });
+
+    it('writes and deletes entries', async () => {
+      await smstransceiver.writePhonebookEntry({ number: '+819077778888', name: '花子' });
+      await smstransceiver.writePhonebookEntry({ index: 1, number: '09000000000', name: 'Tommy' });
+      assert.ok(vmodem.commands.includes('AT+CPBW=,"+819077778888",145,"82B15B50"'));
+      assert.deepStrictEqual(await smstransceiver.readPhonebookEntry(4), {
+        index: 4, number: '+819077778888', type: 145, name: '花子'
+      });
+      assert.strictEqual((await smstransceiver.readPhonebookEntry(1)).name, 'Tommy');
+
+      await smstransceiver.deletePhonebookEntry(2);
+      let entries = await smstransceiver.listPhonebookEntries();
+      assert.deepStrictEqual(entries.map((e) => e.index), [1, 3, 4]);
+    });
+
+    it('selects the phonebook storage', async () => {
+      assert.deepStrictEqual(await smstransceiver.getPhonebookStorage(), { storage: 'SM', used: 3, total: 250 });
+      let res = await smstransceiver.setPhonebookStorage('ME');
+      assert.deepStrictEqual(res, { storage: 'ME', used: 0, total: 100 });
+      assert.deepStrictEqual(await smstransceiver.listPhonebookEntries(), []);
+
+      // The storage is selected again after the modem is reset
+      vmodem.settings.cpbs = 'SM';
+      await smstransceiver.writePhonebookEntry({ number: '09000000000', name: 'Me' });
+      assert.strictEqual(vmodem.settings.cpbs, 'ME');
+      assert.strictEqual((await smstransceiver.getPhonebookStorage()).used, 1);
+    });
+
+    it('adds the contact to incoming messages if the `contactLookup` is enabled', async () => {
+      let received = waitForEvent(smstransceiver, 'sms-message');
+      vmodem.injectMessage({ from: '09011112222', text: 'Hello' });
+      assert.strictEqual('contact' in (await received), false);
+
+      smstransceiver.contactLookup = true;
+      received = waitForEvent(smstransceiver, 'sms-message');
+      vmodem.injectMessage({ from: '09011112222', text: 'Hello' });
+      assert.deepStrictEqual((await received).contact, { index: 1, name: 'Tom', number: '+819011112222' });
+
+      received = waitForEvent(smstransceiver, 'sms-message');
+      vmodem.injectMessage({ from: '09099999999', text: LONG_TEXT });
+      let msg = await received;
+      assert.strictEqual(msg.text, LONG_TEXT);
+      assert.strictEqual(msg.contact, null);
+
+      // The cached entries are refreshed after an entry is written
+      await smstransceiver.writePhonebookEntry({ number: '09099999999', name: 'Jane' });
+      received = waitForEvent(smstransceiver, 'sms-message');
+      vmodem.injectMessage({ from: '09099999999', text: 'Hi' });
+      assert.strictEqual((await received).contact.name, 'Jane');
+    });
+
+    it('rejects invalid arguments', async () => {
+      await assert.rejects(smstransceiver.setPhonebookStorage('XX'));
+      await assert.rejects(smstransceiver.readPhonebookEntry(-1));
+      await assert.rejects(smstransceiver.findPhonebookEntries(''));
+      await assert.rejects(smstransceiver.writePhonebookEntry({ number: 'abc', name: 'Tom' }));
+      await assert.rejects(smstransceiver.writePhonebookEntry({ number: '09000000000' }));
+      assert.throws(() => {
+        smstransceiver.contactLookup = 'yes';
+      });
+    });
+  });
+});
+
+describe('SmsTransceiver (auto reconnect)', () => {
+  let vmodem = null;
+  let smstransceiver = null;
+
+  async function setup(options = {}) {
+    vmodem = new VirtualModem();
+    smstransceiver = new SmsTransceiver(() => vmodem.createStream(), Object.assign({
+      autoReconnect: true,
+      reconnectInterval: 10
+    }, options));
+    await smstransceiver.open();
+  }
+
+  afterEach(async () => {
+    await smstransceiver.close();
+  });
+
+  it('re-establishes the connection and replays the initialization', async () => {
+    await setup();
+    await smstransceiver.setMessageStorage('SM');
+    let events = [];
+    smstransceiver.on('reconnecting', (data) => {
+      events.push(['reconnecting', data.attempt]);
+    });
+    let reconnected = waitForEvent(smstransceiver, 'reconnected');
+    let count = vmodem.commands.length;
+    vmodem.disconnect();
+    await reconnected;
+    assert.deepStrictEqual(events, [['reconnecting', 1]]);
+    assert.deepStrictEqual(vmodem.commands.slice(count), [
+      'ATE0', 'ATQ0', 'ATV1', 'AT+CGMI', 'AT+CGMM', 'ATS0=0', 'AT+CMEE=2', 'AT+CPIN?', 'AT+CMGF=0', 'AT+CNMI=2,1,0,1,0',
+      'AT+CPMS="SM","SM","SM"', 'AT+CUSD=1', 'AT+CLIP=1'
+    ]);
+    let res = await smstransceiver.getSignalQuality();
+    assert.deepStrictEqual(res, { rssi: -73, ber: 99 });
+  });
+
+  it('retries with backoff until the modem comes back', async () => {
+    let available = false;
+    vmodem = new VirtualModem();
+    smstransceiver = new SmsTransceiver(() => {
+      if (!available) {
+        throw new Error('No such device');
+      }
+      return vmodem.createStream();
+    }, { autoReconnect: true, reconnectInterval: 5, reconnectMaxInterval: 20 });
+    available = true;
+    await smstransceiver.open();
+    available = false;
+
+    let delays = [];
+    smstransceiver.on('reconnecting', (data) => {
+      delays.push(data.delay);
+      if (data.attempt === 4) {
+        available = true;
+      }
+    });
+    let reconnected = waitForEvent(smstransceiver, 'reconnected');
+    vmodem.disconnect();
+    let data = await reconnected;
+    assert.strictEqual(data.attempt, 4);
+    assert.deepStrictEqual(delays, [5, 10, 20, 20]);
+  });
+
+  it('rejects commands issued while reconnecting', async () => {
+    await setup({ reconnectInterval: 50 });
+    let reconnected = waitForEvent(smstransceiver, 'reconnected');
+    vmodem.disconnect();
+    await waitForEvent(smstransceiver, 'reconnecting');
+    await assert.rejects(smstransceiver.getSignalQuality(), /Reconnecting/);
+    await reconnected;
+  });
+
+  it('holds commands issued while reconnecting if the `holdCommands` is true', async () => {
+    await setup({ reconnectInterval: 50, holdCommands: true });
+    vmodem.disconnect();
+    await waitForEvent(smstransceiver, 'reconnecting');
+    let res = await smstransceiver.getSignalQuality();
+    assert.deepStrictEqual(res, { rssi: -73, ber: 99 });
+  });
+
+  it('rejects the held commands when it is closed', async () => {
+    await setup({ reconnectInterval: 50, holdCommands: true });
+    vmodem.disconnect();
+    await waitForEvent(smstransceiver, 'reconnecting');
+    let quality = smstransceiver.getSignalQuality();
+    await smstransceiver.close();
+    await assert.rejects(quality, /closed/);
+  });
+
+  it('does not reconnect after the `close()` is called', async () => {
+    await setup();
+    let reconnecting = false;
+    smstransceiver.on('reconnecting', () => {
+      reconnecting = true;
+    });
+    await smstransceiver.close();
+    await smstransceiver.wait(30);
+    assert.strictEqual(reconnecting, false);
+  });
+});
+
+describe('SmsTransceiver (modem profiles)', () => {
+  let vmodem = null;
+  let smstransceiver = null;
+
+  async function setup(modem_options, options) {
+    vmodem = new VirtualModem(modem_options);
+    smstransceiver = new SmsTransceiver(vmodem.createStream(), options);
+    await smstransceiver.open();
+  }
+
+  afterEach(async () => {
+    await smstransceiver.close();
+  });
+
+  it('selects the profile from the manufacturer', async () => {
+    await setup({ manufacturer: 'Quectel', model: 'EC25' });
+    assert.strictEqual(smstransceiver.profile, 'quectel');
+  });
+
+  it('uses the profile specified to the constructor', async () => {
+    await setup({}, { profile: 'huawei' });
+    assert.strictEqual(smstransceiver.profile, 'huawei');
+    assert.ok(!vmodem.commands.includes('AT+CGMI'));
+    // Huawei modems can not route status reports directly
+    assert.ok(vmodem.commands.includes('AT+CNMI=2,1,0,2,0'));
+    assert.ok(!vmodem.commands.includes('AT+CNMI=2,1,0,1,0'));
+    assert.strictEqual(vmodem.commands[vmodem.commands.indexOf('AT+CPIN?') - 1], 'AT^CURC=0');
+  });
+
+  it('throws an error if the profile is unknown', () => {
+    assert.throws(() => {
+      new SmsTransceiver(new VirtualModem().createStream(), { profile: 'unknown' });
+    }, /unknown/);
+    smstransceiver = new SmsTransceiver(new VirtualModem().createStream());
+  });
+
+  it('dispatches the vendor specific URCs received while a command is running', async () => {
+    await setup({ manufacturer: 'huawei' });
+    let notifications = [];
+    smstransceiver.on('at-notification', (data) => {
+      notifications.push(data);
+    });
+    vmodem.setCommandHandler(/^AT\+CSQ$/, () => '+CSQ: 20,99\n^RSSI: 20\nOK');
+    let res = await smstransceiver.getSignalQuality();
+    assert.deepStrictEqual(res, { rssi: -73, ber: 99 });
+    assert.deepStrictEqual(notifications, ['^RSSI: 20']);
+  });
+
+  it('gets the location with the vendor specific command (Quectel)', async () => {
+    await setup({ manufacturer: 'Quectel' });
+    vmodem.setCommandHandler(/^AT\+QENG="servingcell"$/, () => {
+      return '+QENG: "servingcell","NOCONN","LTE","FDD",440,20,2FA5E56,262,1300,3,5,5,1111,-95,-11,-63,11,44\nOK';
+    });
+    let res = await smstransceiver.getLocationInfo();
+    assert.deepStrictEqual(res, { mcc: 440, mnc: 20, lac: 0x1111, cid: 0x2FA5E56 });
+    assert.ok(!vmodem.commands.includes('AT+CREG?'));
+  });
+
+  it('gets the location with the vendor specific command (SIMCom)', async () => {
+    await setup({ manufacturer: 'SIMCOM INCORPORATED' });
+    vmodem.setCommandHandler(/^AT\+CPSI\?$/, () => {
+      return '+CPSI: LTE,Online,440-10,0x1112,49983062,262,EUTRAN-BAND3,1300,5,5,-95,-1100,-750,15\nOK';
+    });
+    let res = await smstransceiver.getLocationInfo();
+    assert.deepStrictEqual(res, { mcc: 440, mnc: 10, lac: 0x1112, cid: 49983062 });
+  });
+
+  it('falls back to `AT+CREG` if the vendor specific command fails', async () => {
+    await setup({ manufacturer: 'Quectel' });
+    let res = await smstransceiver.getLocationInfo();
+    assert.deepStrictEqual(res, { mcc: 440, mnc: 10, lac: 0x1110, cid: 0x2FA5E55 });
+  });
+
+  it('applies a profile registered by the user', async () => {
+    let events = [];
+    SmsTransceiver.registerProfile({
+      name: 'test-modem',
+      match: (info) => info.manufacturer === 'TEST' && /^TM/.test(info.model),
+      initCommands: ['AT+TEST=1'],
+      promptDelay: 30,
+      timeouts: { CSQ: 50 }
+    });
+    await setup({ manufacturer: 'TEST', model: 'TM100' });
+    assert.strictEqual(smstransceiver.profile, 'test-modem');
+    assert.ok(vmodem.commands.includes('AT+TEST=1'));
+
+    // Timeout
+    vmodem.setCommandHandler(/^AT\+CSQ$/, () => '');
+    await assert.rejects(smstransceiver.getSignalQuality(), SmsTransceiver.TimeoutError);
+
+    // Delay after the prompt
+    smstransceiver.on('at-command', (cmd) => {
+      events.push([cmd.substring(0, 7), Date.now()]);
+    });
+    await smstransceiver.sendMessage('09000000000', 'Hello!');
+    assert.ok(events[1][1] - events[0][1] >= 25);
+  });
+
+  it('rejects an invalid profile', () => {
+    assert.throws(() => {
+      SmsTransceiver.registerProfile({ name: 'invalid' });
+    });
+    assert.throws(() => {
+      SmsTransceiver.registerProfile({ name: 'invalid', match: () => true, cnmi: '2,1,0,1,0' });
+    });
+    smstransceiver = new SmsTransceiver(new VirtualModem().createStream());
+  });
+});
+
+describe('SmsTransceiver (port discovery)', () => {
+  let smstransceiver = null;
+
+  // A port which does not respond to AT commands
+  function createSilentModem() {
+    let vmodem = new VirtualModem();
+    vmodem.setCommandHandler(/^AT$/, () => '');
+    return vmodem;
+  }
+
+  afterEach(async () => {
+    if (smstransceiver) {
+      await smstransceiver.close();
+      smstransceiver = null;
+    }
+  });
+
+  it('returns the ports which respond with the modem information', async () => {
+    let silent = createSilentModem();
+    let vmodem = new VirtualModem({ model: 'VM200', serial: '350000000000001' });
+    let factory = () => vmodem.createStream();
+    let list = await SmsTransceiver.discover({
+      ports: [() => silent.createStream(), factory],
+      timeout: 50
+    });
+    assert.deepStrictEqual(list, [{
+      path: factory,
+      transport: 'stream',
+      baudRate: null,
+      info: {
+        manufacturer: 'VIRTUAL',
+        model: 'VM200',
+        revision: '1.0.0',
+        serial: '350000000000001'
+      }
+    }]);
+    // Only `AT` is sent to the silent port
+    assert.deepStrictEqual(silent.commands, ['AT']);
+  });
+
+  it('skips the ports which can not be opened', async () => {
+    let list = await SmsTransceiver.discover({
+      ports: [() => { throw new Error('busy'); }],
+      timeout: 50
+    });
+    assert.deepStrictEqual(list, []);
+  });
+
+  it('rejects invalid options', async () => {
+    await assert.rejects(SmsTransceiver.discover({ ports: [] }));
+    await assert.rejects(SmsTransceiver.discover({ ports: ['/dev/ttyUSB0'], baudRates: [1] }));
+  });
+
+  it('selects the port by the IMEI', async () => {
+    let vmodem1 = new VirtualModem({ serial: '350000000000001' });
+    let vmodem2 = new VirtualModem({ serial: '350000000000002' });
+    let silent = createSilentModem();
+    smstransceiver = new SmsTransceiver(null, {
+      select: {
+        imei: '350000000000002',
+        ports: [() => silent.createStream(), () => vmodem1.createStream(), () => vmodem2.createStream()],
+        timeout: 50
+      }
+    });
+    assert.strictEqual(smstransceiver.transport, null);
+    await smstransceiver.open();
+    assert.strictEqual(smstransceiver.transport, 'stream');
+    assert.ok(vmodem2.isConnected);
+    assert.ok(vmodem2.commands.includes('AT+CNMI=2,1,0,1,0'));
+    assert.ok(!vmodem1.commands.includes('ATE0'));
+  });
+
+  it('selects the port by the model', async () => {
+    let vmodem1 = new VirtualModem({ model: 'VM100' });
+    let vmodem2 = new VirtualModem({ model: 'VM200' });
+    smstransceiver = new SmsTransceiver(null, {
+      select: {
+        model: /^VM2/,
+        ports: [() => vmodem1.createStream(), () => vmodem2.createStream()],
+        timeout: 50
+      }
+    });
+    await smstransceiver.open();
+    let info = await smstransceiver.getModemInfo();
+    assert.strictEqual(info.model, 'VM200');
+  });
+
+  it('rejects if no port matches', async () => {
+    let vmodem = new VirtualModem();
+    smstransceiver = new SmsTransceiver(null, {
+      select: { model: 'VM999', ports: [() => vmodem.createStream()], timeout: 50 }
+    });
+    await assert.rejects(smstransceiver.open(), /No modem matching/);
+    await assert.rejects(smstransceiver.getModemInfo(), /not open/);
+  });
+
+  it('throws an error if both of the `path` and the `select` are specified', () => {
+    assert.throws(() => {
+      new SmsTransceiver('/dev/ttyUSB0', { select: { model: 'VM100' } });
+    });
+    assert.throws(() => {
+      new SmsTransceiver(null, { select: { imei: 'abc' } });
+    });
+  });
+});
+
+describe('SmsTransceiver (SIM PIN)', () => {
+  let vmodem = null;
+  let smstransceiver = null;
+
+  function setup(modem_options) {
+    vmodem = new VirtualModem(modem_options);
+    smstransceiver = new SmsTransceiver(vmodem.createStream());
+  }
+
+  afterEach(async () => {
+    await smstransceiver.close();
+  });
+
+  it('reports the SIM status with the remaining attempts', async () => {
+    setup({ pin: '1234' });
+    await smstransceiver.open();
+    let status = await smstransceiver.getSimStatus();
+    assert.deepStrictEqual(status, { status: 'SIM PIN', locked: true, pinRetries: 3, pukRetries: 10 });
+  });
+
+  it('postpones the configurations for messaging until the SIM is unlocked', async () => {
+    setup({ pin: '1234' });
+    await smstransceiver.open();
+    assert.ok(!vmodem.commands.some((cmd) => /^AT\+CNMI=/.test(cmd)));
+    await assert.rejects(smstransceiver.listMessages(), (error) => {
+      assert.ok(error instanceof SmsTransceiver.CmeError);
+      assert.strictEqual(error.code, 11);
+      return true;
+    });
+
+    await smstransceiver.unlockSim('1234');
+    assert.strictEqual(vmodem.simStatus, 'READY');
+    assert.ok(vmodem.commands.includes('AT+CNMI=2,1,0,1,0'));
+    assert.deepStrictEqual(await smstransceiver.listMessages(), []);
+  });
+
+  it('unlocks the SIM with the PIN specified to the open()', async () => {
+    setup({ pin: '1234' });
+    await smstransceiver.open({ pin: '1234' });
+    assert.strictEqual(vmodem.simStatus, 'READY');
+    assert.ok(vmodem.commands.includes('AT+CNMI=2,1,0,1,0'));
+  });
+
+  it('does not enter the PIN automatically if only one attempt is left', async () => {
+    setup({ pin: '1234' });
+    await smstransceiver.open();
+    for (let i = 0; i < 2; i++) {
+      await assert.rejects(smstransceiver.unlockSim('0000'), (error) => {
+        return error.code === 16;
+      });
+    }
+    await smstransceiver.close();
+    smstransceiver = new SmsTransceiver(vmodem.createStream());
+    await assert.rejects(smstransceiver.open({ pin: '1234' }), /only one attempt is left/);
+    assert.ok(!vmodem.commands.includes('AT+CPIN="1234"'));
+    assert.strictEqual(vmodem.simStatus, 'SIM PIN');
+  });
+
+  it('unblocks the SIM with the PUK', async () => {
+    setup({ pin: '1234', puk: '87654321' });
+    await smstransceiver.open();
+    for (let i = 0; i < 3; i++) {
+      await smstransceiver.unlockSim('0000').catch(() => { });
+    }
+    let status = await smstransceiver.getSimStatus();
+    assert.strictEqual(status.status, 'SIM PUK');
+    assert.strictEqual(status.pinRetries, 0);
+
+    await smstransceiver.unlockWithPuk('87654321', '5678');
+    assert.strictEqual(vmodem.simStatus, 'READY');
+    assert.ok(vmodem.commands.includes('AT+CNMI=2,1,0,1,0'));
+  });
+
+  it('changes the PIN and the PIN lock', async () => {
+    setup({ pin: '1234' });
+    await smstransceiver.open({ pin: '1234' });
+    await smstransceiver.changePin('1234', '5678');
+    await smstransceiver.setPinLock(false, '5678');
+    assert.ok(vmodem.commands.includes('AT+CPWD="SC","1234","5678"'));
+    assert.ok(vmodem.commands.includes('AT+CLCK="SC",0,"5678"'));
+    await assert.rejects(smstransceiver.setPinLock(true, '1234'), SmsTransceiver.CmeError);
+  });
+
+  it('rejects an invalid PIN', async () => {
+    setup();
+    await smstransceiver.open();
+    await assert.rejects(smstransceiver.unlockSim('12'));
+    await assert.rejects(smstransceiver.unlockWithPuk('1234', '1234'));
+    let another = new SmsTransceiver(new VirtualModem().createStream());
+    await assert.rejects(another.open({ pin: 'abcd' }));
+  });
+});
+
+describe('SmsTransceiver.analyzeText()', () => {
+  it('returns the same number of segments as the PDUs to be sent', async () => {
+    let vmodem = new VirtualModem();
+    let smstransceiver = new SmsTransceiver(vmodem.createStream());
+    await smstransceiver.open();
+    try {
+      for (let text of ['Hello', LONG_TEXT, 'こんにちは、' + LONG_TEXT]) {
+        let res = SmsTransceiver.analyzeText(text);
+        let sent = await smstransceiver.sendMessage('09000000000', text);
+        assert.strictEqual(res.segments, sent.references.length);
+      }
+    } finally {
+      await smstransceiver.close();
+    }
+  });
+
+  it('analyzes binary data with the application ports', () => {
+    let res = SmsTransceiver.analyzeText(Buffer.alloc(200), { destinationPort: 2948 });
+    assert.strictEqual(res.encoding, '8bit');
+    assert.strictEqual(res.segments, 2);
+    assert.strictEqual(res.charactersPerSegment, 128);
+  });
+
+  it('throws an error in the same way as the `sendMessage()`', () => {
+    assert.throws(() => SmsTransceiver.analyzeText(''));
+    assert.throws(() => SmsTransceiver.analyzeText(123));
+    assert.throws(() => SmsTransceiver.analyzeText('Hello', { destinationPort: 2948 }));
+  });
+});
@@ -0,0 +1,59 @@
+'use strict';
+const assert = require('assert');
+const UssdUtils = require('../lib/ussd-utils.js');
+
+describe('UssdUtils', () => {
+  describe('parseCusd()', () => {
+    it('parses a +CUSD result code', () => {
+      assert.deepStrictEqual(UssdUtils.parseCusd('+CUSD: 1,"1. Balance\n2. Bundles",15'), {
+        status: 1, str: '1. Balance\n2. Bundles', dcs: 15
+      });
+      assert.deepStrictEqual(UssdUtils.parseCusd('+CUSD: 2'), { status: 2, str: null, dcs: null });
+      assert.strictEqual(UssdUtils.parseCusd('+CREG: 1'), null);
+    });
+  });
+
+  describe('getCharset()', () => {
+    it('determines the character set from the DCS', () => {
+      assert.strictEqual(UssdUtils.getCharset(15), 'gsm7');
+      assert.strictEqual(UssdUtils.getCharset(0x48), 'ucs2');
+      assert.strictEqual(UssdUtils.getCharset(0x44), '8bit');
+      assert.strictEqual(UssdUtils.getCharset(0x11), 'ucs2');
+      assert.strictEqual(UssdUtils.getCharset(0xF4), '8bit');
+      assert.strictEqual(UssdUtils.getCharset(null), 'gsm7');
+    });
+  });
+
+  describe('decode()', () => {
+    it('decodes a string in UCS2', () => {
+      assert.strictEqual(UssdUtils.decode('6B8B9AD8', 72), '残高');
+      // Preceded by the language indication
+      assert.strictEqual(UssdUtils.decode('6A3400480069', 0x11), 'Hi');
+    });
+
+    it('decodes packed septets only if the `packed` is true', () => {
+      assert.strictEqual(UssdUtils.decode('AA180C3602', 15, true), '*100#');
+      assert.strictEqual(UssdUtils.decode('AA180C3602', 15, false), 'AA180C3602');
+      assert.strictEqual(UssdUtils.decode('Balance: 100', 15), 'Balance: 100');
+    });
+  });
+
+  describe('isValidString()', () => {
+    it('accepts the GSM 7-bit default alphabet except `"`, CR and LF', () => {
+      assert.strictEqual(UssdUtils.isValidString('*100#'), true);
+      assert.strictEqual(UssdUtils.isValidString('Taro @{}'), true);
+      assert.strictEqual(UssdUtils.isValidString('a"b'), false);
+      assert.strictEqual(UssdUtils.isValidString('a\rb'), false);
+      assert.strictEqual(UssdUtils.isValidString('a\nb'), false);
+      assert.strictEqual(UssdUtils.isValidString('残高'), false);
+      assert.strictEqual(UssdUtils.isValidString(''), false);
+    });
+  });
+
+  describe('encode()', () => {
+    it('packs a string into septets if the `packed` is true', () => {
+      assert.strictEqual(UssdUtils.encode('*100#', true), 'AA180C3602');
+      assert.strictEqual(UssdUtils.encode('*100#', false), '*100#');
+    });
+  });
+});